@@ -1,8 +1,64 @@
 const { Command, InvalidArgumentError } = require("commander");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 
 const lib = require("./lib");
+const { resolveConfigLayers } = require("./config");
+const {
+  SHUTDOWN_HOOK_TIMEOUT_MS,
+  parseHookSpecs,
+  emptyHooks,
+  runHooks,
+  parseHookResponse,
+} = require("./hooks");
+const { createDashboard } = require("./dashboard");
+const { DEFAULT_OUTPUT_MODE, createEventRenderer } = require("./renderer");
+const { DEFAULT_REPORT_FORMAT, buildReport, renderReport } = require("./report");
+const { detachedArgs, detachedLogPath, readOutputFrom, startDetached } = require("./daemon");
+const {
+  shouldNotify,
+  parseWebhookUrl,
+  buildNotificationPayload,
+  sendWebhook,
+  SHUTDOWN_WEBHOOK_OPTIONS,
+} = require("./notify");
+const {
+  readPlanFile,
+  createPlanState,
+  planMaxIterations,
+  rewindPlan,
+  formatPlanProgress,
+} = require("./plan");
+const {
+  findGitRoot,
+  computeWorkspaceFingerprint,
+  getHeadCommit,
+  gitDiffStat,
+  getCurrentBranch,
+  checkpointBranchName,
+  ensureBranch,
+  addWorktree,
+  removeWorktree,
+  buildCheckpointMessage,
+  commitCheckpoint,
+  resetToCommit,
+  snapshotManifestPath,
+  createFileSnapshot,
+  restoreFileSnapshot,
+  changesRef,
+  gitWorkspaceTree,
+  deleteChangesRefs,
+  gitFileChanges,
+  gitPatch,
+  snapshotFileChanges,
+  snapshotPatch,
+} = require("./workspace");
+const {
+  DEFAULT_PROMPT_TEMPLATE,
+  DEFAULT_CONTINUE_TEMPLATE,
+  templateVariables,
+} = require("./templates");
 
 const {
   DEFAULT_MAX_ITERATIONS,
@@ -13,6 +69,9 @@ const {
   DEFAULT_HARD_STOP_TOKEN,
   DEFAULT_HARD_STOP_MODE,
   DEFAULT_SAME_PROMPT_EACH_ITERATION,
+  DEFAULT_BACKEND,
+  STALL_ACTIONS,
+  STALL_PROMPT,
   nowIso,
   defaultLoopId,
   ensureDirFor,
@@ -20,20 +79,56 @@ const {
   writeJson,
   readJson,
   loadState,
+  assertValidState,
   saveState,
+  readLock,
+  assertLoopNotLive,
+  acquireLock,
+  releaseLock,
+  recoverCrashedState,
   warnDangerous,
   buildPromptTemplate,
   buildContinuePrompt,
+  loadPromptTemplates,
+  parseTodoChecklist,
+  formatTodoProgress,
+  todoProgressFromState,
+  findTodoRegressions,
+  buildTodoRegressionFeedback,
+  buildSessionHandoff,
+  readRecentMessages,
+  recordSession,
+  SESSION_RECOVERY_REASONS,
   detectCompletion,
   checkHardStop,
   readFileSafe,
+  runVerifyCommands,
+  buildVerificationFeedback,
   parseSessionIdFromText,
   parseSessionIdFromJsonLines,
+  addUsage,
+  loadPriceTable,
+  estimateCost,
+  formatCost,
+  buildBudgets,
+  assertCostBudgetEnforceable,
+  checkBudgets,
+  buildRetryConfig,
+  classifyFailure,
+  retryDelayMs,
+  sleep,
+  formatDuration,
+  evaluateStall,
   computeJsonlPath,
   resolveStatePath,
   resolveArtifactsDir,
+  resolveWorktreeDir,
+  resolveAgentRoot,
+  rebuildStateFromArtifacts,
   promptYesNo,
   registerSigintHandler,
+  createBackend,
+  createBackendFromState,
   runCodexIteration,
   createInitialState,
   buildCodexOptions,
@@ -42,11 +137,123 @@ const {
   renderPromptHelper,
   renderSkillHelper,
   parseInteger,
+  parseNonNegativeInteger,
+  parsePositiveNumber,
+  parseDuration,
+  parseRatio,
   _setSigintReceived,
   _getSigintReceived,
 } = lib;
 
-async function runLoop({
+// Holds the loop's lock for the whole run so a second `resume` cannot drive the same session.
+// The lock is taken before `prepare` saves the state, so no other command ever sees a "running"
+// loop that nobody owns and marks it crashed.
+async function runLoop({ prepare = () => {}, ...params }) {
+  acquireLock(params.statePath, params.state.loop_id);
+  try {
+    prepare();
+    const notifyStatus = createStatusNotifier(params.state, params.workspaceRoot);
+    if (params.state.plan) {
+      await runPlan({ ...params, notifyStatus });
+    } else {
+      await runIterations({ ...params, notifyStatus });
+    }
+    // Every pause fires on_pause, whatever its cause. An interrupted loop fires it on its way out.
+    if (params.state.status.startsWith("paused_") && !_getSigintReceived()) {
+      await fireHooks("on_pause", params.state, {
+        statePath: params.statePath,
+        agentRoot: params.agentRoot || params.workspaceRoot,
+      });
+    }
+    await notifyStatus();
+  } finally {
+    // An interrupted loop is still saving its paused state. Its SIGINT handler releases the lock
+    // after the last save, so a `resume` cannot start before the state is final.
+    if (!_getSigintReceived()) releaseLock(params.statePath);
+  }
+}
+
+// Runs the plan's phases in order, starting at `plan.current_phase`. Each phase is a run of
+// iterations with its own prompt, promise, cap and verify commands. Only a completed phase
+// advances the plan; any other outcome stops the loop with that phase still current.
+async function runPlan(params) {
+  const { state, statePath, summaryJson } = params;
+  const { plan } = state;
+  const hook = (event, context) =>
+    fireHooks(event, state, {
+      statePath,
+      agentRoot: params.agentRoot || params.workspaceRoot,
+      ...context,
+    });
+  if (plan.current_phase >= plan.phases.length) {
+    console.log(`All ${plan.phases.length} phases of loop ${state.loop_id} are already completed.`);
+    return;
+  }
+  while (plan.current_phase < plan.phases.length) {
+    const phase = plan.phases[plan.current_phase];
+    if (phase.started_iteration == null) phase.started_iteration = state.iteration + 1;
+    phase.status = "running";
+    // The top-level fields mirror the current phase so `list` and `status` show what is in effect.
+    state.completion_promise = phase.completion_promise;
+    state.promise_mode = phase.promise_mode;
+    state.verify_commands = phase.verify_commands;
+    saveState(state, statePath);
+    console.log(
+      `\n=== Phase ${plan.current_phase + 1}/${plan.phases.length}: ${phase.name} (loop ${state.loop_id}) ===`
+    );
+
+    await runIterations({
+      ...params,
+      completionPromise: phase.completion_promise,
+      promiseMode: phase.promise_mode,
+      maxIterations: phase.started_iteration - 1 + phase.max_iterations,
+      verifyCommands: phase.verify_commands,
+      phase,
+    });
+
+    phase.status = state.status;
+    if (state.status !== "completed") {
+      saveState(state, statePath);
+      updateSummary(summaryJson, state);
+      return;
+    }
+    plan.current_phase += 1;
+    const next = plan.phases[plan.current_phase];
+    if (!next) {
+      saveState(state, statePath);
+      updateSummary(summaryJson, state);
+      console.log(`All ${plan.phases.length} phases completed. Loop ${state.loop_id} completed.`);
+      await hook("on_complete");
+      return;
+    }
+
+    state.status = "running";
+    if (phase.hard_stop) {
+      state.status = "paused_hard_stop";
+      saveState(state, statePath);
+      updateSummary(summaryJson, state);
+      console.log(`\nHARD STOP after phase ${phase.name}.`);
+      await hook("on_hard_stop", { phase: phase.name, next_phase: next.name });
+      await params.notifyStatus();
+      if (params.hardStopMode === "exit") {
+        console.log(`Exiting loop. Resume later to start phase ${next.name}.`);
+        return;
+      }
+      const shouldContinue = await promptYesNo(
+        `Phase ${phase.name} is complete. Start phase ${next.name}?`
+      );
+      if (!shouldContinue) {
+        console.log("Pausing loop. Run `waylon-smithers resume --loop-id <id>` to continue.");
+        return;
+      }
+      state.status = "running";
+    }
+    saveState(state, statePath);
+    updateSummary(summaryJson, state);
+  }
+}
+
+async function runIterations({
   statePath,
   state,
   workspaceRoot,
@@ -60,110 +267,397 @@ async function runLoop({
   todoFile,
   hardStopToken,
   hardStopMode,
+  verifyCommands = [],
   codexOptions,
+  backend = createBackendFromState(state),
+  agentRoot = workspaceRoot,
+  templates = {},
+  phase = null,
+  notifyStatus = async () => {},
+  display = null,
 }) {
   _setSigintReceived(false);
   warnDangerous(codexOptions);
   state.artifacts.jsonl_events_base = jsonlEventsBase
     ? relToWorkspace(jsonlEventsBase, workspaceRoot)
     : null;
-  registerSigintHandler(() => {
+  registerSigintHandler(async () => {
     if (state) {
       state.status = "paused_user_interrupt";
       saveState(state, statePath);
       updateSummary(summaryJson, state);
       console.error("\nPaused due to user interrupt. State saved for resume.");
+      await Promise.all([
+        notifyStatus({ shutdown: true }),
+        hook("on_pause", { timeoutMs: SHUTDOWN_HOOK_TIMEOUT_MS }),
+      ]);
+      // The loop may have moved on while the notification was sent and the hooks ran; the paused
+      // state is saved last, right before exiting, so nothing can overwrite it.
+      state.status = "paused_user_interrupt";
+      saveState(state, statePath);
+      updateSummary(summaryJson, state);
     }
+    releaseLock(statePath);
     process.exit(1);
   });
 
   const history = state.history || [];
+  const hook = (event, context) => fireHooks(event, state, { statePath, agentRoot, ...context });
+  const priceTable = loadPriceTable(workspaceRoot);
+  const budgets = state.budgets || {};
+  const retryConfig = state.retry || buildRetryConfig({});
+  const promptTemplate = templates.prompt || DEFAULT_PROMPT_TEMPLATE;
+  const continueTemplate = templates.continue || DEFAULT_CONTINUE_TEMPLATE;
+  const templateVars = new Set([
+    ...templateVariables(promptTemplate),
+    ...templateVariables(continueTemplate),
+  ]);
+  if (todoFile && state.todo) {
+    // Baseline for spotting lost progress; edits made while the loop was stopped are not the agent's.
+    state.todo.items = parseTodoChecklist(readFileSafe(todoFile)).items;
+  }
 
   for (let iteration = state.iteration + 1; iteration <= maxIterations; iteration++) {
     if (_getSigintReceived()) break;
 
+    const exhausted = checkBudgets(state, { model: codexOptions.model, priceTable });
+    if (exhausted) {
+      state.status = exhausted.status;
+      saveState(state, statePath);
+      updateSummary(summaryJson, state);
+      console.log(`${exhausted.message} Stopping loop ${state.loop_id}.`);
+      break;
+    }
+    const iterationStartedAt = Date.now();
+    const baseline = workspaceBaseline(state, agentRoot, iteration);
+
     const lastMessagePath = path.resolve(artifactsDir, `last_message_iter_${iteration}.txt`);
     const jsonlPath = computeJsonlPath(jsonlEventsBase, iteration, workspaceRoot);
 
     ensureDirFor(lastMessagePath);
     if (jsonlPath) ensureDirFor(jsonlPath);
 
-    // When samePromptEachIteration is true (Ralph Wiggum mode), always use the full prompt.
-    // Otherwise, use the full prompt only for the first iteration and a shorter continue prompt
-    // for subsequent iterations.
-    const useFullPrompt = state.codex.session_id == null || samePromptEachIteration;
+    // When samePromptEachIteration is true (Ralph Wiggum mode), or the backend cannot resume a
+    // session, always use the full prompt. Otherwise, use the full prompt only for the first
+    // iteration (and the first of each plan phase) and a shorter continue prompt for subsequent
+    // iterations.
+    const useFullPrompt =
+      !backend.supportsResume ||
+      state.codex.session_id == null ||
+      samePromptEachIteration ||
+      Boolean(phase && iteration === phase.started_iteration);
+    const feedback = state.pending_feedback || [];
+    const variables = {
+      loopId: state.loop_id,
+      iteration,
+      maxIterations,
+      promiseMode,
+      completionPromise,
+      userPrompt: phase ? [state.prompt, phase.prompt].filter(Boolean).join("\n\n") : state.prompt,
+      todoFile,
+      hardStopToken,
+      lastMessage:
+        iteration > 1 ? readFileSafe(path.join(artifactsDir, `last_message_iter_${iteration - 1}.txt`)) : null,
+      gitDiffStat: templateVars.has("gitDiffStat")
+        ? gitDiffStat(agentRoot, state.git && state.git.base_commit)
+        : null,
+      phaseName: phase ? phase.name : null,
+      phaseNumber: phase ? state.plan.current_phase + 1 : null,
+      phaseCount: phase ? state.plan.phases.length : null,
+    };
+    const buildFullPrompt = (handoff) =>
+      buildPromptTemplate({ ...variables, template: promptTemplate, feedback, handoff });
+    const handoffFor = (reason) =>
+      buildSessionHandoff({
+        reason,
+        recentMessages: readRecentMessages(artifactsDir, iteration),
+        diffStat: gitDiffStat(agentRoot, state.git && state.git.base_commit),
+        todoPath: todoFile ? relToWorkspace(todoFile, agentRoot) : null,
+        todoProgress: todoFile ? parseTodoChecklist(readFileSafe(todoFile)) : null,
+      });
+    // Set when the previous iteration lost its session; this iteration starts over with a handoff.
+    const pendingHandoff = state.codex.pending_handoff || null;
     const prompt = useFullPrompt
-      ? buildPromptTemplate({
-          loopId: state.loop_id,
-          iteration,
-          maxIterations,
-          promiseMode,
-          completionPromise,
-          userPrompt: state.prompt,
-          todoFile,
-          hardStopToken,
-        })
-      : buildContinuePrompt({
-          loopId: state.loop_id,
-          iteration,
-          maxIterations,
-          promiseMode,
-          completionPromise,
-        });
+      ? buildFullPrompt(pendingHandoff ? handoffFor(pendingHandoff) : null)
+      : buildContinuePrompt({ ...variables, template: continueTemplate, feedback });
 
     console.log(
       `\n--- Waylon-Smithers iteration ${iteration}/${maxIterations} (loop ${state.loop_id}) ---`
     );
+    // Only wait when there is something to run, so the agent starts right away otherwise.
+    const preHooks =
+      hookCommands(state, "pre_iteration").length > 0
+        ? await hook("pre_iteration", { iteration, max_iterations: maxIterations })
+        : [];
 
     let exitCode;
     let sessionId;
+    let usage;
+    let timedOut = false;
+    // Failed attempts are retried with backoff and kept apart from the iteration itself, so
+    // transient errors do not use up max_iterations.
+    const retries = [];
+    let resumeSessionId = backend.supportsResume ? state.codex.session_id : null;
+    let attemptPrompt = prompt;
+    let sessionRecovery = pendingHandoff
+      ? { reason: pendingHandoff, message: null, previous_session_id: null }
+      : null;
     try {
-      const result = await runCodexIteration({
-        prompt,
-        resumeSessionId: state.codex.session_id,
-        workspaceRoot,
-        lastMessagePath,
-        jsonlPath,
-        codexOptions,
-      });
-      exitCode = result.exitCode;
-      sessionId = result.sessionId;
+      for (let attempt = 0; ; ) {
+        const elapsedMs = (state.elapsed_ms || 0) + (Date.now() - iterationStartedAt);
+        if (display) {
+          display.startIteration({
+            loopId: state.loop_id,
+            iteration,
+            maxIterations,
+            phase: phase ? phase.name : null,
+            loopElapsedMs: elapsedMs,
+            loopTokens: addUsage(state.usage, usage).total_tokens,
+            todoFile,
+          });
+        }
+        let result;
+        try {
+          result = await runCodexIteration({
+            prompt: attemptPrompt,
+            resumeSessionId,
+            workspaceRoot: agentRoot,
+            lastMessagePath,
+            jsonlPath,
+            codexOptions,
+            backend,
+            timeoutMs: budgets.max_duration_ms != null ? budgets.max_duration_ms - elapsedMs : null,
+            ...(display ? { onStdout: display.write, onStderr: display.writeError } : {}),
+          });
+        } finally {
+          if (display) display.finishIteration();
+        }
+        exitCode = result.exitCode;
+        sessionId = result.sessionId;
+        usage = usage ? addUsage(usage, result.usage) : result.usage;
+        timedOut = result.timedOut;
+
+        const failure = classifyFailure(result);
+        // Resuming a dead or overflowing session would fail again: replace it once, right away,
+        // with a fresh session that gets the full prompt plus a handoff.
+        if (failure && resumeSessionId && SESSION_RECOVERY_REASONS.includes(failure.reason)) {
+          console.warn(
+            `[WARN] Session ${resumeSessionId} cannot be resumed (${failure.reason}: ${failure.message}). ` +
+              "Starting a new session with a handoff."
+          );
+          sessionRecovery = {
+            reason: failure.reason,
+            message: failure.message,
+            previous_session_id: resumeSessionId,
+          };
+          endSession(state, failure.reason);
+          resumeSessionId = null;
+          attemptPrompt = buildFullPrompt(handoffFor(failure.reason));
+          fs.rmSync(lastMessagePath, { force: true });
+          continue;
+        }
+        if (!failure || attempt >= retryConfig.max_retries || _getSigintReceived()) break;
+        attempt += 1;
+        const delayMs = retryDelayMs(attempt, retryConfig.backoff_ms);
+        retries.push({
+          attempt,
+          finished_at: nowIso(),
+          exit_code: exitCode,
+          reason: failure.reason,
+          message: failure.message,
+          delay_ms: delayMs,
+          usage: result.usage || null,
+        });
+        console.warn(
+          `[WARN] Iteration ${iteration} failed (${failure.reason}: ${failure.message}). ` +
+            `Retrying in ${formatDuration(delayMs)} (${attempt}/${retryConfig.max_retries})...`
+        );
+        // A stale last message must not be mistaken for the retry's output.
+        fs.rmSync(lastMessagePath, { force: true });
+        await sleep(delayMs);
+      }
     } catch (err) {
-      console.error(`codex exec failed: ${err.message}`);
+      console.error(`${backend.program} failed: ${err.message}`);
       state.status = "error_spawn";
       state.last_result = { exit_code: null, detected_promise: false };
       saveState(state, statePath);
       updateSummary(summaryJson, state);
+      await hook("on_error", { error: err.message });
       return;
     }
+    // An interrupted iteration is not recorded: the SIGINT handler saves the paused state and exits.
+    if (_getSigintReceived()) return;
 
-    if (!sessionId) {
-      console.error("Unable to detect Codex session id. The loop cannot continue.");
+    // Without a session id the next iteration cannot resume. Give it one fresh start with a handoff;
+    // if that session cannot be identified either, stop.
+    const sessionMissing = !sessionId && backend.supportsResume && !timedOut;
+    if (sessionMissing && pendingHandoff) {
+      console.error(`Unable to detect ${backend.label} session id. The loop cannot continue.`);
       state.status = "error_no_session";
       saveState(state, statePath);
       updateSummary(summaryJson, state);
+      await hook("on_error", { error: `Unable to detect ${backend.label} session id.` });
       return;
     }
+    if (sessionMissing) {
+      console.warn(
+        `[WARN] Unable to detect ${backend.label} session id. The next iteration starts a new session with a handoff.`
+      );
+    }
+    state.codex.pending_handoff = sessionMissing ? "session_id_missing" : null;
 
     state.codex.session_id = sessionId;
+    recordSession(state, sessionId, iteration, sessionRecovery ? sessionRecovery.reason : "start");
     state.iteration = iteration;
     state.status = "running";
+    if (phase) phase.last_iteration = iteration;
+    state.pending_feedback = [];
+    state.usage = addUsage(state.usage, usage);
     state.last_result = {
       exit_code: exitCode,
       detected_promise: false,
+      verified: null,
     };
     state.artifacts.last_message_path = relToWorkspace(lastMessagePath, workspaceRoot);
     state.artifacts.jsonl_path = jsonlPath ? relToWorkspace(jsonlPath, workspaceRoot) : null;
 
     const lastMessage = readFileSafe(lastMessagePath);
-    const detectedPromise = detectCompletion(lastMessage, promiseMode, completionPromise);
+    // A message cut off by the time budget is never trusted as a completion.
+    const detectedPromise =
+      !timedOut && detectCompletion(lastMessage, promiseMode, completionPromise);
     state.last_result.detected_promise = detectedPromise;
 
+    let todoRecord = null;
+    let todoDone = false;
+    if (todoFile && state.todo) {
+      const checklist = parseTodoChecklist(readFileSafe(todoFile));
+      const regressions = findTodoRegressions(state.todo.items || [], checklist.items);
+      state.todo.items = checklist.items;
+      todoRecord = { done: checklist.done, total: checklist.total, regressions };
+      todoDone =
+        !timedOut &&
+        Boolean(state.todo.complete_when_done) &&
+        checklist.total > 0 &&
+        checklist.done === checklist.total;
+      console.log(`TODO progress: ${formatTodoProgress(checklist)}`);
+      if (regressions.length > 0) {
+        console.warn(
+          `[WARN] ${regressions.length} TODO item(s) were unchecked or removed during iteration ${iteration}.`
+        );
+        state.pending_feedback.push(
+          buildTodoRegressionFeedback(relToWorkspace(todoFile, agentRoot), regressions)
+        );
+      }
+    }
+    const completionClaimed = detectedPromise || todoDone;
+    const completionLabel = detectedPromise ? "Completion promise detected" : "All TODO items are checked";
+
+    // A promise is only trusted once every verification command exits 0. On failure the
+    // command output is carried into the next iteration's prompt.
+    let verified = null;
+    let verification = null;
+    if (completionClaimed && verifyCommands.length > 0) {
+      console.log(
+        `${completionLabel}. Running ${verifyCommands.length} verification command(s)...`
+      );
+      verification = await runVerifyCommands(verifyCommands, agentRoot);
+      verified = verification.passed;
+      for (const result of verification.results) {
+        console.log(`  [verify] ${result.command} -> exit ${result.exit_code}`);
+      }
+      if (!verified) {
+        state.pending_feedback.push(buildVerificationFeedback(verification.results));
+        console.log("Verification failed. Continuing loop with the failure output.");
+      }
+    }
+    state.last_result.verified = verified;
+
+    // Checkpoint before fingerprinting so an iteration without changes leaves HEAD untouched.
+    let commitSha = null;
+    if (state.git && state.git.checkpoint_branch) {
+      try {
+        const checkpoint = commitCheckpoint(
+          agentRoot,
+          buildCheckpointMessage(state.loop_id, iteration, lastMessage)
+        );
+        commitSha = checkpoint.sha;
+        if (checkpoint.created) {
+          console.log(`Checkpoint ${commitSha.slice(0, 12)} on ${state.git.checkpoint_branch}`);
+        }
+      } catch (err) {
+        console.warn(`[WARN] Git checkpoint failed: ${err.message}`);
+      }
+    }
+
+    // Workspaces outside git get a wrapper-managed file snapshot instead, so `rewind` still works.
+    let snapshotPath = null;
+    if (state.artifacts.snapshots_dir) {
+      try {
+        snapshotPath = relToWorkspace(
+          createFileSnapshot(
+            agentRoot,
+            path.resolve(workspaceRoot, state.artifacts.snapshots_dir),
+            iteration
+          ),
+          workspaceRoot
+        );
+      } catch (err) {
+        console.warn(`[WARN] File snapshot failed: ${err.message}`);
+      }
+    }
+
+    const changes = recordWorkspaceChanges(state, {
+      agentRoot,
+      workspaceRoot,
+      iteration,
+      baseline,
+      snapshotPath,
+    });
+
+    let stallCheck = null;
+    if (state.stall) {
+      const fingerprint = computeWorkspaceFingerprint(agentRoot);
+      stallCheck = evaluateStall({
+        previousMessage: readFileSafe(
+          path.resolve(artifactsDir, `last_message_iter_${iteration - 1}.txt`)
+        ),
+        lastMessage,
+        previousFingerprint: state.stall.last_fingerprint,
+        fingerprint,
+        similarityThreshold: state.stall.similarity,
+      });
+      state.stall.consecutive = stallCheck.stalled ? state.stall.consecutive + 1 : 0;
+      state.stall.last_fingerprint = fingerprint;
+    }
+
+    const durationMs = Date.now() - iterationStartedAt;
+    state.elapsed_ms = (state.elapsed_ms || 0) + durationMs;
+
     const iterationRecord = {
       iteration,
       finished_at: nowIso(),
+      duration_ms: durationMs,
+      timed_out: timedOut,
       exit_code: exitCode,
       detected_promise: detectedPromise,
+      verified,
+      verification: verification
+        ? verification.results.map((result) => ({
+            command: result.command,
+            exit_code: result.exit_code,
+          }))
+        : null,
+      usage: usage || null,
+      retries,
+      session_id: sessionId || null,
+      session_recovery: sessionRecovery,
+      todo: todoRecord,
+      phase: phase ? phase.name : null,
+      commit_sha: commitSha,
+      snapshot_path: snapshotPath,
+      changes,
+      stalled: stallCheck ? stallCheck.stalled : null,
+      message_similarity: stallCheck ? stallCheck.similarity : null,
       last_message_path: state.artifacts.last_message_path,
       jsonl_path: state.artifacts.jsonl_path,
     };
@@ -173,16 +667,105 @@ async function runLoop({
     saveState(state, statePath);
     updateSummary(summaryJson, state);
 
-    if (detectedPromise) {
+    // post_iteration hooks see the saved record and may stop or pause the loop or add to the
+    // next prompt.
+    const postHooks = await hook("post_iteration", {
+      max_iterations: maxIterations,
+      record: iterationRecord,
+      last_message: lastMessage,
+    });
+    let hookDecision = null;
+    for (const result of postHooks.filter((entry) => entry.exit_code === 0)) {
+      let response;
+      try {
+        response = parseHookResponse(result.stdout);
+      } catch (err) {
+        console.warn(`[WARN] post_iteration hook "${result.command}" returned ${err.message}`);
+        continue;
+      }
+      if (!response) continue;
+      if (response.append_prompt) state.pending_feedback.push(response.append_prompt);
+      if (response.action !== "continue" && !hookDecision) {
+        hookDecision = { ...response, command: result.command };
+      }
+    }
+    const hookRecords = [...preHooks, ...postHooks];
+    if (hookRecords.length > 0) {
+      iterationRecord.hooks = hookRecords.map((result, index) => ({
+        event: index < preHooks.length ? "pre_iteration" : "post_iteration",
+        command: result.command,
+        exit_code: result.exit_code,
+      }));
+      saveState(state, statePath);
+    }
+
+    if (completionClaimed && verified !== false) {
       state.status = "completed";
       saveState(state, statePath);
       updateSummary(summaryJson, state);
       console.log(
-        `Completion promise detected on iteration ${iteration}. Loop ${state.loop_id} completed.`
+        `${completionLabel} on iteration ${iteration}. ` +
+          (phase ? `Phase ${phase.name} completed.` : `Loop ${state.loop_id} completed.`)
+      );
+      if (!phase) await hook("on_complete");
+      break;
+    }
+
+    if (hookDecision) {
+      state.status = hookDecision.action === "stop" ? "stopped_hook" : "paused_hook";
+      saveState(state, statePath);
+      updateSummary(summaryJson, state);
+      console.log(
+        `post_iteration hook "${hookDecision.command}" asked to ${hookDecision.action} the loop` +
+          (hookDecision.reason ? `: ${hookDecision.reason}` : ".")
+      );
+      break;
+    }
+
+    if (timedOut) {
+      state.status = "stopped_timeout";
+      saveState(state, statePath);
+      updateSummary(summaryJson, state);
+      console.log(
+        `Time budget exhausted during iteration ${iteration}; the agent was stopped. Loop ${state.loop_id} halted.`
       );
       break;
     }
 
+    if (state.stall && state.stall.consecutive >= state.stall.iterations) {
+      console.log(
+        `\nNo progress for ${state.stall.consecutive} consecutive iteration(s): ` +
+          "near-identical messages and no file changes."
+      );
+      if (state.stall.action === "inject") {
+        state.pending_feedback.push(STALL_PROMPT);
+        state.stall.consecutive = 0;
+        saveState(state, statePath);
+        updateSummary(summaryJson, state);
+        console.log("Asking the agent to try a different approach next iteration.");
+      } else {
+        state.status = "paused_stalled";
+        saveState(state, statePath);
+        updateSummary(summaryJson, state);
+
+        if (state.stall.action === "exit") {
+          console.log("Exiting loop. Resume later to continue.");
+          break;
+        }
+
+        const shouldContinue = await promptYesNo("Loop appears stalled. Continue anyway?");
+        if (!shouldContinue) {
+          console.log("Pausing loop. Run `waylon-smithers resume --loop-id <id>` to continue.");
+          break;
+        }
+
+        state.stall.consecutive = 0;
+        state.status = "running";
+        saveState(state, statePath);
+        updateSummary(summaryJson, state);
+      }
+    }
+
     if (todoFile && checkHardStop(todoFile, hardStopToken)) {
       state.status = "paused_hard_stop";
       if (state.todo) state.todo.paused_for_hard_stop = true;
@@ -190,6 +773,8 @@ async function runLoop({
       updateSummary(summaryJson, state);
 
       console.log(`\nHARD STOP token found in ${todoFile}.`);
+      await hook("on_hard_stop");
+      await notifyStatus();
       if (hardStopMode === "exit") {
         console.log("Exiting loop. Resume later to continue.");
         break;
@@ -214,8 +799,11 @@ async function runLoop({
       saveState(state, statePath);
       updateSummary(summaryJson, state);
       console.log(
-        `Reached max iterations (${maxIterations}) without detecting completion promise.`
+        phase
+          ? `Phase ${phase.name} reached its cap of ${phase.max_iterations} iteration(s) without completing.`
+          : `Reached max iterations (${maxIterations}) without detecting completion promise.`
       );
+      await hook("on_max_iterations");
       break;
     }
   }
@@ -238,18 +826,101 @@ async function handleStart(prompt, options) {
   if (fs.existsSync(statePath)) {
     throw new Error(`State file already exists at ${statePath}. Use --loop-id to start a new loop.`);
   }
+  if (options.detach) {
+    // The background run needs to know the loop id this run picked.
+    const extraArgs = options.loopId ? [] : ["--loop-id", loopId];
+    await runDetached({ loopId, statePath, logPath: detachedLogPath(artifactsDir), extraArgs });
+    return;
+  }
+
+  const gitRoot = findGitRoot(workspaceRoot);
+  if (options.worktree && !gitRoot) {
+    throw new Error("--worktree requires the workspace to be inside a git repository.");
+  }
+  if (options.gitCheckpoint && !gitRoot) {
+    throw new Error("--git-checkpoint requires the workspace to be inside a git repository.");
+  }
+  // A worktree checks out the whole repository, so keep the agent in the same subdirectory.
+  const worktree = options.worktree
+    ? {
+        path: resolveWorktreeDir(loopId, workspaceRoot),
+        branch: checkpointBranchName(loopId),
+      }
+    : null;
+  if (worktree) {
+    worktree.cwd = path.join(worktree.path, path.relative(gitRoot, workspaceRoot));
+  }
+  const agentRoot = worktree ? worktree.cwd : workspaceRoot;
+
+  const codexOptions = buildCodexOptions(options, agentRoot);
+  const backendConfig = {
+    name: options.backend || DEFAULT_BACKEND,
+    command: options.backendCommand,
+    resumeCommand: options.backendResumeCommand,
+  };
+  // Fail fast on a bad backend or unenforceable budget before any state is written.
+  const backend = createBackend(backendConfig.name, backendConfig);
+  const budgets = buildBudgets(options);
+  assertCostBudgetEnforceable(budgets, codexOptions.model, loadPriceTable(workspaceRoot));
+  if (options.stallAction && !STALL_ACTIONS.includes(options.stallAction)) {
+    throw new Error(
+      `Unknown stall action "${options.stallAction}". Expected one of: ${STALL_ACTIONS.join(", ")}.`
+    );
+  }
+  if (options.completeWhenTodoDone && !options.todoFile) {
+    throw new Error("--complete-when-todo-done requires --todo-file.");
+  }
+  const planPath = options.plan ? path.resolve(workspaceRoot, options.plan) : null;
+  const plan = planPath ? readPlanFile(planPath) : null;
+  if (!prompt && !plan) {
+    throw new Error("A prompt is required unless --plan is given.");
+  }
+  const hooks = parseHookSpecs(options.hook);
+  const display = createDisplay(options);
+  const webhookUrl = options.notifyWebhook ? parseWebhookUrl(options.notifyWebhook) : null;
+  const templatePaths = {
+    prompt: options.promptTemplate ? path.resolve(workspaceRoot, options.promptTemplate) : null,
+    continue: options.continueTemplate ? path.resolve(workspaceRoot, options.continueTemplate) : null,
+  };
+  const templates = loadPromptTemplates({ templates: templatePaths }, workspaceRoot);
 
-  const codexOptions = buildCodexOptions(options, workspaceRoot);
-  const todoFile = options.todoFile ? path.resolve(workspaceRoot, options.todoFile) : null;
+  const gitInfo = gitRoot
+    ? {
+        base_commit: getHeadCommit(workspaceRoot),
+        base_branch: getCurrentBranch(workspaceRoot),
+        checkpoint_branch: options.gitCheckpoint ? checkpointBranchName(loopId) : null,
+      }
+    : null;
+  if (worktree) {
+    addWorktree(workspaceRoot, worktree.path, worktree.branch);
+    console.log(`Created worktree ${worktree.path} on branch ${worktree.branch}`);
+  }
+  if (gitInfo && gitInfo.checkpoint_branch) {
+    ensureBranch(agentRoot, gitInfo.checkpoint_branch);
+  }
+  const snapshotsDir = gitRoot ? null : path.join(artifactsDir, "snapshots");
+  const todoFile = options.todoFile ? path.resolve(agentRoot, options.todoFile) : null;
   const samePromptEachIteration =
     options.samePromptEachIteration ?? DEFAULT_SAME_PROMPT_EACH_ITERATION;
+  // Phases fall back to the loop's options for anything the plan file leaves out.
+  const planState = plan
+    ? createPlanState(plan, {
+        path: relToWorkspace(planPath, workspaceRoot),
+        completionPromise: options.completionPromise || DEFAULT_COMPLETION_PROMISE,
+        promiseMode: options.promiseMode || DEFAULT_PROMISE_MODE,
+        maxIterations: options.maxIterations || DEFAULT_MAX_ITERATIONS,
+        verifyCommands: options.verifyCmd || [],
+      })
+    : null;
   const initialState = createInitialState({
     loopId,
     workspaceRoot,
-    prompt,
+    prompt: plan ? [prompt, plan.prompt].filter(Boolean).join("\n\n") : prompt,
     completionPromise: options.completionPromise || DEFAULT_COMPLETION_PROMISE,
     promiseMode: options.promiseMode || DEFAULT_PROMISE_MODE,
-    maxIterations: options.maxIterations || DEFAULT_MAX_ITERATIONS,
+    maxIterations: planState
+      ? planMaxIterations(planState)
+      : options.maxIterations || DEFAULT_MAX_ITERATIONS,
     statePath,
     artifactsDir,
     summaryJson,
@@ -258,11 +929,34 @@ async function handleStart(prompt, options) {
     hardStopToken: options.hardStopToken || DEFAULT_HARD_STOP_TOKEN,
     hardStopMode: options.hardStopMode || DEFAULT_HARD_STOP_MODE,
     samePromptEachIteration,
+    verifyCommands: options.verifyCmd || [],
+    backendConfig,
+    budgets,
+    stallConfig: {
+      iterations: options.stallIterations,
+      similarity: options.stallSimilarity,
+      action: options.stallAction,
+    },
+    gitInfo,
+    worktree,
+    snapshotsDir,
+    retryConfig: buildRetryConfig(options),
+    templates: templatePaths,
+    completeWhenTodoDone: options.completeWhenTodoDone,
+    plan: planState,
+    hooks,
+    webhookUrl,
     codexOptions,
   });
 
-  saveState(initialState, statePath);
-  updateSummary(summaryJson, initialState);
+  const prepare = () => {
+    saveState(initialState, statePath);
+    updateSummary(summaryJson, initialState);
+    if (snapshotsDir) {
+      // Baseline so `rewind --to-iteration 0` can restore the starting workspace.
+      createFileSnapshot(workspaceRoot, snapshotsDir, 0);
+    }
+  };
 
   await runLoop({
     statePath,
@@ -278,7 +972,13 @@ async function handleStart(prompt, options) {
     todoFile,
     hardStopToken: options.hardStopToken || DEFAULT_HARD_STOP_TOKEN,
     hardStopMode: options.hardStopMode || DEFAULT_HARD_STOP_MODE,
+    verifyCommands: initialState.verify_commands,
     codexOptions,
+    backend,
+    agentRoot,
+    templates,
+    display,
+    prepare,
   });
 }
 
@@ -287,8 +987,15 @@ async function handleResume(options) {
   const stateLookupRoot = path.resolve(options.cd || process.cwd());
   const statePath = resolveStatePath(loopId, options.stateFile, stateLookupRoot);
   const state = loadState(statePath);
+  assertValidState(state, statePath);
+  assertLoopNotLive(statePath, state.loop_id);
+  warnIfCrashed(state, statePath);
   const workspaceRoot = state.workspace_root ? path.resolve(state.workspace_root) : stateLookupRoot;
   const artifactsDir = path.resolve(workspaceRoot, state.artifacts.dir);
+  if (options.detach) {
+    await runDetached({ loopId: state.loop_id, statePath, logPath: detachedLogPath(artifactsDir) });
+    return;
+  }
   const summaryJson = state.artifacts.summary_json_path
     ? path.resolve(workspaceRoot, state.artifacts.summary_json_path)
     : path.join(artifactsDir, "summary.json");
@@ -298,25 +1005,83 @@ async function handleResume(options) {
       ? path.resolve(workspaceRoot, state.artifacts.jsonl_events_base)
       : null;
 
+  // In a plan, the overrides apply to the current phase; the loop's cap is the sum of the phases'.
+  const currentPhase = state.plan ? state.plan.phases[state.plan.current_phase] : null;
   if (options.maxIterations) {
-    state.max_iterations = options.maxIterations;
+    if (currentPhase) {
+      currentPhase.max_iterations = options.maxIterations;
+      state.max_iterations = planMaxIterations(state.plan);
+    } else {
+      state.max_iterations = options.maxIterations;
+    }
   }
   if (options.completionPromise) {
     state.completion_promise = options.completionPromise;
+    if (currentPhase) currentPhase.completion_promise = options.completionPromise;
   }
   if (options.promiseMode) {
     state.promise_mode = options.promiseMode;
+    if (currentPhase) currentPhase.promise_mode = options.promiseMode;
   }
   if (options.samePromptEachIteration !== undefined) {
     state.same_prompt_each_iteration = options.samePromptEachIteration;
   }
+  if (options.verifyCmd && options.verifyCmd.length > 0) {
+    state.verify_commands = options.verifyCmd;
+    if (currentPhase) currentPhase.verify_commands = options.verifyCmd;
+  }
+  if (options.completeWhenTodoDone) {
+    if (!state.todo) {
+      throw new Error(`Loop ${state.loop_id} has no TODO file; --complete-when-todo-done needs one.`);
+    }
+    state.todo.complete_when_done = true;
+  }
+  state.templates = { prompt: null, continue: null, ...state.templates };
+  if (options.promptTemplate) {
+    state.templates.prompt = relToWorkspace(
+      path.resolve(workspaceRoot, options.promptTemplate),
+      workspaceRoot
+    );
+  }
+  if (options.continueTemplate) {
+    state.templates.continue = relToWorkspace(
+      path.resolve(workspaceRoot, options.continueTemplate),
+      workspaceRoot
+    );
+  }
+  const templates = loadPromptTemplates(state, workspaceRoot);
+  if (options.hook && options.hook.length > 0) {
+    // Hooks given on resume replace the stored commands for their events.
+    const hooks = parseHookSpecs(options.hook);
+    state.hooks = { ...emptyHooks(), ...state.hooks };
+    for (const [event, commands] of Object.entries(hooks)) {
+      if (commands.length > 0) state.hooks[event] = commands;
+    }
+  }
+  if (options.notifyWebhook) {
+    state.notify = { webhook_url: parseWebhookUrl(options.notifyWebhook) };
+  }
+  const display = createDisplay(options);
+  if (state.stall) {
+    // Resuming is an explicit decision to keep going; start counting stalls afresh.
+    state.stall.consecutive = 0;
+  }
+  const agentRoot = resolveAgentRoot(state, workspaceRoot);
+  if (state.worktree && !fs.existsSync(agentRoot)) {
+    throw new Error(`Worktree for loop ${state.loop_id} is missing at ${agentRoot}.`);
+  }
+  if (state.git && state.git.checkpoint_branch) {
+    ensureBranch(agentRoot, state.git.checkpoint_branch);
+  }
 
-  const codexOptions = buildCodexOptions(options, workspaceRoot);
+  const codexOptions = buildCodexOptions(options, agentRoot);
+  state.budgets = buildBudgets(options, state.budgets);
+  state.retry = buildRetryConfig(options, state.retry);
+  assertCostBudgetEnforceable(state.budgets, codexOptions.model, loadPriceTable(workspaceRoot));
   state.codex.model = codexOptions.model;
   state.codex.sandbox = codexOptions.sandbox;
   state.codex.approval = codexOptions.askForApproval;
   state.codex.profile = codexOptions.profile;
-  saveState(state, statePath);
 
   await runLoop({
     statePath,
@@ -332,15 +1097,187 @@ async function handleResume(options) {
     todoFile: state.todo ? path.resolve(workspaceRoot, state.todo.path) : null,
     hardStopToken: state.todo ? state.todo.hard_stop_token : DEFAULT_HARD_STOP_TOKEN,
     hardStopMode: state.todo ? state.todo.hard_stop_mode : DEFAULT_HARD_STOP_MODE,
+    verifyCommands: state.verify_commands || [],
     codexOptions,
+    backend: createBackendFromState(state),
+    agentRoot,
+    templates,
+    display,
+    prepare: () => saveState(state, statePath),
+  });
+}
+
+// Runs this command again as a background process (see daemon.js) and says how to reach it.
+async function runDetached({ loopId, statePath, logPath, extraArgs = [] }) {
+  const args = detachedArgs(process.argv, extraArgs);
+  const pid = await startDetached({ args, logPath, statePath });
+  if (pid === null) return;
+  console.log(`Loop ${loopId} is running in the background (pid ${pid}).`);
+  console.log(`Output: ${logPath}`);
+  console.log(
+    `Follow it with \`waylon-smithers attach --loop-id ${loopId}\` ` +
+      `and stop it with \`waylon-smithers stop --loop-id ${loopId}\`.`
+  );
+}
+
+function endSession(state, reason) {
+  const sessions = state.codex.sessions || [];
+  const current = sessions[sessions.length - 1];
+  if (current && current.id === state.codex.session_id) current.end_reason = reason;
+}
+
+// Forgets the sessions of rewound iterations and ends the one the target ran on, so the next
+// resume starts a new session.
+function rewindSessions(codex, target) {
+  const sessions = (codex.sessions || []).filter((session) => session.started_iteration <= target);
+  const current = sessions[sessions.length - 1];
+  if (current && (!current.end_reason || current.last_iteration > target)) {
+    current.last_iteration = Math.min(current.last_iteration, target);
+    current.end_reason = "rewound";
+  }
+  codex.sessions = sessions;
+}
+
+// The workspace tree an iteration's changes are measured from. Only git loops need one: other
+// loops compare against the previous iteration's file snapshot.
+function workspaceBaseline(state, agentRoot, iteration) {
+  if (!state.git) return null;
+  try {
+    return gitWorkspaceTree(agentRoot, changesRef(state.loop_id, iteration, "before"));
+  } catch (err) {
+    console.warn(`[WARN] Could not record workspace changes: ${err.message}`);
+    return null;
+  }
+}
+
+// Summarizes the files an iteration added, modified and deleted, with line counts, for its
+// history record. `from` and `to` are git trees or snapshot iterations, for the `diff` command.
+function recordWorkspaceChanges(
+  state,
+  { agentRoot, workspaceRoot, iteration, baseline, snapshotPath }
+) {
+  let changes = null;
+  try {
+    if (state.git && baseline) {
+      const to = gitWorkspaceTree(agentRoot, changesRef(state.loop_id, iteration, "after"));
+      const files = gitFileChanges(agentRoot, baseline, to);
+      changes = { source: "git", from: baseline, to, files };
+    } else if (snapshotPath) {
+      const snapshotsDir = path.resolve(workspaceRoot, state.artifacts.snapshots_dir);
+      const files = snapshotFileChanges(snapshotsDir, iteration - 1, iteration);
+      changes = { source: "snapshot", from: iteration - 1, to: iteration, files };
+    }
+  } catch (err) {
+    console.warn(`[WARN] Could not record workspace changes: ${err.message}`);
+  }
+  if (!changes) return null;
+  const total = (key) => changes.files.reduce((sum, file) => sum + (file[key] || 0), 0);
+  changes.additions = total("additions");
+  changes.deletions = total("deletions");
+  if (changes.files.length > 0) {
+    console.log(
+      `Changed ${changes.files.length} file(s) (+${changes.additions} -${changes.deletions})`
+    );
+  }
+  return changes;
+}
+
+// Where the agent's output goes while an iteration runs: the --tui dashboard, which replaces
+// --output, or an event renderer for the --output mode.
+function createDisplay(options) {
+  if (options.tui) return createDashboard();
+  return createEventRenderer({ mode: options.output || DEFAULT_OUTPUT_MODE });
+}
+
+// Returns a function that POSTs the loop's status to its webhook when the status is one worth
+// reporting. Each status is sent once per iteration, so a pause that ends the run is not sent twice.
+function createStatusNotifier(state, workspaceRoot) {
+  let lastSent = null;
+  return async ({ shutdown = false } = {}) => {
+    const url = state.notify && state.notify.webhook_url;
+    if (!url || !shouldNotify(state.status)) return;
+    const key = `${state.status}:${state.iteration}`;
+    if (key === lastSent) return;
+    lastSent = key;
+    const lastMessage = state.artifacts.last_message_path
+      ? readFileSafe(path.resolve(workspaceRoot, state.artifacts.last_message_path))
+      : "";
+    const result = await sendWebhook(
+      url,
+      buildNotificationPayload(state, lastMessage),
+      shutdown ? SHUTDOWN_WEBHOOK_OPTIONS : {}
+    );
+    if (!result.delivered) {
+      console.warn(
+        `[WARN] Webhook notification for ${state.status} failed after ${result.attempts} attempt(s): ${result.error}`
+      );
+    }
+  };
+}
+
+function hookCommands(state, event) {
+  return (state.hooks && state.hooks[event]) || [];
+}
+
+// Runs the loop's hooks for `event` with the loop context. A failing hook is reported but never
+// stops the loop.
+async function fireHooks(event, state, { statePath, agentRoot, timeoutMs, ...context }) {
+  const commands = hookCommands(state, event);
+  if (commands.length === 0) return [];
+  const phase = state.plan ? state.plan.phases[state.plan.current_phase] : null;
+  const workspaceRoot = path.resolve(state.workspace_root || agentRoot);
+  const results = await runHooks(commands, {
+    cwd: agentRoot,
+    timeoutMs,
+    context: {
+      event,
+      loop_id: state.loop_id,
+      iteration: state.iteration,
+      max_iterations: state.max_iterations,
+      status: state.status,
+      phase: phase ? phase.name : null,
+      state_file: statePath,
+      workspace_root: workspaceRoot,
+      last_message_file: state.artifacts.last_message_path
+        ? path.resolve(workspaceRoot, state.artifacts.last_message_path)
+        : null,
+      ...context,
+    },
   });
+  for (const result of results.filter((entry) => entry.exit_code !== 0)) {
+    const outcome = result.timed_out ? "timed out" : `exited with ${result.exit_code}`;
+    const detail = result.stderr.trim() ? `: ${result.stderr.trim().split("\n").pop()}` : "";
+    console.warn(`[WARN] ${event} hook "${result.command}" ${outcome}${detail}`);
+  }
+  return results;
+}
+
+function warnIfCrashed(state, statePath) {
+  if (recoverCrashedState(state, statePath)) {
+    console.warn(
+      `[WARN] Loop ${state.loop_id} was marked running but no process owns it. Status set to paused_crashed.`
+    );
+  }
 }
 
 function handleStatus(options) {
   const workspaceRoot = path.resolve(options.cd || process.cwd());
   const statePath = resolveStatePath(options.loopId, options.stateFile, workspaceRoot);
   const state = loadState(statePath);
-  console.log(JSON.stringify(state, null, 2));
+  warnIfCrashed(state, statePath);
+  const priceTable = loadPriceTable(workspaceRoot);
+  const output = { ...state, lock: readLock(statePath) };
+  const todoProgress = todoProgressFromState(state);
+  if (todoProgress) {
+    output.todo_progress = formatTodoProgress(todoProgress);
+  }
+  if (state.plan) {
+    output.plan_progress = formatPlanProgress(state.plan);
+  }
+  if (priceTable) {
+    output.estimated_cost_usd = estimateCost(state.usage, state.codex && state.codex.model, priceTable);
+  }
+  console.log(JSON.stringify(output, null, 2));
 }
 
 function handleList(options) {
@@ -358,20 +1295,30 @@ function handleList(options) {
     return;
   }
 
+  const priceTable = loadPriceTable(workspaceRoot);
+
   const loops = [];
   for (const file of files) {
     const filePath = path.join(loopsDir, file);
     try {
       const state = readJson(filePath);
+      const lock = readLock(filePath);
       loops.push({
         loop_id: state.loop_id,
         status: state.status,
+        live: Boolean(lock && lock.live),
+        pid: lock && lock.live ? lock.pid : null,
         iteration: state.iteration,
         max_iterations: state.max_iterations,
         created_at: state.created_at,
         updated_at: state.updated_at,
         completion_promise: state.completion_promise,
         same_prompt_each_iteration: state.same_prompt_each_iteration || false,
+        worktree: state.worktree ? state.worktree.path : null,
+        todo: todoProgressFromState(state),
+        plan: state.plan ? formatPlanProgress(state.plan) : null,
+        usage: state.usage || null,
+        estimated_cost_usd: estimateCost(state.usage, state.codex && state.codex.model, priceTable),
       });
     } catch (err) {
       // Skip malformed state files
@@ -393,9 +1340,24 @@ function handleList(options) {
     for (const loop of loops) {
       const modeLabel = loop.same_prompt_each_iteration ? " [ralph]" : "";
       console.log(`  ${loop.loop_id}${modeLabel}`);
-      console.log(`    Status: ${loop.status}`);
+      const liveLabel = loop.live ? ` (live, pid ${loop.pid})` : "";
+      console.log(`    Status: ${loop.status}${liveLabel}`);
       console.log(`    Iteration: ${loop.iteration}/${loop.max_iterations}`);
       console.log(`    Promise: ${loop.completion_promise}`);
+      if (loop.worktree) {
+        console.log(`    Worktree: ${loop.worktree}`);
+      }
+      if (loop.todo) {
+        console.log(`    TODO: ${formatTodoProgress(loop.todo)}`);
+      }
+      if (loop.plan) {
+        console.log(`    Plan: ${loop.plan}`);
+      }
+      if (loop.usage) {
+        console.log(
+          `    Tokens: ${loop.usage.total_tokens} (est. ${formatCost(loop.estimated_cost_usd)})`
+        );
+      }
       console.log(`    Updated: ${loop.updated_at}`);
       console.log("");
     }
@@ -406,10 +1368,17 @@ function handleCancel(options) {
   const workspaceRoot = path.resolve(options.cd || process.cwd());
   const statePath = resolveStatePath(options.loopId, options.stateFile, workspaceRoot);
   const state = loadState(statePath);
+  // Removing the worktree and artifacts from under a running loop would break it mid-iteration.
+  if (options.cleanupArtifacts) assertLoopNotLive(statePath, state.loop_id);
   state.status = "canceled";
   saveState(state, statePath);
 
   if (options.cleanupArtifacts) {
+    if (state.worktree) {
+      removeWorktree(workspaceRoot, path.resolve(workspaceRoot, state.worktree.path));
+      console.log(`Removed worktree ${state.worktree.path} (branch ${state.worktree.branch} kept).`);
+    }
+    if (state.git) deleteChangesRefs(workspaceRoot, state.loop_id);
     const artifactsDir = path.resolve(workspaceRoot, state.artifacts.dir);
     deleteArtifacts(artifactsDir, statePath);
     console.log(`Canceled loop ${state.loop_id} and removed artifacts.`);
@@ -419,50 +1388,624 @@ function handleCancel(options) {
   console.log(`Canceled loop ${state.loop_id}. Artifacts remain at ${state.artifacts.dir}.`);
 }
 
-function installHelpers(options) {
-  const os = require("os");
-  const promptDir = path.join(os.homedir(), ".codex/prompts");
-  const skillDir = path.join(os.homedir(), ".codex/skills/waylon-smithers");
-  const promptPath = path.join(promptDir, "waylon-smithers.md");
-  const skillPath = path.join(skillDir, "SKILL.md");
+const LOGS_POLL_MS = 1000;
 
-  ensureDirFor(promptPath);
-  ensureDirFor(skillPath);
+function iterationLogHeader(record) {
+  const details = [];
+  if (record.phase) details.push(`phase ${record.phase}`);
+  if (record.exit_code != null) details.push(`exit ${record.exit_code}`);
+  if (record.duration_ms != null) details.push(formatDuration(record.duration_ms));
+  if (record.finished_at) details.push(`finished ${record.finished_at}`);
+  const suffix = details.length > 0 ? ` (${details.join(", ")})` : "";
+  return `=== Iteration ${record.iteration}${suffix} ===`;
+}
 
-  const completionPromise = options.completionPromise || DEFAULT_COMPLETION_PROMISE;
-  const loopIdPlaceholder = options.loopId || "<loop-id>";
+// Prints an iteration's last message, preceded by its rendered events when `events` is set.
+function printIterationLog(record, { workspaceRoot, events }) {
+  console.log(`\n${iterationLogHeader(record)}`);
+  if (events) {
+    const eventsPath = record.jsonl_path ? path.resolve(workspaceRoot, record.jsonl_path) : null;
+    if (eventsPath && fs.existsSync(eventsPath)) {
+      const renderer = createEventRenderer({ mode: "pretty" });
+      renderer.write(fs.readFileSync(eventsPath, "utf8"));
+      renderer.finishIteration();
+    } else {
+      console.log("(no events recorded; start the loop with --jsonl-events to keep them)");
+    }
+    console.log("Last message:");
+  }
+  const message = record.last_message_path
+    ? readFileSafe(path.resolve(workspaceRoot, record.last_message_path))
+    : "";
+  console.log(message.trim() ? message.trimEnd() : "(no last message)");
+}
 
-  fs.writeFileSync(promptPath, renderPromptHelper(loopIdPlaceholder, completionPromise));
-  fs.writeFileSync(skillPath, renderSkillHelper(completionPromise));
+// Prints the logs of one iteration or of all of them. With `follow`, keeps polling the state
+// file and prints each new iteration until the loop is no longer running.
+async function handleLogs(options, { pollMs = LOGS_POLL_MS } = {}) {
+  if (options.follow && options.iteration != null) {
+    throw new Error("--follow cannot be combined with --iteration.");
+  }
+  const stateLookupRoot = path.resolve(options.cd || process.cwd());
+  const statePath = resolveStatePath(options.loopId, options.stateFile, stateLookupRoot);
+  let state = loadState(statePath);
+  const workspaceRoot = state.workspace_root ? path.resolve(state.workspace_root) : stateLookupRoot;
+  const print = (record) => printIterationLog(record, { workspaceRoot, events: options.events });
 
-  console.log(`Installed prompt helper at ${promptPath}`);
-  console.log(`Installed skill helper at ${skillPath}`);
-}
+  if (options.iteration != null) {
+    const record = (state.history || []).find((entry) => entry.iteration === options.iteration);
+    if (!record) {
+      throw new Error(`Loop ${state.loop_id} has no logs for iteration ${options.iteration}.`);
+    }
+    print(record);
+    return;
+  }
 
-function cliParseInteger(value) {
-  try {
-    return parseInteger(value);
-  } catch (err) {
-    throw new InvalidArgumentError(err.message);
+  let printed = 0;
+  const printNew = () => {
+    for (const record of (state.history || []).filter((entry) => entry.iteration > printed)) {
+      print(record);
+      printed = record.iteration;
+    }
+  };
+  if ((state.history || []).length === 0 && !options.follow) {
+    console.log(`Loop ${state.loop_id} has no iterations yet.`);
+    return;
   }
+  printNew();
+  if (!options.follow) return;
+
+  console.log(`\nFollowing loop ${state.loop_id}. Press Ctrl-C to stop.`);
+  while (true) {
+    // Check the lock first: the last iteration is saved before the lock is released.
+    const lock = readLock(statePath);
+    state = loadState(statePath);
+    printNew();
+    if (!lock || !lock.live) break;
+    await sleep(pollMs);
+  }
+  console.log(`Loop ${state.loop_id} is not running (status: ${state.status}).`);
 }
 
-// Only run CLI if this is the main module
-if (require.main === module || process.env.WAYLON_CLI_RUN === "1") {
-  const program = new Command();
-  program
-    .name("waylon-smithers")
-    .description("Persistent Codex CLI iteration loop with completion promises")
-    .version("0.1.0");
+const ATTACH_POLL_MS = 500;
+const STOP_POLL_MS = 200;
+const STOP_TIMEOUT_MS = 30000;
 
-  program
-    .command("status")
-    .description("Show loop status from state file")
-    .requiredOption("--loop-id <id>", "Loop id to inspect")
-    .option("--state-file <path>", "Path to state file (overrides loop id lookup)")
-    .option("--cd <path>", "Workspace root to resolve state path")
-    .action((opts) => {
-      try {
+// Prints a detached loop's output so far, then keeps printing what it writes until it stops.
+async function handleAttach(options, { pollMs = ATTACH_POLL_MS } = {}) {
+  const stateLookupRoot = path.resolve(options.cd || process.cwd());
+  const statePath = resolveStatePath(options.loopId, options.stateFile, stateLookupRoot);
+  let state = loadState(statePath);
+  const workspaceRoot = state.workspace_root ? path.resolve(state.workspace_root) : stateLookupRoot;
+  const logPath = detachedLogPath(path.resolve(workspaceRoot, state.artifacts.dir));
+  if (!fs.existsSync(logPath)) {
+    throw new Error(
+      `Loop ${state.loop_id} has no background output at ${logPath}. Start or resume it with --detach.`
+    );
+  }
+
+  let offset = 0;
+  const printNew = () => {
+    const output = readOutputFrom(logPath, offset);
+    if (output.text) process.stdout.write(output.text);
+    offset = output.offset;
+  };
+  let lock = readLock(statePath);
+  printNew();
+  if (lock && lock.live) {
+    console.log(`\nAttached to loop ${state.loop_id}. Press Ctrl-C to detach; the loop keeps running.`);
+    while (lock && lock.live) {
+      await sleep(pollMs);
+      // Check the lock first: the loop's last output is written before it releases the lock.
+      lock = readLock(statePath);
+      printNew();
+    }
+    state = loadState(statePath);
+  }
+  console.log(`\nLoop ${state.loop_id} is not running (status: ${state.status}).`);
+}
+
+// Interrupts a running loop the way Ctrl+C does, then waits for it to save its state and exit.
+async function handleStop(options, { pollMs = STOP_POLL_MS, timeoutMs = STOP_TIMEOUT_MS } = {}) {
+  const stateLookupRoot = path.resolve(options.cd || process.cwd());
+  const statePath = resolveStatePath(options.loopId, options.stateFile, stateLookupRoot);
+  const loopId = loadState(statePath).loop_id;
+  const lock = readLock(statePath);
+  if (!lock || !lock.live) {
+    throw new Error(`Loop ${loopId} is not running.`);
+  }
+  if (lock.hostname !== os.hostname()) {
+    throw new Error(`Loop ${loopId} is running on ${lock.hostname}; stop it from there.`);
+  }
+  process.kill(lock.pid, "SIGINT");
+  console.log(`Interrupted loop ${loopId} (pid ${lock.pid}). Waiting for it to save its state...`);
+
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const current = readLock(statePath);
+    if (!current || !current.live || current.pid !== lock.pid) break;
+    if (Date.now() >= deadline) {
+      throw new Error(`Loop ${loopId} did not stop within ${formatDuration(timeoutMs)}.`);
+    }
+    await sleep(pollMs);
+  }
+  console.log(`Loop ${loopId} stopped (status: ${loadState(statePath).status}).`);
+}
+
+function handleReport(options) {
+  const stateLookupRoot = path.resolve(options.cd || process.cwd());
+  const statePath = resolveStatePath(options.loopId, options.stateFile, stateLookupRoot);
+  const state = loadState(statePath);
+  const workspaceRoot = state.workspace_root ? path.resolve(state.workspace_root) : stateLookupRoot;
+  const report = buildReport(state, { workspaceRoot, priceTable: loadPriceTable(workspaceRoot) });
+  const output = renderReport(report, options.format || DEFAULT_REPORT_FORMAT);
+  if (options.out) {
+    const outPath = path.resolve(stateLookupRoot, options.out);
+    ensureDirFor(outPath);
+    fs.writeFileSync(outPath, output);
+    console.log(`Wrote ${state.loop_id} report to ${outPath}.`);
+    return;
+  }
+  process.stdout.write(output);
+}
+
+// Where the workspace stood at the end of an iteration: its snapshot outside git, the tree in its
+// change record in git. Iteration 0 is the loop's starting point.
+function changesEndpoint(state, iteration) {
+  if (!state.git) return iteration;
+  const record = recordedChanges(state, Math.max(iteration, 1));
+  return iteration === 0 ? record.changes.from : record.changes.to;
+}
+
+function recordedChanges(state, iteration) {
+  const record = (state.history || []).find((entry) => entry.iteration === iteration);
+  if (!record || !record.changes) {
+    throw new Error(`Loop ${state.loop_id} has no recorded changes for iteration ${iteration}.`);
+  }
+  return record;
+}
+
+function handleDiff(options) {
+  if (options.iteration != null && (options.from != null || options.to != null)) {
+    throw new Error("--iteration cannot be combined with --from or --to.");
+  }
+  const stateLookupRoot = path.resolve(options.cd || process.cwd());
+  const statePath = resolveStatePath(options.loopId, options.stateFile, stateLookupRoot);
+  const state = loadState(statePath);
+  const workspaceRoot = state.workspace_root ? path.resolve(state.workspace_root) : stateLookupRoot;
+  const history = state.history || [];
+  if (history.length === 0) {
+    console.log(`Loop ${state.loop_id} has no iterations yet.`);
+    return;
+  }
+
+  let from;
+  let to;
+  if (options.iteration != null) {
+    const { iteration } = options;
+    from = state.git ? recordedChanges(state, iteration).changes.from : iteration - 1;
+    to = changesEndpoint(state, iteration);
+  } else {
+    const latest = history[history.length - 1].iteration;
+    from = changesEndpoint(state, options.from != null ? options.from : 0);
+    to = changesEndpoint(state, options.to != null ? options.to : latest);
+  }
+
+  let patch;
+  if (state.git) {
+    // Refs under refs/waylon/<loop-id>/ keep the trees from being garbage collected. Refs are shared
+    // by all worktrees, so a removed worktree does not lose them either.
+    const agentRoot = resolveAgentRoot(state, workspaceRoot);
+    patch = gitPatch(fs.existsSync(agentRoot) ? agentRoot : workspaceRoot, from, to);
+  } else {
+    patch = snapshotPatch(path.resolve(workspaceRoot, state.artifacts.snapshots_dir), from, to);
+  }
+  if (!patch) {
+    console.log(
+      options.iteration != null
+        ? `Iteration ${options.iteration} changed no files.`
+        : "No changes in the selected iterations."
+    );
+    return;
+  }
+  process.stdout.write(patch);
+}
+
+async function handleRewind(options) {
+  const stateLookupRoot = path.resolve(options.cd || process.cwd());
+  const statePath = resolveStatePath(options.loopId, options.stateFile, stateLookupRoot);
+  const state = loadState(statePath);
+  assertValidState(state, statePath);
+  assertLoopNotLive(statePath, state.loop_id);
+  const workspaceRoot = state.workspace_root ? path.resolve(state.workspace_root) : stateLookupRoot;
+  const target = options.toIteration;
+
+  if (target >= state.iteration) {
+    throw new Error(
+      `Cannot rewind to iteration ${target}; loop ${state.loop_id} is at iteration ${state.iteration}.`
+    );
+  }
+
+  const record = (state.history || []).find((entry) => entry.iteration === target);
+  const checkpointBranch = state.git && state.git.checkpoint_branch;
+  const commit = checkpointBranch
+    ? target === 0
+      ? state.git.base_commit
+      : record && record.commit_sha
+    : null;
+  const snapshotsDir = state.artifacts.snapshots_dir
+    ? path.resolve(workspaceRoot, state.artifacts.snapshots_dir)
+    : null;
+
+  if (!commit && !snapshotsDir) {
+    throw new Error(
+      `No checkpoint recorded for iteration ${target}. ` +
+        "In a git repository, rewind needs a loop started with --git-checkpoint."
+    );
+  }
+
+  if (!options.yes) {
+    const confirmed = await promptYesNo(
+      `Rewind loop ${state.loop_id} to iteration ${target}? Workspace changes after it will be discarded.`
+    );
+    if (!confirmed) {
+      console.log("Rewind aborted.");
+      return;
+    }
+  }
+
+  const agentRoot = resolveAgentRoot(state, workspaceRoot);
+  if (commit) {
+    ensureBranch(agentRoot, checkpointBranch);
+    resetToCommit(agentRoot, commit);
+  } else {
+    restoreFileSnapshot(agentRoot, snapshotsDir, target);
+  }
+
+  // Drop per-iteration artifacts past the target so they cannot be mistaken for the new run.
+  const artifactsDir = path.resolve(workspaceRoot, state.artifacts.dir);
+  for (let iteration = target + 1; iteration <= state.iteration; iteration++) {
+    fs.rmSync(path.join(artifactsDir, `last_message_iter_${iteration}.txt`), { force: true });
+    const jsonlPath = computeJsonlPath(state.artifacts.jsonl_events_base, iteration, workspaceRoot);
+    if (jsonlPath) fs.rmSync(jsonlPath, { force: true });
+    if (snapshotsDir) fs.rmSync(snapshotManifestPath(snapshotsDir, iteration), { force: true });
+  }
+
+  const fromIteration = state.iteration;
+  state.history = (state.history || []).filter((entry) => entry.iteration <= target);
+  state.iteration = target;
+  rewindSessions(state.codex, target);
+  state.codex.session_id = null;
+  state.status = "paused_rewound";
+  state.last_result = null;
+  state.pending_feedback = [];
+  if (state.stall) {
+    state.stall.consecutive = 0;
+    state.stall.last_fingerprint = null;
+  }
+  if (state.plan) rewindPlan(state.plan, target);
+  const lastRecord = state.history[state.history.length - 1];
+  state.artifacts.last_message_path = lastRecord ? lastRecord.last_message_path : null;
+  state.rewinds = [
+    ...(state.rewinds || []),
+    { at: nowIso(), from_iteration: fromIteration, to_iteration: target, commit: commit || null },
+  ];
+  saveState(state, statePath);
+  const summaryJson = state.artifacts.summary_json_path
+    ? path.resolve(workspaceRoot, state.artifacts.summary_json_path)
+    : path.join(artifactsDir, "summary.json");
+  updateSummary(summaryJson, state);
+
+  console.log(
+    `Rewound loop ${state.loop_id} from iteration ${fromIteration} to ${target}` +
+      `${commit ? ` (commit ${commit.slice(0, 12)})` : " (file snapshot)"}. ` +
+      "The next resume starts a fresh session."
+  );
+}
+
+function handleRepair(options) {
+  const stateLookupRoot = path.resolve(options.cd || process.cwd());
+  const statePath = resolveStatePath(options.loopId, options.stateFile, stateLookupRoot);
+  const loopId = options.loopId || path.basename(statePath, ".json");
+  const artifactsDir = options.artifactsDir
+    ? path.resolve(options.artifactsDir)
+    : resolveArtifactsDir(loopId, stateLookupRoot);
+  assertLoopNotLive(statePath, loopId);
+
+  const { state, notes } = rebuildStateFromArtifacts({
+    loopId,
+    statePath,
+    artifactsDir,
+    workspaceRoot: stateLookupRoot,
+    prompt: options.prompt,
+  });
+  assertValidState(state, statePath);
+  saveState(state, statePath);
+  const workspaceRoot = path.resolve(state.workspace_root);
+  updateSummary(
+    state.artifacts.summary_json_path
+      ? path.resolve(workspaceRoot, state.artifacts.summary_json_path)
+      : path.join(artifactsDir, "summary.json"),
+    state
+  );
+
+  for (const note of notes) {
+    console.log(`  ${note}`);
+  }
+  console.log(
+    `Repaired loop ${loopId}: iteration ${state.iteration}/${state.max_iterations}, status ${state.status}.`
+  );
+}
+
+function installHelpers(options) {
+  const os = require("os");
+  const promptDir = path.join(os.homedir(), ".codex/prompts");
+  const skillDir = path.join(os.homedir(), ".codex/skills/waylon-smithers");
+  const promptPath = path.join(promptDir, "waylon-smithers.md");
+  const skillPath = path.join(skillDir, "SKILL.md");
+
+  ensureDirFor(promptPath);
+  ensureDirFor(skillPath);
+
+  const completionPromise = options.completionPromise || DEFAULT_COMPLETION_PROMISE;
+  const loopIdPlaceholder = options.loopId || "<loop-id>";
+
+  fs.writeFileSync(promptPath, renderPromptHelper(loopIdPlaceholder, completionPromise));
+  fs.writeFileSync(skillPath, renderSkillHelper(completionPromise));
+
+  console.log(`Installed prompt helper at ${promptPath}`);
+  console.log(`Installed skill helper at ${skillPath}`);
+}
+
+function collectRepeatable(value, previous) {
+  return (previous || []).concat([value]);
+}
+
+function cliParseInteger(value) {
+  try {
+    return parseInteger(value);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+}
+
+function cliParseNonNegativeInteger(value) {
+  try {
+    return parseNonNegativeInteger(value);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+}
+
+function cliParsePositiveNumber(value) {
+  try {
+    return parsePositiveNumber(value);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+}
+
+function cliParseRatio(value) {
+  try {
+    return parseRatio(value);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+}
+
+function cliParseDuration(value) {
+  try {
+    return parseDuration(value);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+}
+
+// Options shared by the primary command and `config show`, so both resolve the same values.
+function addStartOptions(command) {
+  return command
+    .option("--max-iterations <n>", "Maximum iterations before stopping", cliParseInteger, DEFAULT_MAX_ITERATIONS)
+    .option("--max-tokens <n>", "Stop once the loop has used this many tokens", cliParseInteger)
+    .option(
+      "--max-duration <duration>",
+      "Stop once the loop has run this long (e.g. 90m, 2h); kills a running iteration",
+      cliParseDuration
+    )
+    .option("--max-cost <usd>", "Stop once estimated spend reaches this many USD", cliParsePositiveNumber)
+    .option(
+      "--max-retries <n>",
+      "Retry a failed or rate-limited iteration up to n times (default 0)",
+      cliParseNonNegativeInteger
+    )
+    .option(
+      "--retry-backoff <duration>",
+      "Delay before the first retry, doubled for each further retry (default 5s)",
+      cliParseDuration
+    )
+    .option("--completion-promise <text>", "Completion promise token", DEFAULT_COMPLETION_PROMISE)
+    .option("--promise-mode <mode>", "Promise detection mode (tag|plain|regex)", DEFAULT_PROMISE_MODE)
+    .option("--loop-id <id>", "Loop identifier (defaults to <repo>-<timestamp>)")
+    .option("--state-file <path>", "Path to state file")
+    .option("--jsonl-events <path>", "Where to store JSONL event streams")
+    .option("--last-message-dir <path>", "Directory for captured last messages")
+    .option("--summary-json <path>", "Where to write summary JSON")
+    .option("--plan <file>", "YAML or JSON plan file of phases to run in order")
+    .option("--todo-file <path>", "Path to TODO file for HARD STOP checkpoints")
+    .option("--hard-stop-token <text>", "Token that triggers a HARD STOP", DEFAULT_HARD_STOP_TOKEN)
+    .option("--hard-stop-mode <mode>", "HARD STOP behavior: pause|exit", DEFAULT_HARD_STOP_MODE)
+    .option(
+      "--complete-when-todo-done",
+      "Also complete the loop once every checklist item in the TODO file is checked",
+      false
+    )
+    .option(
+      "--verify-cmd <command>",
+      "Command that must exit 0 before a completion promise is accepted (repeatable)",
+      collectRepeatable
+    )
+    .option(
+      "--same-prompt-each-iteration",
+      "Use full prompt every iteration (Ralph Wiggum mode)",
+      DEFAULT_SAME_PROMPT_EACH_ITERATION
+    )
+    .option("--prompt-template <file>", "Template for the full prompt (default: built-in)")
+    .option(
+      "--hook <event=command>",
+      "Shell command to run on a loop event, e.g. post_iteration=./notify.sh (repeatable)",
+      collectRepeatable
+    )
+    .option("--notify-webhook <url>", "POST a JSON notification here when the loop stops or pauses")
+    .option("--output <mode>", "Agent output: raw|pretty|quiet", DEFAULT_OUTPUT_MODE)
+    .option("--tui", "Show a live dashboard while the agent works (plain lines when not a TTY)", false)
+    .option("--detach", "Run the loop in the background, with its output in the artifacts dir", false)
+    .option("--continue-template <file>", "Template for the continue prompt (default: built-in)")
+    .option(
+      "--stall-iterations <n>",
+      "Act after this many consecutive iterations without progress",
+      cliParseInteger
+    )
+    .option(
+      "--stall-similarity <ratio>",
+      "Last-message similarity (0-1) at which an iteration counts as stalled",
+      cliParseRatio
+    )
+    .option("--stall-action <action>", "Stall behavior: pause|inject|exit")
+    .option(
+      "--git-checkpoint",
+      "Commit workspace changes after each iteration on a waylon/<loop-id> branch",
+      false
+    )
+    .option(
+      "--worktree",
+      "Run the loop in its own git worktree on a waylon/<loop-id> branch",
+      false
+    )
+    .option("--backend <name>", "Agent backend (codex|command)", DEFAULT_BACKEND)
+    .option(
+      "--backend-command <template>",
+      "Command template for the command backend, e.g. 'my-agent --cwd {cwd} {prompt}'"
+    )
+    .option(
+      "--backend-resume-command <template>",
+      "Command template to resume a session with the command backend (uses {session_id})"
+    )
+    .option("--cd <path>", "Workspace root")
+    .option("--preset <name>", "Named preset from the project or user config file")
+    .option("--model <model>", "Codex model")
+    .option("--profile <profile>", "Codex profile")
+    .option("--sandbox <policy>", "Sandbox policy (read-only|workspace-write|danger-full-access)")
+    .option("--ask-for-approval <policy>", "Approval mode (untrusted|on-failure|on-request|never)")
+    .option("--full-auto", "Enable Codex low-friction preset", false)
+    .option("--skip-git-repo-check", "Skip git repo detection for codex exec", false);
+}
+
+// Options that pick the config itself cannot be set from it, and neither can `detach`: it applies
+// to one run, and the background run reads the same config.
+const UNCONFIGURABLE_OPTIONS = ["cd", "preset", "detach"];
+
+function configOptionValue(option, value, layer) {
+  const key = option.attributeName();
+  const invalid = (message) => new Error(`Invalid value for "${key}" in ${layer.file}: ${message}`);
+  if (option.isBoolean()) {
+    if (typeof value !== "boolean") throw invalid("expected true or false.");
+    return value;
+  }
+  if (option.parseArg === collectRepeatable) {
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.every((entry) => typeof entry === "string")) {
+      throw invalid("expected a string or a list of strings.");
+    }
+    return values;
+  }
+  if (typeof value !== "string" && typeof value !== "number") {
+    throw invalid("expected a string or a number.");
+  }
+  if (!option.parseArg) return String(value);
+  try {
+    return option.parseArg(String(value), undefined);
+  } catch (err) {
+    throw invalid(err.message);
+  }
+}
+
+// Applies config layers (lowest precedence first) to a parsed command. Values given on the command
+// line always win; each layer replaces defaults and the values of the layers before it.
+function applyConfigLayers(command, layers) {
+  const options = new Map(command.options.map((option) => [option.attributeName(), option]));
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.values)) {
+      const option = options.get(key);
+      if (!option) {
+        throw new Error(`Unknown option "${key}" in ${layer.file}.`);
+      }
+      if (UNCONFIGURABLE_OPTIONS.includes(key)) {
+        throw new Error(
+          `Option "${key}" cannot be set in ${layer.file}. Pass ${option.long} on the command line.`
+        );
+      }
+      if (command.getOptionValueSource(key) === "cli") continue;
+      command.setOptionValueWithSource(key, configOptionValue(option, value, layer), layer.source);
+    }
+  }
+  return command.opts();
+}
+
+function loadStartConfig(command) {
+  const opts = command.opts();
+  const layers = resolveConfigLayers({
+    cwd: path.resolve(opts.cd || process.cwd()),
+    preset: opts.preset,
+  });
+  return { layers, options: applyConfigLayers(command, layers) };
+}
+
+// Prints the options a start with the same flags would use and where each value came from.
+function handleConfigShow(command) {
+  const { layers } = loadStartConfig(command);
+  const files = layers.map((layer) => ({ source: layer.source, file: layer.file }));
+  const values = command.options
+    .map((option) => option.attributeName())
+    .filter((key) => key !== "json" && command.getOptionValue(key) !== undefined)
+    .map((key) => ({
+      option: key,
+      value: command.getOptionValue(key),
+      source: command.getOptionValueSource(key),
+    }));
+
+  if (command.opts().json) {
+    console.log(JSON.stringify({ files, options: values }, null, 2));
+    return;
+  }
+  console.log("Config files:");
+  if (files.length === 0) console.log("  (none)");
+  for (const { source, file } of files) {
+    console.log(`  ${source}: ${file}`);
+  }
+  console.log("\nEffective options:");
+  const width = Math.max(...values.map((entry) => entry.option.length));
+  for (const { option, value, source } of values) {
+    console.log(`  ${option.padEnd(width)}  ${JSON.stringify(value)}  (${source})`);
+  }
+}
+
+// Only run CLI if this is the main module
+if (require.main === module || process.env.WAYLON_CLI_RUN === "1") {
+  const program = new Command();
+  program
+    .name("waylon-smithers")
+    .description("Persistent Codex CLI iteration loop with completion promises")
+    .version("0.1.0")
+    // The primary command shares its options with `config show`; keep them apart.
+    .enablePositionalOptions();
+
+  program
+    .command("status")
+    .description("Show loop status from state file")
+    .requiredOption("--loop-id <id>", "Loop id to inspect")
+    .option("--state-file <path>", "Path to state file (overrides loop id lookup)")
+    .option("--cd <path>", "Workspace root to resolve state path")
+    .action((opts) => {
+      try {
         handleStatus(opts);
       } catch (err) {
         console.error(`Failed to load status: ${err.message}`);
@@ -484,6 +2027,93 @@ if (require.main === module || process.env.WAYLON_CLI_RUN === "1") {
       }
     });
 
+  program
+    .command("logs")
+    .description("Show the last messages and events of a loop's iterations")
+    .requiredOption("--loop-id <id>", "Loop id to show logs for")
+    .option("--state-file <path>", "Path to state file (overrides loop id lookup)")
+    .option("--cd <path>", "Workspace root to resolve state path")
+    .option("--iteration <n>", "Only show this iteration", cliParseInteger)
+    .option("--events", "Also show each iteration's events (needs --jsonl-events)", false)
+    .option("--follow", "Keep printing new iterations while the loop runs", false)
+    .action(async (opts) => {
+      try {
+        await handleLogs(opts);
+      } catch (err) {
+        console.error(`Failed to show logs: ${err.message}`);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("attach")
+    .description("Stream the output of a loop started or resumed with --detach")
+    .requiredOption("--loop-id <id>", "Loop id to attach to")
+    .option("--state-file <path>", "Path to state file (overrides loop id lookup)")
+    .option("--cd <path>", "Workspace root to resolve state path")
+    .action(async (opts) => {
+      try {
+        await handleAttach(opts);
+      } catch (err) {
+        console.error(`Failed to attach: ${err.message}`);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("stop")
+    .description("Interrupt a running loop so it saves its state, as Ctrl+C does")
+    .requiredOption("--loop-id <id>", "Loop id to stop")
+    .option("--state-file <path>", "Path to state file (overrides loop id lookup)")
+    .option("--cd <path>", "Workspace root to resolve state path")
+    .action(async (opts) => {
+      try {
+        await handleStop(opts);
+      } catch (err) {
+        console.error(`Failed to stop loop: ${err.message}`);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("report")
+    .description("Summarize a loop as a Markdown, HTML or JSON report")
+    .requiredOption("--loop-id <id>", "Loop id to report on")
+    .option("--state-file <path>", "Path to state file (overrides loop id lookup)")
+    .option("--cd <path>", "Workspace root to resolve state path")
+    .option("--format <format>", "Report format (md|html|json)", DEFAULT_REPORT_FORMAT)
+    .option("--out <file>", "Write the report to a file instead of stdout")
+    .action((opts) => {
+      try {
+        handleReport(opts);
+      } catch (err) {
+        console.error(`Failed to build report: ${err.message}`);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("diff")
+    .description("Show the patch an iteration, or a range of iterations, made to the workspace")
+    .requiredOption("--loop-id <id>", "Loop id to diff")
+    .option("--state-file <path>", "Path to state file (overrides loop id lookup)")
+    .option("--cd <path>", "Workspace root to resolve state path")
+    .option("--iteration <n>", "Show the changes made by this iteration", cliParseInteger)
+    .option(
+      "--from <n>",
+      "Start at the end of this iteration (0 = loop start)",
+      cliParseNonNegativeInteger
+    )
+    .option("--to <n>", "End at this iteration (default: latest)", cliParseNonNegativeInteger)
+    .action((opts) => {
+      try {
+        handleDiff(opts);
+      } catch (err) {
+        console.error(`Failed to show diff: ${err.message}`);
+        process.exit(1);
+      }
+    });
+
   program
     .command("cancel")
     .description("Cancel a running loop and optionally remove artifacts")
@@ -507,10 +2137,32 @@ if (require.main === module || process.env.WAYLON_CLI_RUN === "1") {
     .option("--state-file <path>", "Path to state file (overrides loop id lookup)")
     .option("--cd <path>", "Workspace root to resolve state path")
     .option("--max-iterations <n>", "Override the stored max iterations", cliParseInteger)
+    .option("--max-tokens <n>", "Override the stored token budget", cliParseInteger)
+    .option("--max-duration <duration>", "Override the stored time budget (e.g. 2h)", cliParseDuration)
+    .option("--max-cost <usd>", "Override the stored cost budget in USD", cliParsePositiveNumber)
+    .option("--max-retries <n>", "Override the stored retry count", cliParseNonNegativeInteger)
+    .option("--retry-backoff <duration>", "Override the stored retry backoff", cliParseDuration)
     .option("--completion-promise <text>", "Override the completion promise")
     .option("--promise-mode <mode>", "Override promise detection mode (tag|plain|regex)")
     .option("--same-prompt-each-iteration", "Use full prompt every iteration (Ralph Wiggum mode)")
+    .option("--complete-when-todo-done", "Also complete once every TODO checklist item is checked")
+    .option("--prompt-template <file>", "Replace the stored full prompt template")
+    .option("--continue-template <file>", "Replace the stored continue prompt template")
+    .option(
+      "--hook <event=command>",
+      "Replace the stored hooks for an event (repeatable)",
+      collectRepeatable
+    )
+    .option("--notify-webhook <url>", "Replace the stored notification webhook")
+    .option("--output <mode>", "Agent output: raw|pretty|quiet", DEFAULT_OUTPUT_MODE)
+    .option("--tui", "Show a live dashboard while the agent works (plain lines when not a TTY)")
+    .option("--detach", "Run the loop in the background, with its output in the artifacts dir")
     .option("--jsonl-events <path>", "Where to store JSONL event streams for resumed runs")
+    .option(
+      "--verify-cmd <command>",
+      "Replace stored verification commands (repeatable)",
+      collectRepeatable
+    )
     .option("--model <model>", "Codex model override")
     .option("--profile <profile>", "Codex profile name")
     .option("--sandbox <policy>", "Sandbox policy")
@@ -526,6 +2178,44 @@ if (require.main === module || process.env.WAYLON_CLI_RUN === "1") {
       }
     });
 
+  program
+    .command("rewind")
+    .description("Restore the workspace to a prior iteration and truncate loop history")
+    .requiredOption("--loop-id <id>", "Loop id to rewind")
+    .requiredOption(
+      "--to-iteration <n>",
+      "Iteration to restore (0 restores the starting workspace)",
+      cliParseNonNegativeInteger
+    )
+    .option("--state-file <path>", "Path to state file (overrides loop id lookup)")
+    .option("--cd <path>", "Workspace root to resolve state path")
+    .option("--yes", "Skip the confirmation prompt", false)
+    .action(async (opts) => {
+      try {
+        await handleRewind(opts);
+      } catch (err) {
+        console.error(`Failed to rewind loop: ${err.message}`);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("repair")
+    .description("Rebuild a damaged or outdated state file from the loop's artifacts")
+    .requiredOption("--loop-id <id>", "Loop id to repair")
+    .option("--state-file <path>", "Path to state file (overrides loop id lookup)")
+    .option("--cd <path>", "Workspace root to resolve state path")
+    .option("--artifacts-dir <path>", "Loop artifacts directory if it is not the default")
+    .option("--prompt <text>", "Prompt to use when the original cannot be recovered")
+    .action((opts) => {
+      try {
+        handleRepair(opts);
+      } catch (err) {
+        console.error(`Failed to repair loop: ${err.message}`);
+        process.exit(1);
+      }
+    });
+
   program
     .command("install-helpers")
     .description("Install custom prompt and skill helper files for Smithers loops")
@@ -540,34 +2230,27 @@ if (require.main === module || process.env.WAYLON_CLI_RUN === "1") {
       }
     });
 
-  program
-    .argument("<prompt>", "Task prompt to run through the Smithers loop")
-    .option("--max-iterations <n>", "Maximum iterations before stopping", cliParseInteger, DEFAULT_MAX_ITERATIONS)
-    .option("--completion-promise <text>", "Completion promise token", DEFAULT_COMPLETION_PROMISE)
-    .option("--promise-mode <mode>", "Promise detection mode (tag|plain|regex)", DEFAULT_PROMISE_MODE)
-    .option("--loop-id <id>", "Loop identifier (defaults to <repo>-<timestamp>)")
-    .option("--state-file <path>", "Path to state file")
-    .option("--jsonl-events <path>", "Where to store JSONL event streams")
-    .option("--last-message-dir <path>", "Directory for captured last messages")
-    .option("--summary-json <path>", "Where to write summary JSON")
-    .option("--todo-file <path>", "Path to TODO file for HARD STOP checkpoints")
-    .option("--hard-stop-token <text>", "Token that triggers a HARD STOP", DEFAULT_HARD_STOP_TOKEN)
-    .option("--hard-stop-mode <mode>", "HARD STOP behavior: pause|exit", DEFAULT_HARD_STOP_MODE)
-    .option(
-      "--same-prompt-each-iteration",
-      "Use full prompt every iteration (Ralph Wiggum mode)",
-      DEFAULT_SAME_PROMPT_EACH_ITERATION
-    )
-    .option("--cd <path>", "Workspace root")
-    .option("--model <model>", "Codex model")
-    .option("--profile <profile>", "Codex profile")
-    .option("--sandbox <policy>", "Sandbox policy (read-only|workspace-write|danger-full-access)")
-    .option("--ask-for-approval <policy>", "Approval mode (untrusted|on-failure|on-request|never)")
-    .option("--full-auto", "Enable Codex low-friction preset", false)
-    .option("--skip-git-repo-check", "Skip git repo detection for codex exec", false)
-    .action(async (prompt, opts) => {
+  const config = program.command("config").description("Inspect project and user configuration");
+  addStartOptions(
+    config
+      .command("show")
+      .description("Print the effective start options and where each value comes from")
+  )
+    .option("--json", "Output as JSON", false)
+    .action((opts, command) => {
+      try {
+        handleConfigShow(command);
+      } catch (err) {
+        console.error(`Failed to show config: ${err.message}`);
+        process.exit(1);
+      }
+    });
+
+  addStartOptions(program)
+    .argument("[prompt]", "Task prompt to run through the Smithers loop (optional with --plan)")
+    .action(async (prompt, opts, command) => {
       try {
-        await handleStart(prompt, opts);
+        await handleStart(prompt, loadStartConfig(command).options);
       } catch (err) {
         console.error(`Loop failed: ${err.message}`);
         process.exit(1);
@@ -584,7 +2267,22 @@ module.exports = {
   handleResume,
   handleStatus,
   handleList,
+  handleLogs,
+  handleAttach,
+  handleStop,
+  handleReport,
+  handleDiff,
   handleCancel,
+  handleRewind,
+  handleRepair,
+  handleConfigShow,
+  addStartOptions,
+  applyConfigLayers,
   installHelpers,
+  collectRepeatable,
   cliParseInteger,
+  cliParseNonNegativeInteger,
+  cliParsePositiveNumber,
+  cliParseDuration,
+  cliParseRatio,
 };
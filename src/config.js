@@ -0,0 +1,115 @@
+// Project and user configuration files.
+//
+// A project config is found by walking up from the workspace root; the user config lives in
+// ~/.codex/waylon-smithers. Both hold start options keyed by their long flag name (camelCase or
+// kebab-case) plus optional named `presets` selected with --preset.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const PROJECT_CONFIG_FILES = [".waylon-smithers.json", "waylon-smithers.config.js"];
+const USER_CONFIG_FILES = ["config.json", "config.js"];
+
+function userConfigDir(homeDir = os.homedir()) {
+  return path.join(homeDir, ".codex", "waylon-smithers");
+}
+
+// Returns the single config file in `dir`, or null. Two candidates side by side are ambiguous.
+function configFileIn(dir, names) {
+  const found = names.map((name) => path.join(dir, name)).filter((file) => fs.existsSync(file));
+  if (found.length > 1) {
+    throw new Error(`Found both ${found.join(" and ")}. Keep only one config file.`);
+  }
+  return found[0] || null;
+}
+
+function findProjectConfig(startDir) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    const file = configFileIn(dir, PROJECT_CONFIG_FILES);
+    if (file) return file;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function toCamelCase(key) {
+  return key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function normalizeKeys(values) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(values)) {
+    normalized[toCamelCase(key)] = value;
+  }
+  return normalized;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function readConfigFile(file) {
+  let config;
+  if (file.endsWith(".js")) {
+    config = require(file);
+  } else {
+    try {
+      config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw new Error(`Config file ${file} is not valid JSON: ${err.message}`);
+    }
+  }
+  if (!isPlainObject(config)) {
+    throw new Error(`Config file ${file} must contain an object.`);
+  }
+  const { presets = {}, ...values } = config;
+  if (!isPlainObject(presets) || !Object.values(presets).every(isPlainObject)) {
+    throw new Error(`"presets" in ${file} must map preset names to objects of options.`);
+  }
+  const normalizedPresets = {};
+  for (const [name, preset] of Object.entries(presets)) {
+    normalizedPresets[name] = normalizeKeys(preset);
+  }
+  return { file, values: normalizeKeys(values), presets: normalizedPresets };
+}
+
+// Config layers in increasing precedence: user, project, then the selected preset. A preset may be
+// defined in either file; the project's definition wins key by key.
+function resolveConfigLayers({ cwd, preset, homeDir } = {}) {
+  const userFile = configFileIn(userConfigDir(homeDir), USER_CONFIG_FILES);
+  const projectFile = findProjectConfig(cwd || process.cwd());
+  const files = [
+    userFile && { source: "user", ...readConfigFile(userFile) },
+    projectFile && { source: "project", ...readConfigFile(projectFile) },
+  ].filter(Boolean);
+
+  const layers = files.map(({ source, file, values }) => ({ source, file, values }));
+  if (preset) {
+    const definitions = files.filter((config) => config.presets[preset]);
+    if (definitions.length === 0) {
+      const names = [...new Set(files.flatMap((config) => Object.keys(config.presets)))];
+      throw new Error(
+        `Unknown preset "${preset}". ` +
+          (names.length > 0 ? `Available presets: ${names.join(", ")}.` : "No presets are defined.")
+      );
+    }
+    layers.push({
+      source: `preset ${preset}`,
+      file: definitions.map((config) => config.file).join(", "),
+      values: Object.assign({}, ...definitions.map((config) => config.presets[preset])),
+    });
+  }
+  return layers;
+}
+
+module.exports = {
+  PROJECT_CONFIG_FILES,
+  USER_CONFIG_FILES,
+  userConfigDir,
+  findProjectConfig,
+  readConfigFile,
+  resolveConfigLayers,
+};
@@ -0,0 +1,95 @@
+// Background loops (`--detach`).
+//
+// A detached loop is the same command run again without `--detach`, in a session of its own, with
+// stdin closed and stdout and stderr appended to `loop.log` in the loop's artifacts dir. The loop
+// does not know it is detached: it takes its lock and saves state as usual. `attach` reads the log,
+// and `stop` interrupts the pid in the lock, exactly like Ctrl+C in a terminal.
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+const { ensureDirFor, readLock, sleep } = require("./lib");
+
+const DETACHED_LOG_FILE = "loop.log";
+const DETACH_POLL_MS = 200;
+
+function detachedLogPath(artifactsDir) {
+  return path.join(artifactsDir, DETACHED_LOG_FILE);
+}
+
+// The command line to run in the background: this process's own, minus `--detach`.
+function detachedArgs(argv, extraArgs = []) {
+  return [...argv.slice(1).filter((arg) => arg !== "--detach"), ...extraArgs];
+}
+
+// Output appended to the log since `offset`, and the offset to read from next. A log that shrank
+// was replaced, so it is read again from the start.
+function readOutputFrom(logPath, offset) {
+  let size;
+  try {
+    ({ size } = fs.statSync(logPath));
+  } catch (err) {
+    if (err.code === "ENOENT") return { text: "", offset: 0 };
+    throw err;
+  }
+  const start = size < offset ? 0 : offset;
+  if (size === start) return { text: "", offset: start };
+  const buffer = Buffer.alloc(size - start);
+  const fd = fs.openSync(logPath, "r");
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, start);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return { text: buffer.toString("utf8"), offset: size };
+}
+
+// Starts the background loop and waits until it holds the loop's lock, then leaves it running and
+// returns its pid. A loop that ends before taking the lock (bad options, nothing left to resume)
+// has its output copied here; it is an error unless it exited 0, which returns null.
+async function startDetached({ args, logPath, statePath, pollMs = DETACH_POLL_MS }) {
+  ensureDirFor(logPath);
+  const { offset } = readOutputFrom(logPath, Infinity);
+  const logFd = fs.openSync(logPath, "a");
+  let child;
+  try {
+    child = spawn(process.execPath, args, { detached: true, stdio: ["ignore", logFd, logFd] });
+  } finally {
+    fs.closeSync(logFd);
+  }
+
+  let exit = null;
+  child.on("error", (err) => {
+    exit = { error: err };
+  });
+  child.on("exit", (code, signal) => {
+    exit = { code, signal };
+  });
+  while (!exit) {
+    const lock = readLock(statePath);
+    if (lock && lock.live && lock.pid === child.pid) {
+      child.unref();
+      return child.pid;
+    }
+    await sleep(pollMs);
+  }
+
+  if (exit.error) throw new Error(`Unable to start the background loop: ${exit.error.message}`);
+  const { text } = readOutputFrom(logPath, offset);
+  if (text) process.stdout.write(text);
+  if (exit.code !== 0) {
+    const reason = exit.signal ? `was killed by ${exit.signal}` : `exited with code ${exit.code}`;
+    throw new Error(`The background loop ${reason} before it started. Its output is in ${logPath}.`);
+  }
+  return null;
+}
+
+module.exports = {
+  DETACHED_LOG_FILE,
+  DETACH_POLL_MS,
+  detachedLogPath,
+  detachedArgs,
+  readOutputFrom,
+  startDetached,
+};
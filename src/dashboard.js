@@ -0,0 +1,213 @@
+// Live terminal dashboard (`--tui`).
+//
+// Follows the agent's JSONL events while an iteration runs and keeps a small panel at the bottom of
+// the terminal up to date: loop, iteration, elapsed time, tokens, the command being run, files
+// touched, TODO progress and the latest agent messages. When stdout is not a TTY the same activity
+// is printed as plain lines instead, so logs and CI output stay readable.
+
+const {
+  addUsage,
+  formatDuration,
+  formatTodoProgress,
+  formatTokens,
+  parseTodoChecklist,
+  readFileSafe,
+} = require("./lib");
+const { createLineSplitter, describeEvent, parseEventLine } = require("./events");
+const { firstLine, formatActivity } = require("./renderer");
+
+const DASHBOARD_REFRESH_MS = 1000;
+const DASHBOARD_MESSAGES = 3;
+const DASHBOARD_FILES = 5;
+const DASHBOARD_STDERR_LINES = 50;
+
+function fitLine(text, width) {
+  return text.length <= width ? text : `${text.slice(0, Math.max(width - 3, 0))}...`;
+}
+
+// `errorStream` receives the agent's stderr: as it arrives in plain mode, and below the final frame
+// on a TTY, where writing it mid-iteration would tear the panel. Until then the panel shows its
+// latest line.
+function createDashboard({
+  stream = process.stdout,
+  errorStream = process.stderr,
+  interactive = Boolean(stream.isTTY),
+  refreshMs = DASHBOARD_REFRESH_MS,
+  now = Date.now,
+} = {}) {
+  let view = null;
+  let timer = null;
+  let drawnLines = 0;
+  let split = null;
+
+  function iterationTokens() {
+    return view.usage ? view.usage.total_tokens : 0;
+  }
+
+  function panelLines() {
+    const width = Math.max((stream.columns || 80) - 1, 20);
+    const elapsed = now() - view.startedAt;
+    const tokens = iterationTokens();
+    const lines = [
+      `Loop ${view.loopId} | iteration ${view.iteration}/${view.maxIterations}` +
+        (view.phase ? ` | phase ${view.phase}` : ""),
+      `Elapsed ${formatDuration(view.loopElapsedMs + elapsed)} (iteration ${formatDuration(elapsed)})`,
+      `Tokens ${formatTokens(view.loopTokens + tokens)} (iteration ${formatTokens(tokens)})`,
+      `Running: ${view.command ? firstLine(view.command) : "-"}`,
+    ];
+    const files = [...view.files];
+    const shown = files.slice(-DASHBOARD_FILES).join(", ");
+    lines.push(
+      `Files (${files.length}): ${files.length > DASHBOARD_FILES ? `..., ${shown}` : shown || "-"}`
+    );
+    if (view.todoFile) {
+      lines.push(`TODO: ${formatTodoProgress(parseTodoChecklist(readFileSafe(view.todoFile)))}`);
+    }
+    lines.push("Messages:");
+    if (view.messages.length === 0) lines.push("  -");
+    for (const message of view.messages) lines.push(`  ${firstLine(message)}`);
+    if (view.stderr.trim()) lines.push(`Stderr: ${view.stderr.trim().split("\n").pop()}`);
+    return lines.map((line) => fitLine(line, width));
+  }
+
+  function render() {
+    if (!view) return;
+    const lines = panelLines();
+    // Move back to the top of the previous frame and clear it before drawing the new one.
+    const clear = drawnLines > 0 ? `\x1b[${drawnLines}F\x1b[0J` : "";
+    stream.write(`${clear}${lines.join("\n")}\n`);
+    drawnLines = lines.length;
+  }
+
+  function print(line) {
+    stream.write(`${line}\n`);
+  }
+
+  function handleLine(line) {
+    const event = parseEventLine(line);
+    if (!event) {
+      // Output from backends that do not speak JSONL, shown as is.
+      if (!line.trim()) return;
+      if (interactive) {
+        view.messages = [...view.messages, line].slice(-DASHBOARD_MESSAGES);
+      } else {
+        print(line);
+      }
+      return;
+    }
+    for (let activity of describeEvent(event)) {
+      switch (activity.kind) {
+        case "command":
+          view.command = activity.command;
+          break;
+        case "command_done":
+          view.command = null;
+          break;
+        case "files":
+          // Each file is listed once per iteration, however often it is patched.
+          activity = { ...activity, paths: activity.paths.filter((file) => !view.files.has(file)) };
+          for (const file of activity.paths) view.files.add(file);
+          break;
+        case "message":
+          view.messages = [...view.messages, activity.text].slice(-DASHBOARD_MESSAGES);
+          break;
+        case "usage":
+          view.usage = addUsage(view.usage, activity.usage);
+          break;
+        default:
+          break;
+      }
+      if (!interactive) formatActivity(activity).forEach(print);
+    }
+  }
+
+  function startIteration({
+    loopId,
+    iteration,
+    maxIterations,
+    phase = null,
+    loopElapsedMs = 0,
+    loopTokens = 0,
+    todoFile = null,
+  }) {
+    finishIteration();
+    view = {
+      loopId,
+      iteration,
+      maxIterations,
+      phase,
+      loopElapsedMs,
+      loopTokens,
+      todoFile,
+      startedAt: now(),
+      usage: null,
+      command: null,
+      files: new Set(),
+      messages: [],
+      stderr: "",
+      stderrDropped: 0,
+    };
+    split = createLineSplitter(handleLine);
+    if (interactive) {
+      render();
+      timer = setInterval(render, refreshMs);
+      if (timer.unref) timer.unref();
+    }
+  }
+
+  function write(text) {
+    if (split) split(text);
+  }
+
+  function writeError(text) {
+    if (interactive && view) {
+      // Keep the last lines only, plus any unfinished one, so a chatty agent cannot grow the view.
+      const lines = (view.stderr + text).split("\n");
+      const excess = Math.max(lines.length - 1 - DASHBOARD_STDERR_LINES, 0);
+      view.stderrDropped += excess;
+      view.stderr = lines.slice(excess).join("\n");
+    } else {
+      errorStream.write(text);
+    }
+  }
+
+  // Draws the final frame and leaves it on screen above whatever the loop prints next.
+  function finishIteration() {
+    if (!view) return;
+    split.flush();
+    clearInterval(timer);
+    timer = null;
+    if (interactive) {
+      render();
+      if (view.stderrDropped) {
+        errorStream.write(`... ${view.stderrDropped} earlier stderr line(s) not shown\n`);
+      }
+      if (view.stderr) {
+        errorStream.write(view.stderr.endsWith("\n") ? view.stderr : `${view.stderr}\n`);
+      }
+    } else {
+      print(
+        `  iteration ${view.iteration}: ${formatTokens(iterationTokens())} tokens, ` +
+          `${view.files.size} file(s) touched, ${formatDuration(now() - view.startedAt)}`
+      );
+    }
+    view = null;
+    split = null;
+    drawnLines = 0;
+  }
+
+  return {
+    interactive,
+    startIteration,
+    write,
+    writeError,
+    finishIteration,
+    render,
+  };
+}
+
+module.exports = {
+  DASHBOARD_REFRESH_MS,
+  DASHBOARD_STDERR_LINES,
+  createDashboard,
+};
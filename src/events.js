@@ -0,0 +1,116 @@
+// Agent activity from codex's JSONL event stream.
+//
+// `codex exec --json` has emitted two event shapes: item events (`item.started`, `item.completed`,
+// `turn.completed`, `turn.failed`) and, in older releases, `{ "msg": { "type": ... } }` events.
+// describeEvent maps either onto the few kinds of activity worth showing someone watching a loop.
+
+const { usageFromEvent } = require("./lib");
+
+function parseEventLine(line) {
+  const text = (line || "").trim();
+  if (!text.startsWith("{")) return null;
+  try {
+    const event = JSON.parse(text);
+    return event && typeof event === "object" ? event : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function commandText(command) {
+  if (Array.isArray(command)) {
+    // Older releases report `["bash", "-lc", "<script>"]`; the script is the interesting part.
+    if (command.length === 3 && /(^|\/)(ba|z)?sh$/.test(command[0]) && /^-l?c$/.test(command[1])) {
+      return command[2];
+    }
+    return command.join(" ");
+  }
+  return command == null ? "" : String(command);
+}
+
+function exitCode(value) {
+  return value == null ? null : value;
+}
+
+function itemActivity(type, item) {
+  if (!item || typeof item !== "object") return [];
+  if (item.type === "command_execution") {
+    const command = commandText(item.command);
+    if (type === "item.started") return [{ kind: "command", command }];
+    return [{ kind: "command_done", command, exit_code: exitCode(item.exit_code) }];
+  }
+  if (item.type === "file_change" && type === "item.completed") {
+    const paths = (item.changes || []).map((change) => change && change.path).filter(Boolean);
+    return paths.length > 0 ? [{ kind: "files", paths }] : [];
+  }
+  if (item.type === "agent_message" && type === "item.completed" && item.text) {
+    return [{ kind: "message", text: String(item.text) }];
+  }
+  if (item.type === "reasoning" && type === "item.completed" && item.text) {
+    return [{ kind: "reasoning", text: String(item.text) }];
+  }
+  return [];
+}
+
+function msgActivity(msg) {
+  switch (msg.type) {
+    case "exec_command_begin":
+      return [{ kind: "command", command: commandText(msg.command) }];
+    case "exec_command_end":
+      return [{ kind: "command_done", command: commandText(msg.command), exit_code: exitCode(msg.exit_code) }];
+    case "patch_apply_begin": {
+      const paths = Object.keys(msg.changes || {});
+      return paths.length > 0 ? [{ kind: "files", paths }] : [];
+    }
+    case "agent_message":
+      return msg.message ? [{ kind: "message", text: String(msg.message) }] : [];
+    case "agent_reasoning":
+      return msg.text ? [{ kind: "reasoning", text: String(msg.text) }] : [];
+    default:
+      return [];
+  }
+}
+
+// Returns the activity an event carries, as a list of `{ kind, ... }` entries:
+// command (started), command_done, files (paths touched), message, reasoning, usage and error.
+function describeEvent(event) {
+  if (!event || typeof event !== "object") return [];
+  const activity = [];
+  if (event.type === "item.started" || event.type === "item.completed") {
+    activity.push(...itemActivity(event.type, event.item));
+  } else if (event.msg && typeof event.msg === "object") {
+    activity.push(...msgActivity(event.msg));
+  }
+  const usage = usageFromEvent(event);
+  if (usage) activity.push({ kind: "usage", usage });
+  const error = event.error;
+  const message =
+    (error && typeof error === "object" ? error.message : error) ||
+    (event.type === "error" ? event.message : null);
+  if (message) activity.push({ kind: "error", message: String(message) });
+  return activity;
+}
+
+// Reassembles output chunks into lines. Returns a function taking each chunk; call its `flush`
+// once the stream ends to deliver a final unterminated line.
+function createLineSplitter(onLine) {
+  let buffer = "";
+  const push = (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) onLine(line);
+  };
+  push.flush = () => {
+    if (buffer) onLine(buffer);
+    buffer = "";
+  };
+  return push;
+}
+
+module.exports = {
+  parseEventLine,
+  commandText,
+  describeEvent,
+  createLineSplitter,
+};
@@ -0,0 +1,147 @@
+// Lifecycle hooks.
+//
+// A hook is a shell command run at a point in the loop's life. It gets the loop context as
+// WAYLON_* environment variables and as a JSON payload on stdin. A `post_iteration` hook may print
+// a JSON object to steer the loop: {"action": "stop" | "pause", "reason": "...",
+// "append_prompt": "..."}.
+
+const { spawn } = require("child_process");
+
+const HOOK_EVENTS = [
+  "pre_iteration",
+  "post_iteration",
+  "on_complete",
+  "on_hard_stop",
+  "on_pause",
+  "on_error",
+  "on_max_iterations",
+];
+const HOOK_ACTIONS = ["continue", "stop", "pause"];
+const HOOK_TIMEOUT_MS = 10 * 60 * 1000;
+const HOOK_KILL_GRACE_MS = 5000;
+// An interrupted loop runs its on_pause hooks on the way out, so each one gets little time.
+const SHUTDOWN_HOOK_TIMEOUT_MS = 10 * 1000;
+
+function emptyHooks() {
+  return Object.fromEntries(HOOK_EVENTS.map((event) => [event, []]));
+}
+
+// Parses `--hook <event>=<command>` values into commands grouped by event, in the order given.
+function parseHookSpecs(specs) {
+  const hooks = emptyHooks();
+  for (const spec of specs || []) {
+    const match = /^([a-z_]+)=(.+)$/s.exec(spec);
+    if (!match || !HOOK_EVENTS.includes(match[1])) {
+      throw new Error(
+        `Invalid hook "${spec}". Expected <event>=<command> with an event of: ${HOOK_EVENTS.join(", ")}.`
+      );
+    }
+    hooks[match[1]].push(match[2].trim());
+  }
+  return hooks;
+}
+
+// Environment for a hook: the parent's environment plus the loop context. Unset values are left out.
+function hookEnv(context) {
+  const env = { ...process.env };
+  const vars = {
+    WAYLON_EVENT: context.event,
+    WAYLON_LOOP_ID: context.loop_id,
+    WAYLON_ITERATION: context.iteration,
+    WAYLON_MAX_ITERATIONS: context.max_iterations,
+    WAYLON_STATUS: context.status,
+    WAYLON_PHASE: context.phase,
+    WAYLON_STATE_FILE: context.state_file,
+    WAYLON_WORKSPACE: context.workspace_root,
+    WAYLON_LAST_MESSAGE_FILE: context.last_message_file,
+  };
+  for (const [name, value] of Object.entries(vars)) {
+    if (value != null) env[name] = String(value);
+  }
+  return env;
+}
+
+function runHookCommand(command, { cwd, env, input, timeoutMs }) {
+  return new Promise((resolve) => {
+    const child = spawn(command, { cwd, env, shell: true });
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    let killTimer = null;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill("SIGTERM");
+      killTimer = setTimeout(() => child.kill("SIGKILL"), HOOK_KILL_GRACE_MS);
+    }, timeoutMs);
+    const finish = (exitCode, error) => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      resolve({
+        command,
+        exit_code: exitCode,
+        stdout,
+        stderr: error ? `${stderr}${error}\n` : stderr,
+        timed_out: timedOut,
+      });
+    };
+    child.stdout.on("data", (data) => {
+      stdout += data.toString();
+    });
+    child.stderr.on("data", (data) => {
+      stderr += data.toString();
+    });
+    child.on("error", (err) => finish(null, err.message));
+    child.on("close", (code) => finish(code));
+    // A hook that ignores its payload may exit before reading stdin; that is not an error.
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+}
+
+// Runs each command for the event in turn, with the context on stdin and in the environment.
+async function runHooks(commands, { cwd, context, timeoutMs = HOOK_TIMEOUT_MS }) {
+  const env = hookEnv(context);
+  const input = `${JSON.stringify(context)}\n`;
+  const results = [];
+  for (const command of commands || []) {
+    results.push(await runHookCommand(command, { cwd, env, input, timeoutMs }));
+  }
+  return results;
+}
+
+// Reads a post_iteration hook's answer from its stdout. Output that is not a JSON object is plain
+// logging and carries no answer; a malformed answer throws so the caller can report it.
+function parseHookResponse(stdout) {
+  const text = (stdout || "").trim();
+  if (!text.startsWith("{")) return null;
+  let response;
+  try {
+    response = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`invalid JSON: ${err.message}`);
+  }
+  const action = response.action == null ? "continue" : response.action;
+  if (!HOOK_ACTIONS.includes(action)) {
+    throw new Error(`unknown action "${action}". Expected one of: ${HOOK_ACTIONS.join(", ")}.`);
+  }
+  if (response.append_prompt != null && typeof response.append_prompt !== "string") {
+    throw new Error('"append_prompt" must be a string.');
+  }
+  return {
+    action,
+    reason: response.reason == null ? null : String(response.reason),
+    append_prompt: response.append_prompt || null,
+  };
+}
+
+module.exports = {
+  HOOK_EVENTS,
+  HOOK_ACTIONS,
+  HOOK_TIMEOUT_MS,
+  SHUTDOWN_HOOK_TIMEOUT_MS,
+  emptyHooks,
+  parseHookSpecs,
+  hookEnv,
+  runHooks,
+  parseHookResponse,
+};
@@ -3,6 +3,22 @@ const fs = require("fs");
 const os = require("os");
 const path = require("path");
 const readline = require("readline");
+const { StringDecoder } = require("string_decoder");
+
+const {
+  STATE_SCHEMA,
+  STATE_SCHEMA_VERSION,
+  validateAgainstSchema,
+  validateState,
+  migrateState,
+} = require("./schema");
+const {
+  DEFAULT_PROMPT_TEMPLATE,
+  DEFAULT_CONTINUE_TEMPLATE,
+  parseTemplate,
+  renderTemplate,
+} = require("./templates");
+const { emptyHooks } = require("./hooks");
 
 const DEFAULT_MAX_ITERATIONS = 30;
 const DEFAULT_COMPLETION_PROMISE = "TASK_COMPLETE";
@@ -12,9 +28,47 @@ const DEFAULT_APPROVAL = "on-request";
 const DEFAULT_HARD_STOP_TOKEN = "HARD STOP";
 const DEFAULT_HARD_STOP_MODE = "pause";
 const DEFAULT_SAME_PROMPT_EACH_ITERATION = false;
+const VERIFY_OUTPUT_LIMIT = 4000;
+const DEFAULT_BACKEND = "codex";
+const BACKEND_NAMES = ["codex", "command"];
+const COMMAND_TEMPLATE_VARS = ["prompt", "session_id", "last_message_file", "cwd", "model"];
+const PRICE_TABLE_FILENAME = "prices.json";
+const CHILD_KILL_GRACE_MS = 5000;
+const DEFAULT_STALL_SIMILARITY = 0.9;
+const DEFAULT_STALL_ACTION = "pause";
+const STALL_ACTIONS = ["pause", "inject", "exit"];
+const DEFAULT_MAX_RETRIES = 0;
+const DEFAULT_RETRY_BACKOFF_MS = 5000;
+const MAX_RETRY_BACKOFF_MS = 5 * 60 * 1000;
+const RETRY_REASONS = [
+  { reason: "rate_limit", pattern: /rate.?limit|too many requests|\b429\b/i },
+  {
+    reason: "session_lost",
+    pattern:
+      /no (saved )?session|session (\S+ )?(not found|does not exist|expired)|(could not|cannot|failed to) (find|load|resume) session/i,
+  },
+  {
+    reason: "context_length_exceeded",
+    pattern: /context.?length|context window|maximum context|too many tokens/i,
+  },
+  {
+    reason: "server_error",
+    pattern: /\b5\d\d\b|internal server error|bad gateway|service unavailable|overloaded/i,
+  },
+];
+// Failures that resuming the same session cannot fix; the loop starts a new session instead.
+const SESSION_RECOVERY_REASONS = ["session_lost", "context_length_exceeded"];
+const HANDOFF_MESSAGE_COUNT = 3;
+const HANDOFF_MESSAGE_LIMIT = 1500;
+const TODO_ITEM_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s*(.*)$/;
+const STALL_PROMPT = [
+  "You appear to be stuck: your last iterations produced nearly identical messages and no file changes.",
+  "Stop repeating the same approach. Re-read the task, inspect the current state of the files, and try a different strategy.",
+].join(" ");
 
 let currentChild = null;
 let sigintReceived = false;
+let sigintListener = null;
 
 // Exported for testing
 function _setCurrentChild(child) {
@@ -48,9 +102,28 @@ function relToWorkspace(absPath, workspaceRoot) {
   return relative === "" ? "." : relative;
 }
 
-function writeJson(filePath, data) {
+// Writes to a temp file, fsyncs it and renames it over the target, so readers only ever see the
+// old or the new contents, never a truncated file.
+function writeFileAtomic(filePath, content) {
   ensureDirFor(filePath);
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(tempPath, "w");
+    try {
+      fs.writeFileSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+}
+
+function writeJson(filePath, data) {
+  writeFileAtomic(filePath, JSON.stringify(data, null, 2));
 }
 
 function readJson(filePath) {
@@ -58,18 +131,136 @@ function readJson(filePath) {
   return JSON.parse(raw);
 }
 
+function backupPathFor(statePath) {
+  return `${statePath}.bak`;
+}
+
+// Falls back to the `.bak` copy when the state file cannot be parsed. Older states are migrated
+// to the current schema version.
 function loadState(statePath) {
   if (!fs.existsSync(statePath)) {
     throw new Error(`State file not found at ${statePath}`);
   }
-  return readJson(statePath);
+  let state;
+  try {
+    state = readJson(statePath);
+  } catch (err) {
+    const backupPath = backupPathFor(statePath);
+    if (!fs.existsSync(backupPath)) {
+      throw new Error(`State file at ${statePath} is not valid JSON: ${err.message}`);
+    }
+    console.warn(`[WARN] State file at ${statePath} is not valid JSON; using backup ${backupPath}.`);
+    state = readJson(backupPath);
+  }
+  return migrateState(state);
+}
+
+// Commands that drive a loop need every field; fail with the exact problems instead of a TypeError.
+function assertValidState(state, statePath) {
+  const errors = validateState(state);
+  if (errors.length === 0) return;
+  const hint = state.loop_id
+    ? `waylon-smithers repair --loop-id ${state.loop_id}`
+    : `waylon-smithers repair --state-file ${statePath}`;
+  const lines = [`State file at ${statePath} is invalid:`, ...errors.map((error) => `  - ${error}`)];
+  lines.push(`Run "${hint}" to rebuild it.`);
+  throw new Error(lines.join("\n"));
 }
 
 function saveState(state, statePath) {
   state.updated_at = nowIso();
+  // Never let a corrupt state file replace a good backup.
+  try {
+    readJson(statePath);
+    fs.copyFileSync(statePath, backupPathFor(statePath));
+  } catch (err) {
+    // Nothing usable to back up yet
+  }
   writeJson(statePath, state);
 }
 
+function lockPathFor(statePath) {
+  return `${statePath}.lock`;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM means the process exists but belongs to another user.
+    return err.code === "EPERM";
+  }
+}
+
+// Returns the loop's lock with a `live` flag, or null when the loop is not locked. A lock held on
+// another host cannot be checked and is assumed live; a corrupt lock file is treated as stale.
+function readLock(statePath) {
+  let lock;
+  try {
+    lock = readJson(lockPathFor(statePath));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    return { pid: null, hostname: null, started_at: null, live: false };
+  }
+  const live =
+    lock.hostname !== os.hostname() || (Number.isInteger(lock.pid) && isProcessAlive(lock.pid));
+  return { ...lock, live };
+}
+
+function describeLock(lock) {
+  return `pid ${lock.pid} on ${lock.hostname} since ${lock.started_at}`;
+}
+
+function assertLoopNotLive(statePath, loopId) {
+  const lock = readLock(statePath);
+  if (lock && lock.live && !(lock.pid === process.pid && lock.hostname === os.hostname())) {
+    throw new Error(`Loop ${loopId} is already running (${describeLock(lock)}).`);
+  }
+}
+
+// Takes the exclusive lock for a loop. The lock file is created with O_EXCL so two processes can
+// never both succeed; a lock left behind by a dead process is replaced.
+function acquireLock(statePath, loopId) {
+  const lockPath = lockPathFor(statePath);
+  const lock = { pid: process.pid, hostname: os.hostname(), started_at: nowIso() };
+  ensureDirFor(lockPath);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify(lock, null, 2), { flag: "wx" });
+      return lock;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+    const existing = readLock(statePath);
+    if (existing && existing.live) {
+      throw new Error(`Loop ${loopId} is already running (${describeLock(existing)}).`);
+    }
+    console.warn(`[WARN] Removing stale lock for loop ${loopId}.`);
+    fs.rmSync(lockPath, { force: true });
+  }
+  throw new Error(`Unable to lock loop ${loopId} at ${lockPath}.`);
+}
+
+// A loop whose state says "running" but whose process is gone was killed without a chance to save
+// state (SIGKILL, power loss). Reclassify it so it can be resumed like any paused loop.
+function recoverCrashedState(state, statePath) {
+  if (state.status !== "running") return false;
+  const lock = readLock(statePath);
+  if (lock && lock.live) return false;
+  state.status = "paused_crashed";
+  saveState(state, statePath);
+  return true;
+}
+
+// Releases the lock only if this process still owns it.
+function releaseLock(statePath) {
+  const lock = readLock(statePath);
+  if (lock && lock.pid === process.pid && lock.hostname === os.hostname()) {
+    fs.rmSync(lockPathFor(statePath), { force: true });
+  }
+}
+
 function warnDangerous(options) {
   if (options.sandbox === "danger-full-access" || options.askForApproval === "never") {
     console.warn(
@@ -78,7 +269,7 @@ function warnDangerous(options) {
   }
 }
 
-function buildPromptTemplate({
+function promptVariables({
   loopId,
   iteration,
   maxIterations,
@@ -87,6 +278,11 @@ function buildPromptTemplate({
   userPrompt,
   todoFile,
   hardStopToken,
+  lastMessage,
+  gitDiffStat,
+  phaseName,
+  phaseNumber,
+  phaseCount,
 }) {
   const promiseText =
     promiseMode === "tag"
@@ -94,64 +290,172 @@ function buildPromptTemplate({
       : promiseMode === "plain"
         ? completionPromise
         : `Regex: ${completionPromise}`;
+  return {
+    loopId,
+    iteration,
+    maxIterations,
+    promiseMode,
+    completionPromise,
+    promiseText,
+    userPrompt: (userPrompt || "").trim(),
+    todoFile,
+    hardStopToken,
+    lastMessage: lastMessage ? lastMessage.trim() : null,
+    gitDiffStat: gitDiffStat || null,
+    phaseName: phaseName || null,
+    phaseNumber: phaseNumber || null,
+    phaseCount: phaseCount || null,
+  };
+}
 
-  const promiseRule =
-    promiseMode === "tag"
-      ? `You MUST output the exact string: <promise>${completionPromise}</promise> ONLY when all requirements are satisfied and verification passes.`
-      : `You MUST output the completion promise (${promiseText}) ONLY when all requirements are satisfied and verification passes.`;
-
-  const todoRules = todoFile
-    ? [
-        `If ${hardStopToken} is present in ${todoFile}, stop and request human review before continuing.`,
-        "Work through TODO items from top to bottom before moving on.",
-      ]
-    : [];
+// Full prompt for a new session: the prompt template (the built-in one unless the loop has its
+// own), then any session handoff and feedback from the previous iteration.
+function buildPromptTemplate({ template = DEFAULT_PROMPT_TEMPLATE, feedback, handoff, ...variables }) {
+  return [
+    renderTemplate(template, promptVariables(variables)),
+    ...(handoff ? ["", handoff] : []),
+    ...renderFeedbackSection(feedback),
+  ].join("\n");
+}
 
+function buildContinuePrompt({ template = DEFAULT_CONTINUE_TEMPLATE, feedback, ...variables }) {
   return [
-    `Waylon-Smithers loop`,
-    `Loop ID: ${loopId}`,
-    `Iteration: ${iteration} of ${maxIterations}`,
-    `Completion promise (${promiseMode} mode): ${promiseText}`,
-    "",
-    "Task:",
-    userPrompt.trim(),
-    "",
-    "Iteration philosophy (Ralph Wiggum pattern):",
-    "- You have access to your own previous work in the files and git history.",
-    "- Each iteration refines the codebase based on what you observe.",
-    "- Iteration > perfection: don't aim for perfect on the first try; let the loop refine your work.",
-    "- Failures are data: use test/lint failures to inform the next iteration.",
-    "- Read your previous output and commit history to understand what has been done.",
-    "",
-    "Rules:",
-    promiseRule,
-    "If blocked, output a short BLOCKED section with what is needed to proceed.",
-    "Prefer deterministic verification steps (tests, linters, typechecks) before claiming completion.",
-    "After verifying, if any check fails, fix the issue and verify again in this same iteration if possible.",
-    ...todoRules,
-    "",
-    "When you are certain the task is complete and all verification passes, output ONLY the completion promise token on its own line.",
+    renderTemplate(template, promptVariables(variables)),
+    ...renderFeedbackSection(feedback),
   ].join("\n");
 }
 
-function buildContinuePrompt({
-  loopId,
-  iteration,
-  maxIterations,
-  promiseMode,
-  completionPromise,
-}) {
-  const promiseText =
-    promiseMode === "tag" ? `<promise>${completionPromise}</promise>` : completionPromise;
+// Reads and checks the loop's custom templates. Paths in `state.templates` are relative to the
+// workspace; a missing entry means the built-in template.
+function loadPromptTemplates(state, workspaceRoot) {
+  const templates = { prompt: null, continue: null };
+  for (const kind of Object.keys(templates)) {
+    const relPath = state.templates && state.templates[kind];
+    if (!relPath) continue;
+    const filePath = path.resolve(workspaceRoot, relPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`The ${kind} template ${filePath} does not exist.`);
+    }
+    const text = fs.readFileSync(filePath, "utf8");
+    try {
+      parseTemplate(text);
+    } catch (err) {
+      throw new Error(`Invalid ${kind} template ${filePath}: ${err.message}`);
+    }
+    templates[kind] = text;
+  }
+  return templates;
+}
+
+function renderFeedbackSection(feedback) {
+  const entries = (feedback || []).filter(Boolean);
+  if (entries.length === 0) return [];
+  return ["", "Feedback from the previous iteration:", ...entries];
+}
+
+// Parses the Markdown checklist items (`- [ ] item`, `* [x] item`, `1. [ ] item`) of a TODO file.
+function parseTodoChecklist(text) {
+  const items = [];
+  for (const line of (text || "").split(/\r?\n/)) {
+    const match = TODO_ITEM_PATTERN.exec(line);
+    if (match) items.push({ text: match[2].trim(), checked: match[1] !== " " });
+  }
+  const done = items.filter((item) => item.checked).length;
+  return { items, done, total: items.length };
+}
+
+function formatTodoProgress(progress) {
+  return progress ? `${progress.done}/${progress.total} done` : null;
+}
+
+// Progress from the checklist recorded in the state, or null when the loop has no TODO file.
+function todoProgressFromState(state) {
+  const items = state.todo && state.todo.items;
+  if (!items) return null;
+  return { done: items.filter((item) => item.checked).length, total: items.length };
+}
+
+// Items that went from checked to unchecked, or disappeared, between two checklists. Items are
+// matched by their text; duplicates are compared by count.
+function findTodoRegressions(previousItems, currentItems) {
+  const count = (items) => {
+    const counts = new Map();
+    for (const item of items) {
+      const entry = counts.get(item.text) || { total: 0, checked: 0 };
+      entry.total += 1;
+      if (item.checked) entry.checked += 1;
+      counts.set(item.text, entry);
+    }
+    return counts;
+  };
+  const before = count(previousItems);
+  const after = count(currentItems);
+  const regressions = [];
+  for (const [text, previous] of before) {
+    const current = after.get(text) || { total: 0, checked: 0 };
+    const removed = Math.max(previous.total - current.total, 0);
+    const unchecked = Math.max(previous.checked - current.checked - removed, 0);
+    for (let i = 0; i < removed; i++) regressions.push({ text, change: "removed" });
+    for (let i = 0; i < unchecked; i++) regressions.push({ text, change: "unchecked" });
+  }
+  return regressions;
+}
+
+function buildTodoRegressionFeedback(todoPath, regressions) {
   return [
-    `Continue the Waylon-Smithers loop.`,
-    `Loop ID: ${loopId}`,
-    `Iteration: ${iteration} of ${maxIterations}.`,
-    `Remember the completion promise (${promiseMode}): ${promiseText}`,
-    `Only output the promise when the task is fully complete and validated.`,
+    `The TODO checklist in ${todoPath} lost progress in the last iteration:`,
+    ...regressions.map(({ text, change }) => `- "${text}" was ${change}`),
+    "Keep finished items checked and do not delete items. If an item no longer applies, check it and add a note.",
   ].join("\n");
 }
 
+// Context for a fresh session that replaces a lost one: what the previous session last said,
+// what changed in the workspace and how far the TODO list got.
+function buildSessionHandoff({ reason, recentMessages = [], diffStat, todoPath, todoProgress }) {
+  const lines = [
+    "Session handoff:",
+    `The previous agent session for this loop could not be resumed (${reason}). You are continuing its work in a new session.`,
+    "Do not start over: inspect the workspace and carry on from where the previous session stopped.",
+  ];
+  for (const { iteration, text } of recentMessages) {
+    lines.push("", `Last message from iteration ${iteration}:`, truncateOutput(text.trim(), HANDOFF_MESSAGE_LIMIT));
+  }
+  if (diffStat) {
+    lines.push("", "Changes so far (git diff --stat):", diffStat.trimEnd());
+  }
+  if (todoProgress && todoProgress.total > 0) {
+    lines.push("", `TODO progress in ${todoPath}: ${todoProgress.done}/${todoProgress.total} items checked.`);
+  }
+  return lines.join("\n");
+}
+
+// Last messages of the iterations before `iteration`, oldest first.
+function readRecentMessages(artifactsDir, iteration, count = HANDOFF_MESSAGE_COUNT) {
+  const messages = [];
+  for (let i = Math.max(1, iteration - count); i < iteration; i++) {
+    const text = readFileSafe(path.join(artifactsDir, `last_message_iter_${i}.txt`));
+    if (text.trim()) messages.push({ iteration: i, text });
+  }
+  return messages;
+}
+
+// Tracks which iterations ran on which session in `state.codex.sessions`.
+function recordSession(state, sessionId, iteration, startReason = "start") {
+  if (!sessionId) return;
+  const sessions = state.codex.sessions || (state.codex.sessions = []);
+  const current = sessions[sessions.length - 1];
+  if (current && current.id === sessionId) {
+    current.last_iteration = iteration;
+    return;
+  }
+  sessions.push({
+    id: sessionId,
+    started_iteration: iteration,
+    last_iteration: iteration,
+    start_reason: startReason,
+  });
+}
+
 function detectCompletion(lastMessage, promiseMode, completionPromise) {
   if (!lastMessage) return false;
   if (promiseMode === "regex") {
@@ -170,6 +474,7 @@ function detectCompletion(lastMessage, promiseMode, completionPromise) {
   return lastMessage.includes(completionPromise);
 }
 
+// The token pauses the loop wherever it appears in the file, checked checklist items included.
 function checkHardStop(todoPath, token) {
   if (!todoPath) return false;
   if (!fs.existsSync(todoPath)) return false;
@@ -177,6 +482,52 @@ function checkHardStop(todoPath, token) {
   return content.includes(token);
 }
 
+function truncateOutput(text, limit = VERIFY_OUTPUT_LIMIT) {
+  if (!text || text.length <= limit) return text || "";
+  return `[...truncated ${text.length - limit} chars]\n${text.slice(-limit)}`;
+}
+
+async function runVerifyCommands(commands, workspaceRoot) {
+  const results = [];
+  for (const command of commands || []) {
+    const child = spawn(command, { cwd: workspaceRoot, env: process.env, shell: true });
+    let output = "";
+    child.stdout.on("data", (data) => {
+      output += data.toString();
+    });
+    child.stderr.on("data", (data) => {
+      output += data.toString();
+    });
+    const exitCode = await new Promise((resolve) => {
+      child.on("error", (err) => {
+        output += `${err.message}\n`;
+        resolve(null);
+      });
+      child.on("close", resolve);
+    });
+    results.push({ command, exit_code: exitCode, output });
+  }
+  return {
+    passed: results.every((result) => result.exit_code === 0),
+    results,
+  };
+}
+
+function buildVerificationFeedback(results) {
+  const failed = results.filter((result) => result.exit_code !== 0);
+  const sections = failed.map((result) =>
+    [
+      `$ ${result.command} (exit code ${result.exit_code})`,
+      truncateOutput(result.output).trim(),
+    ].join("\n")
+  );
+  return [
+    "You output the completion promise, but verification failed. The loop was NOT marked complete.",
+    "Fix the failures below, re-run the checks, and only then output the completion promise again.",
+    ...sections,
+  ].join("\n\n");
+}
+
 function readFileSafe(filePath) {
   if (!filePath) return "";
   if (!fs.existsSync(filePath)) return "";
@@ -212,6 +563,228 @@ function parseSessionIdFromJsonLines(text) {
   return null;
 }
 
+function emptyUsage() {
+  return { input_tokens: 0, cached_input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+}
+
+function addUsage(total, usage) {
+  const sum = { ...emptyUsage(), ...(total || {}) };
+  if (!usage) return sum;
+  sum.input_tokens += usage.input_tokens || 0;
+  sum.cached_input_tokens += usage.cached_input_tokens || 0;
+  sum.output_tokens += usage.output_tokens || 0;
+  sum.total_tokens = sum.input_tokens + sum.output_tokens;
+  return sum;
+}
+
+// Codex reports usage per turn, either as `turn.completed` events carrying a `usage` object or,
+// in older releases, as `token_count` messages (with `info.last_token_usage` when available).
+function usageFromEvent(event) {
+  if (event.usage && typeof event.usage === "object") return event.usage;
+  const msg = event.msg && typeof event.msg === "object" ? event.msg : event;
+  if (msg.type !== "token_count") return null;
+  if (msg.info && typeof msg.info === "object") return msg.info.last_token_usage || null;
+  return msg;
+}
+
+function parseUsageFromJsonLines(text) {
+  const lines = (text || "").split(/\r?\n/).filter(Boolean);
+  let usage = null;
+  for (const line of lines) {
+    if (!line.trim().startsWith("{")) continue;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (err) {
+      continue;
+    }
+    const eventUsage = usageFromEvent(event);
+    if (eventUsage) {
+      usage = addUsage(usage, eventUsage);
+    }
+  }
+  return usage;
+}
+
+function loadPriceTable(workspaceRoot) {
+  const candidates = [
+    path.resolve(workspaceRoot, ".codex/waylon-smithers", PRICE_TABLE_FILENAME),
+    path.join(os.homedir(), ".codex/waylon-smithers", PRICE_TABLE_FILENAME),
+  ];
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate)) {
+      try {
+        return readJson(candidate);
+      } catch (err) {
+        console.warn(`[WARN] Ignoring unreadable price table at ${candidate}: ${err.message}`);
+      }
+    }
+  }
+  return null;
+}
+
+// Rates are USD per million tokens. Cached input tokens are a subset of input tokens and fall
+// back to the input rate when no cached rate is configured.
+function estimateCost(usage, model, priceTable) {
+  if (!usage || !priceTable) return null;
+  const rates = (model && priceTable[model]) || priceTable.default;
+  if (!rates) return null;
+  const inputRate = rates.input_per_million || 0;
+  const cachedRate = rates.cached_input_per_million ?? inputRate;
+  const outputRate = rates.output_per_million || 0;
+  const cached = usage.cached_input_tokens || 0;
+  const uncached = Math.max((usage.input_tokens || 0) - cached, 0);
+  const cost = (uncached * inputRate + cached * cachedRate + (usage.output_tokens || 0) * outputRate) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function formatCost(cost) {
+  return cost == null ? "n/a" : `$${cost.toFixed(2)}`;
+}
+
+function buildBudgets(options, fallback = {}) {
+  return {
+    max_tokens: options.maxTokens ?? fallback.max_tokens ?? null,
+    max_duration_ms: options.maxDuration ?? fallback.max_duration_ms ?? null,
+    max_cost_usd: options.maxCost ?? fallback.max_cost_usd ?? null,
+  };
+}
+
+function assertCostBudgetEnforceable(budgets, model, priceTable) {
+  if (budgets.max_cost_usd == null) return;
+  if (estimateCost(emptyUsage(), model, priceTable) == null) {
+    throw new Error(
+      `--max-cost needs a price table with rates for "${model || "default"}" in ${PRICE_TABLE_FILENAME}.`
+    );
+  }
+}
+
+// Returns the terminal status and a message for the first exhausted budget, or null.
+function checkBudgets(state, { model, priceTable } = {}) {
+  const budgets = state.budgets || {};
+  const usage = state.usage || emptyUsage();
+  if (budgets.max_tokens != null && usage.total_tokens >= budgets.max_tokens) {
+    return {
+      status: "stopped_budget_tokens",
+      message: `Token budget exhausted (${usage.total_tokens}/${budgets.max_tokens} tokens).`,
+    };
+  }
+  if (budgets.max_cost_usd != null) {
+    const cost = estimateCost(usage, model, priceTable);
+    if (cost != null && cost >= budgets.max_cost_usd) {
+      return {
+        status: "stopped_budget_cost",
+        message: `Cost budget exhausted (${formatCost(cost)} of ${formatCost(budgets.max_cost_usd)}).`,
+      };
+    }
+  }
+  if (budgets.max_duration_ms != null && (state.elapsed_ms || 0) >= budgets.max_duration_ms) {
+    return {
+      status: "stopped_timeout",
+      message: `Time budget exhausted (${formatDuration(state.elapsed_ms)} of ${formatDuration(budgets.max_duration_ms)}).`,
+    };
+  }
+  return null;
+}
+
+function buildRetryConfig(options, fallback = {}) {
+  return {
+    max_retries: options.maxRetries ?? fallback.max_retries ?? DEFAULT_MAX_RETRIES,
+    backoff_ms: options.retryBackoff ?? fallback.backoff_ms ?? DEFAULT_RETRY_BACKOFF_MS,
+  };
+}
+
+// Collects error messages from a JSONL event stream and whether the turn itself failed.
+function parseFailureEvents(text) {
+  const messages = [];
+  let turnFailed = false;
+  for (const line of (text || "").split(/\r?\n/)) {
+    if (!line.trim().startsWith("{")) continue;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (err) {
+      continue;
+    }
+    if (event.type === "turn.failed") turnFailed = true;
+    const error = event.error;
+    const message =
+      (error && typeof error === "object" ? error.message : error) ||
+      (event.type === "error" ? event.message : null);
+    if (message) messages.push(String(message));
+  }
+  return { messages, turnFailed };
+}
+
+// Decides whether an attempt failed in a way worth retrying. Returns null for a usable attempt,
+// otherwise the reason (rate_limit, server_error, context_length_exceeded or exit_code) and the
+// most relevant error message. Attempts cut off by the time budget are never retried.
+function classifyFailure({ exitCode, stdout, stderr, timedOut }) {
+  if (timedOut) return null;
+  const { messages, turnFailed } = parseFailureEvents(stdout);
+  if (exitCode === 0 && !turnFailed) return null;
+  const evidence = [...messages, stderr || ""].join("\n");
+  const match = RETRY_REASONS.find(({ pattern }) => pattern.test(evidence));
+  const stderrLine = (stderr || "").trim().split(/\r?\n/).pop();
+  return {
+    reason: match ? match.reason : "exit_code",
+    message: truncateOutput(
+      messages[messages.length - 1] || stderrLine || `exit code ${exitCode}`,
+      500
+    ),
+  };
+}
+
+// Exponential backoff: base, 2x base, 4x base, ... capped at MAX_RETRY_BACKOFF_MS.
+function retryDelayMs(attempt, baseMs) {
+  return Math.min(baseMs * 2 ** (attempt - 1), MAX_RETRY_BACKOFF_MS);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function bigramCounts(text) {
+  const normalized = text.toLowerCase().replace(/\s+/g, " ").trim();
+  const counts = new Map();
+  for (let i = 0; i < normalized.length - 1; i++) {
+    const bigram = normalized.slice(i, i + 2);
+    counts.set(bigram, (counts.get(bigram) || 0) + 1);
+  }
+  return { counts, size: Math.max(normalized.length - 1, 0), normalized };
+}
+
+// Dice coefficient over character bigrams: 1 for identical text, 0 for nothing in common.
+function textSimilarity(a, b) {
+  const left = bigramCounts(a || "");
+  const right = bigramCounts(b || "");
+  if (left.normalized === right.normalized) return 1;
+  if (left.size === 0 || right.size === 0) return 0;
+  let overlap = 0;
+  for (const [bigram, count] of left.counts) {
+    overlap += Math.min(count, right.counts.get(bigram) || 0);
+  }
+  return (2 * overlap) / (left.size + right.size);
+}
+
+// An iteration is stalled when its last message is nearly identical to the previous one and the
+// workspace fingerprint did not change.
+function evaluateStall({
+  previousMessage,
+  lastMessage,
+  previousFingerprint,
+  fingerprint,
+  similarityThreshold,
+}) {
+  const similarity = textSimilarity(previousMessage, lastMessage);
+  const unchanged = previousFingerprint != null && previousFingerprint === fingerprint;
+  return {
+    similarity: Math.round(similarity * 1000) / 1000,
+    unchanged,
+    stalled: unchanged && similarity >= similarityThreshold,
+  };
+}
+
 function computeJsonlPath(jsonlBase, iteration, workspaceRoot) {
   if (!jsonlBase) return null;
   const resolved = path.resolve(workspaceRoot, jsonlBase);
@@ -229,14 +802,18 @@ async function promptYesNo(message) {
     output: process.stdout,
   });
   const answer = await new Promise((resolve) => {
+    // Without a terminal (a detached loop), stdin ends right away and the answer is no.
+    rl.on("close", () => resolve(""));
     rl.question(`${message} [y/N]: `, (resp) => resolve(resp.trim().toLowerCase()));
   });
   rl.close();
   return answer === "y" || answer === "yes";
 }
 
+// Replaces the previous handler, so a run of several phases keeps a single listener.
 function registerSigintHandler(onInterrupt) {
-  process.on("SIGINT", () => {
+  if (sigintListener) process.off("SIGINT", sigintListener);
+  sigintListener = () => {
     sigintReceived = true;
     if (currentChild) {
       currentChild.kill("SIGINT");
@@ -244,30 +821,12 @@ function registerSigintHandler(onInterrupt) {
     if (typeof onInterrupt === "function") {
       onInterrupt();
     }
-  });
+  };
+  process.on("SIGINT", sigintListener);
 }
 
-async function runCodexIteration({
-  prompt,
-  resumeSessionId,
-  workspaceRoot,
-  lastMessagePath,
-  jsonlPath,
-  codexOptions,
-}) {
-  const args = ["exec"];
-
-  if (resumeSessionId) {
-    args.push("resume", resumeSessionId);
-    if (prompt) {
-      args.push(prompt);
-    }
-  } else {
-    args.push(prompt);
-  }
-
-  args.push("--output-last-message", lastMessagePath);
-  args.push("--json");
+function codexExecFlags(lastMessagePath, codexOptions) {
+  const args = ["--output-last-message", lastMessagePath, "--json"];
 
   if (codexOptions.cd) {
     args.push("--cd", codexOptions.cd);
@@ -290,32 +849,226 @@ async function runCodexIteration({
   if (codexOptions.skipGitRepoCheck) {
     args.push("--skip-git-repo-check");
   }
+  return args;
+}
+
+function extractSessionIdFromOutput({ stdout, stderr }) {
+  return (
+    parseSessionIdFromJsonLines(`${stdout}\n${stderr}`) ||
+    parseSessionIdFromText(stdout) ||
+    parseSessionIdFromText(stderr)
+  );
+}
+
+// A backend describes how to drive one agent CLI: how to start and resume a session
+// (both return a { command, args } spawn spec) and how to read the session id and the
+// final message back out of a finished run.
+function createCodexBackend() {
+  return {
+    name: "codex",
+    label: "Codex",
+    program: "codex exec",
+    supportsResume: true,
+    startSession({ prompt, lastMessagePath, codexOptions }) {
+      return { command: "codex", args: ["exec", prompt, ...codexExecFlags(lastMessagePath, codexOptions)] };
+    },
+    resumeSession({ sessionId, prompt, lastMessagePath, codexOptions }) {
+      const args = ["exec", "resume", sessionId];
+      if (prompt) {
+        args.push(prompt);
+      }
+      return { command: "codex", args: [...args, ...codexExecFlags(lastMessagePath, codexOptions)] };
+    },
+    extractSessionId: extractSessionIdFromOutput,
+    extractUsage: ({ stdout }) => parseUsageFromJsonLines(stdout),
+    extractLastMessage({ lastMessagePath }) {
+      return readFileSafe(lastMessagePath);
+    },
+  };
+}
+
+function splitCommandTemplate(template) {
+  const tokens = [];
+  let current = "";
+  let quote = null;
+  let inToken = false;
+  for (const ch of template) {
+    if (quote) {
+      if (ch === quote) quote = null;
+      else current += ch;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+      inToken = true;
+    } else if (/\s/.test(ch)) {
+      if (inToken) tokens.push(current);
+      current = "";
+      inToken = false;
+    } else {
+      current += ch;
+      inToken = true;
+    }
+  }
+  if (quote) {
+    throw new Error(`Unterminated quote in command template: ${template}`);
+  }
+  if (inToken) tokens.push(current);
+  return tokens;
+}
+
+function fillCommandTemplate(tokens, vars) {
+  return tokens.map((token) =>
+    token.replace(/\{(\w+)\}/g, (match, name) => (vars[name] == null ? "" : String(vars[name])))
+  );
+}
+
+function validateCommandTemplate(template, optionName) {
+  const tokens = splitCommandTemplate(template);
+  if (tokens.length === 0) {
+    throw new Error(`${optionName} must not be empty.`);
+  }
+  for (const token of tokens) {
+    for (const [, name] of token.matchAll(/\{(\w+)\}/g)) {
+      if (!COMMAND_TEMPLATE_VARS.includes(name)) {
+        throw new Error(
+          `Unknown placeholder {${name}} in ${optionName}. Expected one of: ${COMMAND_TEMPLATE_VARS.join(", ")}.`
+        );
+      }
+    }
+  }
+  return tokens;
+}
+
+// Drives any local CLI from argv templates. Placeholders are substituted per argument, so the
+// prompt is never re-parsed by a shell. Without a resume template every iteration is a fresh run.
+function createCommandBackend({ command, resumeCommand } = {}) {
+  if (!command) {
+    throw new Error("The command backend requires --backend-command <template>.");
+  }
+  const startTokens = validateCommandTemplate(command, "--backend-command");
+  const resumeTokens = resumeCommand
+    ? validateCommandTemplate(resumeCommand, "--backend-resume-command")
+    : null;
+  const writesLastMessage = [command, resumeCommand].some(
+    (template) => template && template.includes("{last_message_file}")
+  );
+
+  const toSpec = (tokens, vars) => {
+    const [cmd, ...args] = fillCommandTemplate(tokens, vars);
+    return { command: cmd, args };
+  };
+
+  return {
+    name: "command",
+    label: "Agent",
+    program: startTokens[0],
+    supportsResume: Boolean(resumeTokens),
+    startSession({ prompt, lastMessagePath, codexOptions }) {
+      return toSpec(startTokens, {
+        prompt,
+        session_id: null,
+        last_message_file: lastMessagePath,
+        cwd: codexOptions.cd,
+        model: codexOptions.model,
+      });
+    },
+    resumeSession({ sessionId, prompt, lastMessagePath, codexOptions }) {
+      return toSpec(resumeTokens, {
+        prompt,
+        session_id: sessionId,
+        last_message_file: lastMessagePath,
+        cwd: codexOptions.cd,
+        model: codexOptions.model,
+      });
+    },
+    // A session id is only worth keeping when there is a resume template to pass it to.
+    extractSessionId: resumeTokens ? extractSessionIdFromOutput : () => null,
+    extractUsage: ({ stdout }) => parseUsageFromJsonLines(stdout),
+    extractLastMessage({ lastMessagePath, stdout }) {
+      return writesLastMessage ? readFileSafe(lastMessagePath) : stdout.trim();
+    },
+  };
+}
+
+function createBackend(name = DEFAULT_BACKEND, config = {}) {
+  if (name === "codex") return createCodexBackend();
+  if (name === "command") return createCommandBackend(config);
+  throw new Error(`Unknown backend "${name}". Expected one of: ${BACKEND_NAMES.join(", ")}.`);
+}
+
+function createBackendFromState(state) {
+  const stored = state.backend || {};
+  return createBackend(stored.name || DEFAULT_BACKEND, {
+    command: stored.command,
+    resumeCommand: stored.resume_command,
+  });
+}
+
+async function runCodexIteration({
+  prompt,
+  resumeSessionId,
+  workspaceRoot,
+  lastMessagePath,
+  jsonlPath,
+  codexOptions,
+  backend = createCodexBackend(),
+  timeoutMs = null,
+  onStdout = (text) => process.stdout.write(text),
+  onStderr = (text) => process.stderr.write(text),
+}) {
+  const invocation = resumeSessionId
+    ? backend.resumeSession({ sessionId: resumeSessionId, prompt, lastMessagePath, codexOptions })
+    : backend.startSession({ prompt, lastMessagePath, codexOptions });
 
   const options = {
     cwd: workspaceRoot,
     env: process.env,
   };
 
-  const child = spawn("codex", args, options);
+  const child = spawn(invocation.command, invocation.args, options);
   currentChild = child;
 
   let stdout = "";
   let stderr = "";
   const eventsStream = jsonlPath ? fs.createWriteStream(jsonlPath) : null;
 
-  child.stdout.on("data", (data) => {
-    const text = data.toString();
+  // Decoders carry a multibyte character split across chunks over to the next one. The events
+  // file gets the raw bytes.
+  const stdoutDecoder = new StringDecoder("utf8");
+  const stderrDecoder = new StringDecoder("utf8");
+  const readStdout = (text) => {
+    if (!text) return;
     stdout += text;
-    process.stdout.write(text);
-    if (eventsStream) eventsStream.write(text);
+    onStdout(text);
+  };
+  const readStderr = (text) => {
+    if (!text) return;
+    stderr += text;
+    onStderr(text);
+  };
+
+  child.stdout.on("data", (data) => {
+    if (eventsStream) eventsStream.write(data);
+    readStdout(stdoutDecoder.write(data));
   });
 
   child.stderr.on("data", (data) => {
-    const text = data.toString();
-    stderr += text;
-    process.stderr.write(text);
+    readStderr(stderrDecoder.write(data));
   });
 
+  // Enforce the time budget mid-iteration: SIGTERM first, SIGKILL if the child lingers.
+  let timedOut = false;
+  let killTimer = null;
+  const timeoutTimer =
+    timeoutMs != null
+      ? setTimeout(() => {
+          timedOut = true;
+          child.kill("SIGTERM");
+          killTimer = setTimeout(() => child.kill("SIGKILL"), CHILD_KILL_GRACE_MS);
+        }, Math.max(timeoutMs, 0))
+      : null;
+
   let spawnError = null;
   const exitCode = await new Promise((resolve) => {
     child.on("error", (err) => {
@@ -325,8 +1078,14 @@ async function runCodexIteration({
     child.on("close", resolve);
   });
 
+  clearTimeout(timeoutTimer);
+  clearTimeout(killTimer);
+  readStdout(stdoutDecoder.end());
+  readStderr(stderrDecoder.end());
+
   if (eventsStream) {
-    eventsStream.close();
+    // Flushed before returning, so readers of the iteration's events see all of them.
+    await new Promise((resolve) => eventsStream.end(resolve));
   }
 
   currentChild = null;
@@ -335,13 +1094,19 @@ async function runCodexIteration({
     throw spawnError;
   }
 
-  const sessionIdFromJson = parseSessionIdFromJsonLines(`${stdout}\n${stderr}`);
-  const sessionIdFromText = parseSessionIdFromText(stdout) || parseSessionIdFromText(stderr);
-  const sessionId = sessionIdFromJson || sessionIdFromText || resumeSessionId || null;
+  const sessionId =
+    backend.extractSessionId({ stdout, stderr, resumeSessionId }) || resumeSessionId || null;
+  const lastMessage = backend.extractLastMessage({ lastMessagePath, stdout, stderr });
+  if (lastMessage && !fs.existsSync(lastMessagePath)) {
+    fs.writeFileSync(lastMessagePath, lastMessage);
+  }
 
   return {
     exitCode,
     sessionId,
+    lastMessage,
+    usage: backend.extractUsage({ stdout, stderr }),
+    timedOut,
     stdout,
     stderr,
   };
@@ -362,9 +1127,23 @@ function createInitialState({
   hardStopToken,
   hardStopMode,
   samePromptEachIteration,
+  verifyCommands,
+  backendConfig,
+  budgets,
+  stallConfig,
+  gitInfo,
+  worktree,
+  snapshotsDir,
+  retryConfig,
+  templates,
+  completeWhenTodoDone,
+  plan,
+  hooks,
+  webhookUrl,
   codexOptions,
 }) {
   return {
+    schema_version: STATE_SCHEMA_VERSION,
     loop_id: loopId,
     created_at: nowIso(),
     updated_at: nowIso(),
@@ -374,10 +1153,18 @@ function createInitialState({
     promise_mode: promiseMode,
     max_iterations: maxIterations,
     same_prompt_each_iteration: samePromptEachIteration,
+    verify_commands: verifyCommands || [],
+    pending_feedback: [],
     iteration: 0,
     status: "running",
+    backend: {
+      name: (backendConfig && backendConfig.name) || DEFAULT_BACKEND,
+      command: (backendConfig && backendConfig.command) || null,
+      resume_command: (backendConfig && backendConfig.resumeCommand) || null,
+    },
     codex: {
       session_id: null,
+      sessions: [],
       model: codexOptions.model || null,
       sandbox: codexOptions.sandbox || null,
       approval: codexOptions.askForApproval || null,
@@ -389,6 +1176,15 @@ function createInitialState({
           hard_stop_token: hardStopToken,
           hard_stop_mode: hardStopMode,
           paused_for_hard_stop: false,
+          complete_when_done: Boolean(completeWhenTodoDone),
+        }
+      : null,
+    git: gitInfo || null,
+    worktree: worktree
+      ? {
+          path: relToWorkspace(worktree.path, workspaceRoot),
+          cwd: relToWorkspace(worktree.cwd, workspaceRoot),
+          branch: worktree.branch,
         }
       : null,
     artifacts: {
@@ -399,13 +1195,156 @@ function createInitialState({
         ? relToWorkspace(jsonlEventsBase, workspaceRoot)
         : null,
       summary_json_path: summaryJson ? relToWorkspace(summaryJson, workspaceRoot) : null,
+      snapshots_dir: snapshotsDir ? relToWorkspace(snapshotsDir, workspaceRoot) : null,
     },
     history: [],
+    usage: emptyUsage(),
+    budgets: budgets || buildBudgets({}),
+    elapsed_ms: 0,
+    retry: retryConfig || buildRetryConfig({}),
+    templates: {
+      prompt: templates && templates.prompt ? relToWorkspace(templates.prompt, workspaceRoot) : null,
+      continue: templates && templates.continue ? relToWorkspace(templates.continue, workspaceRoot) : null,
+    },
+    stall: stallConfig && stallConfig.iterations
+      ? {
+          iterations: stallConfig.iterations,
+          similarity: stallConfig.similarity ?? DEFAULT_STALL_SIMILARITY,
+          action: stallConfig.action || DEFAULT_STALL_ACTION,
+          consecutive: 0,
+          last_fingerprint: null,
+        }
+      : null,
+    plan: plan || null,
+    hooks: hooks || emptyHooks(),
+    notify: webhookUrl ? { webhook_url: webhookUrl } : null,
     last_result: null,
     state_path: relToWorkspace(statePath, workspaceRoot),
   };
 }
 
+function readJsonSafe(filePath) {
+  try {
+    return readJson(filePath);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Keeps only the top-level fields that are valid on their own, so one bad field does not cost the
+// rest of a damaged state.
+function pickValidFields(source, label, notes) {
+  const picked = {};
+  for (const [key, value] of Object.entries(source || {})) {
+    const schema = STATE_SCHEMA.properties[key];
+    if (schema && validateAgainstSchema(value, schema).length > 0) {
+      notes.push(`Dropped invalid ${key} from ${label}`);
+      continue;
+    }
+    picked[key] = value;
+  }
+  return picked;
+}
+
+function listIterationFiles(dir, pattern) {
+  if (!dir || !fs.existsSync(dir)) return new Map();
+  const files = new Map();
+  for (const name of fs.readdirSync(dir)) {
+    const match = name.match(pattern);
+    if (match) files.set(Number(match[1]), path.join(dir, name));
+  }
+  return files;
+}
+
+// Rebuilds a usable state for `repair` from whatever survives: the state file or its backup,
+// summary.json, and the per-iteration last message and event files. Returns the state plus notes
+// describing what was recovered.
+function rebuildStateFromArtifacts({ loopId, statePath, artifactsDir, workspaceRoot, prompt }) {
+  const notes = [];
+  const previous = readJsonSafe(statePath) || readJsonSafe(backupPathFor(statePath)) || {};
+  if (Object.keys(previous).length === 0) notes.push("No readable state file or backup");
+  const summary = readJsonSafe(path.join(artifactsDir, "summary.json")) || {};
+
+  let state = migrateState({
+    loop_id: loopId,
+    workspace_root: workspaceRoot,
+    completion_promise: DEFAULT_COMPLETION_PROMISE,
+    promise_mode: DEFAULT_PROMISE_MODE,
+    max_iterations: DEFAULT_MAX_ITERATIONS,
+    iteration: 0,
+    created_at: nowIso(),
+    state_path: relToWorkspace(statePath, workspaceRoot),
+    ...pickValidFields(summary, "summary.json", notes),
+    ...pickValidFields(previous, "the state file", notes),
+    // Re-run every migration so defaults fill any field that was lost.
+    schema_version: undefined,
+  });
+  if (!state.artifacts.dir) state.artifacts.dir = relToWorkspace(artifactsDir, workspaceRoot);
+  if (prompt) state.prompt = prompt;
+  if (typeof state.prompt !== "string") {
+    throw new Error(`Could not recover the prompt for loop ${loopId}. Pass it with --prompt.`);
+  }
+
+  const lastMessages = listIterationFiles(artifactsDir, /^last_message_iter_(\d+)\.txt$/);
+  const events = listIterationFiles(artifactsDir, /^events_iter_(\d+)\.jsonl$/);
+  if (state.artifacts.jsonl_events_base) {
+    for (const iteration of lastMessages.keys()) {
+      const jsonlPath = computeJsonlPath(state.artifacts.jsonl_events_base, iteration, workspaceRoot);
+      if (fs.existsSync(jsonlPath)) events.set(iteration, jsonlPath);
+    }
+  }
+
+  const iterations = [...new Set([...lastMessages.keys(), ...events.keys()])].sort((a, b) => a - b);
+  const known = new Set(state.history.map((entry) => entry.iteration));
+  for (const iteration of iterations) {
+    if (known.has(iteration)) continue;
+    const source = lastMessages.get(iteration) || events.get(iteration);
+    state.history.push({
+      iteration,
+      finished_at: fs.statSync(source).mtime.toISOString(),
+      recovered: true,
+      last_message_path: lastMessages.has(iteration)
+        ? relToWorkspace(lastMessages.get(iteration), workspaceRoot)
+        : null,
+      jsonl_path: events.has(iteration) ? relToWorkspace(events.get(iteration), workspaceRoot) : null,
+    });
+    notes.push(`Recovered history for iteration ${iteration}`);
+  }
+  state.history.sort((a, b) => a.iteration - b.iteration);
+
+  const lastIteration = iterations.length > 0 ? iterations[iterations.length - 1] : 0;
+  if (lastIteration > state.iteration) {
+    notes.push(`Iteration set to ${lastIteration} (was ${state.iteration})`);
+    state.iteration = lastIteration;
+  }
+  state.max_iterations = Math.max(state.max_iterations, state.iteration, 1);
+  if (lastMessages.has(state.iteration)) {
+    state.artifacts.last_message_path = relToWorkspace(lastMessages.get(state.iteration), workspaceRoot);
+  }
+
+  if (!state.codex.session_id) {
+    for (const iteration of [...events.keys()].sort((a, b) => b - a)) {
+      const sessionId = parseSessionIdFromJsonLines(readFileSafe(events.get(iteration)));
+      if (sessionId) {
+        state.codex.session_id = sessionId;
+        notes.push(`Recovered session id from ${path.basename(events.get(iteration))}`);
+        break;
+      }
+    }
+  }
+  if (state.usage.total_tokens === 0 && events.size > 0) {
+    for (const eventsPath of events.values()) {
+      state.usage = addUsage(state.usage, parseUsageFromJsonLines(readFileSafe(eventsPath)));
+    }
+    if (state.usage.total_tokens > 0) notes.push("Recovered token usage from event logs");
+  }
+
+  if (!state.status || state.status === "running") {
+    state.status = "paused_repaired";
+  }
+  return { state, notes };
+}
+
 function buildCodexOptions(options, workspaceRoot, fallback = {}) {
   const sandboxFromOptions =
     options.sandbox || (options.fullAuto ? "workspace-write" : null);
@@ -432,6 +1371,7 @@ function updateSummary(summaryPath, state) {
     completion_promise: state.completion_promise,
     promise_mode: state.promise_mode,
     history: state.history,
+    usage: state.usage || null,
     workspace_root: state.workspace_root,
     artifacts: state.artifacts,
     last_result: state.last_result,
@@ -452,12 +1392,21 @@ function resolveArtifactsDir(loopId, workspaceRoot) {
   return path.resolve(workspaceRoot, ".codex/waylon-smithers/loops", loopId);
 }
 
+function resolveWorktreeDir(loopId, workspaceRoot) {
+  return path.resolve(workspaceRoot, ".codex/waylon-smithers/worktrees", loopId);
+}
+
+// Directory the agent runs in: the loop's worktree when it has one, otherwise the workspace.
+function resolveAgentRoot(state, workspaceRoot) {
+  return state.worktree ? path.resolve(workspaceRoot, state.worktree.cwd) : workspaceRoot;
+}
+
 function deleteArtifacts(artifactsDir, statePath) {
   if (fs.existsSync(artifactsDir)) {
     fs.rmSync(artifactsDir, { recursive: true, force: true });
   }
-  if (fs.existsSync(statePath)) {
-    fs.rmSync(statePath, { force: true });
+  for (const filePath of [statePath, backupPathFor(statePath)]) {
+    fs.rmSync(filePath, { force: true });
   }
 }
 
@@ -515,6 +1464,63 @@ function parseInteger(value) {
   return parsed;
 }
 
+function parseNonNegativeInteger(value) {
+  const parsed = Number(value);
+  if (value === "" || !Number.isInteger(parsed) || parsed < 0) {
+    throw new Error("Value must be a non-negative integer.");
+  }
+  return parsed;
+}
+
+function parsePositiveNumber(value) {
+  const parsed = Number(value);
+  if (value === "" || !Number.isFinite(parsed) || parsed <= 0) {
+    throw new Error("Value must be a positive number.");
+  }
+  return parsed;
+}
+
+const DURATION_UNITS_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function parseDuration(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text) && Number(text) > 0) {
+    return Number(text) * 1000;
+  }
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d)/g)];
+  const consumed = parts.map((part) => part[0]).join("");
+  const total = parts.reduce(
+    (sum, [, amount, unit]) => sum + Number(amount) * DURATION_UNITS_MS[unit],
+    0
+  );
+  if (parts.length === 0 || consumed !== text || total <= 0) {
+    throw new Error("Duration must look like 90s, 30m, 2h or 1h30m.");
+  }
+  return Math.round(total);
+}
+
+function parseRatio(value) {
+  const parsed = Number(value);
+  if (value === "" || !Number.isFinite(parsed) || parsed < 0 || parsed > 1) {
+    throw new Error("Value must be a number between 0 and 1.");
+  }
+  return parsed;
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.floor((ms || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m ${seconds}s`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+function formatTokens(count) {
+  return Number(count || 0).toLocaleString("en-US");
+}
+
 module.exports = {
   // Constants
   DEFAULT_MAX_ITERATIONS,
@@ -525,6 +1531,19 @@ module.exports = {
   DEFAULT_HARD_STOP_TOKEN,
   DEFAULT_HARD_STOP_MODE,
   DEFAULT_SAME_PROMPT_EACH_ITERATION,
+  VERIFY_OUTPUT_LIMIT,
+  DEFAULT_BACKEND,
+  BACKEND_NAMES,
+  COMMAND_TEMPLATE_VARS,
+  PRICE_TABLE_FILENAME,
+  DEFAULT_STALL_SIMILARITY,
+  DEFAULT_STALL_ACTION,
+  STALL_ACTIONS,
+  STALL_PROMPT,
+  SESSION_RECOVERY_REASONS,
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_RETRY_BACKOFF_MS,
+  MAX_RETRY_BACKOFF_MS,
 
   // Internal state management (for testing)
   _setCurrentChild,
@@ -536,34 +1555,96 @@ module.exports = {
   defaultLoopId,
   ensureDirFor,
   relToWorkspace,
+  writeFileAtomic,
   writeJson,
   readJson,
+  backupPathFor,
   loadState,
+  assertValidState,
   saveState,
   warnDangerous,
 
+  // Loop locks
+  lockPathFor,
+  isProcessAlive,
+  readLock,
+  assertLoopNotLive,
+  acquireLock,
+  releaseLock,
+  recoverCrashedState,
+
   // Prompt building
   buildPromptTemplate,
   buildContinuePrompt,
+  loadPromptTemplates,
+  parseTodoChecklist,
+  formatTodoProgress,
+  todoProgressFromState,
+  findTodoRegressions,
+  buildTodoRegressionFeedback,
+  buildSessionHandoff,
+  readRecentMessages,
+  recordSession,
 
   // Completion detection
   detectCompletion,
   checkHardStop,
   readFileSafe,
 
+  // Verification
+  runVerifyCommands,
+  buildVerificationFeedback,
+  truncateOutput,
+
   // Session ID parsing
   parseSessionIdFromText,
   parseSessionIdFromJsonLines,
 
+  // Usage and cost accounting
+  emptyUsage,
+  addUsage,
+  usageFromEvent,
+  parseUsageFromJsonLines,
+  loadPriceTable,
+  estimateCost,
+  formatCost,
+
+  // Stall detection
+  textSimilarity,
+  evaluateStall,
+
+  // Budgets
+  buildBudgets,
+  assertCostBudgetEnforceable,
+  checkBudgets,
+
+  // Retries
+  buildRetryConfig,
+  parseFailureEvents,
+  classifyFailure,
+  retryDelayMs,
+  sleep,
+
   // Path computation
   computeJsonlPath,
   resolveStatePath,
   resolveArtifactsDir,
+  resolveWorktreeDir,
+  resolveAgentRoot,
+  rebuildStateFromArtifacts,
 
   // User interaction
   promptYesNo,
   registerSigintHandler,
 
+  // Agent backends
+  createBackend,
+  createCodexBackend,
+  createCommandBackend,
+  createBackendFromState,
+  splitCommandTemplate,
+  fillCommandTemplate,
+
   // Codex execution
   runCodexIteration,
 
@@ -579,4 +1660,10 @@ module.exports = {
 
   // Parsing
   parseInteger,
+  parseNonNegativeInteger,
+  parsePositiveNumber,
+  parseDuration,
+  parseRatio,
+  formatDuration,
+  formatTokens,
 };
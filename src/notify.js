@@ -0,0 +1,128 @@
+// Outbound webhook notifications.
+//
+// When a loop reaches a status worth telling someone about, a JSON payload is POSTed to the loop's
+// webhook. Delivery is retried with backoff and every attempt has a timeout; a notification that
+// cannot be delivered is reported and never affects the loop.
+
+const http = require("http");
+const https = require("https");
+
+const NOTIFY_STATUSES = [
+  "completed",
+  "paused_hard_stop",
+  "stopped_max_iterations",
+  "paused_user_interrupt",
+];
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_RETRIES = 3;
+const WEBHOOK_BACKOFF_MS = 1000;
+// A loop that is shutting down on an interrupt makes one short attempt, so it exits well within
+// the time `stop` waits for it.
+const SHUTDOWN_WEBHOOK_OPTIONS = { timeoutMs: 5 * 1000, retries: 0 };
+const MESSAGE_EXCERPT_LIMIT = 500;
+
+function shouldNotify(status) {
+  return NOTIFY_STATUSES.includes(status) || /^error_/.test(status || "");
+}
+
+function parseWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    throw new Error(`Invalid webhook URL "${value}".`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`Webhook URL "${value}" must use http or https.`);
+  }
+  return url.toString();
+}
+
+// The end of the last message, where agents put their conclusion.
+function messageExcerpt(text, limit = MESSAGE_EXCERPT_LIMIT) {
+  const trimmed = (text || "").trim();
+  if (!trimmed) return null;
+  return trimmed.length <= limit ? trimmed : `...${trimmed.slice(-limit)}`;
+}
+
+function buildNotificationPayload(state, lastMessage) {
+  const phase = state.plan ? state.plan.phases[state.plan.current_phase] : null;
+  return {
+    event: "loop.status",
+    loop_id: state.loop_id,
+    status: state.status,
+    iteration: state.iteration,
+    max_iterations: state.max_iterations,
+    phase: phase ? phase.name : null,
+    workspace_root: state.workspace_root || null,
+    last_message_excerpt: messageExcerpt(lastMessage),
+    sent_at: new Date().toISOString(),
+  };
+}
+
+// One POST. Resolves with the response status code; rejects on network errors and timeouts.
+function postJson(url, body, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const client = url.startsWith("https:") ? https : http;
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(data),
+          "User-Agent": "waylon-smithers",
+        },
+        timeout: timeoutMs,
+      },
+      (response) => {
+        response.resume();
+        response.on("end", () => resolve(response.statusCode));
+      }
+    );
+    request.on("timeout", () => request.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    request.on("error", reject);
+    request.end(data);
+  });
+}
+
+// Delivers a payload, retrying network errors, timeouts, 429 and 5xx responses. Never throws.
+async function sendWebhook(
+  url,
+  payload,
+  { timeoutMs = WEBHOOK_TIMEOUT_MS, retries = WEBHOOK_RETRIES, backoffMs = WEBHOOK_BACKOFF_MS } = {}
+) {
+  let error = null;
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    try {
+      const statusCode = await postJson(url, payload, timeoutMs);
+      if (statusCode >= 200 && statusCode < 300) {
+        return { delivered: true, attempts: attempt, error: null };
+      }
+      error = `HTTP ${statusCode}`;
+      if (statusCode !== 429 && statusCode < 500) {
+        return { delivered: false, attempts: attempt, error };
+      }
+    } catch (err) {
+      error = err.message;
+    }
+    if (attempt <= retries) {
+      await new Promise((resolve) => setTimeout(resolve, backoffMs * 2 ** (attempt - 1)));
+    }
+  }
+  return { delivered: false, attempts: retries + 1, error };
+}
+
+module.exports = {
+  NOTIFY_STATUSES,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_RETRIES,
+  WEBHOOK_BACKOFF_MS,
+  SHUTDOWN_WEBHOOK_OPTIONS,
+  shouldNotify,
+  parseWebhookUrl,
+  messageExcerpt,
+  buildNotificationPayload,
+  sendWebhook,
+};
@@ -0,0 +1,185 @@
+// Multi-phase plan files.
+//
+// A plan is a YAML or JSON file with an optional shared `prompt` and a list of `phases`. Each
+// phase has its own prompt and may set its own completion promise, promise mode, iteration cap,
+// verify commands and a HARD STOP before the next phase starts. Keys may be written in camelCase,
+// kebab-case or snake_case.
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const PHASE_KEYS = [
+  "name",
+  "prompt",
+  "completionPromise",
+  "promiseMode",
+  "maxIterations",
+  "verifyCmd",
+  "hardStop",
+];
+const PROMISE_MODES = ["tag", "plain", "regex"];
+
+function toCamelCase(key) {
+  return key.replace(/[-_]([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function parsePlanText(text, file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === ".yaml" || ext === ".yml") {
+    try {
+      return yaml.load(text);
+    } catch (err) {
+      throw new Error(`Plan file ${file} is not valid YAML: ${err.message}`);
+    }
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Plan file ${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+function normalizePhase(raw, index, file) {
+  const where = `phases[${index}] in ${file}`;
+  if (!isPlainObject(raw)) {
+    throw new Error(`${where} must be an object.`);
+  }
+  const phase = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const name = toCamelCase(key);
+    if (!PHASE_KEYS.includes(name)) {
+      throw new Error(`Unknown key "${key}" in ${where}. Known keys: ${PHASE_KEYS.join(", ")}.`);
+    }
+    phase[name] = value;
+  }
+  if (typeof phase.prompt !== "string" || phase.prompt.trim() === "") {
+    throw new Error(`${where} needs a non-empty "prompt".`);
+  }
+  if (phase.name !== undefined && (typeof phase.name !== "string" || phase.name.trim() === "")) {
+    throw new Error(`"name" in ${where} must be a non-empty string.`);
+  }
+  if (phase.completionPromise !== undefined && typeof phase.completionPromise !== "string") {
+    throw new Error(`"completionPromise" in ${where} must be a string.`);
+  }
+  if (phase.promiseMode !== undefined && !PROMISE_MODES.includes(phase.promiseMode)) {
+    throw new Error(`"promiseMode" in ${where} must be one of: ${PROMISE_MODES.join(", ")}.`);
+  }
+  if (
+    phase.maxIterations !== undefined &&
+    !(Number.isInteger(phase.maxIterations) && phase.maxIterations > 0)
+  ) {
+    throw new Error(`"maxIterations" in ${where} must be a positive integer.`);
+  }
+  const verify = phase.verifyCmd === undefined ? undefined : [].concat(phase.verifyCmd);
+  if (verify && !verify.every((command) => typeof command === "string")) {
+    throw new Error(`"verifyCmd" in ${where} must be a command or a list of commands.`);
+  }
+  if (phase.hardStop !== undefined && typeof phase.hardStop !== "boolean") {
+    throw new Error(`"hardStop" in ${where} must be true or false.`);
+  }
+  return {
+    name: phase.name ? phase.name.trim() : `phase-${index + 1}`,
+    prompt: phase.prompt,
+    completionPromise: phase.completionPromise,
+    promiseMode: phase.promiseMode,
+    maxIterations: phase.maxIterations,
+    verifyCommands: verify,
+    hardStop: Boolean(phase.hardStop),
+  };
+}
+
+// Reads and validates a plan file. Phase settings left out are undefined so the loop's own
+// options can fill them in.
+function readPlanFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw new Error(`Cannot read plan file ${file}: ${err.message}`);
+  }
+  const plan = parsePlanText(text, file);
+  if (!isPlainObject(plan)) {
+    throw new Error(`Plan file ${file} must contain an object with a "phases" list.`);
+  }
+  if (plan.prompt !== undefined && typeof plan.prompt !== "string") {
+    throw new Error(`"prompt" in ${file} must be a string.`);
+  }
+  if (!Array.isArray(plan.phases) || plan.phases.length === 0) {
+    throw new Error(`Plan file ${file} needs a non-empty "phases" list.`);
+  }
+  const phases = plan.phases.map((phase, index) => normalizePhase(phase, index, file));
+  const seen = new Set();
+  for (const { name } of phases) {
+    if (seen.has(name)) {
+      throw new Error(`Phase name "${name}" appears more than once in ${file}.`);
+    }
+    seen.add(name);
+  }
+  return { prompt: plan.prompt || "", phases };
+}
+
+// The `plan` section of a loop's state. Phases are copied in with the loop's options as
+// defaults, so later edits to the plan file do not change a running loop.
+function createPlanState(
+  plan,
+  { path: planPath, completionPromise, promiseMode, maxIterations, verifyCommands }
+) {
+  return {
+    path: planPath,
+    current_phase: 0,
+    phases: plan.phases.map((phase) => ({
+      name: phase.name,
+      prompt: phase.prompt,
+      completion_promise: phase.completionPromise || completionPromise,
+      promise_mode: phase.promiseMode || promiseMode,
+      max_iterations: phase.maxIterations || maxIterations,
+      verify_commands: phase.verifyCommands || verifyCommands || [],
+      hard_stop: phase.hardStop,
+      status: "pending",
+      started_iteration: null,
+      last_iteration: null,
+    })),
+  };
+}
+
+// A plan's iteration budget is the sum of its phase caps.
+function planMaxIterations(plan) {
+  return plan.phases.reduce((total, phase) => total + phase.max_iterations, 0);
+}
+
+// Puts the plan back to where it stood at the end of `iteration`: phases started later are pending
+// again, and the first phase that is not completed becomes current.
+function rewindPlan(plan, iteration) {
+  for (const phase of plan.phases) {
+    if (phase.started_iteration == null) continue;
+    if (phase.started_iteration > iteration) {
+      Object.assign(phase, { status: "pending", started_iteration: null, last_iteration: null });
+    } else if (phase.last_iteration > iteration) {
+      Object.assign(phase, { status: "paused_rewound", last_iteration: iteration });
+    }
+  }
+  const current = plan.phases.findIndex((phase) => phase.status !== "completed");
+  plan.current_phase = current === -1 ? plan.phases.length : current;
+}
+
+function formatPlanProgress(plan) {
+  const completed = plan.phases.filter((phase) => phase.status === "completed").length;
+  const current = plan.phases[plan.current_phase];
+  return current
+    ? `${completed}/${plan.phases.length} phases done, current: ${current.name}`
+    : `${completed}/${plan.phases.length} phases done`;
+}
+
+module.exports = {
+  PHASE_KEYS,
+  readPlanFile,
+  createPlanState,
+  planMaxIterations,
+  rewindPlan,
+  formatPlanProgress,
+};
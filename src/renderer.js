@@ -0,0 +1,115 @@
+// Rendering of the agent's output (`--output`).
+//
+// `raw` passes the agent's stdout and stderr through untouched. `pretty` reads the JSONL event
+// stream line by line and prints one short line per command, exit code, file patch, agent message,
+// reasoning summary and error, colorized on a TTY. `quiet` prints only errors. The `--jsonl-events`
+// file is written from the raw stream whatever the mode.
+
+const { createLineSplitter, describeEvent, parseEventLine } = require("./events");
+
+const OUTPUT_MODES = ["raw", "pretty", "quiet"];
+const DEFAULT_OUTPUT_MODE = "pretty";
+
+const COLORS = {
+  bold: 1,
+  dim: 2,
+  red: 31,
+  green: 32,
+  yellow: 33,
+  cyan: 36,
+};
+
+function firstLine(text) {
+  return String(text || "").trim().split(/\r?\n/)[0] || "";
+}
+
+function useColor(stream) {
+  return Boolean(stream.isTTY) && !process.env.NO_COLOR;
+}
+
+// Formats one activity from describeEvent as output lines. Usage has no line of its own.
+function formatActivity(activity, { color = false } = {}) {
+  const paint = (name, text) => (color ? `\x1b[${COLORS[name]}m${text}\x1b[0m` : text);
+  switch (activity.kind) {
+    case "command":
+      return [`  ${paint("cyan", "$")} ${firstLine(activity.command)}`];
+    case "command_done":
+      if (activity.exit_code == null) return [];
+      return [`    ${paint(activity.exit_code === 0 ? "green" : "red", `exit ${activity.exit_code}`)}`];
+    case "files":
+      return activity.paths.map((file) => `  ${paint("yellow", "edited")} ${file}`);
+    case "message":
+      return [`  ${paint("bold", "agent:")} ${firstLine(activity.text)}`];
+    case "reasoning":
+      return [paint("dim", `  thinking: ${firstLine(activity.text)}`)];
+    case "error":
+      return [paint("red", `  error: ${activity.message}`)];
+    default:
+      return [];
+  }
+}
+
+function createEventRenderer({
+  mode = DEFAULT_OUTPUT_MODE,
+  stream = process.stdout,
+  errorStream = process.stderr,
+  color = useColor(stream),
+} = {}) {
+  if (!OUTPUT_MODES.includes(mode)) {
+    throw new Error(`Unknown output mode "${mode}". Expected one of: ${OUTPUT_MODES.join(", ")}.`);
+  }
+  let split = null;
+
+  function handleLine(line) {
+    const event = parseEventLine(line);
+    if (!event) {
+      // Output from backends that do not speak JSONL, shown as is.
+      if (mode === "pretty" && line.trim()) stream.write(`${line}\n`);
+      return;
+    }
+    for (const activity of describeEvent(event)) {
+      if (mode === "quiet" && activity.kind !== "error") continue;
+      for (const text of formatActivity(activity, { color })) stream.write(`${text}\n`);
+    }
+  }
+
+  // Each iteration gets a fresh line buffer so a cut-off line never runs into the next one.
+  function startIteration() {
+    finishIteration();
+    split = createLineSplitter(handleLine);
+  }
+
+  function write(text) {
+    if (mode === "raw") {
+      stream.write(text);
+    } else {
+      if (!split) split = createLineSplitter(handleLine);
+      split(text);
+    }
+  }
+
+  function writeError(text) {
+    if (mode !== "quiet") errorStream.write(text);
+  }
+
+  function finishIteration() {
+    if (split) split.flush();
+    split = null;
+  }
+
+  return {
+    mode,
+    startIteration,
+    write,
+    writeError,
+    finishIteration,
+  };
+}
+
+module.exports = {
+  OUTPUT_MODES,
+  DEFAULT_OUTPUT_MODE,
+  firstLine,
+  formatActivity,
+  createEventRenderer,
+};
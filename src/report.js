@@ -0,0 +1,323 @@
+// Loop reports.
+//
+// A report tells what happened in a loop: the outcome, totals and a timeline with, per iteration,
+// its duration, exit code, promise detection, tokens, files changed, commands run and TODO
+// progress. Files come from the iteration's recorded workspace changes, and commands from its JSONL
+// events. Older iterations without a change record take their files from the events or, failing
+// that, the git checkpoints. Reports render as JSON, Markdown or a self-contained HTML page.
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  estimateCost,
+  formatCost,
+  formatDuration,
+  formatTodoProgress,
+  formatTokens,
+  todoProgressFromState,
+} = require("./lib");
+const { createLineSplitter, describeEvent, parseEventLine } = require("./events");
+const { formatPlanProgress } = require("./plan");
+const { gitChangedFilesBetween } = require("./workspace");
+
+const REPORT_FORMATS = ["md", "html", "json"];
+const DEFAULT_REPORT_FORMAT = "md";
+
+// Commands (with exit codes) and files touched, read from an iteration's events file.
+function readEventActivity(eventsPath) {
+  const commands = [];
+  const files = new Set();
+  const split = createLineSplitter((line) => {
+    for (const activity of describeEvent(parseEventLine(line))) {
+      if (activity.kind === "command") {
+        commands.push({ command: activity.command, exit_code: null });
+      } else if (activity.kind === "command_done") {
+        // Older releases leave the command out of the end event; it closes the latest open one.
+        const open = [...commands]
+          .reverse()
+          .find(
+            (entry) =>
+              entry.exit_code === null && (!activity.command || entry.command === activity.command)
+          );
+        if (open) open.exit_code = activity.exit_code;
+        else commands.push({ command: activity.command, exit_code: activity.exit_code });
+      } else if (activity.kind === "files") {
+        for (const file of activity.paths) files.add(file);
+      }
+    }
+  });
+  split(fs.readFileSync(eventsPath, "utf8"));
+  split.flush();
+  return { commands, files: [...files] };
+}
+
+function promiseLabel(entry) {
+  if (!entry.detected_promise) return "no";
+  if (entry.verified === true) return "yes (verified)";
+  if (entry.verified === false) return "yes (verification failed)";
+  return "yes";
+}
+
+function buildReport(state, { workspaceRoot, priceTable = null, now = new Date() }) {
+  const history = state.history || [];
+  let previousCommit = state.git ? state.git.base_commit : null;
+  const timeline = history.map((record) => {
+    const eventsPath = record.jsonl_path ? path.resolve(workspaceRoot, record.jsonl_path) : null;
+    const activity = eventsPath && fs.existsSync(eventsPath) ? readEventActivity(eventsPath) : null;
+    let files = record.changes ? record.changes.files.map((file) => file.path) : null;
+    if (!files && activity) files = activity.files;
+    if (!files && record.commit_sha && previousCommit) {
+      files = gitChangedFilesBetween(workspaceRoot, previousCommit, record.commit_sha);
+    }
+    if (record.commit_sha) previousCommit = record.commit_sha;
+    return {
+      iteration: record.iteration,
+      phase: record.phase || null,
+      finished_at: record.finished_at || null,
+      duration_ms: record.duration_ms ?? null,
+      exit_code: record.exit_code ?? null,
+      timed_out: Boolean(record.timed_out),
+      detected_promise: Boolean(record.detected_promise),
+      verified: record.verified ?? null,
+      tokens: record.usage ? record.usage.total_tokens : null,
+      retries: (record.retries || []).length,
+      stalled: record.stalled ?? null,
+      todo: record.todo ? formatTodoProgress(record.todo) : null,
+      files_changed: files,
+      commands: activity ? activity.commands : null,
+    };
+  });
+  const allFiles = new Set();
+  for (const entry of timeline) for (const file of entry.files_changed || []) allFiles.add(file);
+  const todo = todoProgressFromState(state);
+  return {
+    loop_id: state.loop_id,
+    status: state.status,
+    prompt: state.prompt || null,
+    completion_promise: state.completion_promise || null,
+    iteration: state.iteration,
+    max_iterations: state.max_iterations,
+    created_at: state.created_at || null,
+    updated_at: state.updated_at || null,
+    duration_ms: state.elapsed_ms ?? null,
+    usage: state.usage || null,
+    estimated_cost_usd: estimateCost(state.usage, state.codex && state.codex.model, priceTable),
+    todo: todo ? formatTodoProgress(todo) : null,
+    plan: state.plan ? formatPlanProgress(state.plan) : null,
+    files_changed: [...allFiles].sort(),
+    timeline,
+    generated_at: now.toISOString(),
+  };
+}
+
+function summaryRows(report) {
+  const rows = [
+    ["Outcome", report.status],
+    ["Iterations", `${report.iteration}/${report.max_iterations}`],
+  ];
+  if (report.duration_ms != null) rows.push(["Duration", formatDuration(report.duration_ms)]);
+  if (report.usage) {
+    rows.push([
+      "Tokens",
+      `${formatTokens(report.usage.total_tokens)} (est. ${formatCost(report.estimated_cost_usd)})`,
+    ]);
+  }
+  if (report.completion_promise) rows.push(["Completion promise", report.completion_promise]);
+  if (report.todo) rows.push(["TODO", report.todo]);
+  if (report.plan) rows.push(["Plan", report.plan]);
+  rows.push(["Files changed", String(report.files_changed.length)]);
+  if (report.created_at) rows.push(["Started", report.created_at]);
+  if (report.updated_at) rows.push(["Last update", report.updated_at]);
+  return rows;
+}
+
+// One timeline row per iteration, as display strings. The phase column only appears in plans.
+function timelineTable(report) {
+  const withPhase = report.timeline.some((entry) => entry.phase);
+  const count = (list) => (list ? String(list.length) : "-");
+  const header = [
+    "#",
+    ...(withPhase ? ["Phase"] : []),
+    ...["Duration", "Exit", "Promise", "Tokens", "Files", "Commands", "TODO"],
+  ];
+  const rows = report.timeline.map((entry) => [
+    String(entry.iteration),
+    ...(withPhase ? [entry.phase || "-"] : []),
+    entry.duration_ms != null ? formatDuration(entry.duration_ms) : "-",
+    entry.timed_out ? "timed out" : entry.exit_code != null ? String(entry.exit_code) : "-",
+    promiseLabel(entry),
+    entry.tokens != null ? formatTokens(entry.tokens) : "-",
+    count(entry.files_changed),
+    count(entry.commands),
+    entry.todo || "-",
+  ]);
+  return { header, rows };
+}
+
+function hasItems(list) {
+  return Boolean(list && list.length > 0);
+}
+
+function commandLabel(command) {
+  return command.exit_code == null ? command.command : `${command.command} (exit ${command.exit_code})`;
+}
+
+function markdownCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function markdownCode(text) {
+  const oneLine = String(text).replace(/\r?\n/g, " ");
+  return oneLine.includes("`") ? `\`\` ${oneLine} \`\`` : `\`${oneLine}\``;
+}
+
+function renderMarkdown(report) {
+  const lines = [`# Loop report: ${report.loop_id}`, ""];
+  for (const [label, value] of summaryRows(report)) lines.push(`- **${label}:** ${value}`);
+  if (report.prompt) {
+    const quoted = report.prompt.trim().split(/\r?\n/).map((line) => `> ${line}`.trimEnd());
+    lines.push("", "## Prompt", "", ...quoted);
+  }
+  lines.push("", "## Timeline", "");
+  if (report.timeline.length === 0) {
+    lines.push("No iterations ran.");
+  } else {
+    const { header, rows } = timelineTable(report);
+    lines.push(`| ${header.join(" | ")} |`, `|${header.map(() => "---").join("|")}|`);
+    for (const row of rows) lines.push(`| ${row.map(markdownCell).join(" | ")} |`);
+  }
+  for (const entry of report.timeline) {
+    if (!hasItems(entry.files_changed) && !hasItems(entry.commands)) continue;
+    lines.push("", `### Iteration ${entry.iteration}`);
+    if (hasItems(entry.files_changed)) {
+      lines.push("", `Files changed: ${entry.files_changed.map(markdownCode).join(", ")}`);
+    }
+    if (hasItems(entry.commands)) {
+      lines.push("", "Commands:", "");
+      for (const command of entry.commands) lines.push(`- ${markdownCode(commandLabel(command))}`);
+    }
+  }
+  lines.push("", `_Generated ${report.generated_at} by waylon-smithers._`, "");
+  return lines.join("\n");
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const HTML_STYLE = `
+body {
+  font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif;
+  margin: 2rem auto;
+  max-width: 64rem;
+  padding: 0 1rem;
+  color: #1f2328;
+}
+h1 { font-size: 1.6rem; }
+dl { display: grid; grid-template-columns: max-content auto; gap: 0.25rem 1rem; }
+dt { font-weight: 600; }
+dd { margin: 0; }
+blockquote {
+  margin: 0;
+  padding: 0.5rem 1rem;
+  border-left: 4px solid #d0d7de;
+  color: #57606a;
+  white-space: pre-wrap;
+}
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { border: 1px solid #d0d7de; padding: 0.3rem 0.6rem; text-align: left; }
+th { background: #f6f8fa; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.85rem; }
+.failed { color: #cf222e; }
+footer { margin-top: 2rem; color: #57606a; font-size: 0.8rem; }
+`.trim();
+
+function renderHtml(report) {
+  const title = `Loop report: ${escapeHtml(report.loop_id)}`;
+  const parts = [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${title}</title>`,
+    `<style>\n${HTML_STYLE}\n</style>`,
+    "</head>",
+    "<body>",
+    `<h1>${title}</h1>`,
+    "<dl>",
+    ...summaryRows(report).map(
+      ([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`
+    ),
+    "</dl>",
+  ];
+  if (report.prompt) {
+    parts.push("<h2>Prompt</h2>", `<blockquote>${escapeHtml(report.prompt.trim())}</blockquote>`);
+  }
+  parts.push("<h2>Timeline</h2>");
+  if (report.timeline.length === 0) {
+    parts.push("<p>No iterations ran.</p>");
+  } else {
+    const { header, rows } = timelineTable(report);
+    parts.push(
+      "<table>",
+      `<thead><tr>${header.map((cell) => `<th>${escapeHtml(cell)}</th>`).join("")}</tr></thead>`,
+      "<tbody>",
+      ...rows.map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`),
+      "</tbody>",
+      "</table>"
+    );
+  }
+  for (const entry of report.timeline) {
+    if (!hasItems(entry.files_changed) && !hasItems(entry.commands)) continue;
+    parts.push(`<h3>Iteration ${entry.iteration}</h3>`);
+    if (hasItems(entry.files_changed)) {
+      const files = entry.files_changed.map((file) => `<code>${escapeHtml(file)}</code>`).join(", ");
+      parts.push(`<p>Files changed: ${files}</p>`);
+    }
+    if (hasItems(entry.commands)) {
+      parts.push(
+        "<ul>",
+        ...entry.commands.map((command) => {
+          const failed = command.exit_code != null && command.exit_code !== 0 ? ' class="failed"' : "";
+          return `<li${failed}><code>${escapeHtml(commandLabel(command))}</code></li>`;
+        }),
+        "</ul>"
+      );
+    }
+  }
+  parts.push(
+    `<footer>Generated ${escapeHtml(report.generated_at)} by waylon-smithers.</footer>`,
+    "</body>",
+    "</html>",
+    ""
+  );
+  return parts.join("\n");
+}
+
+function renderReport(report, format = DEFAULT_REPORT_FORMAT) {
+  switch (format) {
+    case "md":
+      return renderMarkdown(report);
+    case "html":
+      return renderHtml(report);
+    case "json":
+      return `${JSON.stringify(report, null, 2)}\n`;
+    default:
+      throw new Error(
+        `Unknown report format "${format}". Expected one of: ${REPORT_FORMATS.join(", ")}.`
+      );
+  }
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  DEFAULT_REPORT_FORMAT,
+  readEventActivity,
+  buildReport,
+  renderReport,
+};
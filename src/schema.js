@@ -0,0 +1,367 @@
+// State file schema, validation and forward migrations.
+//
+// The validator understands the small JSON Schema subset used below (type, enum, minimum,
+// required, properties, items) so the state format can be checked without extra dependencies.
+
+const { HOOK_EVENTS, emptyHooks } = require("./hooks");
+
+const STATE_SCHEMA_VERSION = 7;
+
+const nullableString = { type: ["string", "null"] };
+const nonNegativeInteger = { type: "integer", minimum: 0 };
+const stringArray = { type: "array", items: { type: "string" } };
+
+const STATE_SCHEMA = {
+  type: "object",
+  required: [
+    "schema_version",
+    "loop_id",
+    "workspace_root",
+    "prompt",
+    "completion_promise",
+    "promise_mode",
+    "max_iterations",
+    "iteration",
+    "status",
+    "codex",
+    "artifacts",
+    "history",
+  ],
+  properties: {
+    schema_version: { type: "integer", minimum: 1 },
+    loop_id: { type: "string" },
+    workspace_root: { type: "string" },
+    prompt: { type: "string" },
+    completion_promise: { type: "string" },
+    promise_mode: { enum: ["tag", "plain", "regex"] },
+    max_iterations: { type: "integer", minimum: 1 },
+    iteration: nonNegativeInteger,
+    status: { type: "string" },
+    same_prompt_each_iteration: { type: "boolean" },
+    verify_commands: stringArray,
+    pending_feedback: stringArray,
+    backend: {
+      type: "object",
+      required: ["name"],
+      properties: {
+        name: { enum: ["codex", "command"] },
+        command: nullableString,
+        resume_command: nullableString,
+      },
+    },
+    codex: {
+      type: "object",
+      required: ["session_id"],
+      properties: {
+        session_id: nullableString,
+        pending_handoff: nullableString,
+        sessions: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["id", "started_iteration", "last_iteration"],
+            properties: {
+              id: { type: "string" },
+              started_iteration: { type: "integer", minimum: 1 },
+              last_iteration: { type: "integer", minimum: 1 },
+              start_reason: { type: "string" },
+              end_reason: { type: "string" },
+            },
+          },
+        },
+        model: nullableString,
+        sandbox: nullableString,
+        approval: nullableString,
+        profile: nullableString,
+      },
+    },
+    todo: {
+      type: ["object", "null"],
+      required: ["path", "hard_stop_token", "hard_stop_mode"],
+      properties: {
+        path: { type: "string" },
+        hard_stop_token: { type: "string" },
+        hard_stop_mode: { enum: ["pause", "exit"] },
+        paused_for_hard_stop: { type: "boolean" },
+        complete_when_done: { type: "boolean" },
+        items: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["text", "checked"],
+            properties: { text: { type: "string" }, checked: { type: "boolean" } },
+          },
+        },
+      },
+    },
+    git: {
+      type: ["object", "null"],
+      properties: {
+        base_commit: nullableString,
+        base_branch: nullableString,
+        checkpoint_branch: nullableString,
+      },
+    },
+    worktree: {
+      type: ["object", "null"],
+      required: ["path", "cwd", "branch"],
+      properties: {
+        path: { type: "string" },
+        cwd: { type: "string" },
+        branch: { type: "string" },
+      },
+    },
+    artifacts: {
+      type: "object",
+      required: ["dir"],
+      properties: {
+        dir: { type: "string" },
+        last_message_path: nullableString,
+        jsonl_path: nullableString,
+        jsonl_events_base: nullableString,
+        summary_json_path: nullableString,
+        snapshots_dir: nullableString,
+      },
+    },
+    history: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["iteration"],
+        properties: { iteration: { type: "integer", minimum: 1 } },
+      },
+    },
+    usage: {
+      type: "object",
+      properties: {
+        input_tokens: nonNegativeInteger,
+        cached_input_tokens: nonNegativeInteger,
+        output_tokens: nonNegativeInteger,
+        total_tokens: nonNegativeInteger,
+      },
+    },
+    budgets: {
+      type: "object",
+      properties: {
+        max_tokens: { type: ["integer", "null"], minimum: 1 },
+        max_duration_ms: { type: ["number", "null"], minimum: 0 },
+        max_cost_usd: { type: ["number", "null"], minimum: 0 },
+      },
+    },
+    elapsed_ms: { type: "number", minimum: 0 },
+    retry: {
+      type: "object",
+      required: ["max_retries", "backoff_ms"],
+      properties: {
+        max_retries: nonNegativeInteger,
+        backoff_ms: { type: "number", minimum: 0 },
+      },
+    },
+    templates: {
+      type: "object",
+      properties: {
+        prompt: nullableString,
+        continue: nullableString,
+      },
+    },
+    plan: {
+      type: ["object", "null"],
+      required: ["path", "current_phase", "phases"],
+      properties: {
+        path: { type: "string" },
+        current_phase: nonNegativeInteger,
+        phases: {
+          type: "array",
+          items: {
+            type: "object",
+            required: [
+              "name",
+              "prompt",
+              "completion_promise",
+              "promise_mode",
+              "max_iterations",
+              "status",
+            ],
+            properties: {
+              name: { type: "string" },
+              prompt: { type: "string" },
+              completion_promise: { type: "string" },
+              promise_mode: { enum: ["tag", "plain", "regex"] },
+              max_iterations: { type: "integer", minimum: 1 },
+              verify_commands: stringArray,
+              hard_stop: { type: "boolean" },
+              status: { type: "string" },
+              started_iteration: { type: ["integer", "null"], minimum: 1 },
+              last_iteration: { type: ["integer", "null"], minimum: 1 },
+            },
+          },
+        },
+      },
+    },
+    hooks: {
+      type: "object",
+      properties: Object.fromEntries(HOOK_EVENTS.map((event) => [event, stringArray])),
+    },
+    notify: {
+      type: ["object", "null"],
+      required: ["webhook_url"],
+      properties: { webhook_url: { type: "string" } },
+    },
+    stall: {
+      type: ["object", "null"],
+      required: ["iterations", "similarity", "action"],
+      properties: {
+        iterations: { type: "integer", minimum: 1 },
+        similarity: { type: "number", minimum: 0 },
+        action: { enum: ["pause", "inject", "exit"] },
+        consecutive: nonNegativeInteger,
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+// Returns a list of human-readable errors such as `state.todo.path: expected string, got number`.
+function validateAgainstSchema(value, schema, location = "state") {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return [`${location}: expected ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+  }
+  if (value === null) return [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [
+      `${location}: expected one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}, ` +
+        `got ${JSON.stringify(value)}`,
+    ];
+  }
+  if (schema.minimum != null && typeof value === "number" && value < schema.minimum) {
+    return [`${location}: must be >= ${schema.minimum}, got ${value}`];
+  }
+
+  const errors = [];
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${location}.${key}: is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${location}.${key}`));
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${location}[${index}]`));
+    });
+  }
+  return errors;
+}
+
+function validateState(state) {
+  return validateAgainstSchema(state, STATE_SCHEMA);
+}
+
+// MIGRATIONS[n] upgrades a state from schema version n to n + 1. Version 0 is any state written
+// before `schema_version` existed; fields added since the first release get their defaults.
+const MIGRATIONS = {
+  0: (state) => {
+    const loopDir = state.loop_id ? `.codex/waylon-smithers/loops/${state.loop_id}` : null;
+    const artifacts = { ...(state.artifacts || {}) };
+    if (artifacts.dir === undefined && loopDir) artifacts.dir = loopDir;
+    for (const key of [
+      "last_message_path",
+      "jsonl_path",
+      "jsonl_events_base",
+      "summary_json_path",
+      "snapshots_dir",
+    ]) {
+      if (artifacts[key] === undefined) artifacts[key] = null;
+    }
+    return {
+      same_prompt_each_iteration: false,
+      verify_commands: [],
+      pending_feedback: [],
+      backend: { name: "codex", command: null, resume_command: null },
+      todo: null,
+      git: null,
+      worktree: null,
+      history: [],
+      usage: { input_tokens: 0, cached_input_tokens: 0, output_tokens: 0, total_tokens: 0 },
+      budgets: { max_tokens: null, max_duration_ms: null, max_cost_usd: null },
+      elapsed_ms: 0,
+      stall: null,
+      last_result: null,
+      ...state,
+      codex: { session_id: null, ...(state.codex || {}) },
+      artifacts,
+    };
+  },
+  1: (state) => ({
+    retry: { max_retries: 0, backoff_ms: 5000 },
+    ...state,
+  }),
+  // Session lineage: a loop that already has a session ran every iteration on it.
+  2: (state) => {
+    const codex = state.codex || {};
+    const sessionId = codex.session_id;
+    const sessions =
+      sessionId && state.iteration > 0
+        ? [{ id: sessionId, started_iteration: 1, last_iteration: state.iteration, start_reason: "start" }]
+        : [];
+    return { ...state, codex: { sessions, ...codex } };
+  },
+  3: (state) => ({
+    templates: { prompt: null, continue: null },
+    ...state,
+  }),
+  4: (state) => ({
+    plan: null,
+    ...state,
+  }),
+  5: (state) => ({
+    hooks: emptyHooks(),
+    ...state,
+  }),
+  6: (state) => ({
+    notify: null,
+    ...state,
+  }),
+};
+
+function migrateState(state) {
+  let migrated = state;
+  let version = Number.isInteger(state.schema_version) ? state.schema_version : 0;
+  if (version > STATE_SCHEMA_VERSION) {
+    throw new Error(
+      `State schema version ${version} is newer than this waylon-smithers supports ` +
+        `(${STATE_SCHEMA_VERSION}). Upgrade waylon-smithers to use this loop.`
+    );
+  }
+  while (version < STATE_SCHEMA_VERSION) {
+    migrated = { ...MIGRATIONS[version](migrated), schema_version: version + 1 };
+    version += 1;
+  }
+  return migrated;
+}
+
+module.exports = {
+  STATE_SCHEMA_VERSION,
+  STATE_SCHEMA,
+  MIGRATIONS,
+  validateAgainstSchema,
+  validateState,
+  migrateState,
+};
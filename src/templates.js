@@ -0,0 +1,175 @@
+// Prompt templates.
+//
+// `{{name}}` inserts a variable. `{{#if name}}...{{else}}...{{/if}}` renders a block when the
+// variable is set (not null, false or empty), `{{#unless name}}...{{/unless}}` when it is not, and
+// `{{#if name == "value"}}` compares the variable with a string literal. A block tag alone on its
+// line removes the whole line, so conditionals do not leave blank lines behind.
+
+const fs = require("fs");
+const path = require("path");
+
+const TEMPLATE_VARS = [
+  "loopId",
+  "iteration",
+  "maxIterations",
+  "promiseMode",
+  "completionPromise",
+  "promiseText",
+  "userPrompt",
+  "todoFile",
+  "hardStopToken",
+  "lastMessage",
+  "gitDiffStat",
+  "phaseName",
+  "phaseNumber",
+  "phaseCount",
+];
+
+const TEMPLATES_DIR = path.join(__dirname, "..", "templates");
+const DEFAULT_PROMPT_TEMPLATE = fs.readFileSync(path.join(TEMPLATES_DIR, "prompt.md"), "utf8");
+const DEFAULT_CONTINUE_TEMPLATE = fs.readFileSync(path.join(TEMPLATES_DIR, "continue.md"), "utf8");
+
+const TAG_PATTERN = /\{\{\s*(.*?)\s*\}\}/g;
+const STANDALONE_BLOCK_PATTERN =
+  /^[ \t]*(\{\{\s*(?:#(?:if|unless)\b[^}]*|\/(?:if|unless)|else)\s*\}\})[ \t]*(?:\r?\n|$)/gm;
+const CONDITION_PATTERN = /^(\w+)(?:\s*==\s*"([^"]*)")?$/;
+
+function lineAt(text, index) {
+  return text.slice(0, index).split("\n").length;
+}
+
+function parseCondition(expression, line) {
+  const match = CONDITION_PATTERN.exec(expression);
+  if (!match) {
+    throw new Error(`Invalid condition "${expression}" on line ${line}`);
+  }
+  return { name: match[1], equals: match[2] };
+}
+
+function assertKnownVariable(name, line) {
+  if (!TEMPLATE_VARS.includes(name)) {
+    throw new Error(
+      `Unknown template variable "${name}" on line ${line}. Known variables: ${TEMPLATE_VARS.join(", ")}.`
+    );
+  }
+}
+
+// Parses a template into a tree of text, variable and block nodes. Throws on unknown variables
+// and unbalanced or malformed tags, so a broken template is caught before the loop starts.
+function parseTemplate(text) {
+  const source = text.replace(STANDALONE_BLOCK_PATTERN, "$1");
+  const nodes = [];
+  // Open blocks, innermost last, with the list each one was opened in.
+  const stack = [];
+  let current = nodes;
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    if (match.index > lastIndex) {
+      current.push({ type: "text", value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+    const tag = match[1];
+    const line = lineAt(source, match.index);
+    const block = /^#(if|unless)\s+(.*)$/.exec(tag);
+
+    if (block) {
+      const condition = parseCondition(block[2].trim(), line);
+      assertKnownVariable(condition.name, line);
+      const node = {
+        type: "block",
+        keyword: block[1],
+        condition,
+        line,
+        then: [],
+        otherwise: [],
+      };
+      current.push(node);
+      stack.push({ node, outer: current });
+      current = node.then;
+    } else if (tag === "else") {
+      const open = stack[stack.length - 1];
+      if (!open || current === open.node.otherwise) {
+        throw new Error(`Unexpected {{else}} on line ${line}`);
+      }
+      current = open.node.otherwise;
+    } else if (/^\/(if|unless)$/.test(tag)) {
+      const open = stack[stack.length - 1];
+      if (!open || `/${open.node.keyword}` !== tag) {
+        throw new Error(`Unexpected {{${tag}}} on line ${line}`);
+      }
+      stack.pop();
+      current = open.outer;
+    } else if (/^\w+$/.test(tag)) {
+      assertKnownVariable(tag, line);
+      current.push({ type: "var", name: tag });
+    } else {
+      throw new Error(`Invalid template tag "${match[0]}" on line ${line}`);
+    }
+  }
+  if (stack.length > 0) {
+    const { node } = stack[stack.length - 1];
+    throw new Error(`Unclosed {{#${node.keyword}}} opened on line ${node.line}`);
+  }
+  if (lastIndex < source.length) {
+    current.push({ type: "text", value: source.slice(lastIndex) });
+  }
+  return nodes;
+}
+
+function isSet(value) {
+  return value != null && value !== false && value !== "";
+}
+
+function evaluate(condition, variables) {
+  const value = variables[condition.name];
+  if (condition.equals !== undefined) return isSet(value) && String(value) === condition.equals;
+  return isSet(value);
+}
+
+function renderNodes(nodes, variables) {
+  let output = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output += node.value;
+    } else if (node.type === "var") {
+      const value = variables[node.name];
+      output += isSet(value) ? String(value) : "";
+    } else {
+      const truthy = evaluate(node.condition, variables);
+      const branch = (node.keyword === "if") === truthy ? node.then : node.otherwise;
+      output += renderNodes(branch, variables);
+    }
+  }
+  return output;
+}
+
+function renderTemplate(text, variables) {
+  return renderNodes(parseTemplate(text), variables).trimEnd();
+}
+
+// Names of the variables a template reads, so expensive ones are only computed when used.
+function templateVariables(text) {
+  const names = new Set();
+  const collect = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === "var") names.add(node.name);
+      if (node.type === "block") {
+        names.add(node.condition.name);
+        collect(node.then);
+        collect(node.otherwise);
+      }
+    }
+  };
+  collect(parseTemplate(text));
+  return names;
+}
+
+module.exports = {
+  TEMPLATE_VARS,
+  DEFAULT_PROMPT_TEMPLATE,
+  DEFAULT_CONTINUE_TEMPLATE,
+  parseTemplate,
+  renderTemplate,
+  templateVariables,
+};
@@ -0,0 +1,470 @@
+const { execFileSync } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Wrapper-managed files change every iteration and must never count as workspace changes.
+const IGNORED_DIRS = new Set([".git", "node_modules"]);
+const WRAPPER_DIR = path.join(".codex", "waylon-smithers");
+const WRAPPER_PATHSPEC = ":(exclude).codex/waylon-smithers";
+const CHECKPOINT_EXCERPT_LIMIT = 500;
+// Used only when the repository has no identity configured, so checkpoints never fail on it.
+const FALLBACK_IDENTITY = [
+  "-c",
+  "user.name=waylon-smithers",
+  "-c",
+  "user.email=waylon-smithers@localhost",
+];
+
+function findGitRoot(startDir) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    if (fs.existsSync(path.join(dir, ".git"))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function runGit(args, cwd, env = process.env) {
+  return execFileSync("git", args, {
+    cwd,
+    env,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"],
+    maxBuffer: 64 * 1024 * 1024,
+  });
+}
+
+function hashContent(content) {
+  return crypto.createHash("sha1").update(content).digest("hex");
+}
+
+function hashFile(filePath) {
+  try {
+    return hashContent(fs.readFileSync(filePath));
+  } catch (err) {
+    return null;
+  }
+}
+
+function isWrapperPath(relPath) {
+  return relPath === WRAPPER_DIR || relPath.startsWith(`${WRAPPER_DIR}${path.sep}`);
+}
+
+// Maps every workspace file (relative path) to a content hash. Used when the workspace is not a
+// git repository. `exclude` lists extra absolute paths to skip, such as a custom artifacts dir.
+function buildFileManifest(workspaceRoot, { exclude = [] } = {}) {
+  const manifest = {};
+  const excluded = new Set(exclude.map((p) => path.resolve(p)));
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const absPath = path.join(dir, entry.name);
+      const relPath = path.relative(workspaceRoot, absPath);
+      if (isWrapperPath(relPath) || excluded.has(absPath)) continue;
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name)) walk(absPath);
+      } else if (entry.isFile()) {
+        manifest[relPath] = hashFile(absPath);
+      }
+    }
+  };
+  walk(workspaceRoot);
+  return manifest;
+}
+
+function gitChangedPaths(workspaceRoot) {
+  const output = runGit(
+    ["status", "--porcelain=v1", "-z", "--untracked-files=all", "--", "."],
+    workspaceRoot
+  );
+  const paths = [];
+  const entries = output.split("\0").filter(Boolean);
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    paths.push({ status: entry.slice(0, 2), path: entry.slice(3) });
+    // Renames and copies carry the original path as an extra NUL-separated entry.
+    if (entry[0] === "R" || entry[0] === "C") i++;
+  }
+  return paths;
+}
+
+// A cheap fingerprint of the workspace contents. In a git repository it covers HEAD plus every
+// changed or untracked file; otherwise it hashes a manifest of all files.
+function computeWorkspaceFingerprint(workspaceRoot) {
+  const gitRoot = findGitRoot(workspaceRoot);
+  if (!gitRoot) {
+    return hashContent(JSON.stringify(buildFileManifest(workspaceRoot)));
+  }
+  let head = "";
+  try {
+    head = runGit(["rev-parse", "HEAD"], workspaceRoot).trim();
+  } catch (err) {
+    // No commits yet
+  }
+  const parts = [head];
+  for (const change of gitChangedPaths(workspaceRoot)) {
+    const absPath = path.join(gitRoot, change.path);
+    if (isWrapperPath(path.relative(workspaceRoot, absPath))) continue;
+    parts.push(`${change.status} ${change.path} ${hashFile(absPath)}`);
+  }
+  return hashContent(parts.join("\n"));
+}
+
+function getHeadCommit(cwd) {
+  try {
+    return runGit(["rev-parse", "--verify", "-q", "HEAD"], cwd).trim() || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Summary of changes since `baseCommit` (or HEAD), including uncommitted work. Null outside git or
+// when nothing changed.
+function gitDiffStat(cwd, baseCommit) {
+  try {
+    return runGit(["diff", "--stat", baseCommit || "HEAD", "--", ".", WRAPPER_PATHSPEC], cwd).trim() || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Paths changed between two commits, outside the wrapper's own files. Null when git cannot tell.
+function gitChangedFilesBetween(cwd, fromCommit, toCommit) {
+  try {
+    const output = runGit(["diff", "--name-only", fromCommit, toCommit, "--", ".", WRAPPER_PATHSPEC], cwd);
+    return output.split("\n").filter(Boolean);
+  } catch (err) {
+    return null;
+  }
+}
+
+function getCurrentBranch(cwd) {
+  try {
+    return runGit(["symbolic-ref", "--short", "-q", "HEAD"], cwd).trim() || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function branchExists(cwd, branch) {
+  try {
+    runGit(["rev-parse", "--verify", "-q", `refs/heads/${branch}`], cwd);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function checkpointBranchName(loopId) {
+  return `waylon/${loopId}`;
+}
+
+// Switches to the loop's checkpoint branch, creating it from HEAD the first time. Uncommitted
+// changes are carried over.
+function ensureBranch(cwd, branch) {
+  if (getCurrentBranch(cwd) === branch) return;
+  if (branchExists(cwd, branch)) {
+    runGit(["checkout", "-q", branch], cwd);
+  } else {
+    runGit(["checkout", "-q", "-b", branch], cwd);
+  }
+}
+
+// Checks out `branch` in a new linked worktree at `worktreePath`, creating the branch from HEAD
+// when it does not exist yet. Uncommitted changes in the main working tree are not carried over.
+function addWorktree(cwd, worktreePath, branch) {
+  fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+  if (branchExists(cwd, branch)) {
+    runGit(["worktree", "add", "-q", worktreePath, branch], cwd);
+  } else {
+    runGit(["worktree", "add", "-q", "-b", branch, worktreePath, "HEAD"], cwd);
+  }
+}
+
+// Removes a linked worktree, discarding any uncommitted changes in it. The branch is kept. A
+// worktree directory that was already deleted by hand is pruned from git's bookkeeping instead.
+function removeWorktree(cwd, worktreePath) {
+  if (fs.existsSync(worktreePath)) {
+    runGit(["worktree", "remove", "--force", worktreePath], cwd);
+  } else {
+    runGit(["worktree", "prune"], cwd);
+  }
+}
+
+function identityArgs(cwd) {
+  try {
+    runGit(["config", "user.email"], cwd);
+    return [];
+  } catch (err) {
+    return FALLBACK_IDENTITY;
+  }
+}
+
+function buildCheckpointMessage(loopId, iteration, lastMessage) {
+  const excerpt = (lastMessage || "").replace(/\s+/g, " ").trim();
+  const body =
+    excerpt.length > CHECKPOINT_EXCERPT_LIMIT
+      ? `${excerpt.slice(0, CHECKPOINT_EXCERPT_LIMIT)}...`
+      : excerpt || "(no last message)";
+  return `waylon-smithers: ${loopId} iteration ${iteration}\n\n${body}`;
+}
+
+function wrapperDirIgnored(cwd) {
+  try {
+    runGit(["check-ignore", "-q", WRAPPER_DIR], cwd);
+    return true;
+  } catch (err) {
+    if (err.status === 1) return false;
+    throw err;
+  }
+}
+
+// Pathspecs for `git add` that stage the workspace without wrapper-managed files. `add` fails when
+// a pathspec names an ignored path, so the exclude is left out when .gitignore already skips them.
+function stagePathspecs(cwd) {
+  return wrapperDirIgnored(cwd) ? ["."] : [".", WRAPPER_PATHSPEC];
+}
+
+// Commits every workspace change except wrapper-managed files. Returns the resulting HEAD and
+// whether a new commit was made (nothing is committed when the workspace is clean).
+function commitCheckpoint(cwd, message) {
+  runGit(["add", "-A", "--", ...stagePathspecs(cwd)], cwd);
+  const staged = runGit(["diff", "--cached", "--name-only"], cwd).trim();
+  if (!staged) {
+    return { sha: getHeadCommit(cwd), created: false };
+  }
+  runGit([...identityArgs(cwd), "commit", "-q", "--no-verify", "-m", message], cwd);
+  return { sha: getHeadCommit(cwd), created: true };
+}
+
+// Restores tracked and untracked files to a checkpoint commit. Ignored files and wrapper state
+// are left alone. `clean` removes an untracked `.codex` as a whole unless an exclude pattern keeps
+// the wrapper dir; those patterns are rooted at the top of the repository, so the workspace's
+// prefix is spelled out for a workspace in a subdirectory.
+function resetToCommit(cwd, sha) {
+  runGit(["reset", "-q", "--hard", sha], cwd);
+  const prefix = runGit(["rev-parse", "--show-prefix"], cwd).trim();
+  runGit(["clean", "-fdq", "-e", `/${prefix}${WRAPPER_DIR}`, "--", "."], cwd);
+}
+
+function snapshotManifestPath(snapshotsDir, iteration) {
+  return path.join(snapshotsDir, `iter_${iteration}.json`);
+}
+
+// Content-addressed file snapshot for workspaces outside git: each distinct file content is stored
+// once under objects/, and every iteration gets a manifest mapping paths to content hashes.
+function createFileSnapshot(workspaceRoot, snapshotsDir, iteration) {
+  const manifest = buildFileManifest(workspaceRoot, { exclude: [snapshotsDir] });
+  const objectsDir = path.join(snapshotsDir, "objects");
+  fs.mkdirSync(objectsDir, { recursive: true });
+  for (const [relPath, hash] of Object.entries(manifest)) {
+    if (!hash) continue;
+    const objectPath = path.join(objectsDir, hash);
+    if (!fs.existsSync(objectPath)) {
+      fs.copyFileSync(path.join(workspaceRoot, relPath), objectPath);
+    }
+  }
+  const manifestPath = snapshotManifestPath(snapshotsDir, iteration);
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  return manifestPath;
+}
+
+function readSnapshotManifest(snapshotsDir, iteration) {
+  const manifestPath = snapshotManifestPath(snapshotsDir, iteration);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No file snapshot for iteration ${iteration} at ${manifestPath}`);
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+function restoreFileSnapshot(workspaceRoot, snapshotsDir, iteration) {
+  const target = readSnapshotManifest(snapshotsDir, iteration);
+  const current = buildFileManifest(workspaceRoot, { exclude: [snapshotsDir] });
+  const objectsDir = path.join(snapshotsDir, "objects");
+
+  for (const relPath of Object.keys(current)) {
+    if (!(relPath in target)) {
+      fs.rmSync(path.join(workspaceRoot, relPath), { force: true });
+    }
+  }
+  for (const [relPath, hash] of Object.entries(target)) {
+    if (!hash || current[relPath] === hash) continue;
+    const absPath = path.join(workspaceRoot, relPath);
+    fs.mkdirSync(path.dirname(absPath), { recursive: true });
+    fs.copyFileSync(path.join(objectsDir, hash), absPath);
+  }
+}
+
+// Ref that keeps one end of an iteration's recorded changes alive: `before` or `after`.
+function changesRef(loopId, iteration, end) {
+  return `refs/waylon/${loopId}/${iteration}/${end}`;
+}
+
+// Records the whole working state (tracked, changed and untracked files, minus ignored and
+// wrapper-managed ones) as a git tree without touching the index, HEAD or any branch. A copy of the
+// real index keeps git's stat cache, so only changed files are hashed. A tree nothing points to is
+// removed by `git gc`, so with `ref` the tree is wrapped in a commit that the ref holds on to.
+function gitWorkspaceTree(cwd, ref = null) {
+  const indexPath = path.join(os.tmpdir(), `waylon-index-${process.pid}-${crypto.randomUUID()}`);
+  let tree;
+  try {
+    const realIndex = path.resolve(cwd, runGit(["rev-parse", "--git-path", "index"], cwd).trim());
+    if (fs.existsSync(realIndex)) fs.copyFileSync(realIndex, indexPath);
+    const env = { ...process.env, GIT_INDEX_FILE: indexPath };
+    runGit(["add", "-A", "--", ...stagePathspecs(cwd)], cwd, env);
+    tree = runGit(["write-tree"], cwd, env).trim();
+  } finally {
+    fs.rmSync(indexPath, { force: true });
+  }
+  if (ref) {
+    const commit = runGit([...identityArgs(cwd), "commit-tree", tree, "-m", ref], cwd).trim();
+    runGit(["update-ref", ref, commit], cwd);
+  }
+  return tree;
+}
+
+// Deletes the refs that keep a loop's recorded changes alive.
+function deleteChangesRefs(cwd, loopId) {
+  const refs = runGit(["for-each-ref", "--format=%(refname)", `refs/waylon/${loopId}/`], cwd);
+  for (const ref of refs.split("\n").filter(Boolean)) {
+    runGit(["update-ref", "-d", ref], cwd);
+  }
+}
+
+const CHANGE_STATUSES = { A: "added", D: "deleted" };
+
+// `git diff --numstat` counts; binary files have no line counts.
+function parseNumstat(additions, deletions) {
+  const count = (value) => (value === "-" ? null : Number(value));
+  return { additions: count(additions), deletions: count(deletions) };
+}
+
+// Added, modified and deleted files between two trees or commits, relative to `cwd`.
+function gitFileChanges(cwd, from, to) {
+  const args = ["diff", "--no-renames", "--relative", "-z"];
+  const statuses = runGit([...args, "--name-status", from, to, "--", ".", WRAPPER_PATHSPEC], cwd)
+    .split("\0")
+    .filter(Boolean);
+  const counts = new Map();
+  const numstat = runGit([...args, "--numstat", from, to, "--", ".", WRAPPER_PATHSPEC], cwd);
+  for (const entry of numstat.split("\0").filter(Boolean)) {
+    const [additions, deletions, file] = entry.split("\t");
+    counts.set(file, parseNumstat(additions, deletions));
+  }
+  const files = [];
+  for (let i = 0; i < statuses.length; i += 2) {
+    const file = statuses[i + 1];
+    files.push({
+      path: file,
+      status: CHANGE_STATUSES[statuses[i]] || "modified",
+      ...(counts.get(file) || { additions: null, deletions: null }),
+    });
+  }
+  return files;
+}
+
+function gitPatch(cwd, from, to) {
+  return runGit(["diff", "--no-renames", "--relative", from, to, "--", ".", WRAPPER_PATHSPEC], cwd);
+}
+
+// `git diff --no-index` exits 1 when the files differ; that is its normal answer.
+function diffNoIndex(args, cwd) {
+  try {
+    return runGit(["diff", "--no-index", ...args], cwd);
+  } catch (err) {
+    if (err.status === 1) return err.stdout;
+    throw err;
+  }
+}
+
+// Files that differ between two snapshot manifests, with the stored object for each side (null
+// when the file is absent on that side).
+function snapshotDelta(snapshotsDir, fromIteration, toIteration) {
+  const before = readSnapshotManifest(snapshotsDir, fromIteration);
+  const after = readSnapshotManifest(snapshotsDir, toIteration);
+  const objectPath = (hash) => (hash ? path.join(snapshotsDir, "objects", hash) : null);
+  const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return paths
+    .filter((file) => before[file] !== after[file])
+    .map((file) => ({
+      path: file.split(path.sep).join("/"),
+      status: !(file in before) ? "added" : !(file in after) ? "deleted" : "modified",
+      left: objectPath(before[file]),
+      right: objectPath(after[file]),
+    }));
+}
+
+// Like gitFileChanges, for workspaces outside git. Line counts come from `git diff --no-index`
+// and are null when git is not available.
+function snapshotFileChanges(snapshotsDir, fromIteration, toIteration) {
+  return snapshotDelta(snapshotsDir, fromIteration, toIteration).map((change) => {
+    let counts = { additions: null, deletions: null };
+    try {
+      const numstat = diffNoIndex(
+        ["--numstat", change.left || "/dev/null", change.right || "/dev/null"],
+        snapshotsDir
+      );
+      const [additions, deletions] = numstat.split("\t");
+      if (numstat) counts = parseNumstat(additions, deletions);
+    } catch (err) {
+      // No git to count lines with
+    }
+    return { path: change.path, status: change.status, ...counts };
+  });
+}
+
+// A unified patch between two snapshots, with the object paths replaced by the workspace paths.
+function snapshotPatch(snapshotsDir, fromIteration, toIteration) {
+  const patches = snapshotDelta(snapshotsDir, fromIteration, toIteration).map((change) => {
+    const left = change.left ? `a/${change.path}` : "/dev/null";
+    const right = change.right ? `b/${change.path}` : "/dev/null";
+    const lines = diffNoIndex([change.left || "/dev/null", change.right || "/dev/null"], snapshotsDir)
+      .split("\n");
+    let inHeader = true;
+    return lines
+      .map((line) => {
+        if (!inHeader) return line;
+        if (line.startsWith("@@")) inHeader = false;
+        if (line.startsWith("diff --git ")) return `diff --git a/${change.path} b/${change.path}`;
+        if (line.startsWith("--- ")) return `--- ${left}`;
+        if (line.startsWith("+++ ")) return `+++ ${right}`;
+        if (line.startsWith("Binary files ")) return `Binary files ${left} and ${right} differ`;
+        return line;
+      })
+      .join("\n");
+  });
+  return patches.join("");
+}
+
+module.exports = {
+  findGitRoot,
+  runGit,
+  hashContent,
+  buildFileManifest,
+  gitChangedPaths,
+  computeWorkspaceFingerprint,
+  getHeadCommit,
+  gitDiffStat,
+  gitChangedFilesBetween,
+  getCurrentBranch,
+  branchExists,
+  checkpointBranchName,
+  ensureBranch,
+  addWorktree,
+  removeWorktree,
+  buildCheckpointMessage,
+  commitCheckpoint,
+  resetToCommit,
+  snapshotManifestPath,
+  createFileSnapshot,
+  restoreFileSnapshot,
+  changesRef,
+  gitWorkspaceTree,
+  deleteChangesRefs,
+  gitFileChanges,
+  gitPatch,
+  snapshotFileChanges,
+  snapshotPatch,
+};
@@ -39,7 +39,7 @@ describe("cli.js", () => {
       const statePath = path.join(loopsDir, `${loopId}.json`);
       const state = {
         loop_id: loopId,
-        status: "running",
+        status: "paused_max_iterations",
         iteration: 3,
         max_iterations: 10,
       };
@@ -50,7 +50,50 @@ describe("cli.js", () => {
       expect(logs.length).toBe(1);
       const outputState = JSON.parse(logs[0]);
       expect(outputState.loop_id).toBe(loopId);
-      expect(outputState.status).toBe("running");
+      expect(outputState.status).toBe("paused_max_iterations");
+    });
+  });
+
+  describe("handleStatus with lock", () => {
+    test("reports whether the loop is live", () => {
+      const loopId = "locked-loop";
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      lib.writeJson(statePath, { loop_id: loopId, status: "paused_max_iterations" });
+
+      cli.handleStatus({ loopId, cd: tmpDir });
+      expect(JSON.parse(logs[0]).lock).toBeNull();
+
+      lib.writeJson(lib.lockPathFor(statePath), {
+        pid: process.ppid,
+        hostname: os.hostname(),
+        started_at: "2024-01-01T00:00:00.000Z",
+      });
+      cli.handleStatus({ loopId, cd: tmpDir });
+      expect(JSON.parse(logs[1]).lock).toMatchObject({ pid: process.ppid, live: true });
+    });
+  });
+
+  describe("handleStatus with price table", () => {
+    test("adds estimated cost when a price table exists", () => {
+      const loopId = "priced-loop";
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      fs.mkdirSync(loopsDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(loopsDir, `${loopId}.json`),
+        JSON.stringify({
+          loop_id: loopId,
+          status: "running",
+          codex: { model: "gpt-5" },
+          usage: { input_tokens: 1000000, cached_input_tokens: 0, output_tokens: 0, total_tokens: 1000000 },
+        })
+      );
+      lib.writeJson(path.join(tmpDir, ".codex/waylon-smithers/prices.json"), {
+        "gpt-5": { input_per_million: 1.25, output_per_million: 10 },
+      });
+
+      cli.handleStatus({ loopId, cd: tmpDir });
+
+      expect(JSON.parse(logs[0]).estimated_cost_usd).toBe(1.25);
     });
   });
 
@@ -95,9 +138,16 @@ describe("cli.js", () => {
       fs.writeFileSync(path.join(loopsDir, "loop-1.json"), JSON.stringify(state1));
       fs.writeFileSync(path.join(loopsDir, "loop-2.json"), JSON.stringify(state2));
 
+      lib.writeJson(path.join(tmpDir, ".codex/waylon-smithers/prices.json"), {
+        default: { input_per_million: 2, output_per_million: 8 },
+      });
+      state1.usage = { input_tokens: 500000, cached_input_tokens: 0, output_tokens: 0, total_tokens: 500000 };
+      fs.writeFileSync(path.join(loopsDir, "loop-1.json"), JSON.stringify(state1));
+
       cli.handleList({ cd: tmpDir, json: false });
 
       const output = logs.join("\n");
+      expect(output).toContain("Tokens: 500000 (est. $1.00)");
       expect(output).toContain("Loops in this workspace:");
       expect(output).toContain("loop-1");
       expect(output).toContain("loop-2 [ralph]");
@@ -127,6 +177,46 @@ describe("cli.js", () => {
       expect(output[0].loop_id).toBe("json-loop");
     });
 
+    test("shows which loops are live", () => {
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      const base = { iteration: 1, max_iterations: 5, completion_promise: "DONE" };
+      lib.writeJson(path.join(loopsDir, "live.json"), {
+        ...base,
+        loop_id: "live",
+        status: "running",
+        updated_at: "2024-01-02T00:00:00.000Z",
+      });
+      lib.writeJson(path.join(loopsDir, "live.json.lock"), {
+        pid: process.ppid,
+        hostname: os.hostname(),
+        started_at: "2024-01-02T00:00:00.000Z",
+      });
+      lib.writeJson(path.join(loopsDir, "stale.json"), {
+        ...base,
+        loop_id: "stale",
+        status: "running",
+        updated_at: "2024-01-01T00:00:00.000Z",
+      });
+      lib.writeJson(path.join(loopsDir, "stale.json.lock"), {
+        pid: 2 ** 30,
+        hostname: os.hostname(),
+        started_at: "2024-01-01T00:00:00.000Z",
+      });
+
+      cli.handleList({ cd: tmpDir, json: true });
+      const output = JSON.parse(logs[0]);
+      expect(output.map((loop) => [loop.loop_id, loop.live])).toEqual([
+        ["live", true],
+        ["stale", false],
+      ]);
+      expect(output[0].pid).toBe(process.ppid);
+
+      cli.handleList({ cd: tmpDir });
+      const text = logs.join("\n");
+      expect(text).toContain(`Status: running (live, pid ${process.ppid})`);
+      expect(text).toMatch(/stale\n    Status: running\n/);
+    });
+
     test("skips malformed state files", () => {
       const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
       fs.mkdirSync(loopsDir, { recursive: true });
@@ -159,6 +249,243 @@ describe("cli.js", () => {
     });
   });
 
+  describe("handleLogs", () => {
+    const loopId = "logs-loop";
+    let statePath;
+    let originalStdout;
+    let written;
+
+    function record(iteration, extra = {}) {
+      const messagePath = `.codex/waylon-smithers/loops/${loopId}/last_message_iter_${iteration}.txt`;
+      fs.mkdirSync(path.dirname(path.join(tmpDir, messagePath)), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, messagePath), `Message ${iteration}\n`);
+      return { iteration, exit_code: 0, duration_ms: 65000, last_message_path: messagePath, ...extra };
+    }
+
+    function writeState(history, status = "running") {
+      lib.writeJson(statePath, { loop_id: loopId, status, workspace_root: tmpDir, history });
+    }
+
+    beforeEach(() => {
+      statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      originalStdout = process.stdout.write;
+      written = "";
+      process.stdout.write = jest.fn((text) => {
+        written += text;
+      });
+    });
+
+    afterEach(() => {
+      process.stdout.write = originalStdout;
+    });
+
+    test("prints every iteration's last message", async () => {
+      writeState([record(1, { phase: "build", finished_at: "2024-01-01T00:00:00.000Z" }), record(2)]);
+      fs.rmSync(path.join(tmpDir, `.codex/waylon-smithers/loops/${loopId}/last_message_iter_2.txt`));
+
+      await cli.handleLogs({ loopId, cd: tmpDir });
+
+      expect(logs).toEqual([
+        "\n=== Iteration 1 (phase build, exit 0, 1m 5s, finished 2024-01-01T00:00:00.000Z) ===",
+        "Message 1",
+        "\n=== Iteration 2 (exit 0, 1m 5s) ===",
+        "(no last message)",
+      ]);
+    });
+
+    test("renders one iteration's events", async () => {
+      const eventsPath = path.join(tmpDir, "events_iter_2.jsonl");
+      fs.writeFileSync(
+        eventsPath,
+        `${JSON.stringify({ type: "item.started", item: { type: "command_execution", command: "npm test" } })}\n`
+      );
+      writeState([record(1), record(2, { jsonl_path: "events_iter_2.jsonl" })]);
+
+      await cli.handleLogs({ loopId, cd: tmpDir, iteration: 2, events: true });
+      expect(logs).toEqual(["\n=== Iteration 2 (exit 0, 1m 5s) ===", "Last message:", "Message 2"]);
+      expect(written).toBe("  $ npm test\n");
+
+      logs.length = 0;
+      await cli.handleLogs({ loopId, cd: tmpDir, iteration: 1, events: true });
+      expect(logs[1]).toBe("(no events recorded; start the loop with --jsonl-events to keep them)");
+
+      await expect(cli.handleLogs({ loopId, cd: tmpDir, iteration: 3 })).rejects.toThrow(
+        "Loop logs-loop has no logs for iteration 3."
+      );
+      await expect(cli.handleLogs({ loopId, cd: tmpDir, iteration: 1, follow: true })).rejects.toThrow(
+        "--follow cannot be combined with --iteration."
+      );
+    });
+
+    test("reports a loop without iterations", async () => {
+      writeState([]);
+      await cli.handleLogs({ loopId, cd: tmpDir });
+      expect(logs).toEqual(["Loop logs-loop has no iterations yet."]);
+    });
+
+    test("follows a running loop until its lock is released", async () => {
+      writeState([record(1)]);
+      lib.writeJson(lib.lockPathFor(statePath), { pid: process.pid, hostname: os.hostname() });
+
+      const following = cli.handleLogs({ loopId, cd: tmpDir, follow: true }, { pollMs: 10 });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      writeState([record(1), record(2)], "completed");
+      fs.rmSync(lib.lockPathFor(statePath));
+      await following;
+
+      expect(logs).toEqual([
+        "\n=== Iteration 1 (exit 0, 1m 5s) ===",
+        "Message 1",
+        "\nFollowing loop logs-loop. Press Ctrl-C to stop.",
+        "\n=== Iteration 2 (exit 0, 1m 5s) ===",
+        "Message 2",
+        "Loop logs-loop is not running (status: completed).",
+      ]);
+    });
+  });
+
+  describe("background loops", () => {
+    const loopId = "bg-loop";
+    const artifactsDir = `.codex/waylon-smithers/loops/${loopId}`;
+    let statePath;
+    let logPath;
+    let originalStdout;
+    let written;
+
+    function writeState(status) {
+      lib.writeJson(statePath, {
+        loop_id: loopId,
+        status,
+        workspace_root: tmpDir,
+        artifacts: { dir: artifactsDir },
+        history: [],
+      });
+    }
+
+    const lock = (extra = {}) =>
+      lib.writeJson(lib.lockPathFor(statePath), { pid: process.pid, hostname: os.hostname(), ...extra });
+
+    beforeEach(() => {
+      statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      logPath = path.join(tmpDir, artifactsDir, "loop.log");
+      originalStdout = process.stdout.write;
+      written = "";
+      process.stdout.write = jest.fn((text) => {
+        written += text;
+      });
+    });
+
+    afterEach(() => {
+      process.stdout.write = originalStdout;
+      jest.restoreAllMocks();
+    });
+
+    test("attach streams the log until the loop stops", async () => {
+      writeState("running");
+      lock();
+      fs.mkdirSync(path.dirname(logPath), { recursive: true });
+      fs.writeFileSync(logPath, "iteration 1\n");
+
+      const attaching = cli.handleAttach({ loopId, cd: tmpDir }, { pollMs: 10 });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      fs.appendFileSync(logPath, "iteration 2\n");
+      writeState("completed");
+      fs.rmSync(lib.lockPathFor(statePath));
+      await attaching;
+
+      expect(written).toBe("iteration 1\niteration 2\n");
+      expect(logs).toEqual([
+        "\nAttached to loop bg-loop. Press Ctrl-C to detach; the loop keeps running.",
+        "\nLoop bg-loop is not running (status: completed).",
+      ]);
+    });
+
+    test("attach prints the log of a finished loop and needs one", async () => {
+      writeState("paused_user_interrupt");
+      await expect(cli.handleAttach({ loopId, cd: tmpDir })).rejects.toThrow(
+        `Loop bg-loop has no background output at ${logPath}. Start or resume it with --detach.`
+      );
+
+      fs.mkdirSync(path.dirname(logPath), { recursive: true });
+      fs.writeFileSync(logPath, "done\n");
+      await cli.handleAttach({ loopId, cd: tmpDir });
+      expect(written).toBe("done\n");
+      expect(logs).toEqual(["\nLoop bg-loop is not running (status: paused_user_interrupt)."]);
+    });
+
+    test("stop interrupts the loop and waits for it to save its state", async () => {
+      writeState("running");
+      lock();
+      const kill = jest.spyOn(process, "kill").mockImplementation((pid, signal) => {
+        if (signal === "SIGINT") {
+          writeState("paused_user_interrupt");
+          fs.rmSync(lib.lockPathFor(statePath));
+        }
+        return true;
+      });
+
+      await cli.handleStop({ loopId, cd: tmpDir }, { pollMs: 10 });
+
+      expect(kill).toHaveBeenCalledWith(process.pid, "SIGINT");
+      expect(logs).toEqual([
+        `Interrupted loop bg-loop (pid ${process.pid}). Waiting for it to save its state...`,
+        "Loop bg-loop stopped (status: paused_user_interrupt).",
+      ]);
+    });
+
+    test("stop refuses loops it cannot interrupt", async () => {
+      writeState("paused_user_interrupt");
+      await expect(cli.handleStop({ loopId, cd: tmpDir })).rejects.toThrow("Loop bg-loop is not running.");
+
+      lock({ hostname: "elsewhere" });
+      await expect(cli.handleStop({ loopId, cd: tmpDir })).rejects.toThrow(
+        "Loop bg-loop is running on elsewhere; stop it from there."
+      );
+
+      lock();
+      jest.spyOn(process, "kill").mockReturnValue(true);
+      await expect(cli.handleStop({ loopId, cd: tmpDir }, { pollMs: 50, timeoutMs: 1000 })).rejects.toThrow(
+        "Loop bg-loop did not stop within 1s."
+      );
+    });
+  });
+
+  describe("handleReport", () => {
+    test("prints the report or writes it to a file", () => {
+      const loopId = "report-loop";
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      lib.writeJson(statePath, {
+        loop_id: loopId,
+        status: "stopped_max_iterations",
+        iteration: 1,
+        max_iterations: 1,
+        workspace_root: tmpDir,
+        history: [{ iteration: 1, exit_code: 0, duration_ms: 1000 }],
+      });
+      const originalStdout = process.stdout.write;
+      let written = "";
+      process.stdout.write = jest.fn((text) => {
+        written += text;
+      });
+      try {
+        cli.handleReport({ loopId, cd: tmpDir });
+      } finally {
+        process.stdout.write = originalStdout;
+      }
+      expect(written).toContain("# Loop report: report-loop");
+      expect(written).toContain("- **Outcome:** stopped_max_iterations");
+
+      cli.handleReport({ loopId, cd: tmpDir, format: "html", out: "reports/loop.html" });
+      const outPath = path.join(tmpDir, "reports/loop.html");
+      expect(fs.readFileSync(outPath, "utf8")).toContain("<h1>Loop report: report-loop</h1>");
+      expect(logs).toEqual([`Wrote report-loop report to ${outPath}.`]);
+
+      expect(() => cli.handleReport({ loopId, cd: tmpDir, format: "pdf" })).toThrow(
+        'Unknown report format "pdf"'
+      );
+    });
+  });
+
   describe("handleCancel", () => {
     test("cancels loop and keeps artifacts", () => {
       const loopId = "cancel-loop";
@@ -248,6 +575,117 @@ describe("cli.js", () => {
     });
   });
 
+  describe("config files", () => {
+    let originalHomedir;
+    const { Command } = require("commander");
+
+    beforeEach(() => {
+      originalHomedir = os.homedir;
+      os.homedir = () => path.join(tmpDir, "home");
+    });
+
+    afterEach(() => {
+      os.homedir = originalHomedir;
+    });
+
+    const parseStart = (args) => {
+      const command = cli.addStartOptions(new Command()).option("--json", "Output as JSON", false);
+      command.exitOverride().parse(args, { from: "user" });
+      return command;
+    };
+
+    test("applies layers in precedence order with CLI flags winning", () => {
+      const command = parseStart(["--completion-promise", "CLI", "--verify-cmd", "make"]);
+      const opts = cli.applyConfigLayers(command, [
+        { source: "user", file: "user.json", values: { maxIterations: 10, model: "gpt-5" } },
+        {
+          source: "project",
+          file: "project.json",
+          values: { maxIterations: "12", completionPromise: "PROJECT", verifyCmd: ["npm test"] },
+        },
+        { source: "preset ci", file: "project.json", values: { fullAuto: true, maxDuration: "2h" } },
+      ]);
+
+      expect(opts).toMatchObject({
+        maxIterations: 12,
+        model: "gpt-5",
+        completionPromise: "CLI",
+        verifyCmd: ["make"],
+        fullAuto: true,
+        maxDuration: 2 * 60 * 60 * 1000,
+        promiseMode: "tag",
+      });
+      expect(command.getOptionValueSource("maxIterations")).toBe("project");
+      expect(command.getOptionValueSource("fullAuto")).toBe("preset ci");
+      expect(command.getOptionValueSource("promiseMode")).toBe("default");
+    });
+
+    test("rejects unknown options and bad values", () => {
+      const layer = (values) => [{ source: "project", file: "project.json", values }];
+      expect(() => cli.applyConfigLayers(parseStart([]), layer({ maxIterationz: 3 }))).toThrow(
+        'Unknown option "maxIterationz" in project.json.'
+      );
+      expect(() => cli.applyConfigLayers(parseStart([]), layer({ cd: "/tmp" }))).toThrow(
+        'Option "cd" cannot be set in project.json. Pass --cd on the command line.'
+      );
+      expect(() => cli.applyConfigLayers(parseStart([]), layer({ detach: true }))).toThrow(
+        'Option "detach" cannot be set in project.json. Pass --detach on the command line.'
+      );
+      expect(() => cli.applyConfigLayers(parseStart([]), layer({ fullAuto: "yes" }))).toThrow(
+        'Invalid value for "fullAuto" in project.json: expected true or false.'
+      );
+      expect(() => cli.applyConfigLayers(parseStart([]), layer({ maxIterations: -1 }))).toThrow(
+        'Invalid value for "maxIterations" in project.json: Value must be a positive integer.'
+      );
+      expect(() => cli.applyConfigLayers(parseStart([]), layer({ verifyCmd: [1] }))).toThrow(
+        "expected a string or a list of strings."
+      );
+      expect(() => cli.applyConfigLayers(parseStart([]), layer({ model: { name: "x" } }))).toThrow(
+        "expected a string or a number."
+      );
+      expect(cli.applyConfigLayers(parseStart([]), layer({ verifyCmd: "npm test" })).verifyCmd).toEqual([
+        "npm test",
+      ]);
+    });
+
+    test("config show prints effective values and their sources", () => {
+      fs.writeFileSync(
+        path.join(tmpDir, ".waylon-smithers.json"),
+        JSON.stringify({ "todo-file": "TODO.md", presets: { ci: { maxIterations: 4 } } })
+      );
+
+      cli.handleConfigShow(parseStart(["--cd", tmpDir, "--preset", "ci", "--model", "o3"]));
+
+      const output = logs.join("\n");
+      expect(output).toContain(`project: ${path.join(tmpDir, ".waylon-smithers.json")}`);
+      expect(output).toMatch(/todoFile\s+"TODO.md"\s+\(project\)/);
+      expect(output).toMatch(/maxIterations\s+4\s+\(preset ci\)/);
+      expect(output).toMatch(/model\s+"o3"\s+\(cli\)/);
+      expect(output).toMatch(/promiseMode\s+"tag"\s+\(default\)/);
+    });
+
+    test("config show supports JSON output without config files", () => {
+      cli.handleConfigShow(parseStart(["--cd", tmpDir, "--json"]));
+
+      const output = JSON.parse(logs[0]);
+      expect(output.files).toEqual([]);
+      expect(output.options).toContainEqual({ option: "maxIterations", value: 30, source: "default" });
+      expect(output.options.find((entry) => entry.option === "json")).toBeUndefined();
+    });
+
+    test("config show says when there are no config files", () => {
+      cli.handleConfigShow(parseStart(["--cd", tmpDir]));
+      expect(logs.join("\n")).toContain("Config files:\n  (none)");
+    });
+  });
+
+  describe("collectRepeatable", () => {
+    test("accumulates repeated option values", () => {
+      const first = cli.collectRepeatable("npm test", undefined);
+      expect(cli.collectRepeatable("npm run lint", first)).toEqual(["npm test", "npm run lint"]);
+    });
+  });
+
   describe("cliParseInteger", () => {
     test("parses valid integer", () => {
       expect(cli.cliParseInteger("10")).toBe(10);
@@ -257,4 +695,44 @@ describe("cli.js", () => {
       expect(() => cli.cliParseInteger("abc")).toThrow();
     });
   });
+
+  describe("cliParseNonNegativeInteger", () => {
+    test("parses zero", () => {
+      expect(cli.cliParseNonNegativeInteger("0")).toBe(0);
+    });
+
+    test("throws InvalidArgumentError for invalid input", () => {
+      expect(() => cli.cliParseNonNegativeInteger("-3")).toThrow("non-negative integer");
+    });
+  });
+
+  describe("cliParsePositiveNumber", () => {
+    test("parses valid number", () => {
+      expect(cli.cliParsePositiveNumber("1.5")).toBe(1.5);
+    });
+
+    test("throws InvalidArgumentError for invalid input", () => {
+      expect(() => cli.cliParsePositiveNumber("-2")).toThrow("positive number");
+    });
+  });
+
+  describe("cliParseRatio", () => {
+    test("parses valid ratio", () => {
+      expect(cli.cliParseRatio("0.8")).toBe(0.8);
+    });
+
+    test("throws InvalidArgumentError for invalid input", () => {
+      expect(() => cli.cliParseRatio("2")).toThrow("between 0 and 1");
+    });
+  });
+
+  describe("cliParseDuration", () => {
+    test("parses valid duration", () => {
+      expect(cli.cliParseDuration("2h")).toBe(7200000);
+    });
+
+    test("throws InvalidArgumentError for invalid input", () => {
+      expect(() => cli.cliParseDuration("later")).toThrow("Duration must look like");
+    });
+  });
 });
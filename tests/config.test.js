@@ -0,0 +1,109 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const config = require("../src/config");
+
+describe("config.js", () => {
+  let tmpDir;
+  let homeDir;
+  let projectDir;
+
+  beforeEach(() => {
+    tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "waylon-config-test-")));
+    homeDir = path.join(tmpDir, "home");
+    projectDir = path.join(tmpDir, "project");
+    fs.mkdirSync(path.join(homeDir, ".codex/waylon-smithers"), { recursive: true });
+    fs.mkdirSync(path.join(projectDir, "packages/app"), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeJson = (file, value) => fs.writeFileSync(file, JSON.stringify(value));
+
+  describe("findProjectConfig", () => {
+    test("walks up from the start directory", () => {
+      const file = path.join(projectDir, ".waylon-smithers.json");
+      writeJson(file, {});
+      expect(config.findProjectConfig(path.join(projectDir, "packages/app"))).toBe(file);
+    });
+
+    test("returns null when no config exists", () => {
+      expect(config.findProjectConfig(homeDir)).toBeNull();
+    });
+
+    test("rejects two config files in one directory", () => {
+      writeJson(path.join(projectDir, ".waylon-smithers.json"), {});
+      fs.writeFileSync(path.join(projectDir, "waylon-smithers.config.js"), "module.exports = {};");
+      expect(() => config.findProjectConfig(projectDir)).toThrow("Keep only one config file.");
+    });
+  });
+
+  describe("readConfigFile", () => {
+    test("normalizes kebab-case keys in values and presets", () => {
+      const file = path.join(projectDir, ".waylon-smithers.json");
+      writeJson(file, { "max-iterations": 5, presets: { ci: { "full-auto": true } } });
+      expect(config.readConfigFile(file)).toEqual({
+        file,
+        values: { maxIterations: 5 },
+        presets: { ci: { fullAuto: true } },
+      });
+    });
+
+    test("loads JavaScript configs", () => {
+      const file = path.join(projectDir, "waylon-smithers.config.js");
+      fs.writeFileSync(file, "module.exports = { model: 'gpt-5' };");
+      expect(config.readConfigFile(file).values).toEqual({ model: "gpt-5" });
+    });
+
+    test("rejects malformed files", () => {
+      const file = path.join(projectDir, ".waylon-smithers.json");
+      fs.writeFileSync(file, "{oops");
+      expect(() => config.readConfigFile(file)).toThrow(`Config file ${file} is not valid JSON`);
+      writeJson(file, [1]);
+      expect(() => config.readConfigFile(file)).toThrow("must contain an object");
+      writeJson(file, { presets: { ci: 3 } });
+      expect(() => config.readConfigFile(file)).toThrow('"presets" in');
+    });
+  });
+
+  describe("resolveConfigLayers", () => {
+    test("orders user, project and preset layers", () => {
+      const userFile = path.join(homeDir, ".codex/waylon-smithers/config.json");
+      const projectFile = path.join(projectDir, ".waylon-smithers.json");
+      writeJson(userFile, {
+        model: "gpt-5",
+        presets: { ci: { maxIterations: 3, fullAuto: true } },
+      });
+      writeJson(projectFile, { maxIterations: 20, presets: { ci: { maxIterations: 5 } } });
+
+      const layers = config.resolveConfigLayers({ cwd: projectDir, preset: "ci", homeDir });
+
+      expect(layers).toEqual([
+        { source: "user", file: userFile, values: { model: "gpt-5" } },
+        { source: "project", file: projectFile, values: { maxIterations: 20 } },
+        {
+          source: "preset ci",
+          file: `${userFile}, ${projectFile}`,
+          values: { maxIterations: 5, fullAuto: true },
+        },
+      ]);
+    });
+
+    test("returns no layers without config files", () => {
+      expect(config.resolveConfigLayers({ cwd: projectDir, homeDir })).toEqual([]);
+    });
+
+    test("reports unknown presets", () => {
+      expect(() => config.resolveConfigLayers({ cwd: projectDir, preset: "ci", homeDir })).toThrow(
+        'Unknown preset "ci". No presets are defined.'
+      );
+      writeJson(path.join(projectDir, ".waylon-smithers.json"), { presets: { fast: {}, slow: {} } });
+      expect(() => config.resolveConfigLayers({ cwd: projectDir, preset: "ci", homeDir })).toThrow(
+        "Available presets: fast, slow."
+      );
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { EventEmitter } = require("events");
+
+jest.mock("child_process", () => ({
+  ...jest.requireActual("child_process"),
+  spawn: jest.fn(),
+}));
+
+const { spawn } = require("child_process");
+const daemon = require("../src/daemon");
+const lib = require("../src/lib");
+
+function fakeChild(pid) {
+  const child = new EventEmitter();
+  child.pid = pid;
+  child.unref = jest.fn();
+  return child;
+}
+
+describe("daemon.js", () => {
+  let tmpDir;
+  let statePath;
+  let logPath;
+  let originalStdout;
+  let written;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "waylon-daemon-test-"));
+    statePath = path.join(tmpDir, "loops", "demo.json");
+    logPath = daemon.detachedLogPath(path.join(tmpDir, "loops", "demo"));
+    originalStdout = process.stdout.write;
+    written = "";
+    process.stdout.write = jest.fn((text) => {
+      written += text;
+    });
+  });
+
+  afterEach(() => {
+    process.stdout.write = originalStdout;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  test("detachedArgs drops --detach and appends extra arguments", () => {
+    expect(
+      daemon.detachedArgs(["node", "/bin/waylon-smithers", "Fix it", "--detach", "--tui"], ["--loop-id", "x"])
+    ).toEqual(["/bin/waylon-smithers", "Fix it", "--tui", "--loop-id", "x"]);
+  });
+
+  test("readOutputFrom reads what was appended and starts over when the log shrinks", () => {
+    expect(daemon.readOutputFrom(logPath, 0)).toEqual({ text: "", offset: 0 });
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.writeFileSync(logPath, "one\n");
+    let output = daemon.readOutputFrom(logPath, 0);
+    expect(output).toEqual({ text: "one\n", offset: 4 });
+    fs.appendFileSync(logPath, "two\n");
+    output = daemon.readOutputFrom(logPath, output.offset);
+    expect(output).toEqual({ text: "two\n", offset: 8 });
+    expect(daemon.readOutputFrom(logPath, output.offset)).toEqual({ text: "", offset: 8 });
+    fs.writeFileSync(logPath, "new\n");
+    expect(daemon.readOutputFrom(logPath, output.offset)).toEqual({ text: "new\n", offset: 4 });
+  });
+
+  test("startDetached returns once the background loop holds the lock", async () => {
+    const child = fakeChild(process.pid);
+    spawn.mockReturnValue(child);
+    lib.writeJson(lib.lockPathFor(statePath), { pid: process.pid, hostname: os.hostname() });
+
+    const pid = await daemon.startDetached({ args: ["cli.js", "resume"], logPath, statePath });
+
+    expect(pid).toBe(process.pid);
+    expect(child.unref).toHaveBeenCalled();
+    const [command, args, options] = spawn.mock.calls[0];
+    expect(command).toBe(process.execPath);
+    expect(args).toEqual(["cli.js", "resume"]);
+    expect(options).toMatchObject({ detached: true });
+    expect(options.stdio[0]).toBe("ignore");
+    expect(fs.existsSync(logPath)).toBe(true);
+  });
+
+  test("startDetached shows the output of a loop that ends before starting", async () => {
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.writeFileSync(logPath, "earlier run\n");
+    spawn.mockImplementation(() => {
+      const child = fakeChild(12345);
+      setImmediate(() => {
+        fs.appendFileSync(logPath, "Loop failed: bad option\n");
+        child.emit("exit", 1, null);
+      });
+      return child;
+    });
+
+    await expect(daemon.startDetached({ args: [], logPath, statePath, pollMs: 5 })).rejects.toThrow(
+      `The background loop exited with code 1 before it started. Its output is in ${logPath}.`
+    );
+    expect(written).toBe("Loop failed: bad option\n");
+
+    spawn.mockImplementation(() => {
+      const child = fakeChild(12345);
+      setImmediate(() => child.emit("exit", 0, null));
+      return child;
+    });
+    await expect(daemon.startDetached({ args: [], logPath, statePath, pollMs: 5 })).resolves.toBeNull();
+
+    spawn.mockImplementation(() => {
+      const child = fakeChild(12345);
+      setImmediate(() => child.emit("exit", null, "SIGKILL"));
+      return child;
+    });
+    await expect(daemon.startDetached({ args: [], logPath, statePath, pollMs: 5 })).rejects.toThrow(
+      "The background loop was killed by SIGKILL before it started."
+    );
+
+    spawn.mockImplementation(() => {
+      const child = fakeChild(undefined);
+      setImmediate(() => child.emit("error", new Error("spawn EACCES")));
+      return child;
+    });
+    await expect(daemon.startDetached({ args: [], logPath, statePath, pollMs: 5 })).rejects.toThrow(
+      "Unable to start the background loop: spawn EACCES"
+    );
+  });
+});
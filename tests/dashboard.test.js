@@ -0,0 +1,149 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const { DASHBOARD_STDERR_LINES, createDashboard } = require("../src/dashboard");
+
+function fakeStream({ isTTY = false, columns } = {}) {
+  const stream = { isTTY, columns, output: "" };
+  stream.write = (text) => {
+    stream.output += text;
+  };
+  return stream;
+}
+
+const line = (event) => `${JSON.stringify(event)}\n`;
+
+describe("dashboard.js", () => {
+  let tmpDir;
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "waylon-dashboard-test-"));
+    clock = 0;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("prints plain lines when stdout is not a TTY", () => {
+    const stream = fakeStream();
+    const errorStream = fakeStream();
+    const dashboard = createDashboard({ stream, errorStream, now });
+    expect(dashboard.interactive).toBe(false);
+
+    dashboard.startIteration({ loopId: "demo", iteration: 2, maxIterations: 5 });
+    dashboard.write(line({ type: "item.started", item: { type: "command_execution", command: "npm test" } }));
+    dashboard.write('{"type": "item.completed", "item": {"type": "command_execution", ');
+    dashboard.write('"command": "npm test", "exit_code": 1}}\n');
+    dashboard.write(line({ type: "item.completed", item: { type: "file_change", changes: [{ path: "a.js" }] } }));
+    dashboard.write(line({ type: "item.completed", item: { type: "file_change", changes: [{ path: "a.js" }] } }));
+    dashboard.write(line({ type: "item.completed", item: { type: "agent_message", text: "Fixed it.\nDetails" } }));
+    dashboard.write(line({ type: "turn.failed", error: { message: "overloaded" } }));
+    dashboard.write("plain output\n\n");
+    dashboard.write(line({ type: "turn.completed", usage: { input_tokens: 1200, output_tokens: 34 } }));
+    dashboard.writeError("warning from codex\n");
+    clock = 65000;
+    dashboard.finishIteration();
+
+    expect(stream.output.split("\n")).toEqual([
+      "  $ npm test",
+      "    exit 1",
+      "  edited a.js",
+      "  agent: Fixed it.",
+      "  error: overloaded",
+      "plain output",
+      "  iteration 2: 1,234 tokens, 1 file(s) touched, 1m 5s",
+      "",
+    ]);
+    expect(errorStream.output).toBe("warning from codex\n");
+  });
+
+  test("redraws a panel in place on a TTY", () => {
+    const todoFile = path.join(tmpDir, "TODO.md");
+    fs.writeFileSync(todoFile, "- [x] one\n- [ ] two\n");
+    const stream = fakeStream({ isTTY: true, columns: 60 });
+    const errorStream = fakeStream();
+    const dashboard = createDashboard({ stream, errorStream, now, refreshMs: 60000 });
+
+    dashboard.startIteration({
+      loopId: "demo",
+      iteration: 3,
+      maxIterations: 10,
+      phase: "build",
+      loopElapsedMs: 120000,
+      loopTokens: 5000,
+      todoFile,
+    });
+    const first = stream.output;
+    expect(first).toContain("Loop demo | iteration 3/10 | phase build");
+    expect(first).toContain("Running: -");
+    expect(first).toContain("Files (0): -");
+    expect(first).toContain("TODO: 1/2 done");
+
+    stream.output = "";
+    clock = 5000;
+    dashboard.write(line({ type: "item.started", item: { type: "command_execution", command: "npm test" } }));
+    const files = ["a.js", "b.js", "c.js", "d.js", "e.js", "f.js"].map((file) => ({ path: file }));
+    dashboard.write(line({ type: "item.completed", item: { type: "file_change", changes: files } }));
+    dashboard.write(line({ type: "item.completed", item: { type: "agent_message", text: "x".repeat(100) } }));
+    dashboard.write("raw line\n");
+    dashboard.write(line({ type: "turn.completed", usage: { input_tokens: 900, output_tokens: 100 } }));
+    dashboard.writeError("warning: retrying\nrate limited\n");
+    dashboard.render();
+
+    const lines = stream.output.split("\n");
+    expect(lines[0].startsWith(`\x1b[${first.split("\n").length - 1}F\x1b[0J`)).toBe(true);
+    expect(stream.output).toContain("Elapsed 2m 5s (iteration 5s)\nTokens 6,000 (iteration 1,000)");
+    expect(stream.output).toContain("Running: npm test");
+    expect(stream.output).toContain("Files (6): ..., b.js, c.js, d.js, e.js, f.js");
+    expect(stream.output).toContain("  raw line");
+    expect(stream.output).toContain("Stderr: rate limited");
+    expect(lines.every((text) => text.replace(/\x1b\[\d*[A-Z]/g, "").length <= 59)).toBe(true);
+    expect(errorStream.output).toBe("");
+
+    stream.output = "";
+    dashboard.finishIteration();
+    expect(stream.output).toContain("Running: npm test");
+    expect(errorStream.output).toBe("warning: retrying\nrate limited\n");
+    stream.output = "";
+    dashboard.render();
+    dashboard.finishIteration();
+    expect(stream.output).toBe("");
+  });
+
+  test("keeps only the last stderr lines on a TTY", () => {
+    const stream = fakeStream({ isTTY: true, columns: 60 });
+    const errorStream = fakeStream();
+    const dashboard = createDashboard({ stream, errorStream, now, refreshMs: 60000 });
+    dashboard.startIteration({ loopId: "demo", iteration: 1, maxIterations: 2 });
+
+    const total = DASHBOARD_STDERR_LINES + 10;
+    for (let n = 1; n <= total; n++) dashboard.writeError(`line ${n}\n`);
+    dashboard.writeError("partial ");
+    dashboard.writeError("line");
+    dashboard.render();
+    expect(stream.output).toContain("Stderr: partial line");
+
+    dashboard.finishIteration();
+    const kept = [];
+    for (let n = 11; n <= total; n++) kept.push(`line ${n}\n`);
+    expect(errorStream.output).toBe(
+      `... 10 earlier stderr line(s) not shown\n${kept.join("")}partial line\n`
+    );
+  });
+
+  test("starting an iteration finishes the previous one", () => {
+    const stream = fakeStream();
+    const dashboard = createDashboard({ stream, errorStream: fakeStream(), now });
+    dashboard.write("dropped before any iteration\n");
+    dashboard.startIteration({ loopId: "demo", iteration: 1, maxIterations: 2 });
+    dashboard.startIteration({ loopId: "demo", iteration: 1, maxIterations: 2 });
+    dashboard.finishIteration();
+    expect(stream.output).toBe(
+      "  iteration 1: 0 tokens, 0 file(s) touched, 0s\n  iteration 1: 0 tokens, 0 file(s) touched, 0s\n"
+    );
+  });
+});
@@ -0,0 +1,88 @@
+const events = require("../src/events");
+
+describe("events.js", () => {
+  describe("parseEventLine", () => {
+    test("parses JSON objects and ignores everything else", () => {
+      expect(events.parseEventLine(' {"type": "turn.started"}\r')).toEqual({ type: "turn.started" });
+      expect(events.parseEventLine("Reading prompt from stdin...")).toBeNull();
+      expect(events.parseEventLine("{truncated")).toBeNull();
+      expect(events.parseEventLine(undefined)).toBeNull();
+    });
+  });
+
+  describe("describeEvent", () => {
+    test("reads item events", () => {
+      expect(
+        events.describeEvent({
+          type: "item.started",
+          item: { type: "command_execution", command: "bash -lc 'npm test'" },
+        })
+      ).toEqual([{ kind: "command", command: "bash -lc 'npm test'" }]);
+      expect(
+        events.describeEvent({
+          type: "item.completed",
+          item: { type: "command_execution", command: "npm test", exit_code: 1 },
+        })
+      ).toEqual([{ kind: "command_done", command: "npm test", exit_code: 1 }]);
+      expect(
+        events.describeEvent({
+          type: "item.completed",
+          item: { type: "file_change", changes: [{ path: "src/a.js", kind: "update" }, {}] },
+        })
+      ).toEqual([{ kind: "files", paths: ["src/a.js"] }]);
+      expect(
+        events.describeEvent({ type: "item.completed", item: { type: "agent_message", text: "Done." } })
+      ).toEqual([{ kind: "message", text: "Done." }]);
+      expect(
+        events.describeEvent({ type: "item.completed", item: { type: "reasoning", text: "Plan" } })
+      ).toEqual([{ kind: "reasoning", text: "Plan" }]);
+      expect(events.describeEvent({ type: "item.started", item: { type: "reasoning" } })).toEqual([]);
+    });
+
+    test("reads older msg events", () => {
+      expect(
+        events.describeEvent({ msg: { type: "exec_command_begin", command: ["bash", "-lc", "ls -la"] } })
+      ).toEqual([{ kind: "command", command: "ls -la" }]);
+      expect(
+        events.describeEvent({ msg: { type: "exec_command_end", command: ["git", "status"], exit_code: 0 } })
+      ).toEqual([{ kind: "command_done", command: "git status", exit_code: 0 }]);
+      expect(
+        events.describeEvent({ msg: { type: "patch_apply_begin", changes: { "README.md": {} } } })
+      ).toEqual([{ kind: "files", paths: ["README.md"] }]);
+      expect(events.describeEvent({ msg: { type: "agent_message", message: "hi" } })).toEqual([
+        { kind: "message", text: "hi" },
+      ]);
+      expect(events.describeEvent({ msg: { type: "agent_reasoning", text: "Plan" } })).toEqual([
+        { kind: "reasoning", text: "Plan" },
+      ]);
+      expect(events.describeEvent({ msg: { type: "task_started" } })).toEqual([]);
+    });
+
+    test("reads usage and errors", () => {
+      expect(
+        events.describeEvent({ type: "turn.completed", usage: { input_tokens: 10, output_tokens: 5 } })
+      ).toEqual([{ kind: "usage", usage: { input_tokens: 10, output_tokens: 5 } }]);
+      expect(events.describeEvent({ type: "turn.failed", error: { message: "rate limited" } })).toEqual([
+        { kind: "error", message: "rate limited" },
+      ]);
+      expect(events.describeEvent({ type: "error", message: "boom" })).toEqual([
+        { kind: "error", message: "boom" },
+      ]);
+      expect(events.describeEvent(null)).toEqual([]);
+    });
+  });
+
+  describe("createLineSplitter", () => {
+    test("joins chunks into lines and flushes the remainder", () => {
+      const lines = [];
+      const split = events.createLineSplitter((line) => lines.push(line));
+      split('{"a":');
+      split(' 1}\r\nsecond\nthi');
+      expect(lines).toEqual(['{"a": 1}', "second"]);
+      split("rd");
+      split.flush();
+      split.flush();
+      expect(lines).toEqual(['{"a": 1}', "second", "third"]);
+    });
+  });
+});
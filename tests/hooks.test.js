@@ -0,0 +1,95 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const hooks = require("../src/hooks");
+
+const node = (script) => `"${process.execPath}" -e "${script}"`;
+
+describe("hooks.js", () => {
+  describe("parseHookSpecs", () => {
+    test("groups commands by event in order", () => {
+      expect(
+        hooks.parseHookSpecs(["post_iteration=./notify.sh", "pre_iteration=make fixtures", "post_iteration= a=b"])
+      ).toEqual({
+        ...hooks.emptyHooks(),
+        pre_iteration: ["make fixtures"],
+        post_iteration: ["./notify.sh", "a=b"],
+      });
+      expect(hooks.parseHookSpecs(undefined)).toEqual(hooks.emptyHooks());
+    });
+
+    test("rejects unknown events and missing commands", () => {
+      expect(() => hooks.parseHookSpecs(["on_resume=x"])).toThrow('Invalid hook "on_resume=x"');
+      expect(() => hooks.parseHookSpecs(["post_iteration"])).toThrow("Expected <event>=<command>");
+    });
+  });
+
+  describe("hookEnv", () => {
+    test("adds the loop context and leaves out unset values", () => {
+      const env = hooks.hookEnv({ event: "on_complete", loop_id: "demo", iteration: 3, phase: null });
+      expect(env).toMatchObject({ WAYLON_EVENT: "on_complete", WAYLON_LOOP_ID: "demo", WAYLON_ITERATION: "3" });
+      expect(env.WAYLON_PHASE).toBeUndefined();
+      expect(env.PATH).toBe(process.env.PATH);
+    });
+  });
+
+  describe("runHooks", () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "waylon-hooks-test-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test("passes the context on stdin and in the environment", async () => {
+      const script =
+        "let d='';process.stdin.on('data',c=>d+=c).on('end',()=>" +
+        "console.log(JSON.parse(d).loop_id+' '+process.env.WAYLON_EVENT+' '+process.cwd()))";
+      const [result] = await hooks.runHooks([node(script)], {
+        cwd: tmpDir,
+        context: { event: "pre_iteration", loop_id: "demo" },
+      });
+      expect(result.exit_code).toBe(0);
+      expect(result.stdout.trim()).toBe(`demo pre_iteration ${fs.realpathSync(tmpDir)}`);
+    });
+
+    test("reports failures and stops hooks that run too long", async () => {
+      const results = await hooks.runHooks(
+        [node("process.exit(3)"), `exec ${node("setTimeout(()=>{},3000)")}`],
+        { cwd: tmpDir, context: { event: "on_error" }, timeoutMs: 100 }
+      );
+      expect(results[0]).toMatchObject({ exit_code: 3, timed_out: false });
+      expect(results[1]).toMatchObject({ exit_code: null, timed_out: true });
+    });
+  });
+
+  describe("parseHookResponse", () => {
+    test("reads actions, reasons and prompt additions", () => {
+      expect(hooks.parseHookResponse('{"action": "pause", "reason": "review"}')).toEqual({
+        action: "pause",
+        reason: "review",
+        append_prompt: null,
+      });
+      expect(hooks.parseHookResponse(' {"append_prompt": "Fixtures changed."}\n')).toEqual({
+        action: "continue",
+        reason: null,
+        append_prompt: "Fixtures changed.",
+      });
+    });
+
+    test("treats plain output as no answer", () => {
+      expect(hooks.parseHookResponse("posted to chat\n")).toBeNull();
+      expect(hooks.parseHookResponse("")).toBeNull();
+    });
+
+    test("rejects malformed answers", () => {
+      expect(() => hooks.parseHookResponse("{oops")).toThrow("invalid JSON");
+      expect(() => hooks.parseHookResponse('{"action": "abort"}')).toThrow('unknown action "abort"');
+      expect(() => hooks.parseHookResponse('{"append_prompt": 3}')).toThrow('"append_prompt" must be a string.');
+    });
+  });
+});
@@ -1,10 +1,12 @@
 const fs = require("fs");
+const http = require("http");
 const path = require("path");
 const os = require("os");
 const { EventEmitter } = require("events");
 
-// Mock child_process
+// Mock child_process spawn; keep the real execFileSync so git-backed features can run.
 jest.mock("child_process", () => ({
+  ...jest.requireActual("child_process"),
   spawn: jest.fn(),
 }));
 
@@ -13,12 +15,50 @@ jest.mock("readline", () => ({
   createInterface: jest.fn(),
 }));
 
-const { spawn } = require("child_process");
+const { spawn, execFileSync } = require("child_process");
 const readline = require("readline");
 
 // Increase max listeners to avoid warnings
 process.setMaxListeners(100);
 
+function git(args, cwd) {
+  return execFileSync(
+    "git",
+    ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+    { cwd, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }
+  );
+}
+
+function initRepo(dir) {
+  git(["init", "-q", "-b", "main"], dir);
+  fs.writeFileSync(path.join(dir, "README.md"), "hello\n");
+  git(["add", "-A"], dir);
+  git(["commit", "-q", "-m", "initial"], dir);
+  return git(["rev-parse", "HEAD"], dir).trim();
+}
+
+// Child that emits its output and exit code on the next tick. When lastMessage is set it is
+// written to the --output-last-message path, mimicking codex exec.
+function scriptedChild({ exitCode = 0, stdout = "", stderr = "", lastMessage = null } = {}) {
+  return (command, args) => {
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.stdin = { on: jest.fn(), end: jest.fn() };
+    child.kill = jest.fn();
+    setImmediate(() => {
+      if (lastMessage !== null && Array.isArray(args)) {
+        const idx = args.indexOf("--output-last-message");
+        fs.writeFileSync(args[idx + 1], lastMessage);
+      }
+      if (stdout) child.stdout.emit("data", Buffer.from(stdout));
+      if (stderr) child.stderr.emit("data", Buffer.from(stderr));
+      child.emit("close", exitCode);
+    });
+    return child;
+  };
+}
+
 // Import after mocking
 const cli = require("../src/cli");
 const lib = require("../src/lib");
@@ -205,6 +245,8 @@ describe("integration tests", () => {
         last_result: null,
       };
 
+      spawn.mockImplementation(scriptedChild({ stdout: "no session here\n" }));
+
       const runLoopPromise = cli.runLoop({
         statePath,
         state,
@@ -222,12 +264,13 @@ describe("integration tests", () => {
         codexOptions: { cd: tmpDir, sandbox: "read-only" },
       });
 
-      // No session id in output
-      mockChild.stdout.emit("data", Buffer.from("no session here\n"));
-      mockChild.emit("close", 0);
-
       await runLoopPromise;
 
+      // The first miss gets one fresh session with a handoff; the second stops the loop.
+      expect(spawn).toHaveBeenCalledTimes(2);
+      expect(warns.some(w => w.includes("next iteration starts a new session with a handoff"))).toBe(true);
+      expect(spawn.mock.calls[1][1][1]).toContain("Session handoff:");
+      expect(state.iteration).toBe(1);
       expect(state.status).toBe("error_no_session");
       expect(errors.some(e => e.includes("Unable to detect Codex session id"))).toBe(true);
     });
@@ -355,6 +398,7 @@ describe("integration tests", () => {
       const mockRl = {
         question: jest.fn((msg, cb) => cb("n")),
         close: jest.fn(),
+        on: jest.fn(),
       };
       readline.createInterface.mockReturnValue(mockRl);
 
@@ -458,8 +502,8 @@ describe("integration tests", () => {
       expect(spawnCall[1]).toContain("existing-session-id");
     });
 
-    test("warns on dangerous settings", async () => {
-      const loopId = "danger-loop";
+    test("keeps looping when verification fails after a promise", async () => {
+      const loopId = "verify-loop";
       const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
       const artifactsDir = path.join(loopsDir, loopId);
       const statePath = path.join(loopsDir, `${loopId}.json`);
@@ -471,8 +515,10 @@ describe("integration tests", () => {
         prompt: "Do task",
         completion_promise: "DONE",
         promise_mode: "tag",
-        max_iterations: 1,
+        max_iterations: 5,
         same_prompt_each_iteration: false,
+        verify_commands: ["npm test"],
+        pending_feedback: [],
         iteration: 0,
         status: "running",
         codex: { session_id: null, model: null, sandbox: null, approval: null, profile: null },
@@ -482,13 +528,23 @@ describe("integration tests", () => {
         last_result: null,
       };
 
-      const runLoopPromise = cli.runLoop({
+      spawn
+        .mockImplementationOnce(
+          scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "<promise>DONE</promise>" })
+        )
+        .mockImplementationOnce(scriptedChild({ exitCode: 1, stdout: "2 tests failed\n" }))
+        .mockImplementationOnce(
+          scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "<promise>DONE</promise>" })
+        )
+        .mockImplementationOnce(scriptedChild({ exitCode: 0, stdout: "all green\n" }));
+
+      await cli.runLoop({
         statePath,
         state,
         workspaceRoot: tmpDir,
         completionPromise: "DONE",
         promiseMode: "tag",
-        maxIterations: 1,
+        maxIterations: 5,
         samePromptEachIteration: false,
         artifactsDir,
         summaryJson: null,
@@ -496,84 +552,2203 @@ describe("integration tests", () => {
         todoFile: null,
         hardStopToken: "HARD STOP",
         hardStopMode: "pause",
-        codexOptions: { cd: tmpDir, sandbox: "danger-full-access" },
+        verifyCommands: ["npm test"],
+        codexOptions: { cd: tmpDir, sandbox: "read-only" },
       });
 
-      mockChild.stdout.emit("data", Buffer.from('{"session_id": "session-1"}\n'));
-      mockChild.emit("close", 0);
+      expect(state.status).toBe("completed");
+      expect(state.iteration).toBe(2);
+      expect(state.history[0].detected_promise).toBe(true);
+      expect(state.history[0].verified).toBe(false);
+      expect(state.history[0].verification).toEqual([{ command: "npm test", exit_code: 1 }]);
+      expect(state.history[1].verified).toBe(true);
+      expect(state.pending_feedback).toEqual([]);
+
+      const secondPrompt = spawn.mock.calls[2][1].join(" ");
+      expect(secondPrompt).toContain("verification failed");
+      expect(secondPrompt).toContain("2 tests failed");
+    });
 
-      const lastMessagePath = path.join(artifactsDir, "last_message_iter_1.txt");
-      fs.writeFileSync(lastMessagePath, "<promise>DONE</promise>");
+    test("drives a command backend without sessions", async () => {
+      const loopId = "command-backend-loop";
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      const artifactsDir = path.join(loopsDir, loopId);
+      const statePath = path.join(loopsDir, `${loopId}.json`);
 
-      await runLoopPromise;
+      fs.mkdirSync(artifactsDir, { recursive: true });
 
-      expect(warns.some(w => w.includes("dangerous settings"))).toBe(true);
+      const state = {
+        loop_id: loopId,
+        prompt: "Do task",
+        completion_promise: "DONE",
+        promise_mode: "tag",
+        max_iterations: 3,
+        same_prompt_each_iteration: false,
+        iteration: 0,
+        status: "running",
+        backend: { name: "command", command: "my-agent {prompt}", resume_command: null },
+        codex: { session_id: null, model: null, sandbox: null, approval: null, profile: null },
+        todo: null,
+        artifacts: { dir: artifactsDir, last_message_path: null, jsonl_path: null },
+        history: [],
+        last_result: null,
+      };
+
+      spawn
+        .mockImplementationOnce(scriptedChild({ stdout: "still working\n" }))
+        .mockImplementationOnce(scriptedChild({ stdout: "<promise>DONE</promise>\n" }));
+
+      await cli.runLoop({
+        statePath,
+        state,
+        workspaceRoot: tmpDir,
+        completionPromise: "DONE",
+        promiseMode: "tag",
+        maxIterations: 3,
+        samePromptEachIteration: false,
+        artifactsDir,
+        summaryJson: null,
+        jsonlEventsBase: null,
+        todoFile: null,
+        hardStopToken: "HARD STOP",
+        hardStopMode: "pause",
+        codexOptions: { cd: tmpDir, sandbox: "read-only" },
+      });
+
+      expect(state.status).toBe("completed");
+      expect(state.iteration).toBe(2);
+      expect(spawn.mock.calls[0][0]).toBe("my-agent");
+      // No resume support: every iteration gets the full prompt.
+      expect(spawn.mock.calls[1][1][0]).toContain("Iteration: 2 of 3");
+      expect(spawn.mock.calls[1][1][0]).toContain("Task:");
+      expect(
+        fs.readFileSync(path.join(artifactsDir, "last_message_iter_2.txt"), "utf8")
+      ).toContain("<promise>DONE</promise>");
     });
-  });
 
-  describe("handleStart", () => {
-    test("throws when state file already exists", async () => {
-      const loopId = "existing-loop";
+    test("records token usage per iteration and in totals", async () => {
+      const loopId = "usage-loop";
       const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
-      fs.mkdirSync(loopsDir, { recursive: true });
-      fs.writeFileSync(path.join(loopsDir, `${loopId}.json`), "{}");
+      const artifactsDir = path.join(loopsDir, loopId);
+      const statePath = path.join(loopsDir, `${loopId}.json`);
+      const summaryJson = path.join(artifactsDir, "summary.json");
 
-      await expect(
-        cli.handleStart("Do task", { cd: tmpDir, loopId })
-      ).rejects.toThrow("State file already exists");
+      fs.mkdirSync(artifactsDir, { recursive: true });
+
+      const state = {
+        loop_id: loopId,
+        prompt: "Do task",
+        completion_promise: "DONE",
+        promise_mode: "tag",
+        max_iterations: 2,
+        same_prompt_each_iteration: false,
+        iteration: 0,
+        status: "running",
+        codex: { session_id: null, model: null, sandbox: null, approval: null, profile: null },
+        todo: null,
+        artifacts: { dir: artifactsDir, last_message_path: null, jsonl_path: null },
+        history: [],
+        last_result: null,
+      };
+
+      const usageEvent = (input, output) =>
+        `{"type":"turn.completed","usage":{"input_tokens":${input},"cached_input_tokens":0,"output_tokens":${output}}}\n`;
+      spawn
+        .mockImplementationOnce(
+          scriptedChild({
+            stdout: '{"session_id": "session-1"}\n' + usageEvent(100, 10),
+            lastMessage: "Working",
+          })
+        )
+        .mockImplementationOnce(
+          scriptedChild({ stdout: usageEvent(200, 20), lastMessage: "Still working" })
+        );
+
+      await cli.runLoop({
+        statePath,
+        state,
+        workspaceRoot: tmpDir,
+        completionPromise: "DONE",
+        promiseMode: "tag",
+        maxIterations: 2,
+        samePromptEachIteration: false,
+        artifactsDir,
+        summaryJson,
+        jsonlEventsBase: null,
+        todoFile: null,
+        hardStopToken: "HARD STOP",
+        hardStopMode: "pause",
+        codexOptions: { cd: tmpDir, sandbox: "read-only" },
+      });
+
+      expect(state.status).toBe("stopped_max_iterations");
+      expect(state.history[0].usage.total_tokens).toBe(110);
+      expect(state.history[1].usage.total_tokens).toBe(220);
+      expect(state.usage).toEqual({
+        input_tokens: 300,
+        cached_input_tokens: 0,
+        output_tokens: 30,
+        total_tokens: 330,
+      });
+      expect(lib.readJson(summaryJson).usage.total_tokens).toBe(330);
     });
-  });
 
-  describe("handleResume", () => {
-    test("resumes loop with overrides", async () => {
-      const loopId = "resume-loop";
+    test("stops when the token budget is exhausted", async () => {
+      const loopId = "token-budget-loop";
       const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
       const artifactsDir = path.join(loopsDir, loopId);
+      const statePath = path.join(loopsDir, `${loopId}.json`);
+
       fs.mkdirSync(artifactsDir, { recursive: true });
 
       const state = {
         loop_id: loopId,
-        workspace_root: tmpDir,
         prompt: "Do task",
         completion_promise: "DONE",
         promise_mode: "tag",
-        max_iterations: 10,
+        max_iterations: 5,
         same_prompt_each_iteration: false,
-        iteration: 2,
-        status: "paused_user_interrupt",
-        codex: { session_id: "old-session", model: null, sandbox: null, approval: null, profile: null },
+        iteration: 0,
+        status: "running",
+        codex: { session_id: null, model: null, sandbox: null, approval: null, profile: null },
         todo: null,
-        artifacts: { dir: `.codex/waylon-smithers/loops/${loopId}`, summary_json_path: null, jsonl_events_base: null },
+        artifacts: { dir: artifactsDir, last_message_path: null, jsonl_path: null },
         history: [],
+        budgets: { max_tokens: 100, max_duration_ms: null, max_cost_usd: null },
         last_result: null,
       };
 
+      spawn.mockImplementationOnce(
+        scriptedChild({
+          stdout:
+            '{"session_id": "session-1"}\n' +
+            '{"type":"turn.completed","usage":{"input_tokens":90,"output_tokens":30}}\n',
+          lastMessage: "Working",
+        })
+      );
+
+      await cli.runLoop({
+        statePath,
+        state,
+        workspaceRoot: tmpDir,
+        completionPromise: "DONE",
+        promiseMode: "tag",
+        maxIterations: 5,
+        samePromptEachIteration: false,
+        artifactsDir,
+        summaryJson: null,
+        jsonlEventsBase: null,
+        todoFile: null,
+        hardStopToken: "HARD STOP",
+        hardStopMode: "pause",
+        codexOptions: { cd: tmpDir, sandbox: "read-only" },
+      });
+
+      expect(state.status).toBe("stopped_budget_tokens");
+      expect(state.iteration).toBe(1);
+      expect(spawn).toHaveBeenCalledTimes(1);
+      expect(logs.some((l) => l.includes("Token budget exhausted (120/100 tokens)"))).toBe(true);
+    });
+
+    test("kills a running iteration when the time budget runs out", async () => {
+      const loopId = "timeout-loop";
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      const artifactsDir = path.join(loopsDir, loopId);
       const statePath = path.join(loopsDir, `${loopId}.json`);
-      fs.writeFileSync(statePath, JSON.stringify(state));
 
-      const resumePromise = cli.handleResume({
-        loopId,
-        cd: tmpDir,
-        maxIterations: 15,
-        completionPromise: "FINISHED",
-        promiseMode: "plain",
-        samePromptEachIteration: true,
+      fs.mkdirSync(artifactsDir, { recursive: true });
+
+      const state = {
+        loop_id: loopId,
+        prompt: "Do task",
+        completion_promise: "DONE",
+        promise_mode: "tag",
+        max_iterations: 5,
+        same_prompt_each_iteration: false,
+        iteration: 0,
+        status: "running",
+        codex: { session_id: null, model: null, sandbox: null, approval: null, profile: null },
+        todo: null,
+        artifacts: { dir: artifactsDir, last_message_path: null, jsonl_path: null },
+        history: [],
+        budgets: { max_tokens: null, max_duration_ms: 20, max_cost_usd: null },
+        elapsed_ms: 0,
+        last_result: null,
+      };
+
+      // The child never exits on its own; it only closes once killed.
+      mockChild.kill = jest.fn(() => {
+        fs.writeFileSync(path.join(artifactsDir, "last_message_iter_1.txt"), "<promise>DONE</promise>");
+        setImmediate(() => mockChild.emit("close", null));
       });
 
-      // Complete immediately
-      mockChild.stdout.emit("data", Buffer.from('{"session_id": "new-session"}\n'));
-      mockChild.emit("close", 0);
+      await cli.runLoop({
+        statePath,
+        state,
+        workspaceRoot: tmpDir,
+        completionPromise: "DONE",
+        promiseMode: "tag",
+        maxIterations: 5,
+        samePromptEachIteration: false,
+        artifactsDir,
+        summaryJson: null,
+        jsonlEventsBase: null,
+        todoFile: null,
+        hardStopToken: "HARD STOP",
+        hardStopMode: "pause",
+        codexOptions: { cd: tmpDir, sandbox: "read-only" },
+      });
 
-      const lastMessagePath = path.join(artifactsDir, "last_message_iter_3.txt");
-      fs.writeFileSync(lastMessagePath, "FINISHED");
+      expect(mockChild.kill).toHaveBeenCalledWith("SIGTERM");
+      expect(state.status).toBe("stopped_timeout");
+      expect(state.history[0].timed_out).toBe(true);
+      expect(state.history[0].detected_promise).toBe(false);
+      expect(state.elapsed_ms).toBeGreaterThanOrEqual(20);
+    });
 
-      await resumePromise;
+    function stallState(loopId, action) {
+      const artifactsDir = path.join(tmpDir, ".codex/waylon-smithers/loops", loopId);
+      fs.mkdirSync(artifactsDir, { recursive: true });
+      return {
+        loop_id: loopId,
+        prompt: "Do task",
+        completion_promise: "DONE",
+        promise_mode: "tag",
+        max_iterations: 5,
+        same_prompt_each_iteration: false,
+        iteration: 0,
+        status: "running",
+        codex: { session_id: null, model: null, sandbox: null, approval: null, profile: null },
+        todo: null,
+        artifacts: { dir: artifactsDir, last_message_path: null, jsonl_path: null },
+        history: [],
+        pending_feedback: [],
+        stall: { iterations: 2, similarity: 0.9, action, consecutive: 0, last_fingerprint: null },
+        last_result: null,
+      };
+    }
 
-      const updatedState = lib.readJson(statePath);
-      expect(updatedState.max_iterations).toBe(15);
-      expect(updatedState.completion_promise).toBe("FINISHED");
-      expect(updatedState.promise_mode).toBe("plain");
-      expect(updatedState.same_prompt_each_iteration).toBe(true);
+    function runStallLoop(state) {
+      return cli.runLoop({
+        statePath: path.join(tmpDir, ".codex/waylon-smithers/loops", `${state.loop_id}.json`),
+        state,
+        workspaceRoot: tmpDir,
+        completionPromise: "DONE",
+        promiseMode: "tag",
+        maxIterations: 5,
+        samePromptEachIteration: false,
+        artifactsDir: state.artifacts.dir,
+        summaryJson: null,
+        jsonlEventsBase: null,
+        todoFile: null,
+        hardStopToken: "HARD STOP",
+        hardStopMode: "pause",
+        codexOptions: { cd: tmpDir, sandbox: "read-only" },
+      });
+    }
+
+    test("pauses with paused_stalled after repeated no-progress iterations", async () => {
+      const state = stallState("stall-exit-loop", "exit");
+      const stuck = scriptedChild({
+        stdout: '{"session_id": "session-1"}\n',
+        lastMessage: "Still investigating the failing test.",
+      });
+      spawn.mockImplementation(stuck);
+
+      await runStallLoop(state);
+
+      expect(state.status).toBe("paused_stalled");
+      expect(state.iteration).toBe(3);
+      expect(state.history.map((h) => h.stalled)).toEqual([false, true, true]);
+      expect(logs.some((l) => l.includes("No progress for 2 consecutive iteration(s)"))).toBe(true);
+    });
+
+    test("resets the stall counter when files change", async () => {
+      const state = stallState("stall-progress-loop", "exit");
+      let counter = 0;
+      spawn.mockImplementation((command, args) => {
+        fs.writeFileSync(path.join(tmpDir, "progress.txt"), String(counter++));
+        return scriptedChild({
+          stdout: '{"session_id": "session-1"}\n',
+          lastMessage: "Still investigating the failing test.",
+        })(command, args);
+      });
+
+      await runStallLoop(state);
+
+      expect(state.status).toBe("stopped_max_iterations");
+      expect(state.history.every((h) => h.stalled === false)).toBe(true);
+    });
+
+    test("injects a change-of-approach prompt", async () => {
+      const state = stallState("stall-inject-loop", "inject");
+      spawn.mockImplementation(
+        scriptedChild({
+          stdout: '{"session_id": "session-1"}\n',
+          lastMessage: "Still investigating the failing test.",
+        })
+      );
+
+      await runStallLoop(state);
+
+      expect(state.status).toBe("stopped_max_iterations");
+      const prompts = spawn.mock.calls.map((call) => call[1].join(" "));
+      expect(prompts[2]).not.toContain("You appear to be stuck");
+      expect(prompts[3]).toContain("You appear to be stuck");
+    });
+
+    test("asks before continuing in pause mode", async () => {
+      const state = stallState("stall-pause-loop", "pause");
+      readline.createInterface.mockReturnValue({
+        question: jest.fn((msg, cb) => cb("y")),
+        close: jest.fn(),
+        on: jest.fn(),
+      });
+      spawn.mockImplementation(
+        scriptedChild({
+          stdout: '{"session_id": "session-1"}\n',
+          lastMessage: "Still investigating the failing test.",
+        })
+      );
+
+      await runStallLoop(state);
+
+      expect(state.status).toBe("stopped_max_iterations");
+      expect(readline.createInterface).toHaveBeenCalledTimes(2);
+    });
+
+    test("warns on dangerous settings", async () => {
+      const loopId = "danger-loop";
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      const artifactsDir = path.join(loopsDir, loopId);
+      const statePath = path.join(loopsDir, `${loopId}.json`);
+
+      fs.mkdirSync(artifactsDir, { recursive: true });
+
+      const state = {
+        loop_id: loopId,
+        prompt: "Do task",
+        completion_promise: "DONE",
+        promise_mode: "tag",
+        max_iterations: 1,
+        same_prompt_each_iteration: false,
+        iteration: 0,
+        status: "running",
+        codex: { session_id: null, model: null, sandbox: null, approval: null, profile: null },
+        todo: null,
+        artifacts: { dir: artifactsDir, last_message_path: null, jsonl_path: null },
+        history: [],
+        last_result: null,
+      };
+
+      const runLoopPromise = cli.runLoop({
+        statePath,
+        state,
+        workspaceRoot: tmpDir,
+        completionPromise: "DONE",
+        promiseMode: "tag",
+        maxIterations: 1,
+        samePromptEachIteration: false,
+        artifactsDir,
+        summaryJson: null,
+        jsonlEventsBase: null,
+        todoFile: null,
+        hardStopToken: "HARD STOP",
+        hardStopMode: "pause",
+        codexOptions: { cd: tmpDir, sandbox: "danger-full-access" },
+      });
+
+      mockChild.stdout.emit("data", Buffer.from('{"session_id": "session-1"}\n'));
+      mockChild.emit("close", 0);
+
+      const lastMessagePath = path.join(artifactsDir, "last_message_iter_1.txt");
+      fs.writeFileSync(lastMessagePath, "<promise>DONE</promise>");
+
+      await runLoopPromise;
+
+      expect(warns.some(w => w.includes("dangerous settings"))).toBe(true);
+    });
+  });
+
+  describe("handleStart", () => {
+    test("throws when state file already exists", async () => {
+      const loopId = "existing-loop";
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      fs.mkdirSync(loopsDir, { recursive: true });
+      fs.writeFileSync(path.join(loopsDir, `${loopId}.json`), "{}");
+
+      await expect(
+        cli.handleStart("Do task", { cd: tmpDir, loopId })
+      ).rejects.toThrow("State file already exists");
+    });
+  });
+
+  describe("TODO checklists", () => {
+    // Child that rewrites the TODO file the way an agent would before finishing.
+    const editingTodo = (content, lastMessage = "Working.") => (command, args) => {
+      fs.writeFileSync(path.join(tmpDir, "TODO.md"), content);
+      return scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage })(command, args);
+    };
+
+    test("completes once every item is checked and records progress", async () => {
+      const loopId = "todo-done-loop";
+      fs.writeFileSync(path.join(tmpDir, "TODO.md"), "- [ ] parse\n- [ ] render\n");
+      spawn
+        .mockImplementationOnce(editingTodo("- [x] parse\n- [ ] render\n"))
+        .mockImplementationOnce(editingTodo("- [x] parse\n- [x] render\n"));
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        maxIterations: 5,
+        todoFile: "TODO.md",
+        completeWhenTodoDone: true,
+      });
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(spawn).toHaveBeenCalledTimes(2);
+      expect(saved.status).toBe("completed");
+      expect(saved.history.map((entry) => entry.todo)).toEqual([
+        { done: 1, total: 2, regressions: [] },
+        { done: 2, total: 2, regressions: [] },
+      ]);
+      expect(saved.todo.complete_when_done).toBe(true);
+      expect(logs).toContain("TODO progress: 1/2 done");
+      expect(logs.join("\n")).toContain("All TODO items are checked on iteration 2");
+    });
+
+    test("does not complete on a checked list without the flag", async () => {
+      const loopId = "todo-no-flag-loop";
+      fs.writeFileSync(path.join(tmpDir, "TODO.md"), "- [ ] parse\n");
+      spawn.mockImplementation(editingTodo("- [x] parse\n"));
+
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 2, todoFile: "TODO.md" });
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(saved.status).toBe("stopped_max_iterations");
+    });
+
+    test("detects unchecked and deleted items and tells the agent", async () => {
+      const loopId = "todo-regression-loop";
+      fs.writeFileSync(path.join(tmpDir, "TODO.md"), "- [x] parse\n- [x] render\n- [ ] docs\n");
+      spawn
+        .mockImplementationOnce(editingTodo("- [ ] parse\n- [ ] docs\n"))
+        .mockImplementationOnce(editingTodo("- [x] parse\n- [ ] docs\n"));
+
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 2, todoFile: "TODO.md" });
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(saved.history[0].todo.regressions).toEqual([
+        { text: "parse", change: "unchecked" },
+        { text: "render", change: "removed" },
+      ]);
+      expect(saved.history[1].todo.regressions).toEqual([]);
+      expect(warns.join("\n")).toContain("2 TODO item(s) were unchecked or removed during iteration 1.");
+      const secondPrompt = spawn.mock.calls[1][1][3];
+      expect(secondPrompt).toContain("The TODO checklist in TODO.md lost progress");
+      expect(secondPrompt).toContain('- "render" was removed');
+    });
+
+    test("shows progress in list and status", async () => {
+      const loopId = "todo-progress-loop";
+      fs.writeFileSync(path.join(tmpDir, "TODO.md"), "- [ ] a\n- [ ] b\n- [ ] c\n");
+      spawn.mockImplementation(editingTodo("- [x] a\n- [x] b\n- [ ] c\n"));
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 1, todoFile: "TODO.md" });
+      logs.length = 0;
+
+      cli.handleList({ cd: tmpDir });
+      expect(logs.join("\n")).toContain("TODO: 2/3 done");
+
+      logs.length = 0;
+      cli.handleStatus({ cd: tmpDir, loopId });
+      expect(JSON.parse(logs[0]).todo_progress).toBe("2/3 done");
+    });
+
+    test("requires a TODO file for --complete-when-todo-done", async () => {
+      await expect(
+        cli.handleStart("Do task", { cd: tmpDir, loopId: "no-todo", completeWhenTodoDone: true })
+      ).rejects.toThrow("--complete-when-todo-done requires --todo-file.");
+      spawn.mockImplementation(scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "" }));
+      await cli.handleStart("Do task", { cd: tmpDir, loopId: "plain-loop", maxIterations: 1 });
+      await expect(
+        cli.handleResume({ cd: tmpDir, loopId: "plain-loop", completeWhenTodoDone: true })
+      ).rejects.toThrow("Loop plain-loop has no TODO file");
+    });
+
+    test("resume can turn on completion by TODO", async () => {
+      const loopId = "todo-resume-loop";
+      fs.writeFileSync(path.join(tmpDir, "TODO.md"), "- [ ] parse\n");
+      spawn.mockImplementation(editingTodo("- [ ] parse\n"));
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 1, todoFile: "TODO.md" });
+
+      spawn.mockImplementation(editingTodo("- [x] parse\n"));
+      await cli.handleResume({ cd: tmpDir, loopId, maxIterations: 3, completeWhenTodoDone: true });
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(saved.status).toBe("completed");
+      expect(saved.iteration).toBe(2);
+    });
+  });
+
+  describe("prompt templates", () => {
+    test("renders custom templates and stores them for resume", async () => {
+      const loopId = "template-loop";
+      initRepo(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "prompt.md"), "Team framing.\nTask: {{userPrompt}}\nDone: {{promiseText}}\n");
+      fs.writeFileSync(
+        path.join(tmpDir, "continue.md"),
+        "Iteration {{iteration}}.\n{{#if lastMessage}}\nYou said: {{lastMessage}}\n{{/if}}\n{{#if gitDiffStat}}\n{{gitDiffStat}}\n{{/if}}\n"
+      );
+      spawn.mockImplementationOnce(
+        scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "Wrote notes." })
+      );
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        maxIterations: 1,
+        completionPromise: "DONE",
+        promptTemplate: "prompt.md",
+        continueTemplate: "continue.md",
+      });
+      expect(spawn.mock.calls[0][1][1]).toBe("Team framing.\nTask: Do task\nDone: <promise>DONE</promise>");
+
+      fs.writeFileSync(path.join(tmpDir, "README.md"), "hello\nagain\n");
+      spawn.mockImplementationOnce(
+        scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "<promise>DONE</promise>" })
+      );
+      await cli.handleResume({ loopId, cd: tmpDir, maxIterations: 2 });
+
+      const continuePrompt = spawn.mock.calls[1][1][3];
+      expect(continuePrompt).toMatch(/^Iteration 2\.\nYou said: Wrote notes\.\nREADME\.md \| 1 \+/);
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(saved.templates).toEqual({ prompt: "prompt.md", continue: "continue.md" });
+      expect(saved.status).toBe("completed");
+    });
+
+    test("rejects a template with unknown variables before writing state", async () => {
+      const loopId = "bad-template-loop";
+      fs.writeFileSync(path.join(tmpDir, "prompt.md"), "Task: {{task}}\n");
+
+      await expect(
+        cli.handleStart("Do task", { cd: tmpDir, loopId, promptTemplate: "prompt.md" })
+      ).rejects.toThrow('Unknown template variable "task" on line 1');
+      expect(spawn).not.toHaveBeenCalled();
+      expect(
+        fs.existsSync(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`))
+      ).toBe(false);
+    });
+  });
+
+  describe("multi-phase plans", () => {
+    const reply = (lastMessage) =>
+      scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage });
+    const loopState = (loopId) =>
+      lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+
+    beforeEach(() => {
+      fs.writeFileSync(
+        path.join(tmpDir, "plan.yaml"),
+        [
+          "prompt: Build a CLI.",
+          "phases:",
+          "  - name: scaffold",
+          "    prompt: Create the project skeleton.",
+          "    completion_promise: SCAFFOLD_DONE",
+          "    max_iterations: 2",
+          "  - name: tests",
+          "    prompt: Write the tests.",
+          "    completion_promise: TESTS_DONE",
+          "",
+        ].join("\n")
+      );
+    });
+
+    test("runs phases in order with their own prompts and promises", async () => {
+      const loopId = "plan-loop";
+      spawn
+        .mockImplementationOnce(reply("Working."))
+        .mockImplementationOnce(reply("<promise>SCAFFOLD_DONE</promise>"))
+        .mockImplementationOnce(reply("<promise>TESTS_DONE</promise>"));
+
+      await cli.handleStart(undefined, { cd: tmpDir, loopId, maxIterations: 4, plan: "plan.yaml" });
+
+      expect(spawn).toHaveBeenCalledTimes(3);
+      expect(spawn.mock.calls[0][1][1]).toContain("Phase: 1 of 2 (scaffold)");
+      expect(spawn.mock.calls[0][1][1]).toContain("Task:\nBuild a CLI.\n\nCreate the project skeleton.");
+      expect(spawn.mock.calls[1][1][3]).toContain("Continue the Waylon-Smithers loop.");
+      expect(spawn.mock.calls[1][1][3]).toContain("Phase: 1 of 2 (scaffold)");
+      // The next phase resumes the session with its own full prompt.
+      const nextPhasePrompt = spawn.mock.calls[2][1][3];
+      expect(nextPhasePrompt).toContain("Phase: 2 of 2 (tests)");
+      expect(nextPhasePrompt).toContain("Write the tests.");
+      expect(nextPhasePrompt).toContain("<promise>TESTS_DONE</promise>");
+
+      const saved = loopState(loopId);
+      expect(saved.status).toBe("completed");
+      expect(saved.max_iterations).toBe(6);
+      expect(saved.plan.current_phase).toBe(2);
+      expect(
+        saved.plan.phases.map(({ name, status, started_iteration, last_iteration }) => ({
+          name,
+          status,
+          started_iteration,
+          last_iteration,
+        }))
+      ).toEqual([
+        { name: "scaffold", status: "completed", started_iteration: 1, last_iteration: 2 },
+        { name: "tests", status: "completed", started_iteration: 3, last_iteration: 3 },
+      ]);
+      expect(saved.history.map((entry) => entry.phase)).toEqual(["scaffold", "scaffold", "tests"]);
+      expect(logs.join("\n")).toContain("Completion promise detected on iteration 2. Phase scaffold completed.");
+      expect(logs).toContain("All 2 phases completed. Loop plan-loop completed.");
+    });
+
+    test("stops at a phase cap and resumes mid-plan", async () => {
+      const loopId = "plan-cap-loop";
+      spawn.mockImplementation(reply("Working."));
+      await cli.handleStart(undefined, { cd: tmpDir, loopId, plan: "plan.yaml" });
+
+      let saved = loopState(loopId);
+      expect(spawn).toHaveBeenCalledTimes(2);
+      expect(saved.status).toBe("stopped_max_iterations");
+      expect(saved.plan.phases[0].status).toBe("stopped_max_iterations");
+      expect(logs.join("\n")).toContain("Phase scaffold reached its cap of 2 iteration(s)");
+
+      logs.length = 0;
+      cli.handleStatus({ cd: tmpDir, loopId });
+      expect(JSON.parse(logs[0]).plan_progress).toBe("0/2 phases done, current: scaffold");
+
+      spawn
+        .mockImplementationOnce(reply("<promise>SCAFFOLD_DONE</promise>"))
+        .mockImplementationOnce(reply("<promise>TESTS_DONE</promise>"));
+      await cli.handleResume({ cd: tmpDir, loopId, maxIterations: 3 });
+
+      saved = loopState(loopId);
+      expect(saved.status).toBe("completed");
+      expect(saved.plan.phases[0].max_iterations).toBe(3);
+      expect(saved.history.map((entry) => entry.phase)).toEqual(["scaffold", "scaffold", "scaffold", "tests"]);
+    });
+
+    test("pauses between phases on a phase HARD STOP", async () => {
+      const loopId = "plan-stop-loop";
+      fs.writeFileSync(
+        path.join(tmpDir, "plan.json"),
+        JSON.stringify({
+          phases: [
+            { name: "design", prompt: "Write DESIGN.md.", hardStop: true },
+            { name: "build", prompt: "Build it." },
+          ],
+        })
+      );
+      spawn.mockImplementation(reply("<promise>DONE</promise>"));
+
+      await cli.handleStart(undefined, {
+        cd: tmpDir,
+        loopId,
+        plan: "plan.json",
+        completionPromise: "DONE",
+        hardStopMode: "exit",
+      });
+
+      let saved = loopState(loopId);
+      expect(spawn).toHaveBeenCalledTimes(1);
+      expect(saved.status).toBe("paused_hard_stop");
+      expect(saved.plan.current_phase).toBe(1);
+      expect(logs).toContain("Exiting loop. Resume later to start phase build.");
+
+      await cli.handleResume({ cd: tmpDir, loopId });
+      saved = loopState(loopId);
+      expect(spawn).toHaveBeenCalledTimes(2);
+      expect(spawn.mock.calls[1][1][3]).toContain("Build it.");
+      expect(saved.status).toBe("completed");
+
+      logs.length = 0;
+      await cli.handleResume({ cd: tmpDir, loopId });
+      expect(spawn).toHaveBeenCalledTimes(2);
+      expect(logs).toContain(`All 2 phases of loop ${loopId} are already completed.`);
+    });
+
+    test("rejects a bad plan or a missing prompt before writing state", async () => {
+      fs.writeFileSync(path.join(tmpDir, "bad.yaml"), "phases:\n  - name: one\n");
+      await expect(
+        cli.handleStart(undefined, { cd: tmpDir, loopId: "bad-plan", plan: "bad.yaml" })
+      ).rejects.toThrow('needs a non-empty "prompt"');
+      await expect(cli.handleStart(undefined, { cd: tmpDir, loopId: "no-prompt" })).rejects.toThrow(
+        "A prompt is required unless --plan is given."
+      );
+      expect(spawn).not.toHaveBeenCalled();
+      expect(fs.existsSync(path.join(tmpDir, ".codex/waylon-smithers/loops"))).toBe(false);
+    });
+  });
+
+  describe("lifecycle hooks", () => {
+    const reply = (lastMessage) =>
+      scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage });
+    const loopState = (loopId) =>
+      lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+    const hookPayload = (call) => JSON.parse(spawn.mock.results[call].value.stdin.end.mock.calls[0][0]);
+
+    test("runs iteration hooks with the loop context and lets post_iteration stop the loop", async () => {
+      const loopId = "hook-stop-loop";
+      spawn
+        .mockImplementationOnce(scriptedChild())
+        .mockImplementationOnce(reply("Working."))
+        .mockImplementationOnce(scriptedChild({ stdout: '{"action": "stop", "reason": "metrics regressed"}\n' }));
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        maxIterations: 5,
+        hook: ["pre_iteration=./fixtures.sh", "post_iteration=./metrics.sh"],
+      });
+
+      expect(spawn).toHaveBeenCalledTimes(3);
+      expect(spawn.mock.calls[0][0]).toBe("./fixtures.sh");
+      expect(spawn.mock.calls[0][1]).toMatchObject({ cwd: tmpDir, shell: true });
+      expect(spawn.mock.calls[0][1].env).toMatchObject({
+        WAYLON_EVENT: "pre_iteration",
+        WAYLON_LOOP_ID: loopId,
+        WAYLON_ITERATION: "1",
+        WAYLON_MAX_ITERATIONS: "5",
+      });
+      const payload = hookPayload(2);
+      expect(payload).toMatchObject({ event: "post_iteration", loop_id: loopId, iteration: 1, last_message: "Working." });
+      expect(payload.record.exit_code).toBe(0);
+
+      const saved = loopState(loopId);
+      expect(saved.status).toBe("stopped_hook");
+      expect(saved.hooks.post_iteration).toEqual(["./metrics.sh"]);
+      expect(saved.history[0].hooks).toEqual([
+        { event: "pre_iteration", command: "./fixtures.sh", exit_code: 0 },
+        { event: "post_iteration", command: "./metrics.sh", exit_code: 0 },
+      ]);
+      expect(logs).toContain('post_iteration hook "./metrics.sh" asked to stop the loop: metrics regressed');
+    });
+
+    test("appends hook text to the next prompt and reports failing hooks", async () => {
+      const loopId = "hook-append-loop";
+      spawn
+        .mockImplementationOnce(reply("Working."))
+        .mockImplementationOnce(scriptedChild({ stdout: '{"append_prompt": "Fixtures were regenerated."}\n' }))
+        .mockImplementationOnce(scriptedChild({ exitCode: 2, stderr: "chat is down\n" }))
+        .mockImplementationOnce(reply("Still working."))
+        .mockImplementationOnce(scriptedChild({ stdout: "not json\n" }))
+        .mockImplementationOnce(scriptedChild({ stdout: "{oops\n" }))
+        .mockImplementationOnce(scriptedChild());
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        maxIterations: 2,
+        hook: ["post_iteration=./a.sh", "post_iteration=./b.sh", "on_max_iterations=./notify.sh"],
+      });
+
+      expect(spawn).toHaveBeenCalledTimes(7);
+      expect(spawn.mock.calls[3][1][3]).toContain("Fixtures were regenerated.");
+      expect(warns).toContain('[WARN] post_iteration hook "./b.sh" exited with 2: chat is down');
+      expect(warns.join("\n")).toContain('post_iteration hook "./b.sh" returned invalid JSON');
+      expect(spawn.mock.calls[6][0]).toBe("./notify.sh");
+      expect(hookPayload(6)).toMatchObject({ event: "on_max_iterations", status: "stopped_max_iterations" });
+      expect(loopState(loopId).status).toBe("stopped_max_iterations");
+    });
+
+    test("runs on_complete once a plan finishes and on_hard_stop between phases", async () => {
+      const loopId = "hook-plan-loop";
+      fs.writeFileSync(
+        path.join(tmpDir, "plan.json"),
+        JSON.stringify({ phases: [{ name: "one", prompt: "One.", hardStop: true }, { name: "two", prompt: "Two." }] })
+      );
+      spawn
+        .mockImplementationOnce(reply("<promise>DONE</promise>"))
+        .mockImplementationOnce(scriptedChild());
+      await cli.handleStart(undefined, {
+        cd: tmpDir,
+        loopId,
+        plan: "plan.json",
+        completionPromise: "DONE",
+        hardStopMode: "exit",
+        hook: ["on_hard_stop=./review.sh", "on_complete=./done.sh"],
+      });
+      expect(spawn.mock.calls[1][0]).toBe("./review.sh");
+      expect(hookPayload(1)).toMatchObject({
+        event: "on_hard_stop",
+        phase: "one",
+        next_phase: "two",
+        status: "paused_hard_stop",
+      });
+
+      spawn
+        .mockImplementationOnce(reply("<promise>DONE</promise>"))
+        .mockImplementationOnce(scriptedChild());
+      await cli.handleResume({ cd: tmpDir, loopId, hook: ["on_complete=./shipped.sh"] });
+      expect(spawn).toHaveBeenCalledTimes(4);
+      expect(spawn.mock.calls[3][0]).toBe("./shipped.sh");
+      expect(loopState(loopId).hooks).toMatchObject({
+        on_hard_stop: ["./review.sh"],
+        on_complete: ["./shipped.sh"],
+      });
+    });
+
+    test("runs on_pause whenever the loop pauses", async () => {
+      const loopId = "hook-pause-loop";
+      spawn
+        .mockImplementationOnce(reply("Working."))
+        .mockImplementationOnce(scriptedChild({ stdout: '{"action": "pause", "reason": "needs review"}\n' }))
+        .mockImplementationOnce(scriptedChild());
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        maxIterations: 5,
+        hook: ["post_iteration=./review.sh", "on_pause=./page.sh"],
+      });
+
+      expect(spawn).toHaveBeenCalledTimes(3);
+      expect(spawn.mock.calls[2][0]).toBe("./page.sh");
+      expect(hookPayload(2)).toMatchObject({ event: "on_pause", loop_id: loopId, iteration: 1, status: "paused_hook" });
+      expect(loopState(loopId).status).toBe("paused_hook");
+    });
+
+    test("runs on_pause when the loop is interrupted", async () => {
+      const loopId = "hook-interrupt-loop";
+      let exited;
+      const exit = new Promise((resolve) => {
+        exited = resolve;
+      });
+      jest.spyOn(process, "exit").mockImplementation((code) => exited(code));
+      let finishHook;
+      spawn
+        .mockImplementationOnce((command, args) => {
+          setImmediate(() => process.listeners("SIGINT").slice(-1)[0]());
+          return reply("Cut off.")(command, args);
+        })
+        .mockImplementationOnce((command, args) => {
+          const hookChild = new EventEmitter();
+          hookChild.stdout = new EventEmitter();
+          hookChild.stderr = new EventEmitter();
+          hookChild.stdin = { on: jest.fn(), end: jest.fn() };
+          hookChild.kill = jest.fn();
+          finishHook = () => hookChild.emit("close", 0);
+          return hookChild;
+        });
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+
+      try {
+        await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 3, hook: ["on_pause=./page.sh"] });
+        // The loop has returned, but the lock stays until the handler has saved the final state.
+        expect(lib.readLock(statePath)).toMatchObject({ pid: process.pid });
+        finishHook();
+        await exit;
+      } finally {
+        process.exit.mockRestore();
+      }
+      expect(lib.readLock(statePath)).toBeNull();
+
+      expect(spawn).toHaveBeenCalledTimes(2);
+      expect(spawn.mock.calls[1][0]).toBe("./page.sh");
+      expect(hookPayload(1)).toMatchObject({ event: "on_pause", status: "paused_user_interrupt" });
+      expect(loopState(loopId).status).toBe("paused_user_interrupt");
+    });
+
+    test("runs on_error when the agent cannot start", async () => {
+      const loopId = "hook-error-loop";
+      spawn
+        .mockImplementationOnce(() => {
+          throw new Error("codex not found");
+        })
+        .mockImplementationOnce(scriptedChild());
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, hook: ["on_error=./page.sh"] });
+      expect(hookPayload(1)).toMatchObject({ event: "on_error", status: "error_spawn", error: "codex not found" });
+    });
+
+    test("rejects invalid hooks before writing state", async () => {
+      await expect(
+        cli.handleStart("Do task", { cd: tmpDir, loopId: "bad-hook", hook: ["after=./x.sh"] })
+      ).rejects.toThrow('Invalid hook "after=./x.sh"');
+      expect(spawn).not.toHaveBeenCalled();
+      expect(fs.existsSync(path.join(tmpDir, ".codex/waylon-smithers/loops"))).toBe(false);
+    });
+  });
+
+  describe("webhook notifications", () => {
+    let server;
+    let received;
+    let statusCode;
+
+    beforeEach(async () => {
+      received = [];
+      statusCode = 200;
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+          body += chunk;
+        });
+        req.on("end", () => {
+          received.push(JSON.parse(body));
+          res.statusCode = statusCode;
+          res.end();
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    });
+
+    afterEach(async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    const webhookUrl = () => `http://127.0.0.1:${server.address().port}/loops`;
+
+    test("posts the final status with a last-message excerpt", async () => {
+      const loopId = "webhook-loop";
+      spawn.mockImplementation(
+        scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "All green.\n<promise>DONE</promise>" })
+      );
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        completionPromise: "DONE",
+        notifyWebhook: webhookUrl(),
+      });
+
+      expect(received).toEqual([
+        expect.objectContaining({
+          event: "loop.status",
+          loop_id: loopId,
+          status: "completed",
+          iteration: 1,
+          last_message_excerpt: "All green.\n<promise>DONE</promise>",
+        }),
+      ]);
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(saved.notify).toEqual({ webhook_url: webhookUrl() });
+    });
+
+    test("notifies a HARD STOP once and later stops on resume", async () => {
+      const loopId = "webhook-stop-loop";
+      fs.writeFileSync(path.join(tmpDir, "TODO.md"), "- [ ] HARD STOP: review\n");
+      spawn.mockImplementation(scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "Paused." }));
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        todoFile: "TODO.md",
+        hardStopMode: "exit",
+        notifyWebhook: webhookUrl(),
+      });
+      expect(received.map((payload) => payload.status)).toEqual(["paused_hard_stop"]);
+
+      fs.writeFileSync(path.join(tmpDir, "TODO.md"), "- [x] Review\n");
+      await cli.handleResume({ cd: tmpDir, loopId, maxIterations: 2 });
+      expect(received.map((payload) => payload.status)).toEqual(["paused_hard_stop", "stopped_max_iterations"]);
+    });
+
+    test("a failed notification does not affect the loop", async () => {
+      const loopId = "webhook-fail-loop";
+      statusCode = 400;
+      spawn.mockImplementation(scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "<promise>DONE</promise>" }));
+
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, completionPromise: "DONE", notifyWebhook: webhookUrl() });
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(saved.status).toBe("completed");
+      expect(warns).toContain("[WARN] Webhook notification for completed failed after 1 attempt(s): HTTP 400");
+    });
+
+    test("an interrupt saves the paused state after a single notification attempt", async () => {
+      const loopId = "webhook-interrupt-loop";
+      statusCode = 503;
+      let exited;
+      const exit = new Promise((resolve) => {
+        exited = resolve;
+      });
+      jest.spyOn(process, "exit").mockImplementation((code) => exited(code));
+      spawn.mockImplementation((command, args) => {
+        // Ctrl+C while the agent runs; the iteration still finishes while the handler notifies.
+        setImmediate(() => process.listeners("SIGINT").slice(-1)[0]());
+        return scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "Cut off." })(
+          command,
+          args
+        );
+      });
+
+      try {
+        await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 3, notifyWebhook: webhookUrl() });
+        expect(await exit).toBe(1);
+      } finally {
+        process.exit.mockRestore();
+      }
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(saved.status).toBe("paused_user_interrupt");
+      expect(saved.iteration).toBe(0);
+      expect(saved.history).toEqual([]);
+      expect(received.map((payload) => payload.status)).toEqual(["paused_user_interrupt"]);
+      expect(warns).toContain(
+        "[WARN] Webhook notification for paused_user_interrupt failed after 1 attempt(s): HTTP 503"
+      );
+    });
+
+    test("rejects an invalid webhook URL before writing state", async () => {
+      await expect(
+        cli.handleStart("Do task", { cd: tmpDir, loopId: "bad-webhook", notifyWebhook: "slack" })
+      ).rejects.toThrow('Invalid webhook URL "slack".');
+      expect(spawn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("agent output", () => {
+    let originalIsTTY;
+
+    beforeEach(() => {
+      originalIsTTY = process.stdout.isTTY;
+      process.stdout.isTTY = false;
+    });
+
+    afterEach(() => {
+      process.stdout.isTTY = originalIsTTY;
+    });
+
+    test("--tui prints agent activity instead of raw events when stdout is not a TTY", async () => {
+      const events = [
+        { session_id: "session-1" },
+        { type: "item.started", item: { type: "command_execution", command: "npm test" } },
+        { type: "item.completed", item: { type: "file_change", changes: [{ path: "src/app.js" }] } },
+        { type: "turn.completed", usage: { input_tokens: 100, output_tokens: 20 } },
+      ];
+      spawn.mockImplementation(
+        scriptedChild({
+          stdout: events.map((event) => `${JSON.stringify(event)}\n`).join(""),
+          stderr: "codex warning\n",
+          lastMessage: "<promise>DONE</promise>",
+        })
+      );
+
+      await cli.handleStart("Do task", { cd: tmpDir, loopId: "tui-loop", completionPromise: "DONE", tui: true });
+
+      const written = process.stdout.write.mock.calls.map(([text]) => text).join("");
+      expect(written).toContain("  $ npm test\n  edited src/app.js\n");
+      expect(written).toContain("  iteration 1: 120 tokens, 1 file(s) touched");
+      expect(written).not.toContain("session_id");
+      expect(process.stderr.write).toHaveBeenCalledWith("codex warning\n");
+      expect(logs.some((line) => line.includes("Loop tui-loop completed"))).toBe(true);
+    });
+
+    test("--output renders events while the JSONL file keeps the raw stream", async () => {
+      const stdout = [
+        { session_id: "session-1" },
+        { type: "item.completed", item: { type: "agent_message", text: "Working on it." } },
+        { type: "error", message: "reconnecting" },
+      ]
+        .map((event) => `${JSON.stringify(event)}\n`)
+        .join("");
+      spawn.mockImplementation(scriptedChild({ stdout, stderr: "codex warning\n", lastMessage: "Still going." }));
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId: "pretty-loop",
+        maxIterations: 1,
+        jsonlEvents: "events.jsonl",
+      });
+      let written = process.stdout.write.mock.calls.map(([text]) => text).join("");
+      expect(written).toBe("  agent: Working on it.\n  error: reconnecting\n");
+      const jsonl = path.join(tmpDir, "events_iter_1.jsonl");
+      expect(fs.readFileSync(jsonl, "utf8")).toBe(stdout);
+
+      process.stdout.write.mockClear();
+      process.stderr.write.mockClear();
+      await cli.handleResume({ cd: tmpDir, loopId: "pretty-loop", maxIterations: 2, output: "quiet" });
+      written = process.stdout.write.mock.calls.map(([text]) => text).join("");
+      expect(written).toBe("  error: reconnecting\n");
+      expect(process.stderr.write).not.toHaveBeenCalledWith("codex warning\n");
+    });
+
+    test("rejects an unknown --output mode before writing state", async () => {
+      await expect(
+        cli.handleStart("Do task", { cd: tmpDir, loopId: "bad-output", output: "loud" })
+      ).rejects.toThrow('Unknown output mode "loud"');
+      expect(fs.existsSync(path.join(tmpDir, ".codex/waylon-smithers/loops/bad-output.json"))).toBe(false);
+    });
+  });
+
+  describe("handleStart backends", () => {
+    test("rejects an unknown backend before writing state", async () => {
+      const loopId = "bad-backend-loop";
+      await expect(
+        cli.handleStart("Do task", { cd: tmpDir, loopId, backend: "nope" })
+      ).rejects.toThrow('Unknown backend "nope"');
+      expect(
+        fs.existsSync(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`))
+      ).toBe(false);
+    });
+
+    test("stores the backend in state", async () => {
+      const loopId = "stored-backend-loop";
+      spawn.mockImplementationOnce(scriptedChild({ stdout: "<promise>DONE</promise>\n" }));
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        completionPromise: "DONE",
+        maxIterations: 2,
+        backend: "command",
+        backendCommand: "my-agent {prompt}",
+      });
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(saved.backend).toEqual({ name: "command", command: "my-agent {prompt}", resume_command: null });
+      expect(saved.status).toBe("completed");
+    });
+
+    test("sends the full prompt every iteration when the command backend cannot resume", async () => {
+      const loopId = "fresh-runs-loop";
+      spawn
+        .mockImplementationOnce(scriptedChild({ stdout: "Run 123e4567-e89b-12d3-a456-426614174000 started\n" }))
+        .mockImplementationOnce(scriptedChild({ stdout: "<promise>DONE</promise>\n" }));
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        completionPromise: "DONE",
+        maxIterations: 3,
+        backend: "command",
+        backendCommand: "my-agent {prompt}",
+      });
+
+      expect(spawn).toHaveBeenCalledTimes(2);
+      const [first, second] = spawn.mock.calls.map(([, args]) => args[args.length - 1]);
+      expect(first).toContain("Iteration: 1 of 3");
+      expect(second).toContain("Iteration: 2 of 3");
+      expect(second).toContain("Task:\nDo task");
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(saved.codex.session_id).toBeNull();
+      expect(saved.status).toBe("completed");
+    });
+  });
+
+  describe("handleStart stall options", () => {
+    test("rejects an unknown stall action", async () => {
+      await expect(
+        cli.handleStart("Do task", { cd: tmpDir, loopId: "bad-stall", stallIterations: 2, stallAction: "nap" })
+      ).rejects.toThrow('Unknown stall action "nap"');
+    });
+  });
+
+  describe("git checkpoints", () => {
+    test("records the base commit and commits each iteration on a loop branch", async () => {
+      const loopId = "checkpoint-loop";
+      const baseCommit = initRepo(tmpDir);
+      let counter = 0;
+      spawn.mockImplementation((command, args) => {
+        counter += 1;
+        if (counter === 1) fs.writeFileSync(path.join(tmpDir, "feature.js"), "one\n");
+        return scriptedChild({
+          stdout: '{"session_id": "session-1"}\n',
+          lastMessage: counter === 3 ? "<promise>DONE</promise>" : `Implemented step ${counter}`,
+        })(command, args);
+      });
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        completionPromise: "DONE",
+        maxIterations: 5,
+        gitCheckpoint: true,
+      });
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(saved.git).toEqual({
+        base_commit: baseCommit,
+        base_branch: "main",
+        checkpoint_branch: "waylon/checkpoint-loop",
+      });
+      expect(git(["symbolic-ref", "--short", "HEAD"], tmpDir).trim()).toBe("waylon/checkpoint-loop");
+
+      const [first, second] = saved.history;
+      expect(first.commit_sha).toBe(git(["rev-parse", "HEAD"], tmpDir).trim());
+      expect(first.commit_sha).not.toBe(baseCommit);
+      // No changes in the second iteration: no new commit, same SHA.
+      expect(second.commit_sha).toBe(first.commit_sha);
+
+      const message = git(["log", "-1", "--format=%B", first.commit_sha], tmpDir);
+      expect(message).toContain("iteration 1");
+      expect(message).toContain("Implemented step 1");
+      // Wrapper state never ends up in checkpoints.
+      const files = git(["show", "--name-only", "--format=", first.commit_sha], tmpDir);
+      expect(files.trim()).toBe("feature.js");
+    });
+
+    test("requires a git repository", async () => {
+      await expect(
+        cli.handleStart("Do task", { cd: tmpDir, loopId: "no-git", gitCheckpoint: true })
+      ).rejects.toThrow("--git-checkpoint requires");
+    });
+
+    test("warns and keeps going when a checkpoint fails", async () => {
+      const loopId = "broken-checkpoint-loop";
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      const artifactsDir = path.join(loopsDir, loopId);
+      fs.mkdirSync(artifactsDir, { recursive: true });
+      spawn.mockImplementationOnce(
+        scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "<promise>DONE</promise>" })
+      );
+
+      const state = {
+        loop_id: loopId,
+        prompt: "Do task",
+        iteration: 0,
+        status: "running",
+        codex: { session_id: null },
+        git: { base_commit: null, base_branch: null, checkpoint_branch: "waylon/x" },
+        artifacts: { dir: artifactsDir },
+        history: [],
+      };
+
+      await cli.runLoop({
+        statePath: path.join(loopsDir, `${loopId}.json`),
+        state,
+        workspaceRoot: tmpDir,
+        completionPromise: "DONE",
+        promiseMode: "tag",
+        maxIterations: 1,
+        artifactsDir,
+        summaryJson: null,
+        jsonlEventsBase: null,
+        todoFile: null,
+        codexOptions: { cd: tmpDir },
+      });
+
+      expect(state.status).toBe("completed");
+      expect(state.history[0].commit_sha).toBeNull();
+      expect(warns.some((w) => w.includes("Git checkpoint failed"))).toBe(true);
+    });
+  });
+
+  describe("retries", () => {
+    const rateLimited = () =>
+      scriptedChild({
+        exitCode: 1,
+        stdout:
+          '{"session_id": "session-1"}\n' +
+          '{"type":"turn.completed","usage":{"input_tokens":10,"output_tokens":0}}\n' +
+          '{"type":"turn.failed","error":{"message":"Rate limit reached"}}\n',
+        lastMessage: "partial",
+      });
+
+    test("retries a rate-limited attempt without counting an iteration", async () => {
+      const loopId = "retry-loop";
+      spawn
+        .mockImplementationOnce(rateLimited())
+        .mockImplementationOnce(
+          scriptedChild({
+            stdout:
+              '{"session_id": "session-1"}\n' +
+              '{"type":"turn.completed","usage":{"input_tokens":5,"output_tokens":5}}\n',
+            lastMessage: "<promise>DONE</promise>",
+          })
+        );
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        completionPromise: "DONE",
+        maxRetries: 2,
+        retryBackoff: 1,
+      });
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(spawn).toHaveBeenCalledTimes(2);
+      expect(saved.status).toBe("completed");
+      expect(saved.iteration).toBe(1);
+      expect(saved.retry).toEqual({ max_retries: 2, backoff_ms: 1 });
+      expect(saved.history).toHaveLength(1);
+      expect(saved.history[0].exit_code).toBe(0);
+      expect(saved.history[0].retries).toEqual([
+        expect.objectContaining({
+          attempt: 1,
+          exit_code: 1,
+          reason: "rate_limit",
+          message: "Rate limit reached",
+          delay_ms: 1,
+        }),
+      ]);
+      // Tokens spent on the failed attempt still count.
+      expect(saved.usage.total_tokens).toBe(20);
+      expect(warns.join("\n")).toContain("Iteration 1 failed (rate_limit: Rate limit reached)");
+    });
+
+    test("counts the iteration once retries are exhausted", async () => {
+      const loopId = "retry-exhausted-loop";
+      spawn.mockImplementation(rateLimited());
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        maxIterations: 1,
+        maxRetries: 2,
+        retryBackoff: 1,
+      });
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(spawn).toHaveBeenCalledTimes(3);
+      expect(saved.iteration).toBe(1);
+      expect(saved.history[0].exit_code).toBe(1);
+      expect(saved.history[0].retries.map((retry) => retry.delay_ms)).toEqual([1, 2]);
+    });
+
+    test("does not retry by default", async () => {
+      const loopId = "no-retry-loop";
+      spawn.mockImplementation(rateLimited());
+
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 1 });
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(spawn).toHaveBeenCalledTimes(1);
+      expect(saved.history[0].retries).toEqual([]);
+    });
+
+    test("resume can change the retry policy", async () => {
+      const loopId = "retry-resume-loop";
+      spawn.mockImplementation(rateLimited());
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 1 });
+
+      await cli.handleResume({ loopId, cd: tmpDir, maxIterations: 2, maxRetries: 1, retryBackoff: 1 });
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(saved.retry).toEqual({ max_retries: 1, backoff_ms: 1 });
+      expect(saved.history[1].retries).toHaveLength(1);
+    });
+  });
+
+  describe("session recovery", () => {
+    test("replaces a lost session with a fresh one and a handoff", async () => {
+      const loopId = "lost-session-loop";
+      initRepo(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "TODO.md"), "- [x] parse\n- [ ] render\n");
+      spawn.mockImplementationOnce(
+        scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "Parser done." })
+      );
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        maxIterations: 1,
+        todoFile: "TODO.md",
+        completionPromise: "DONE",
+      });
+      fs.writeFileSync(path.join(tmpDir, "parser.js"), "module.exports = {};\n");
+      git(["add", "parser.js"], tmpDir);
+
+      spawn
+        .mockImplementationOnce(scriptedChild({ exitCode: 1, stderr: "Error: session session-1 not found\n" }))
+        .mockImplementationOnce(
+          scriptedChild({ stdout: '{"session_id": "session-2"}\n', lastMessage: "<promise>DONE</promise>" })
+        );
+      await cli.handleResume({ loopId, cd: tmpDir, maxIterations: 2 });
+
+      expect(spawn).toHaveBeenCalledTimes(3);
+      expect(spawn.mock.calls[1][1].slice(0, 3)).toEqual(["exec", "resume", "session-1"]);
+      const handoffPrompt = spawn.mock.calls[2][1][1];
+      expect(spawn.mock.calls[2][1][0]).toBe("exec");
+      expect(handoffPrompt).toContain("Task:\nDo task");
+      expect(handoffPrompt).toContain("could not be resumed (session_lost)");
+      expect(handoffPrompt).toContain("Last message from iteration 1:\nParser done.");
+      expect(handoffPrompt).toContain("parser.js");
+      expect(handoffPrompt).toContain("TODO progress in TODO.md: 1/2 items checked.");
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(saved.status).toBe("completed");
+      expect(saved.iteration).toBe(2);
+      expect(saved.codex.session_id).toBe("session-2");
+      expect(saved.codex.sessions).toEqual([
+        { id: "session-1", started_iteration: 1, last_iteration: 1, start_reason: "start", end_reason: "session_lost" },
+        { id: "session-2", started_iteration: 2, last_iteration: 2, start_reason: "session_lost" },
+      ]);
+      expect(saved.history[1]).toMatchObject({
+        session_id: "session-2",
+        retries: [],
+        session_recovery: { reason: "session_lost", previous_session_id: "session-1" },
+      });
+      expect(warns.join("\n")).toContain("Session session-1 cannot be resumed (session_lost");
+    });
+
+    test("recovers from a context overflow only once per iteration", async () => {
+      const loopId = "overflow-loop";
+      spawn.mockImplementationOnce(scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "" }));
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 1 });
+
+      const overflow = JSON.stringify({
+        type: "turn.failed",
+        error: { message: "maximum context length is 200000 tokens" },
+      });
+      spawn.mockImplementation(scriptedChild({ exitCode: 1, stdout: `{"session_id": "session-x"}\n${overflow}\n` }));
+      await cli.handleResume({ loopId, cd: tmpDir, maxIterations: 2 });
+
+      const saved = lib.readJson(path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`));
+      expect(spawn).toHaveBeenCalledTimes(3);
+      expect(saved.iteration).toBe(2);
+      expect(saved.history[1].exit_code).toBe(1);
+      expect(saved.history[1].session_recovery.reason).toBe("context_length_exceeded");
+    });
+  });
+
+  describe("state schema and repair", () => {
+    test("rejects resuming an invalid state with precise errors", async () => {
+      const loopId = "invalid-loop";
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      lib.writeJson(statePath, {
+        schema_version: 1,
+        loop_id: loopId,
+        workspace_root: tmpDir,
+        prompt: "Do task",
+        completion_promise: "DONE",
+        promise_mode: "tag",
+        max_iterations: 3,
+        iteration: 1,
+        status: "paused_max_iterations",
+        codex: { session_id: "session-1" },
+        artifacts: {},
+        history: [],
+        todo: { hard_stop_token: "STOP", hard_stop_mode: "pause" },
+      });
+
+      await expect(cli.handleResume({ loopId, cd: tmpDir })).rejects.toThrow(
+        /state\.todo\.path: is required\n  - state\.artifacts\.dir: is required\nRun "waylon-smithers repair --loop-id invalid-loop"/
+      );
+      expect(spawn).not.toHaveBeenCalled();
+    });
+
+    test("migrates a legacy state on resume", async () => {
+      const loopId = "legacy-loop";
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      lib.writeJson(statePath, {
+        loop_id: loopId,
+        workspace_root: tmpDir,
+        prompt: "Do task",
+        completion_promise: "DONE",
+        promise_mode: "tag",
+        max_iterations: 1,
+        iteration: 0,
+        status: "paused_user_interrupt",
+        codex: { session_id: null },
+        artifacts: { dir: `.codex/waylon-smithers/loops/${loopId}` },
+        history: [],
+      });
+      spawn.mockImplementation(
+        scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "<promise>DONE</promise>" })
+      );
+
+      await cli.handleResume({ loopId, cd: tmpDir });
+
+      const saved = lib.readJson(statePath);
+      expect(saved.schema_version).toBe(require("../src/schema").STATE_SCHEMA_VERSION);
+      expect(saved.retry).toEqual({ max_retries: 0, backoff_ms: 5000 });
+      expect(saved.status).toBe("completed");
+      expect(saved.usage).toBeDefined();
+    });
+
+    test("repairs a truncated state file from the loop artifacts", async () => {
+      const loopId = "repair-loop";
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      let counter = 0;
+      spawn.mockImplementation((command, args) => {
+        counter += 1;
+        return scriptedChild({
+          stdout: '{"session_id": "session-1"}\n',
+          lastMessage: `Step ${counter}`,
+        })(command, args);
+      });
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 2 });
+      fs.writeFileSync(statePath, '{"loop_id": "repair-lo');
+      fs.rmSync(lib.backupPathFor(statePath));
+
+      await expect(cli.handleResume({ loopId, cd: tmpDir })).rejects.toThrow("is not valid JSON");
+      expect(() => cli.handleRepair({ loopId, cd: tmpDir })).toThrow("Pass it with --prompt");
+
+      cli.handleRepair({ loopId, cd: tmpDir, prompt: "Do task" });
+
+      const repaired = lib.readJson(statePath);
+      expect(repaired).toMatchObject({
+        loop_id: loopId,
+        prompt: "Do task",
+        iteration: 2,
+        max_iterations: 2,
+        // Recovered from summary.json. Without event logs the session id is lost.
+        status: "stopped_max_iterations",
+        codex: { session_id: null },
+      });
+      expect(repaired.history.map((entry) => entry.iteration)).toEqual([1, 2]);
+      expect(logs).toContain(`Repaired loop ${loopId}: iteration 2/2, status stopped_max_iterations.`);
+
+      await cli.handleResume({ loopId, cd: tmpDir, maxIterations: 3 });
+      expect(lib.readJson(statePath).iteration).toBe(3);
+    });
+
+    test("refuses to repair a running loop", () => {
+      const loopId = "running-repair-loop";
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      lib.writeJson(lib.lockPathFor(statePath), {
+        pid: process.ppid,
+        hostname: os.hostname(),
+        started_at: "2024-01-01T00:00:00.000Z",
+      });
+
+      expect(() => cli.handleRepair({ loopId, cd: tmpDir, prompt: "x" })).toThrow("already running");
+    });
+  });
+
+  describe("loop locks", () => {
+    test("holds the lock while running and releases it afterwards", async () => {
+      const loopId = "lock-loop";
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      let lockDuringRun = null;
+      spawn.mockImplementation((command, args) => {
+        lockDuringRun = lib.readLock(statePath);
+        return scriptedChild({
+          stdout: '{"session_id": "session-1"}\n',
+          lastMessage: "<promise>DONE</promise>",
+        })(command, args);
+      });
+
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, completionPromise: "DONE" });
+
+      expect(lockDuringRun).toMatchObject({ pid: process.pid, live: true });
+      expect(fs.existsSync(lib.lockPathFor(statePath))).toBe(false);
+    });
+
+    test("takes the lock before saving the state of a new loop", async () => {
+      const loopId = "contended-loop";
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      lib.writeJson(lib.lockPathFor(statePath), {
+        pid: process.ppid,
+        hostname: os.hostname(),
+        started_at: "2024-01-01T00:00:00.000Z",
+      });
+
+      await expect(cli.handleStart("Do task", { cd: tmpDir, loopId })).rejects.toThrow(
+        `Loop ${loopId} is already running`
+      );
+      expect(fs.existsSync(statePath)).toBe(false);
+      expect(spawn).not.toHaveBeenCalled();
+    });
+
+    test("refuses to resume, rewind or clean up a loop that is running elsewhere", async () => {
+      const loopId = "busy-loop";
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      spawn.mockImplementation(
+        scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "Working" })
+      );
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 1 });
+      lib.writeJson(lib.lockPathFor(statePath), {
+        pid: process.ppid,
+        hostname: os.hostname(),
+        started_at: "2024-01-01T00:00:00.000Z",
+      });
+      spawn.mockClear();
+
+      await expect(cli.handleResume({ loopId, cd: tmpDir, maxIterations: 2 })).rejects.toThrow(
+        `Loop ${loopId} is already running (pid ${process.ppid}`
+      );
+      await expect(cli.handleRewind({ loopId, cd: tmpDir, toIteration: 0, yes: true })).rejects.toThrow(
+        "already running"
+      );
+      expect(() => cli.handleCancel({ loopId, cd: tmpDir, cleanupArtifacts: true })).toThrow(
+        "already running"
+      );
+      expect(fs.existsSync(path.join(tmpDir, ".codex/waylon-smithers/loops", loopId))).toBe(true);
+      expect(spawn).not.toHaveBeenCalled();
+      expect(lib.readJson(statePath).max_iterations).toBe(1);
+    });
+
+    test("reclassifies a running loop with no live owner as paused_crashed", async () => {
+      const loopId = "crashed-loop";
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      spawn.mockImplementation(
+        scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "Working" })
+      );
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 1 });
+      // Simulate a wrapper that was SIGKILLed mid-iteration.
+      const state = lib.readJson(statePath);
+      lib.writeJson(statePath, { ...state, status: "running" });
+
+      cli.handleStatus({ loopId, cd: tmpDir });
+
+      expect(lib.readJson(statePath).status).toBe("paused_crashed");
+      expect(warns.join("\n")).toContain("Status set to paused_crashed");
+
+      await cli.handleResume({ loopId, cd: tmpDir, maxIterations: 2 });
+      expect(lib.readJson(statePath).iteration).toBe(2);
+    });
+
+    test("takes over a stale lock left by a dead process", async () => {
+      const loopId = "stale-lock-loop";
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      spawn.mockImplementation(
+        scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "Working" })
+      );
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 1 });
+      lib.writeJson(lib.lockPathFor(statePath), {
+        pid: 2 ** 30,
+        hostname: os.hostname(),
+        started_at: "2024-01-01T00:00:00.000Z",
+      });
+
+      await cli.handleResume({ loopId, cd: tmpDir, maxIterations: 2 });
+
+      expect(lib.readJson(statePath).iteration).toBe(2);
+      expect(fs.existsSync(lib.lockPathFor(statePath))).toBe(false);
+    });
+  });
+
+  describe("worktrees", () => {
+    test("runs the loop in its own worktree and removes it on cleanup", async () => {
+      const loopId = "worktree-loop";
+      initRepo(tmpDir);
+      fs.mkdirSync(path.join(tmpDir, "app"));
+      fs.writeFileSync(path.join(tmpDir, "app", "index.js"), "1\n");
+      git(["add", "-A"], tmpDir);
+      git(["commit", "-q", "-m", "app"], tmpDir);
+      const workspaceRoot = path.join(tmpDir, "app");
+      const worktreeRoot = path.join(workspaceRoot, ".codex/waylon-smithers/worktrees", loopId);
+      const agentRoot = path.join(worktreeRoot, "app");
+      spawn.mockImplementation((command, args, options) => {
+        fs.writeFileSync(path.join(options.cwd, "index.js"), "2\n");
+        return scriptedChild({
+          stdout: '{"session_id": "session-1"}\n',
+          lastMessage: "<promise>DONE</promise>",
+        })(command, args);
+      });
+
+      await cli.handleStart("Do task", {
+        cd: workspaceRoot,
+        loopId,
+        completionPromise: "DONE",
+        worktree: true,
+        gitCheckpoint: true,
+      });
+
+      const args = spawn.mock.calls[0][1];
+      expect(args[args.indexOf("--cd") + 1]).toBe(agentRoot);
+      expect(spawn.mock.calls[0][2].cwd).toBe(agentRoot);
+      // The main working tree is untouched; the change is committed on the loop branch.
+      expect(fs.readFileSync(path.join(workspaceRoot, "index.js"), "utf8")).toBe("1\n");
+      expect(git(["symbolic-ref", "--short", "HEAD"], tmpDir).trim()).toBe("main");
+      expect(git(["show", "waylon/worktree-loop:app/index.js"], tmpDir)).toBe("2\n");
+
+      const statePath = path.join(workspaceRoot, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      expect(lib.readJson(statePath).worktree).toEqual({
+        path: `.codex/waylon-smithers/worktrees/${loopId}`,
+        cwd: `.codex/waylon-smithers/worktrees/${loopId}/app`,
+        branch: "waylon/worktree-loop",
+      });
+
+      logs = [];
+      cli.handleList({ cd: workspaceRoot });
+      expect(logs.join("\n")).toContain(`Worktree: .codex/waylon-smithers/worktrees/${loopId}`);
+
+      cli.handleCancel({ loopId, cd: workspaceRoot, cleanupArtifacts: true });
+      expect(fs.existsSync(worktreeRoot)).toBe(false);
+      expect(git(["worktree", "list"], tmpDir).trim().split("\n")).toHaveLength(1);
+      expect(git(["branch", "--list", "waylon/worktree-loop"], tmpDir)).toContain("waylon/worktree-loop");
+    });
+
+    test("refuses to resume when the worktree is gone", async () => {
+      const loopId = "missing-worktree-loop";
+      initRepo(tmpDir);
+      spawn.mockImplementation(
+        scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "Working" })
+      );
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 1, worktree: true });
+      fs.rmSync(path.join(tmpDir, ".codex/waylon-smithers/worktrees", loopId), {
+        recursive: true,
+        force: true,
+      });
+
+      await expect(cli.handleResume({ loopId, cd: tmpDir, maxIterations: 2 })).rejects.toThrow(
+        `Worktree for loop ${loopId} is missing`
+      );
+    });
+
+    test("requires a git repository", async () => {
+      await expect(
+        cli.handleStart("Do task", { cd: tmpDir, loopId: "no-git-worktree", worktree: true })
+      ).rejects.toThrow("--worktree requires");
+    });
+  });
+
+  describe("handleRewind", () => {
+    function scriptIterations(messages, onIteration) {
+      let counter = 0;
+      spawn.mockImplementation((command, args) => {
+        counter += 1;
+        if (onIteration) onIteration(counter);
+        return scriptedChild({
+          stdout: '{"session_id": "session-1"}\n',
+          lastMessage: messages[counter - 1] || "Working",
+        })(command, args);
+      });
+    }
+
+    test("rewinds a git checkpointed loop and clears the session", async () => {
+      const loopId = "rewind-git-loop";
+      initRepo(tmpDir);
+      scriptIterations([], (n) => fs.writeFileSync(path.join(tmpDir, `step${n}.txt`), `${n}\n`));
+
+      await cli.handleStart("Do task", {
+        cd: tmpDir,
+        loopId,
+        completionPromise: "DONE",
+        maxIterations: 3,
+        gitCheckpoint: true,
+        jsonlEvents: "events.jsonl",
+      });
+
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      const before = lib.readJson(statePath);
+      expect(before.iteration).toBe(3);
+
+      await cli.handleRewind({ loopId, cd: tmpDir, toIteration: 1, yes: true });
+
+      const after = lib.readJson(statePath);
+      expect(after.iteration).toBe(1);
+      expect(after.history).toHaveLength(1);
+      expect(after.codex.session_id).toBeNull();
+      expect(after.codex.sessions).toEqual([
+        expect.objectContaining({
+          id: "session-1",
+          started_iteration: 1,
+          last_iteration: 1,
+          end_reason: "rewound",
+        }),
+      ]);
+      expect(after.status).toBe("paused_rewound");
+      expect(after.rewinds[0]).toMatchObject({ from_iteration: 3, to_iteration: 1 });
+      expect(fs.existsSync(path.join(tmpDir, "events_iter_1.jsonl"))).toBe(true);
+      expect(fs.existsSync(path.join(tmpDir, "events_iter_2.jsonl"))).toBe(false);
+      expect(fs.existsSync(path.join(tmpDir, "events_iter_3.jsonl"))).toBe(false);
+      expect(git(["rev-parse", "HEAD"], tmpDir).trim()).toBe(before.history[0].commit_sha);
+      expect(fs.existsSync(path.join(tmpDir, "step1.txt"))).toBe(true);
+      expect(fs.existsSync(path.join(tmpDir, "step2.txt"))).toBe(false);
+      expect(
+        fs.existsSync(path.join(tmpDir, ".codex/waylon-smithers/loops", loopId, "last_message_iter_2.txt"))
+      ).toBe(false);
+    });
+
+    test("rewinds to the base commit", async () => {
+      const loopId = "rewind-base-loop";
+      const baseCommit = initRepo(tmpDir);
+      scriptIterations([], (n) => fs.writeFileSync(path.join(tmpDir, `step${n}.txt`), `${n}\n`));
+
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 2, gitCheckpoint: true });
+      await cli.handleRewind({ loopId, cd: tmpDir, toIteration: 0, yes: true });
+
+      expect(git(["rev-parse", "HEAD"], tmpDir).trim()).toBe(baseCommit);
+      expect(fs.existsSync(path.join(tmpDir, "step1.txt"))).toBe(false);
+    });
+
+    test("rewinds a non-git workspace from file snapshots", async () => {
+      const loopId = "rewind-files-loop";
+      fs.writeFileSync(path.join(tmpDir, "notes.txt"), "original\n");
+      scriptIterations([], (n) => fs.writeFileSync(path.join(tmpDir, "notes.txt"), `edit ${n}\n`));
+
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 3 });
+
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      expect(lib.readJson(statePath).history[1].snapshot_path).toBe(
+        `.codex/waylon-smithers/loops/${loopId}/snapshots/iter_2.json`
+      );
+
+      await cli.handleRewind({ loopId, cd: tmpDir, toIteration: 2, yes: true });
+      expect(fs.readFileSync(path.join(tmpDir, "notes.txt"), "utf8")).toBe("edit 2\n");
+
+      await cli.handleRewind({ loopId, cd: tmpDir, toIteration: 0, yes: true });
+      expect(fs.readFileSync(path.join(tmpDir, "notes.txt"), "utf8")).toBe("original\n");
+      expect(lib.readJson(statePath).iteration).toBe(0);
+    });
+
+    test("refuses to rewind forward", async () => {
+      const loopId = "rewind-forward-loop";
+      scriptIterations([]);
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 1 });
+
+      await expect(cli.handleRewind({ loopId, cd: tmpDir, toIteration: 1, yes: true })).rejects.toThrow(
+        "Cannot rewind to iteration 1"
+      );
+    });
+
+    test("refuses when no checkpoint exists", async () => {
+      const loopId = "rewind-nocheckpoint-loop";
+      initRepo(tmpDir);
+      scriptIterations([]);
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 2 });
+
+      await expect(cli.handleRewind({ loopId, cd: tmpDir, toIteration: 1, yes: true })).rejects.toThrow(
+        "No checkpoint recorded for iteration 1"
+      );
+    });
+
+    test("aborts when the user declines", async () => {
+      const loopId = "rewind-declined-loop";
+      scriptIterations([]);
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 2 });
+      readline.createInterface.mockReturnValue({
+        question: jest.fn((msg, cb) => cb("n")),
+        close: jest.fn(),
+        on: jest.fn(),
+      });
+
+      await cli.handleRewind({ loopId, cd: tmpDir, toIteration: 1 });
+
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      expect(lib.readJson(statePath).iteration).toBe(2);
+      expect(logs).toContain("Rewind aborted.");
+    });
+  });
+
+  describe("workspace changes", () => {
+    function scriptEdits(edit) {
+      let counter = 0;
+      spawn.mockImplementation((command, args) => {
+        counter += 1;
+        edit(counter);
+        return scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "Working" })(
+          command,
+          args
+        );
+      });
+    }
+
+    const written = () => process.stdout.write.mock.calls.map(([text]) => text).join("");
+
+    test("records each iteration's changes in git and shows them as patches", async () => {
+      const loopId = "changes-git-loop";
+      initRepo(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "README.md"), "hello\nuncommitted\n");
+      scriptEdits((n) => {
+        if (n === 1) fs.writeFileSync(path.join(tmpDir, "app.js"), "one\ntwo\n");
+        if (n === 2) fs.writeFileSync(path.join(tmpDir, "app.js"), "one\n2\n");
+        if (n === 3) fs.rmSync(path.join(tmpDir, "README.md"));
+      });
+
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 4, output: "raw" });
+
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      const { history } = lib.readJson(statePath);
+      expect(history[0].changes).toMatchObject({
+        source: "git",
+        files: [{ path: "app.js", status: "added", additions: 2, deletions: 0 }],
+        additions: 2,
+        deletions: 0,
+      });
+      expect(history[1].changes.from).toBe(history[0].changes.to);
+      expect(history[1].changes.files).toEqual([
+        { path: "app.js", status: "modified", additions: 1, deletions: 1 },
+      ]);
+      // Uncommitted work from before the loop is not the agent's.
+      expect(history[2].changes).toMatchObject({
+        files: [{ path: "README.md", status: "deleted", additions: 0, deletions: 2 }],
+      });
+      expect(history[3].changes).toMatchObject({ files: [], additions: 0, deletions: 0 });
+      expect(logs).toContain("Changed 1 file(s) (+1 -1)");
+      expect(git(["status", "--porcelain"], tmpDir)).toContain("?? app.js");
+
+      process.stdout.write.mockClear();
+      cli.handleDiff({ loopId, cd: tmpDir, iteration: 2 });
+      expect(written()).toContain("--- a/app.js\n+++ b/app.js\n@@ -1,2 +1,2 @@\n one\n-two\n+2\n");
+
+      process.stdout.write.mockClear();
+      cli.handleDiff({ loopId, cd: tmpDir, from: 1, to: 3 });
+      expect(written()).toContain("-two\n+2\n");
+      expect(written()).toContain("deleted file mode");
+
+      process.stdout.write.mockClear();
+      cli.handleDiff({ loopId, cd: tmpDir });
+      expect(written()).toContain("new file mode");
+      expect(written()).toContain("+++ b/app.js\n@@ -0,0 +1,2 @@\n+one\n+2\n");
+
+      cli.handleDiff({ loopId, cd: tmpDir, iteration: 4 });
+      expect(logs).toContain("Iteration 4 changed no files.");
+      expect(() => cli.handleDiff({ loopId, cd: tmpDir, iteration: 9 })).toThrow(
+        `Loop ${loopId} has no recorded changes for iteration 9.`
+      );
+      expect(() => cli.handleDiff({ loopId, cd: tmpDir, iteration: 1, to: 2 })).toThrow(
+        "--iteration cannot be combined with --from or --to."
+      );
+    });
+
+    test("keeps changes diffable in a repository that ignores wrapper state", async () => {
+      const loopId = "changes-ignored-loop";
+      initRepo(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, ".gitignore"), ".codex/waylon-smithers\n");
+      scriptEdits((n) => fs.writeFileSync(path.join(tmpDir, "app.js"), `edit ${n}\n`));
+
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 2, output: "raw" });
+
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      expect(lib.readJson(statePath).history[1].changes.files).toEqual([
+        { path: "app.js", status: "modified", additions: 1, deletions: 1 },
+      ]);
+      expect(warns.join("\n")).not.toContain("Could not record workspace changes");
+      git(["gc", "-q", "--prune=now"], tmpDir);
+      process.stdout.write.mockClear();
+      cli.handleDiff({ loopId, cd: tmpDir, iteration: 2 });
+      expect(written()).toContain("-edit 1\n+edit 2\n");
+
+      cli.handleCancel({ loopId, cd: tmpDir, cleanupArtifacts: true });
+      expect(git(["for-each-ref", `refs/waylon/${loopId}/`], tmpDir)).toBe("");
+    });
+
+    test("compares file snapshots outside git", async () => {
+      const loopId = "changes-files-loop";
+      fs.writeFileSync(path.join(tmpDir, "notes.txt"), "original\n");
+      scriptEdits((n) => fs.writeFileSync(path.join(tmpDir, "notes.txt"), `edit ${n}\n`));
+
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 2, output: "raw" });
+
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      expect(lib.readJson(statePath).history[1].changes).toEqual({
+        source: "snapshot",
+        from: 1,
+        to: 2,
+        files: [{ path: "notes.txt", status: "modified", additions: 1, deletions: 1 }],
+        additions: 1,
+        deletions: 1,
+      });
+
+      process.stdout.write.mockClear();
+      cli.handleDiff({ loopId, cd: tmpDir, from: 0 });
+      expect(written()).toContain("--- a/notes.txt\n+++ b/notes.txt\n@@ -1 +1 @@\n-original\n+edit 2\n");
+
+      cli.handleDiff({ loopId, cd: tmpDir, from: 2, to: 2 });
+      expect(logs).toContain("No changes in the selected iterations.");
+    });
+
+    test("warns when changes cannot be recorded and reports loops without iterations", async () => {
+      const loopId = "changes-broken-loop";
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      const artifactsDir = path.join(loopsDir, loopId);
+      fs.mkdirSync(artifactsDir, { recursive: true });
+      spawn.mockImplementationOnce(
+        scriptedChild({ stdout: '{"session_id": "session-1"}\n', lastMessage: "<promise>DONE</promise>" })
+      );
+      const state = {
+        loop_id: loopId,
+        prompt: "Do task",
+        iteration: 0,
+        status: "running",
+        codex: { session_id: null },
+        // Not actually a repository.
+        git: { base_commit: null, base_branch: null, checkpoint_branch: null },
+        artifacts: { dir: artifactsDir },
+        history: [],
+      };
+      const statePath = path.join(loopsDir, `${loopId}.json`);
+      lib.saveState({ ...state, workspace_root: tmpDir }, statePath);
+      cli.handleDiff({ loopId, cd: tmpDir });
+      expect(logs).toContain(`Loop ${loopId} has no iterations yet.`);
+
+      await cli.runLoop({
+        statePath,
+        state,
+        workspaceRoot: tmpDir,
+        completionPromise: "DONE",
+        promiseMode: "tag",
+        maxIterations: 1,
+        artifactsDir,
+        summaryJson: null,
+        jsonlEventsBase: null,
+        todoFile: null,
+        codexOptions: { cd: tmpDir },
+      });
+
+      expect(state.history[0].changes).toBeNull();
+      expect(warns.some((w) => w.includes("Could not record workspace changes"))).toBe(true);
+    });
+  });
+
+  describe("detached loops", () => {
+    // A background child that takes the loop's lock right away, as a real detached run would.
+    function detachedChild() {
+      const child = new EventEmitter();
+      child.pid = process.pid;
+      child.unref = jest.fn();
+      spawn.mockImplementationOnce((command, args) => {
+        const loopId = args[args.indexOf("--loop-id") + 1];
+        const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+        lib.writeJson(lib.lockPathFor(statePath), { pid: process.pid, hostname: os.hostname() });
+        return child;
+      });
+      return child;
+    }
+
+    async function withArgv(argv, run) {
+      const originalArgv = process.argv;
+      process.argv = ["node", "/bin/waylon-smithers", ...argv];
+      try {
+        await run();
+      } finally {
+        process.argv = originalArgv;
+      }
+    }
+
+    test("start --detach hands the loop to a background process with its loop id", async () => {
+      const child = detachedChild();
+      await withArgv(["Do task", "--detach", "--max-iterations", "3"], () =>
+        cli.handleStart("Do task", { cd: tmpDir, detach: true })
+      );
+
+      const [command, args, options] = spawn.mock.calls[0];
+      expect(command).toBe(process.execPath);
+      expect(args.slice(0, 4)).toEqual(["/bin/waylon-smithers", "Do task", "--max-iterations", "3"]);
+      expect(args[4]).toBe("--loop-id");
+      expect(options.detached).toBe(true);
+      expect(child.unref).toHaveBeenCalled();
+      const loopId = args[5];
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      // The background process writes the state; this one only starts it.
+      expect(fs.existsSync(path.join(loopsDir, `${loopId}.json`))).toBe(false);
+      expect(logs).toEqual([
+        `Loop ${loopId} is running in the background (pid ${process.pid}).`,
+        `Output: ${path.join(loopsDir, loopId, "loop.log")}`,
+        `Follow it with \`waylon-smithers attach --loop-id ${loopId}\` ` +
+          `and stop it with \`waylon-smithers stop --loop-id ${loopId}\`.`,
+      ]);
+    });
+
+    test("resume --detach leaves the state to the background process", async () => {
+      const loopId = "bg-resume";
+      spawn.mockImplementationOnce(scriptedChild({ stdout: '{"session_id": "session-1"}\n' }));
+      await cli.handleStart("Do task", { cd: tmpDir, loopId, maxIterations: 1, output: "raw" });
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops", `${loopId}.json`);
+      const logPath = path.join(tmpDir, ".codex/waylon-smithers/loops", loopId, "loop.log");
+      fs.writeFileSync(logPath, "first run\n");
+      detachedChild();
+
+      await withArgv(["resume", "--loop-id", loopId, "--detach"], () =>
+        cli.handleResume({ loopId, cd: tmpDir, maxIterations: 2, detach: true })
+      );
+
+      expect(spawn.mock.calls[1][1]).toEqual(["/bin/waylon-smithers", "resume", "--loop-id", loopId]);
+      expect(lib.readJson(statePath).max_iterations).toBe(1);
+      expect(fs.readFileSync(logPath, "utf8")).toBe("first run\n");
+      expect(logs).toContain(`Output: ${logPath}`);
+    });
+  });
+
+  describe("handleResume", () => {
+    test("resumes loop with overrides", async () => {
+      const loopId = "resume-loop";
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      const artifactsDir = path.join(loopsDir, loopId);
+      fs.mkdirSync(artifactsDir, { recursive: true });
+
+      const state = {
+        loop_id: loopId,
+        workspace_root: tmpDir,
+        prompt: "Do task",
+        completion_promise: "DONE",
+        promise_mode: "tag",
+        max_iterations: 10,
+        same_prompt_each_iteration: false,
+        iteration: 2,
+        status: "paused_user_interrupt",
+        codex: { session_id: "old-session", model: null, sandbox: null, approval: null, profile: null },
+        todo: null,
+        artifacts: { dir: `.codex/waylon-smithers/loops/${loopId}`, summary_json_path: null, jsonl_events_base: null },
+        history: [],
+        last_result: null,
+      };
+
+      const statePath = path.join(loopsDir, `${loopId}.json`);
+      fs.writeFileSync(statePath, JSON.stringify(state));
+
+      const resumePromise = cli.handleResume({
+        loopId,
+        cd: tmpDir,
+        maxIterations: 15,
+        completionPromise: "FINISHED",
+        promiseMode: "plain",
+        samePromptEachIteration: true,
+      });
+
+      // Complete immediately
+      mockChild.stdout.emit("data", Buffer.from('{"session_id": "new-session"}\n'));
+      mockChild.emit("close", 0);
+
+      const lastMessagePath = path.join(artifactsDir, "last_message_iter_3.txt");
+      fs.writeFileSync(lastMessagePath, "FINISHED");
+
+      await resumePromise;
+
+      const updatedState = lib.readJson(statePath);
+      expect(updatedState.max_iterations).toBe(15);
+      expect(updatedState.completion_promise).toBe("FINISHED");
+      expect(updatedState.promise_mode).toBe("plain");
+      expect(updatedState.same_prompt_each_iteration).toBe(true);
+    });
+
+    test("overrides stored budgets and stops immediately when already exhausted", async () => {
+      const loopId = "resume-budget-loop";
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      fs.mkdirSync(path.join(loopsDir, loopId), { recursive: true });
+
+      const state = {
+        loop_id: loopId,
+        workspace_root: tmpDir,
+        prompt: "Do task",
+        completion_promise: "DONE",
+        promise_mode: "tag",
+        max_iterations: 10,
+        iteration: 2,
+        status: "stopped_budget_tokens",
+        codex: { session_id: "old-session", model: null, sandbox: null, approval: null, profile: null },
+        todo: null,
+        artifacts: { dir: `.codex/waylon-smithers/loops/${loopId}`, summary_json_path: null, jsonl_events_base: null },
+        history: [],
+        usage: { input_tokens: 900, cached_input_tokens: 0, output_tokens: 100, total_tokens: 1000 },
+        budgets: { max_tokens: 1000, max_duration_ms: null, max_cost_usd: null },
+        elapsed_ms: 7200000,
+        last_result: null,
+      };
+      const statePath = path.join(loopsDir, `${loopId}.json`);
+      fs.writeFileSync(statePath, JSON.stringify(state));
+
+      await cli.handleResume({ loopId, cd: tmpDir, maxTokens: 5000, maxDuration: 3600000 });
+
+      const updatedState = lib.readJson(statePath);
+      expect(updatedState.budgets).toEqual({
+        max_tokens: 5000,
+        max_duration_ms: 3600000,
+        max_cost_usd: null,
+      });
+      expect(updatedState.status).toBe("stopped_timeout");
+      expect(spawn).not.toHaveBeenCalled();
+    });
+
+    test("rejects a cost budget without a price table", async () => {
+      const loopId = "resume-cost-loop";
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      fs.mkdirSync(loopsDir, { recursive: true });
+      const statePath = path.join(loopsDir, `${loopId}.json`);
+      fs.writeFileSync(
+        statePath,
+        JSON.stringify({
+          loop_id: loopId,
+          workspace_root: tmpDir,
+          prompt: "Do task",
+          completion_promise: "DONE",
+          promise_mode: "tag",
+          max_iterations: 5,
+          status: "paused_max_iterations",
+          iteration: 0,
+          codex: { session_id: null },
+          artifacts: { dir: `.codex/waylon-smithers/loops/${loopId}` },
+        })
+      );
+
+      await expect(cli.handleResume({ loopId, cd: tmpDir, maxCost: 5 })).rejects.toThrow(
+        "--max-cost needs a price table"
+      );
     });
 
     test("handles resume with todo file", async () => {
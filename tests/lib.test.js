@@ -110,6 +110,30 @@ describe("lib.js", () => {
       const result = lib.readJson(filePath);
       expect(result).toEqual(data);
     });
+
+    test("replaces the file atomically without leaving temp files", () => {
+      const filePath = path.join(tmpDir, "nested", "data.json");
+      lib.writeJson(filePath, { version: 1 });
+      lib.writeJson(filePath, { version: 2 });
+      expect(lib.readJson(filePath)).toEqual({ version: 2 });
+      expect(fs.readdirSync(path.dirname(filePath))).toEqual(["data.json"]);
+    });
+  });
+
+  describe("writeFileAtomic", () => {
+    test("removes the temp file and keeps the original when the write fails", () => {
+      const filePath = path.join(tmpDir, "data.json");
+      fs.writeFileSync(filePath, "original");
+      const renameSpy = jest.spyOn(fs, "renameSync").mockImplementation(() => {
+        throw new Error("ENOSPC: no space left on device");
+      });
+
+      expect(() => lib.writeFileAtomic(filePath, "new")).toThrow("ENOSPC");
+      renameSpy.mockRestore();
+
+      expect(fs.readFileSync(filePath, "utf8")).toBe("original");
+      expect(fs.readdirSync(tmpDir)).toEqual(["data.json"]);
+    });
   });
 
   describe("loadState", () => {
@@ -118,13 +142,419 @@ describe("lib.js", () => {
       const state = { loop_id: "test-loop", status: "running" };
       fs.writeFileSync(statePath, JSON.stringify(state));
       const result = lib.loadState(statePath);
-      expect(result).toEqual(state);
+      expect(result).toMatchObject(state);
     });
 
     test("throws error if file does not exist", () => {
       const statePath = path.join(tmpDir, "nonexistent.json");
       expect(() => lib.loadState(statePath)).toThrow("State file not found");
     });
+
+    test("falls back to the backup when the state file is corrupt", () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const statePath = path.join(tmpDir, "state.json");
+      fs.writeFileSync(statePath, '{"loop_id": "trunc');
+      fs.writeFileSync(lib.backupPathFor(statePath), JSON.stringify({ loop_id: "from-backup" }));
+
+      expect(lib.loadState(statePath)).toMatchObject({ loop_id: "from-backup" });
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining("using backup"));
+      warnSpy.mockRestore();
+    });
+
+    test("reports a corrupt state file without a backup", () => {
+      const statePath = path.join(tmpDir, "state.json");
+      fs.writeFileSync(statePath, "{");
+      expect(() => lib.loadState(statePath)).toThrow(`State file at ${statePath} is not valid JSON`);
+    });
+  });
+
+  describe("retries", () => {
+    test("buildRetryConfig uses options, then the fallback, then defaults", () => {
+      expect(lib.buildRetryConfig({})).toEqual({
+        max_retries: lib.DEFAULT_MAX_RETRIES,
+        backoff_ms: lib.DEFAULT_RETRY_BACKOFF_MS,
+      });
+      expect(lib.buildRetryConfig({ maxRetries: 3 }, { max_retries: 1, backoff_ms: 10 })).toEqual({
+        max_retries: 3,
+        backoff_ms: 10,
+      });
+    });
+
+    test("parseFailureEvents collects error messages and turn failures", () => {
+      const text = [
+        "not json",
+        '{"type":"error","message":"stream disconnected"}',
+        '{"type":"turn.failed","error":{"message":"429 Too Many Requests"}}',
+        '{"type":"item.completed","error":"tool failed"}',
+        "{broken",
+      ].join("\n");
+      expect(lib.parseFailureEvents(text)).toEqual({
+        messages: ["stream disconnected", "429 Too Many Requests", "tool failed"],
+        turnFailed: true,
+      });
+      expect(lib.parseFailureEvents("")).toEqual({ messages: [], turnFailed: false });
+    });
+
+    test("classifyFailure ignores successful and timed-out attempts", () => {
+      expect(lib.classifyFailure({ exitCode: 0, stdout: '{"type":"error","message":"retrying"}' })).toBeNull();
+      expect(lib.classifyFailure({ exitCode: 1, stdout: "", stderr: "", timedOut: true })).toBeNull();
+    });
+
+    test("classifyFailure recognizes transient error kinds", () => {
+      const turnFailed = (message) =>
+        JSON.stringify({ type: "turn.failed", error: { message } });
+      expect(lib.classifyFailure({ exitCode: 0, stdout: turnFailed("Rate limit reached") })).toEqual({
+        reason: "rate_limit",
+        message: "Rate limit reached",
+      });
+      expect(lib.classifyFailure({ exitCode: 1, stdout: "", stderr: "HTTP 503 Service Unavailable\n" })).toEqual({
+        reason: "server_error",
+        message: "HTTP 503 Service Unavailable",
+      });
+      expect(
+        lib.classifyFailure({ exitCode: 1, stdout: turnFailed("maximum context length is 200000 tokens") })
+      ).toMatchObject({ reason: "context_length_exceeded" });
+      expect(lib.classifyFailure({ exitCode: 2, stdout: "", stderr: "" })).toEqual({
+        reason: "exit_code",
+        message: "exit code 2",
+      });
+    });
+
+    test("retryDelayMs doubles per attempt up to the cap", () => {
+      expect(lib.retryDelayMs(1, 1000)).toBe(1000);
+      expect(lib.retryDelayMs(3, 1000)).toBe(4000);
+      expect(lib.retryDelayMs(20, 1000)).toBe(lib.MAX_RETRY_BACKOFF_MS);
+    });
+
+    test("sleep resolves after the delay", async () => {
+      jest.useFakeTimers();
+      const done = jest.fn();
+      const promise = lib.sleep(1000).then(done);
+      jest.advanceTimersByTime(1000);
+      await promise;
+      expect(done).toHaveBeenCalled();
+      jest.useRealTimers();
+    });
+  });
+
+  describe("session recovery", () => {
+    test("classifyFailure recognizes lost sessions", () => {
+      expect(
+        lib.classifyFailure({ exitCode: 1, stdout: "", stderr: "Error: session abc not found\n" })
+      ).toEqual({ reason: "session_lost", message: "Error: session abc not found" });
+      expect(lib.SESSION_RECOVERY_REASONS).toEqual(["session_lost", "context_length_exceeded"]);
+    });
+
+    test("buildSessionHandoff includes messages, diff stat and TODO progress", () => {
+      const handoff = lib.buildSessionHandoff({
+        reason: "session_lost",
+        recentMessages: [{ iteration: 2, text: "Added the parser.\n" }],
+        diffStat: " src/parser.js | 10 ++++\n 1 file changed\n",
+        todoPath: "TODO.md",
+        todoProgress: { done: 1, total: 4 },
+      });
+      expect(handoff).toContain("could not be resumed (session_lost)");
+      expect(handoff).toContain("Last message from iteration 2:\nAdded the parser.");
+      expect(handoff).toContain("Changes so far (git diff --stat):\n src/parser.js | 10 ++++");
+      expect(handoff).toContain("TODO progress in TODO.md: 1/4 items checked.");
+    });
+
+    test("buildSessionHandoff leaves out empty sections", () => {
+      const handoff = lib.buildSessionHandoff({ reason: "session_id_missing", todoProgress: { done: 0, total: 0 } });
+      expect(handoff).not.toContain("Last message");
+      expect(handoff).not.toContain("git diff");
+      expect(handoff).not.toContain("TODO progress");
+    });
+
+    test("readRecentMessages returns the last messages before an iteration", () => {
+      for (const i of [1, 2, 3, 4]) {
+        fs.writeFileSync(path.join(tmpDir, `last_message_iter_${i}.txt`), i === 3 ? " " : `message ${i}`);
+      }
+      expect(lib.readRecentMessages(tmpDir, 5)).toEqual([
+        { iteration: 2, text: "message 2" },
+        { iteration: 4, text: "message 4" },
+      ]);
+      expect(lib.readRecentMessages(tmpDir, 1)).toEqual([]);
+    });
+
+    test("recordSession extends the current session or starts a new one", () => {
+      const state = { codex: { session_id: null } };
+      lib.recordSession(state, null, 1);
+      expect(state.codex.sessions).toBeUndefined();
+      lib.recordSession(state, "s1", 1);
+      lib.recordSession(state, "s1", 2);
+      lib.recordSession(state, "s2", 3, "session_lost");
+      expect(state.codex.sessions).toEqual([
+        { id: "s1", started_iteration: 1, last_iteration: 2, start_reason: "start" },
+        { id: "s2", started_iteration: 3, last_iteration: 3, start_reason: "session_lost" },
+      ]);
+    });
+
+    test("buildPromptTemplate includes the handoff", () => {
+      const prompt = lib.buildPromptTemplate({
+        loopId: "loop",
+        iteration: 2,
+        maxIterations: 5,
+        promiseMode: "tag",
+        completionPromise: "DONE",
+        userPrompt: "Do task",
+        hardStopToken: "HARD STOP",
+        handoff: "Session handoff:\nprevious work",
+      });
+      expect(prompt).toContain("Session handoff:\nprevious work");
+    });
+  });
+
+  describe("assertValidState", () => {
+    test("lists every problem and points at repair", () => {
+      const state = lib.createInitialState({
+        loopId: "bad-loop",
+        workspaceRoot: "/workspace",
+        prompt: "Task",
+        completionPromise: "DONE",
+        promiseMode: "tag",
+        maxIterations: 5,
+        statePath: "/workspace/.codex/loops/bad-loop.json",
+        artifactsDir: "/workspace/.codex/loops/bad-loop",
+        codexOptions: {},
+      });
+      expect(() => lib.assertValidState(state, "/s.json")).not.toThrow();
+
+      delete state.artifacts.dir;
+      state.max_iterations = "five";
+      expect(() => lib.assertValidState(state, "/s.json")).toThrow(
+        [
+          "State file at /s.json is invalid:",
+          "  - state.max_iterations: expected integer, got string",
+          "  - state.artifacts.dir: is required",
+          'Run "waylon-smithers repair --loop-id bad-loop" to rebuild it.',
+        ].join("\n")
+      );
+    });
+
+    test("suggests the state file when the loop id is missing", () => {
+      expect(() => lib.assertValidState({}, "/s.json")).toThrow("repair --state-file /s.json");
+    });
+  });
+
+  describe("rebuildStateFromArtifacts", () => {
+    function setup() {
+      const artifactsDir = path.join(tmpDir, ".codex/waylon-smithers/loops/lost");
+      const statePath = path.join(tmpDir, ".codex/waylon-smithers/loops/lost.json");
+      fs.mkdirSync(artifactsDir, { recursive: true });
+      fs.writeFileSync(path.join(artifactsDir, "last_message_iter_1.txt"), "one");
+      fs.writeFileSync(path.join(artifactsDir, "last_message_iter_2.txt"), "two");
+      fs.writeFileSync(
+        path.join(artifactsDir, "events_iter_2.jsonl"),
+        [
+          '{"type":"session","id":"session-abc"}',
+          '{"type":"turn.completed","usage":{"input_tokens":100,"output_tokens":20}}',
+        ].join("\n")
+      );
+      return { artifactsDir, statePath };
+    }
+
+    test("rebuilds history, session and usage from artifacts", () => {
+      const { artifactsDir, statePath } = setup();
+      lib.writeJson(path.join(artifactsDir, "summary.json"), {
+        loop_id: "lost",
+        status: "running",
+        iteration: 1,
+        max_iterations: 10,
+        completion_promise: "SHIP",
+        history: [{ iteration: 1, exit_code: 0 }],
+      });
+
+      const { state, notes } = lib.rebuildStateFromArtifacts({
+        loopId: "lost",
+        statePath,
+        artifactsDir,
+        workspaceRoot: tmpDir,
+        prompt: "Do task",
+      });
+
+      expect(() => lib.assertValidState(state, statePath)).not.toThrow();
+      expect(state).toMatchObject({
+        loop_id: "lost",
+        prompt: "Do task",
+        completion_promise: "SHIP",
+        max_iterations: 10,
+        iteration: 2,
+        status: "paused_repaired",
+        codex: { session_id: "session-abc" },
+        usage: { input_tokens: 100, output_tokens: 20, total_tokens: 120 },
+      });
+      expect(state.history.map((entry) => entry.iteration)).toEqual([1, 2]);
+      expect(state.history[0].exit_code).toBe(0);
+      expect(state.history[1]).toMatchObject({
+        recovered: true,
+        last_message_path: ".codex/waylon-smithers/loops/lost/last_message_iter_2.txt",
+        jsonl_path: ".codex/waylon-smithers/loops/lost/events_iter_2.jsonl",
+      });
+      expect(state.artifacts.last_message_path).toBe(
+        ".codex/waylon-smithers/loops/lost/last_message_iter_2.txt"
+      );
+      expect(notes).toEqual(
+        expect.arrayContaining([
+          "No readable state file or backup",
+          "Recovered history for iteration 2",
+          "Iteration set to 2 (was 1)",
+          "Recovered session id from events_iter_2.jsonl",
+          "Recovered token usage from event logs",
+        ])
+      );
+    });
+
+    test("keeps the valid parts of a damaged state file", () => {
+      const { artifactsDir, statePath } = setup();
+      lib.writeJson(statePath, {
+        loop_id: "lost",
+        prompt: "Original prompt",
+        status: "paused_max_iterations",
+        iteration: 2,
+        max_iterations: 2,
+        todo: { path: 42 },
+        codex: { session_id: "kept-session" },
+        usage: { input_tokens: 5, cached_input_tokens: 0, output_tokens: 5, total_tokens: 10 },
+      });
+
+      const { state, notes } = lib.rebuildStateFromArtifacts({
+        loopId: "lost",
+        statePath,
+        artifactsDir,
+        workspaceRoot: tmpDir,
+      });
+
+      expect(state.prompt).toBe("Original prompt");
+      expect(state.status).toBe("paused_max_iterations");
+      expect(state.todo).toBeNull();
+      expect(state.codex.session_id).toBe("kept-session");
+      expect(state.usage.total_tokens).toBe(10);
+      expect(notes).toContain("Dropped invalid todo from the state file");
+    });
+
+    test("reads events stored outside the artifacts dir", () => {
+      const { artifactsDir, statePath } = setup();
+      fs.rmSync(path.join(artifactsDir, "events_iter_2.jsonl"));
+      fs.mkdirSync(path.join(tmpDir, "logs"));
+      fs.writeFileSync(path.join(tmpDir, "logs", "run_iter_2.jsonl"), '{"session_id":"session-xyz"}');
+      lib.writeJson(lib.backupPathFor(statePath), {
+        loop_id: "lost",
+        prompt: "From backup",
+        artifacts: { dir: ".codex/waylon-smithers/loops/lost", jsonl_events_base: "logs/run.jsonl" },
+      });
+
+      const { state } = lib.rebuildStateFromArtifacts({
+        loopId: "lost",
+        statePath,
+        artifactsDir,
+        workspaceRoot: tmpDir,
+      });
+
+      expect(state.prompt).toBe("From backup");
+      expect(state.codex.session_id).toBe("session-xyz");
+      expect(state.history[1].jsonl_path).toBe("logs/run_iter_2.jsonl");
+    });
+
+    test("requires a prompt when none can be recovered", () => {
+      const { artifactsDir, statePath } = setup();
+      expect(() =>
+        lib.rebuildStateFromArtifacts({ loopId: "lost", statePath, artifactsDir, workspaceRoot: tmpDir })
+      ).toThrow("Could not recover the prompt for loop lost. Pass it with --prompt.");
+    });
+  });
+
+  describe("loop locks", () => {
+    const DEAD_PID = 2 ** 30;
+
+    test("lockPathFor places the lock next to the state file", () => {
+      expect(lib.lockPathFor("/w/loops/a.json")).toBe("/w/loops/a.json.lock");
+    });
+
+    test("isProcessAlive detects live and dead processes", () => {
+      expect(lib.isProcessAlive(process.pid)).toBe(true);
+      expect(lib.isProcessAlive(DEAD_PID)).toBe(false);
+    });
+
+    test("acquires, reports and releases a lock", () => {
+      const statePath = path.join(tmpDir, "loop.json");
+      expect(lib.readLock(statePath)).toBeNull();
+
+      const lock = lib.acquireLock(statePath, "loop");
+
+      expect(lock).toMatchObject({ pid: process.pid, hostname: os.hostname() });
+      expect(lib.readLock(statePath)).toMatchObject({ pid: process.pid, live: true });
+      lib.releaseLock(statePath);
+      expect(fs.existsSync(lib.lockPathFor(statePath))).toBe(false);
+    });
+
+    test("refuses a lock held by a live process", () => {
+      const statePath = path.join(tmpDir, "loop.json");
+      lib.writeJson(lib.lockPathFor(statePath), {
+        pid: process.ppid,
+        hostname: os.hostname(),
+        started_at: "2024-01-01T00:00:00.000Z",
+      });
+
+      expect(() => lib.acquireLock(statePath, "loop")).toThrow(
+        `Loop loop is already running (pid ${process.ppid} on ${os.hostname()}`
+      );
+      expect(() => lib.assertLoopNotLive(statePath, "loop")).toThrow("already running");
+      // Another process's lock is never released by us.
+      lib.releaseLock(statePath);
+      expect(fs.existsSync(lib.lockPathFor(statePath))).toBe(true);
+    });
+
+    test("treats locks from other hosts as live", () => {
+      const statePath = path.join(tmpDir, "loop.json");
+      lib.writeJson(lib.lockPathFor(statePath), { pid: DEAD_PID, hostname: "elsewhere", started_at: "x" });
+      expect(lib.readLock(statePath).live).toBe(true);
+    });
+
+    test("replaces stale and corrupt locks", () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const statePath = path.join(tmpDir, "loop.json");
+      lib.writeJson(lib.lockPathFor(statePath), { pid: DEAD_PID, hostname: os.hostname(), started_at: "x" });
+      expect(lib.readLock(statePath).live).toBe(false);
+      expect(() => lib.assertLoopNotLive(statePath, "loop")).not.toThrow();
+      expect(lib.acquireLock(statePath, "loop").pid).toBe(process.pid);
+
+      fs.writeFileSync(lib.lockPathFor(statePath), "{not json");
+      expect(lib.readLock(statePath).live).toBe(false);
+      expect(lib.acquireLock(statePath, "loop").pid).toBe(process.pid);
+      expect(warnSpy).toHaveBeenCalledWith("[WARN] Removing stale lock for loop loop.");
+      warnSpy.mockRestore();
+    });
+
+    test("allows the owning process through assertLoopNotLive", () => {
+      const statePath = path.join(tmpDir, "loop.json");
+      lib.acquireLock(statePath, "loop");
+      expect(() => lib.assertLoopNotLive(statePath, "loop")).not.toThrow();
+      lib.releaseLock(statePath);
+    });
+  });
+
+  describe("recoverCrashedState", () => {
+    test("marks a running loop without a live owner as paused_crashed", () => {
+      const statePath = path.join(tmpDir, "loop.json");
+      const state = { loop_id: "loop", status: "running" };
+
+      expect(lib.recoverCrashedState(state, statePath)).toBe(true);
+
+      expect(state.status).toBe("paused_crashed");
+      expect(lib.readJson(statePath).status).toBe("paused_crashed");
+    });
+
+    test("leaves live and non-running loops alone", () => {
+      const statePath = path.join(tmpDir, "loop.json");
+      expect(lib.recoverCrashedState({ status: "completed" }, statePath)).toBe(false);
+
+      lib.acquireLock(statePath, "loop");
+      const state = { loop_id: "loop", status: "running" };
+      expect(lib.recoverCrashedState(state, statePath)).toBe(false);
+      expect(state.status).toBe("running");
+      lib.releaseLock(statePath);
+    });
   });
 
   describe("saveState", () => {
@@ -135,6 +565,27 @@ describe("lib.js", () => {
       const saved = lib.readJson(statePath);
       expect(saved.updated_at).toMatch(/^\d{4}-\d{2}-\d{2}T/);
     });
+
+    test("keeps the previous state as a backup", () => {
+      const statePath = path.join(tmpDir, "state.json");
+      lib.saveState({ iteration: 1 }, statePath);
+      expect(fs.existsSync(lib.backupPathFor(statePath))).toBe(false);
+
+      lib.saveState({ iteration: 2 }, statePath);
+
+      expect(lib.readJson(lib.backupPathFor(statePath)).iteration).toBe(1);
+      expect(lib.readJson(statePath).iteration).toBe(2);
+    });
+
+    test("does not overwrite the backup with a corrupt state file", () => {
+      const statePath = path.join(tmpDir, "state.json");
+      fs.writeFileSync(lib.backupPathFor(statePath), JSON.stringify({ iteration: 1 }));
+      fs.writeFileSync(statePath, "{");
+
+      lib.saveState({ iteration: 2 }, statePath);
+
+      expect(lib.readJson(lib.backupPathFor(statePath)).iteration).toBe(1);
+    });
   });
 
   describe("warnDangerous", () => {
@@ -254,6 +705,48 @@ describe("lib.js", () => {
       });
       expect(result).toContain("Remember the completion promise (plain): FINISHED");
     });
+
+    test("renders a custom template with the last message", () => {
+      const result = lib.buildContinuePrompt({
+        loopId: "loop-2",
+        iteration: 5,
+        maxIterations: 20,
+        promiseMode: "tag",
+        completionPromise: "DONE",
+        lastMessage: "  Fixed the parser.\n",
+        template: "Next {{iteration}}.{{#if lastMessage}} You said: {{lastMessage}}{{/if}}",
+        feedback: ["Tests failed."],
+      });
+      expect(result).toBe(
+        "Next 5. You said: Fixed the parser.\n\nFeedback from the previous iteration:\nTests failed."
+      );
+    });
+  });
+
+  describe("loadPromptTemplates", () => {
+    test("returns nulls when the loop uses the built-in templates", () => {
+      expect(lib.loadPromptTemplates({ templates: { prompt: null, continue: null } }, tmpDir)).toEqual({
+        prompt: null,
+        continue: null,
+      });
+      expect(lib.loadPromptTemplates({}, tmpDir)).toEqual({ prompt: null, continue: null });
+    });
+
+    test("reads templates relative to the workspace", () => {
+      fs.writeFileSync(path.join(tmpDir, "prompt.md"), "Task: {{userPrompt}}\n");
+      const loaded = lib.loadPromptTemplates({ templates: { prompt: "prompt.md" } }, tmpDir);
+      expect(loaded).toEqual({ prompt: "Task: {{userPrompt}}\n", continue: null });
+    });
+
+    test("rejects missing and invalid templates", () => {
+      expect(() => lib.loadPromptTemplates({ templates: { continue: "missing.md" } }, tmpDir)).toThrow(
+        `The continue template ${path.join(tmpDir, "missing.md")} does not exist.`
+      );
+      fs.writeFileSync(path.join(tmpDir, "bad.md"), "{{branch}}");
+      expect(() => lib.loadPromptTemplates({ templates: { prompt: "bad.md" } }, tmpDir)).toThrow(
+        /Invalid prompt template .*bad\.md: Unknown template variable "branch" on line 1/
+      );
+    });
   });
 
   describe("detectCompletion", () => {
@@ -286,6 +779,78 @@ describe("lib.js", () => {
     });
   });
 
+  describe("prompt feedback", () => {
+    test("appends feedback section to full prompt", () => {
+      const result = lib.buildPromptTemplate({
+        loopId: "test-loop",
+        iteration: 2,
+        maxIterations: 10,
+        promiseMode: "tag",
+        completionPromise: "DONE",
+        userPrompt: "Do task",
+        todoFile: null,
+        hardStopToken: "HARD STOP",
+        feedback: ["npm test failed"],
+      });
+      expect(result).toContain("Feedback from the previous iteration:");
+      expect(result).toContain("npm test failed");
+    });
+
+    test("appends feedback section to continue prompt", () => {
+      const result = lib.buildContinuePrompt({
+        loopId: "test-loop",
+        iteration: 2,
+        maxIterations: 10,
+        promiseMode: "tag",
+        completionPromise: "DONE",
+        feedback: ["lint failed"],
+      });
+      expect(result).toContain("Feedback from the previous iteration:");
+      expect(result).toContain("lint failed");
+    });
+
+    test("omits feedback section when empty", () => {
+      const result = lib.buildContinuePrompt({
+        loopId: "test-loop",
+        iteration: 2,
+        maxIterations: 10,
+        promiseMode: "tag",
+        completionPromise: "DONE",
+        feedback: [],
+      });
+      expect(result).not.toContain("Feedback from the previous iteration");
+    });
+  });
+
+  describe("truncateOutput", () => {
+    test("returns short output unchanged", () => {
+      expect(lib.truncateOutput("short", 10)).toBe("short");
+    });
+
+    test("keeps the tail of long output", () => {
+      const result = lib.truncateOutput("abcdefghij", 4);
+      expect(result).toContain("[...truncated 6 chars]");
+      expect(result.endsWith("ghij")).toBe(true);
+    });
+
+    test("handles empty output", () => {
+      expect(lib.truncateOutput(null)).toBe("");
+    });
+  });
+
+  describe("buildVerificationFeedback", () => {
+    test("includes only failed commands", () => {
+      const result = lib.buildVerificationFeedback([
+        { command: "npm run lint", exit_code: 0, output: "ok" },
+        { command: "npm test", exit_code: 1, output: "1 failing test\n" },
+      ]);
+      expect(result).toContain("verification failed");
+      expect(result).toContain("$ npm test (exit code 1)");
+      expect(result).toContain("1 failing test");
+      expect(result).not.toContain("npm run lint");
+    });
+  });
+
   describe("checkHardStop", () => {
     test("returns true when token is in file", () => {
       const todoPath = path.join(tmpDir, "TODO.md");
@@ -306,6 +871,65 @@ describe("lib.js", () => {
     test("returns false for nonexistent file", () => {
       expect(lib.checkHardStop(path.join(tmpDir, "nonexistent.md"), "HARD STOP")).toBe(false);
     });
+
+    test("detects the token in checked checklist items too", () => {
+      const todoPath = path.join(tmpDir, "TODO.md");
+      fs.writeFileSync(todoPath, "- [x] HARD STOP: review the API\n- [ ] Ship it\n");
+      expect(lib.checkHardStop(todoPath, "HARD STOP")).toBe(true);
+    });
+  });
+
+  describe("TODO checklists", () => {
+    test("parseTodoChecklist reads bullet and numbered items", () => {
+      const text = "# Plan\n- [x] one\n- [ ] two\n  * [X] nested\n1. [ ] numbered\nnot - [ ] an item\n- [] broken\n";
+      expect(lib.parseTodoChecklist(text)).toEqual({
+        items: [
+          { text: "one", checked: true },
+          { text: "two", checked: false },
+          { text: "nested", checked: true },
+          { text: "numbered", checked: false },
+        ],
+        done: 2,
+        total: 4,
+      });
+      expect(lib.parseTodoChecklist(null)).toEqual({ items: [], done: 0, total: 0 });
+    });
+
+    test("findTodoRegressions reports unchecked and removed items", () => {
+      const previous = [
+        { text: "parse", checked: true },
+        { text: "render", checked: true },
+        { text: "docs", checked: false },
+        { text: "test", checked: true },
+        { text: "test", checked: true },
+      ];
+      const current = [
+        { text: "parse", checked: true },
+        { text: "render", checked: false },
+        { text: "test", checked: true },
+        { text: "new item", checked: false },
+      ];
+      expect(lib.findTodoRegressions(previous, current)).toEqual([
+        { text: "render", change: "unchecked" },
+        { text: "docs", change: "removed" },
+        { text: "test", change: "removed" },
+      ]);
+      expect(lib.findTodoRegressions([], current)).toEqual([]);
+    });
+
+    test("buildTodoRegressionFeedback lists each lost item", () => {
+      const feedback = lib.buildTodoRegressionFeedback("TODO.md", [{ text: "render", change: "unchecked" }]);
+      expect(feedback).toContain("The TODO checklist in TODO.md lost progress");
+      expect(feedback).toContain('- "render" was unchecked');
+    });
+
+    test("reports progress from the state", () => {
+      const state = { todo: { items: [{ text: "a", checked: true }, { text: "b", checked: false }] } };
+      expect(lib.todoProgressFromState(state)).toEqual({ done: 1, total: 2 });
+      expect(lib.formatTodoProgress(lib.todoProgressFromState(state))).toBe("1/2 done");
+      expect(lib.todoProgressFromState({ todo: null })).toBeNull();
+      expect(lib.formatTodoProgress(null)).toBeNull();
+    });
   });
 
   describe("readFileSafe", () => {
@@ -371,6 +995,141 @@ describe("lib.js", () => {
     });
   });
 
+  describe("usage accounting", () => {
+    test("addUsage sums usage and recomputes totals", () => {
+      const total = lib.addUsage(lib.emptyUsage(), {
+        input_tokens: 100,
+        cached_input_tokens: 40,
+        output_tokens: 10,
+      });
+      expect(lib.addUsage(total, { input_tokens: 5, output_tokens: 5 })).toEqual({
+        input_tokens: 105,
+        cached_input_tokens: 40,
+        output_tokens: 15,
+        total_tokens: 120,
+      });
+    });
+
+    test("addUsage tolerates missing values", () => {
+      expect(lib.addUsage(undefined, null)).toEqual(lib.emptyUsage());
+    });
+
+    test("parses turn.completed usage events", () => {
+      const text = [
+        '{"type":"thread.started","thread_id":"t-1"}',
+        '{"type":"turn.completed","usage":{"input_tokens":1000,"cached_input_tokens":200,"output_tokens":50}}',
+        '{"type":"turn.completed","usage":{"input_tokens":500,"cached_input_tokens":0,"output_tokens":25}}',
+      ].join("\n");
+      expect(lib.parseUsageFromJsonLines(text)).toEqual({
+        input_tokens: 1500,
+        cached_input_tokens: 200,
+        output_tokens: 75,
+        total_tokens: 1575,
+      });
+    });
+
+    test("parses legacy token_count messages", () => {
+      const text = [
+        '{"id":"0","msg":{"type":"token_count","input_tokens":10,"cached_input_tokens":0,"output_tokens":2}}',
+        '{"id":"1","msg":{"type":"token_count","info":{"total_token_usage":{"input_tokens":99},"last_token_usage":{"input_tokens":20,"output_tokens":3}}}}',
+        '{"id":"2","msg":{"type":"token_count","info":null}}',
+        '{"id":"3","msg":{"type":"agent_message","message":"hi"}}',
+        "not json",
+        "{broken",
+      ].join("\n");
+      expect(lib.parseUsageFromJsonLines(text)).toEqual({
+        input_tokens: 30,
+        cached_input_tokens: 0,
+        output_tokens: 5,
+        total_tokens: 35,
+      });
+    });
+
+    test("returns null when no usage events are present", () => {
+      expect(lib.parseUsageFromJsonLines('{"session_id":"abc"}')).toBeNull();
+      expect(lib.parseUsageFromJsonLines(null)).toBeNull();
+    });
+  });
+
+  describe("estimateCost", () => {
+    const priceTable = {
+      "gpt-5": { input_per_million: 1.25, cached_input_per_million: 0.125, output_per_million: 10 },
+      default: { input_per_million: 2, output_per_million: 8 },
+    };
+    const usage = {
+      input_tokens: 1000000,
+      cached_input_tokens: 200000,
+      output_tokens: 100000,
+      total_tokens: 1100000,
+    };
+
+    test("uses the model rates with cached discount", () => {
+      expect(lib.estimateCost(usage, "gpt-5", priceTable)).toBeCloseTo(1 + 0.025 + 1, 6);
+    });
+
+    test("falls back to default rates and input rate for cached tokens", () => {
+      expect(lib.estimateCost(usage, "other-model", priceTable)).toBeCloseTo(2 + 0.8, 6);
+      expect(lib.estimateCost(usage, null, priceTable)).toBeCloseTo(2.8, 6);
+    });
+
+    test("returns null without usage, table or matching rates", () => {
+      expect(lib.estimateCost(null, "gpt-5", priceTable)).toBeNull();
+      expect(lib.estimateCost(usage, "gpt-5", null)).toBeNull();
+      expect(lib.estimateCost(usage, "other", { "gpt-5": {} })).toBeNull();
+    });
+
+    test("treats missing rates as zero", () => {
+      expect(lib.estimateCost(usage, "free", { free: {} })).toBe(0);
+    });
+
+    test("formats cost", () => {
+      expect(lib.formatCost(1.234)).toBe("$1.23");
+      expect(lib.formatCost(null)).toBe("n/a");
+    });
+  });
+
+  describe("loadPriceTable", () => {
+    let originalHomedir;
+    let fakeHome;
+
+    beforeEach(() => {
+      fakeHome = path.join(tmpDir, "home");
+      originalHomedir = os.homedir;
+      os.homedir = () => fakeHome;
+    });
+
+    afterEach(() => {
+      os.homedir = originalHomedir;
+    });
+
+    test("returns null when no table exists", () => {
+      expect(lib.loadPriceTable(tmpDir)).toBeNull();
+    });
+
+    test("prefers the workspace table", () => {
+      const workspaceTable = path.join(tmpDir, ".codex/waylon-smithers/prices.json");
+      const homeTable = path.join(fakeHome, ".codex/waylon-smithers/prices.json");
+      lib.writeJson(workspaceTable, { default: { input_per_million: 1 } });
+      lib.writeJson(homeTable, { default: { input_per_million: 2 } });
+      expect(lib.loadPriceTable(tmpDir).default.input_per_million).toBe(1);
+    });
+
+    test("falls back to the user table and skips unreadable files", () => {
+      const originalWarn = console.warn;
+      console.warn = jest.fn();
+      const workspaceTable = path.join(tmpDir, ".codex/waylon-smithers/prices.json");
+      lib.ensureDirFor(workspaceTable);
+      fs.writeFileSync(workspaceTable, "{not json");
+      lib.writeJson(path.join(fakeHome, ".codex/waylon-smithers/prices.json"), {
+        default: { input_per_million: 2 },
+      });
+
+      expect(lib.loadPriceTable(tmpDir).default.input_per_million).toBe(2);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("unreadable price table"));
+      console.warn = originalWarn;
+    });
+  });
+
   describe("computeJsonlPath", () => {
     test("returns null for null base", () => {
       expect(lib.computeJsonlPath(null, 1, "/workspace")).toBeNull();
@@ -410,6 +1169,24 @@ describe("lib.js", () => {
     });
   });
 
+  describe("resolveWorktreeDir", () => {
+    test("resolves the loop worktree directory", () => {
+      const result = lib.resolveWorktreeDir("loop-123", "/workspace");
+      expect(result).toBe(path.resolve("/workspace", ".codex/waylon-smithers/worktrees", "loop-123"));
+    });
+  });
+
+  describe("resolveAgentRoot", () => {
+    test("returns the workspace when the loop has no worktree", () => {
+      expect(lib.resolveAgentRoot({ worktree: null }, "/workspace")).toBe("/workspace");
+    });
+
+    test("returns the worktree directory the agent runs in", () => {
+      const state = { worktree: { path: "wt", cwd: "wt/packages/app", branch: "waylon/x" } };
+      expect(lib.resolveAgentRoot(state, "/workspace")).toBe(path.resolve("/workspace/wt/packages/app"));
+    });
+  });
+
   describe("deleteArtifacts", () => {
     test("deletes artifacts directory and state file", () => {
       const artifactsDir = path.join(tmpDir, "artifacts");
@@ -417,11 +1194,13 @@ describe("lib.js", () => {
       fs.mkdirSync(artifactsDir, { recursive: true });
       fs.writeFileSync(path.join(artifactsDir, "file.txt"), "content");
       fs.writeFileSync(statePath, "{}");
+      fs.writeFileSync(lib.backupPathFor(statePath), "{}");
 
       lib.deleteArtifacts(artifactsDir, statePath);
 
       expect(fs.existsSync(artifactsDir)).toBe(false);
       expect(fs.existsSync(statePath)).toBe(false);
+      expect(fs.existsSync(lib.backupPathFor(statePath))).toBe(false);
     });
 
     test("handles nonexistent paths gracefully", () => {
@@ -464,6 +1243,13 @@ describe("lib.js", () => {
       expect(state.codex.model).toBe("gpt-4");
       expect(state.todo).toBeNull();
       expect(state.history).toEqual([]);
+      expect(state.verify_commands).toEqual([]);
+      expect(state.backend).toEqual({ name: "codex", command: null, resume_command: null });
+      expect(state.usage).toEqual(lib.emptyUsage());
+      expect(state.budgets).toEqual({ max_tokens: null, max_duration_ms: null, max_cost_usd: null });
+      expect(state.elapsed_ms).toBe(0);
+      expect(state.stall).toBeNull();
+      expect(state.pending_feedback).toEqual([]);
     });
 
     test("creates state with todo file", () => {
@@ -490,10 +1276,66 @@ describe("lib.js", () => {
         hard_stop_token: "STOP",
         hard_stop_mode: "exit",
         paused_for_hard_stop: false,
+        complete_when_done: false,
       });
       expect(state.same_prompt_each_iteration).toBe(true);
       expect(state.artifacts.jsonl_events_base).toBe("events");
     });
+
+    test("creates state with a worktree", () => {
+      const state = lib.createInitialState({
+        loopId: "wt-loop",
+        workspaceRoot: "/workspace",
+        prompt: "Task",
+        completionPromise: "DONE",
+        promiseMode: "tag",
+        maxIterations: 5,
+        statePath: "/workspace/.codex/loops/loop.json",
+        artifactsDir: "/workspace/.codex/loops/loop",
+        summaryJson: null,
+        worktree: {
+          path: "/workspace/.codex/waylon-smithers/worktrees/wt-loop",
+          cwd: "/workspace/.codex/waylon-smithers/worktrees/wt-loop",
+          branch: "waylon/wt-loop",
+        },
+        codexOptions: {},
+      });
+
+      expect(state.worktree).toEqual({
+        path: ".codex/waylon-smithers/worktrees/wt-loop",
+        cwd: ".codex/waylon-smithers/worktrees/wt-loop",
+        branch: "waylon/wt-loop",
+      });
+    });
+
+    test("creates state with stall detection", () => {
+      const state = lib.createInitialState({
+        loopId: "stall-loop",
+        workspaceRoot: "/workspace",
+        prompt: "Task",
+        completionPromise: "DONE",
+        promiseMode: "tag",
+        maxIterations: 5,
+        statePath: "/workspace/.codex/loops/loop.json",
+        artifactsDir: "/workspace/.codex/loops/loop",
+        summaryJson: null,
+        jsonlEventsBase: null,
+        todoFile: null,
+        hardStopToken: "HARD STOP",
+        hardStopMode: "pause",
+        samePromptEachIteration: false,
+        stallConfig: { iterations: 3 },
+        codexOptions: {},
+      });
+
+      expect(state.stall).toEqual({
+        iterations: 3,
+        similarity: 0.9,
+        action: "pause",
+        consecutive: 0,
+        last_fingerprint: null,
+      });
+    });
   });
 
   describe("buildCodexOptions", () => {
@@ -613,6 +1455,205 @@ describe("lib.js", () => {
     });
   });
 
+  describe("parseNonNegativeInteger", () => {
+    test("parses zero and positive integers", () => {
+      expect(lib.parseNonNegativeInteger("0")).toBe(0);
+      expect(lib.parseNonNegativeInteger("9")).toBe(9);
+    });
+
+    test("rejects negatives, decimals and junk", () => {
+      expect(() => lib.parseNonNegativeInteger("-1")).toThrow("non-negative integer");
+      expect(() => lib.parseNonNegativeInteger("1.5")).toThrow("non-negative integer");
+      expect(() => lib.parseNonNegativeInteger("")).toThrow("non-negative integer");
+    });
+  });
+
+  describe("parsePositiveNumber", () => {
+    test("parses positive decimals", () => {
+      expect(lib.parsePositiveNumber("2.5")).toBe(2.5);
+    });
+
+    test("rejects zero, negatives and junk", () => {
+      expect(() => lib.parsePositiveNumber("0")).toThrow("positive number");
+      expect(() => lib.parsePositiveNumber("-1")).toThrow("positive number");
+      expect(() => lib.parsePositiveNumber("abc")).toThrow("positive number");
+      expect(() => lib.parsePositiveNumber("")).toThrow("positive number");
+    });
+  });
+
+  describe("parseDuration", () => {
+    test("parses unit suffixes", () => {
+      expect(lib.parseDuration("90s")).toBe(90000);
+      expect(lib.parseDuration("30m")).toBe(1800000);
+      expect(lib.parseDuration("2h")).toBe(7200000);
+      expect(lib.parseDuration("1d")).toBe(86400000);
+      expect(lib.parseDuration("500ms")).toBe(500);
+    });
+
+    test("parses compound durations", () => {
+      expect(lib.parseDuration("1h30m")).toBe(5400000);
+    });
+
+    test("treats bare numbers as seconds", () => {
+      expect(lib.parseDuration("45")).toBe(45000);
+    });
+
+    test("rejects malformed durations", () => {
+      expect(() => lib.parseDuration("soon")).toThrow("Duration must look like");
+      expect(() => lib.parseDuration("2h later")).toThrow("Duration must look like");
+      expect(() => lib.parseDuration("0m")).toThrow("Duration must look like");
+    });
+  });
+
+  describe("formatDuration", () => {
+    test("formats seconds, minutes and hours", () => {
+      expect(lib.formatDuration(5000)).toBe("5s");
+      expect(lib.formatDuration(125000)).toBe("2m 5s");
+      expect(lib.formatDuration(3725000)).toBe("1h 2m 5s");
+      expect(lib.formatDuration(null)).toBe("0s");
+    });
+  });
+
+  describe("textSimilarity", () => {
+    test("is 1 for identical text ignoring case and whitespace", () => {
+      expect(lib.textSimilarity("Still  working on it", "still working on it")).toBe(1);
+      expect(lib.textSimilarity("", "")).toBe(1);
+    });
+
+    test("is 0 when one side is empty", () => {
+      expect(lib.textSimilarity("", "something")).toBe(0);
+      expect(lib.textSimilarity(null, "x y")).toBe(0);
+    });
+
+    test("scores near-identical text highly and different text low", () => {
+      expect(
+        lib.textSimilarity("Tests still failing in auth.js", "Tests still failing in auth.ts")
+      ).toBeGreaterThan(0.9);
+      expect(lib.textSimilarity("Implemented the parser", "All tests green now")).toBeLessThan(0.3);
+    });
+  });
+
+  describe("evaluateStall", () => {
+    test("is stalled when messages match and workspace is unchanged", () => {
+      expect(
+        lib.evaluateStall({
+          previousMessage: "Working on it",
+          lastMessage: "Working on it",
+          previousFingerprint: "abc",
+          fingerprint: "abc",
+          similarityThreshold: 0.9,
+        })
+      ).toEqual({ similarity: 1, unchanged: true, stalled: true });
+    });
+
+    test("is not stalled when files changed", () => {
+      const result = lib.evaluateStall({
+        previousMessage: "Working on it",
+        lastMessage: "Working on it",
+        previousFingerprint: "abc",
+        fingerprint: "def",
+        similarityThreshold: 0.9,
+      });
+      expect(result.stalled).toBe(false);
+    });
+
+    test("is not stalled without a previous fingerprint", () => {
+      const result = lib.evaluateStall({
+        previousMessage: "",
+        lastMessage: "Working on it",
+        previousFingerprint: null,
+        fingerprint: "abc",
+        similarityThreshold: 0.9,
+      });
+      expect(result.stalled).toBe(false);
+    });
+
+    test("is not stalled when messages differ", () => {
+      const result = lib.evaluateStall({
+        previousMessage: "Wrote the parser",
+        lastMessage: "Fixed the lexer tests",
+        previousFingerprint: "abc",
+        fingerprint: "abc",
+        similarityThreshold: 0.9,
+      });
+      expect(result.stalled).toBe(false);
+    });
+  });
+
+  describe("parseRatio", () => {
+    test("parses values between 0 and 1", () => {
+      expect(lib.parseRatio("0.85")).toBe(0.85);
+      expect(lib.parseRatio("1")).toBe(1);
+    });
+
+    test("rejects out-of-range values", () => {
+      expect(() => lib.parseRatio("1.5")).toThrow("between 0 and 1");
+      expect(() => lib.parseRatio("abc")).toThrow("between 0 and 1");
+      expect(() => lib.parseRatio("")).toThrow("between 0 and 1");
+    });
+  });
+
+  describe("budgets", () => {
+    const priceTable = { default: { input_per_million: 10, output_per_million: 10 } };
+
+    test("buildBudgets prefers options over fallback", () => {
+      expect(lib.buildBudgets({ maxTokens: 10 }, { max_tokens: 5, max_cost_usd: 2 })).toEqual({
+        max_tokens: 10,
+        max_duration_ms: null,
+        max_cost_usd: 2,
+      });
+      expect(lib.buildBudgets({})).toEqual({
+        max_tokens: null,
+        max_duration_ms: null,
+        max_cost_usd: null,
+      });
+    });
+
+    test("assertCostBudgetEnforceable requires matching rates", () => {
+      expect(() =>
+        lib.assertCostBudgetEnforceable({ max_cost_usd: 5 }, "gpt-5", null)
+      ).toThrow('--max-cost needs a price table with rates for "gpt-5"');
+      expect(() => lib.assertCostBudgetEnforceable({ max_cost_usd: 5 }, null, null)).toThrow(
+        '"default"'
+      );
+      expect(() =>
+        lib.assertCostBudgetEnforceable({ max_cost_usd: 5 }, "gpt-5", priceTable)
+      ).not.toThrow();
+      expect(() => lib.assertCostBudgetEnforceable({ max_cost_usd: null }, null, null)).not.toThrow();
+    });
+
+    test("checkBudgets returns null within budget", () => {
+      expect(lib.checkBudgets({ budgets: { max_tokens: 100 }, usage: { total_tokens: 10 } })).toBeNull();
+      expect(lib.checkBudgets({})).toBeNull();
+    });
+
+    test("checkBudgets detects exhausted token budget", () => {
+      const result = lib.checkBudgets({
+        budgets: { max_tokens: 100 },
+        usage: { total_tokens: 150 },
+      });
+      expect(result.status).toBe("stopped_budget_tokens");
+      expect(result.message).toContain("150/100");
+    });
+
+    test("checkBudgets detects exhausted cost budget", () => {
+      const state = {
+        budgets: { max_cost_usd: 1 },
+        usage: { input_tokens: 100000, cached_input_tokens: 0, output_tokens: 0, total_tokens: 100000 },
+      };
+      const result = lib.checkBudgets(state, { model: null, priceTable });
+      expect(result.status).toBe("stopped_budget_cost");
+      expect(result.message).toContain("$1.00 of $1.00");
+      expect(lib.checkBudgets(state, { model: null, priceTable: null })).toBeNull();
+    });
+
+    test("checkBudgets detects exhausted time budget", () => {
+      const result = lib.checkBudgets({ budgets: { max_duration_ms: 60000 }, elapsed_ms: 61000 });
+      expect(result.status).toBe("stopped_timeout");
+      expect(result.message).toContain("1m 1s of 1m 0s");
+    });
+  });
+
   describe("internal state management", () => {
     test("_setCurrentChild and _setSigintReceived work", () => {
       lib._setSigintReceived(true);
@@ -634,6 +1675,13 @@ describe("lib.js", () => {
       // Just verify it doesn't throw
       lib.registerSigintHandler(() => {});
     });
+
+    test("replaces the previously registered handler", () => {
+      lib.registerSigintHandler(() => {});
+      const listeners = process.listenerCount("SIGINT");
+      lib.registerSigintHandler(() => {});
+      expect(process.listenerCount("SIGINT")).toBe(listeners);
+    });
   });
 
   describe("promptYesNo", () => {
@@ -641,6 +1689,7 @@ describe("lib.js", () => {
       const mockRl = {
         question: jest.fn((msg, cb) => cb("y")),
         close: jest.fn(),
+        on: jest.fn(),
       };
       readline.createInterface.mockReturnValue(mockRl);
 
@@ -653,6 +1702,7 @@ describe("lib.js", () => {
       const mockRl = {
         question: jest.fn((msg, cb) => cb("yes")),
         close: jest.fn(),
+        on: jest.fn(),
       };
       readline.createInterface.mockReturnValue(mockRl);
 
@@ -664,6 +1714,7 @@ describe("lib.js", () => {
       const mockRl = {
         question: jest.fn((msg, cb) => cb("n")),
         close: jest.fn(),
+        on: jest.fn(),
       };
       readline.createInterface.mockReturnValue(mockRl);
 
@@ -675,12 +1726,204 @@ describe("lib.js", () => {
       const mockRl = {
         question: jest.fn((msg, cb) => cb("")),
         close: jest.fn(),
+        on: jest.fn(),
       };
       readline.createInterface.mockReturnValue(mockRl);
 
       const result = await lib.promptYesNo("Continue?");
       expect(result).toBe(false);
     });
+
+    test("returns false when stdin ends without an answer", async () => {
+      const mockRl = {
+        question: jest.fn(),
+        close: jest.fn(),
+        on: jest.fn((event, listener) => listener()),
+      };
+      readline.createInterface.mockReturnValue(mockRl);
+
+      const result = await lib.promptYesNo("Continue?");
+      expect(result).toBe(false);
+      expect(mockRl.on).toHaveBeenCalledWith("close", expect.any(Function));
+    });
+  });
+
+  describe("runVerifyCommands", () => {
+    function scriptedChild(exitCode, stdout, stderr) {
+      const child = new EventEmitter();
+      child.stdout = new EventEmitter();
+      child.stderr = new EventEmitter();
+      setImmediate(() => {
+        if (stdout) child.stdout.emit("data", Buffer.from(stdout));
+        if (stderr) child.stderr.emit("data", Buffer.from(stderr));
+        child.emit("close", exitCode);
+      });
+      return child;
+    }
+
+    test("passes when every command exits 0", async () => {
+      spawn
+        .mockImplementationOnce(() => scriptedChild(0, "tests ok"))
+        .mockImplementationOnce(() => scriptedChild(0, "lint ok"));
+
+      const result = await lib.runVerifyCommands(["npm test", "npm run lint"], tmpDir);
+
+      expect(result.passed).toBe(true);
+      expect(result.results).toHaveLength(2);
+      expect(spawn).toHaveBeenCalledWith(
+        "npm test",
+        expect.objectContaining({ cwd: tmpDir, shell: true })
+      );
+    });
+
+    test("fails and captures output when a command exits non-zero", async () => {
+      spawn.mockImplementationOnce(() => scriptedChild(2, "partial\n", "boom\n"));
+
+      const result = await lib.runVerifyCommands(["npm test"], tmpDir);
+
+      expect(result.passed).toBe(false);
+      expect(result.results[0]).toEqual({
+        command: "npm test",
+        exit_code: 2,
+        output: "partial\nboom\n",
+      });
+    });
+
+    test("treats spawn errors as failures", async () => {
+      spawn.mockImplementationOnce(() => {
+        const child = new EventEmitter();
+        child.stdout = new EventEmitter();
+        child.stderr = new EventEmitter();
+        setImmediate(() => child.emit("error", new Error("not found")));
+        return child;
+      });
+
+      const result = await lib.runVerifyCommands(["missing-tool"], tmpDir);
+
+      expect(result.passed).toBe(false);
+      expect(result.results[0].exit_code).toBeNull();
+      expect(result.results[0].output).toContain("not found");
+    });
+
+    test("passes trivially with no commands", async () => {
+      const result = await lib.runVerifyCommands([], tmpDir);
+      expect(result).toEqual({ passed: true, results: [] });
+    });
+  });
+
+  describe("splitCommandTemplate", () => {
+    test("splits on whitespace and honors quotes", () => {
+      expect(lib.splitCommandTemplate(`agent run --msg "hello world" 'x y' {prompt}`)).toEqual([
+        "agent",
+        "run",
+        "--msg",
+        "hello world",
+        "x y",
+        "{prompt}",
+      ]);
+    });
+
+    test("keeps empty quoted arguments", () => {
+      expect(lib.splitCommandTemplate(`agent ""`)).toEqual(["agent", ""]);
+    });
+
+    test("throws on unterminated quote", () => {
+      expect(() => lib.splitCommandTemplate(`agent "oops`)).toThrow("Unterminated quote");
+    });
+  });
+
+  describe("fillCommandTemplate", () => {
+    test("substitutes placeholders per token", () => {
+      expect(
+        lib.fillCommandTemplate(["agent", "--id={session_id}", "{prompt}", "{model}"], {
+          session_id: "abc",
+          prompt: "do it; rm -rf /",
+          model: null,
+        })
+      ).toEqual(["agent", "--id=abc", "do it; rm -rf /", ""]);
+    });
+  });
+
+  describe("createBackend", () => {
+    test("defaults to codex", () => {
+      const backend = lib.createBackend();
+      expect(backend.name).toBe("codex");
+      expect(backend.supportsResume).toBe(true);
+    });
+
+    test("throws on unknown backend", () => {
+      expect(() => lib.createBackend("nope")).toThrow('Unknown backend "nope"');
+    });
+
+    test("command backend requires a template", () => {
+      expect(() => lib.createBackend("command", {})).toThrow("--backend-command");
+    });
+
+    test("command backend rejects unknown placeholders", () => {
+      expect(() => lib.createBackend("command", { command: "agent {bogus}" })).toThrow(
+        "Unknown placeholder {bogus} in --backend-command"
+      );
+    });
+
+    test("command backend rejects empty templates", () => {
+      expect(() => lib.createBackend("command", { command: "  ", resumeCommand: null })).toThrow(
+        "--backend-command"
+      );
+    });
+
+    test("command backend builds start and resume invocations", () => {
+      const backend = lib.createBackend("command", {
+        command: "agent --cwd {cwd} {prompt}",
+        resumeCommand: "agent resume {session_id} {prompt}",
+      });
+      expect(backend.supportsResume).toBe(true);
+      expect(backend.program).toBe("agent");
+      expect(
+        backend.startSession({ prompt: "Do it", lastMessagePath: "/tmp/x", codexOptions: { cd: "/ws" } })
+      ).toEqual({ command: "agent", args: ["--cwd", "/ws", "Do it"] });
+      expect(
+        backend.resumeSession({
+          sessionId: "s-1",
+          prompt: "Go on",
+          lastMessagePath: "/tmp/x",
+          codexOptions: { cd: "/ws" },
+        })
+      ).toEqual({ command: "agent", args: ["resume", "s-1", "Go on"] });
+    });
+
+    test("command backend without resume template cannot resume", () => {
+      const backend = lib.createBackend("command", { command: "agent {prompt}" });
+      expect(backend.supportsResume).toBe(false);
+      expect(
+        backend.extractSessionId({ stdout: "session 123e4567-e89b-12d3-a456-426614174000\n", stderr: "" })
+      ).toBeNull();
+      expect(backend.extractLastMessage({ lastMessagePath: "/nonexistent", stdout: " reply \n" })).toBe(
+        "reply"
+      );
+    });
+
+    test("command backend reads last message file when templated", () => {
+      const lastMessagePath = path.join(tmpDir, "last.txt");
+      fs.writeFileSync(lastMessagePath, "from file");
+      const backend = lib.createBackend("command", {
+        command: "agent --out {last_message_file} {prompt}",
+      });
+      expect(backend.extractLastMessage({ lastMessagePath, stdout: "ignored" })).toBe("from file");
+    });
+  });
+
+  describe("createBackendFromState", () => {
+    test("defaults to codex when state has no backend", () => {
+      expect(lib.createBackendFromState({}).name).toBe("codex");
+    });
+
+    test("restores the command backend from state", () => {
+      const backend = lib.createBackendFromState({
+        backend: { name: "command", command: "agent {prompt}", resume_command: null },
+      });
+      expect(backend.name).toBe("command");
+      expect(backend.supportsResume).toBe(false);
+    });
   });
 
   describe("runCodexIteration", () => {
@@ -695,7 +1938,7 @@ describe("lib.js", () => {
 
       mockWriteStream = {
         write: jest.fn(),
-        close: jest.fn(),
+        end: jest.fn((callback) => callback()),
       };
 
       spawn.mockReturnValue(mockChild);
@@ -740,6 +1983,7 @@ describe("lib.js", () => {
       );
       expect(result.exitCode).toBe(0);
       expect(result.sessionId).toBe("test-session-123");
+      expect(result.usage).toBeNull();
 
       process.stdout.write = originalStdout;
       process.stderr.write = originalStderr;
@@ -824,13 +2068,42 @@ describe("lib.js", () => {
       await resultPromise;
 
       expect(fs.createWriteStream).toHaveBeenCalledWith("/tmp/events.jsonl");
-      expect(mockWriteStream.write).toHaveBeenCalledWith("event data");
-      expect(mockWriteStream.close).toHaveBeenCalled();
+      expect(mockWriteStream.write).toHaveBeenCalledWith(Buffer.from("event data"));
+      expect(mockWriteStream.end).toHaveBeenCalled();
 
       process.stdout.write = originalStdout;
       process.stderr.write = originalStderr;
     });
 
+    test("keeps a multibyte character that is split across chunks intact", async () => {
+      const onStdout = jest.fn();
+      const onStderr = jest.fn();
+      const resultPromise = lib.runCodexIteration({
+        prompt: "Task",
+        resumeSessionId: null,
+        workspaceRoot: "/workspace",
+        lastMessagePath: "/tmp/last.txt",
+        jsonlPath: "/tmp/events.jsonl",
+        codexOptions: { cd: "/workspace" },
+        onStdout,
+        onStderr,
+      });
+
+      const bytes = Buffer.from("h\u00e9llo\n");
+      mockChild.stdout.emit("data", bytes.subarray(0, 2));
+      mockChild.stdout.emit("data", bytes.subarray(2));
+      mockChild.stderr.emit("data", Buffer.from([0xe2, 0x9c]));
+      mockChild.stderr.emit("data", Buffer.from([0x93]));
+      mockChild.emit("close", 0);
+      const result = await resultPromise;
+
+      expect(result.stdout).toBe("h\u00e9llo\n");
+      expect(onStdout.mock.calls.map(([text]) => text).join("")).toBe("h\u00e9llo\n");
+      expect(result.stderr).toBe("\u2713");
+      expect(onStderr).toHaveBeenCalledTimes(1);
+      expect(Buffer.concat(mockWriteStream.write.mock.calls.map(([chunk]) => chunk))).toEqual(bytes);
+    });
+
     test("handles stderr output", async () => {
       const originalStdout = process.stdout.write;
       const originalStderr = process.stderr.write;
@@ -907,6 +2180,64 @@ describe("lib.js", () => {
       process.stderr.write = originalStderr;
     });
 
+    test("runs a command backend and captures stdout as last message", async () => {
+      const originalStdout = process.stdout.write;
+      const originalStderr = process.stderr.write;
+      process.stdout.write = jest.fn();
+      process.stderr.write = jest.fn();
+      fs.createWriteStream.mockRestore();
+
+      const lastMessagePath = path.join(tmpDir, "last.txt");
+      const backend = lib.createBackend("command", { command: "agent --cwd {cwd} {prompt}" });
+      const resultPromise = lib.runCodexIteration({
+        prompt: "Task",
+        resumeSessionId: null,
+        workspaceRoot: "/workspace",
+        lastMessagePath,
+        jsonlPath: null,
+        codexOptions: { cd: "/workspace" },
+        backend,
+      });
+
+      mockChild.stdout.emit("data", Buffer.from("All done\n"));
+      mockChild.emit("close", 0);
+
+      const result = await resultPromise;
+
+      expect(spawn).toHaveBeenCalledWith("agent", ["--cwd", "/workspace", "Task"], expect.any(Object));
+      expect(result.sessionId).toBeNull();
+      expect(result.lastMessage).toBe("All done");
+      expect(fs.readFileSync(lastMessagePath, "utf8")).toBe("All done");
+
+      process.stdout.write = originalStdout;
+      process.stderr.write = originalStderr;
+    });
+
+    test("kills the child when the timeout elapses", async () => {
+      const originalStdout = process.stdout.write;
+      const originalStderr = process.stderr.write;
+      process.stdout.write = jest.fn();
+      process.stderr.write = jest.fn();
+      mockChild.kill = jest.fn(() => setImmediate(() => mockChild.emit("close", null)));
+
+      const result = await lib.runCodexIteration({
+        prompt: "Task",
+        resumeSessionId: "session-1",
+        workspaceRoot: "/workspace",
+        lastMessagePath: "/tmp/last.txt",
+        jsonlPath: null,
+        codexOptions: { cd: "/workspace" },
+        timeoutMs: 10,
+      });
+
+      expect(mockChild.kill).toHaveBeenCalledWith("SIGTERM");
+      expect(result.timedOut).toBe(true);
+      expect(result.exitCode).toBeNull();
+
+      process.stdout.write = originalStdout;
+      process.stderr.write = originalStderr;
+    });
+
     test("includes all codex options in args", async () => {
       const originalStdout = process.stdout.write;
       const originalStderr = process.stderr.write;
@@ -0,0 +1,135 @@
+const http = require("http");
+
+const notify = require("../src/notify");
+
+// Local stand-in for a webhook receiver. `respond` decides each request's status code, or returns
+// null to leave the request hanging.
+function startReceiver(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      requests.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+      const status = respond(requests.length);
+      if (status != null) {
+        res.statusCode = status;
+        res.end();
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ url: `http://127.0.0.1:${server.address().port}/hook`, requests, server });
+    });
+  });
+}
+
+describe("notify.js", () => {
+  let receiver;
+
+  afterEach(async () => {
+    if (receiver) {
+      receiver.server.closeAllConnections();
+      await new Promise((resolve) => receiver.server.close(resolve));
+      receiver = null;
+    }
+  });
+
+  describe("shouldNotify", () => {
+    test("covers finished, paused and failed loops", () => {
+      for (const status of [...notify.NOTIFY_STATUSES, "error_spawn", "error_no_session"]) {
+        expect(notify.shouldNotify(status)).toBe(true);
+      }
+      expect(notify.shouldNotify("running")).toBe(false);
+      expect(notify.shouldNotify("paused_stalled")).toBe(false);
+      expect(notify.shouldNotify(undefined)).toBe(false);
+    });
+  });
+
+  describe("parseWebhookUrl", () => {
+    test("accepts http and https URLs only", () => {
+      expect(notify.parseWebhookUrl("https://example.com/hook")).toBe("https://example.com/hook");
+      expect(() => notify.parseWebhookUrl("not a url")).toThrow('Invalid webhook URL "not a url".');
+      expect(() => notify.parseWebhookUrl("ftp://example.com")).toThrow("must use http or https");
+    });
+  });
+
+  describe("buildNotificationPayload", () => {
+    test("carries the loop context and the end of the last message", () => {
+      const payload = notify.buildNotificationPayload(
+        {
+          loop_id: "demo",
+          status: "completed",
+          iteration: 3,
+          max_iterations: 10,
+          workspace_root: "/work",
+          plan: { current_phase: 0, phases: [{ name: "auth" }] },
+        },
+        `${"x".repeat(600)}END\n`
+      );
+      expect(payload).toMatchObject({
+        event: "loop.status",
+        loop_id: "demo",
+        status: "completed",
+        iteration: 3,
+        max_iterations: 10,
+        phase: "auth",
+        workspace_root: "/work",
+      });
+      expect(payload.last_message_excerpt).toHaveLength(503);
+      expect(payload.last_message_excerpt.endsWith("xEND")).toBe(true);
+      expect(notify.messageExcerpt("  short \n")).toBe("short");
+      expect(notify.messageExcerpt("")).toBeNull();
+    });
+  });
+
+  describe("sendWebhook", () => {
+    test("POSTs the payload as JSON", async () => {
+      receiver = await startReceiver(() => 204);
+      const result = await notify.sendWebhook(receiver.url, { loop_id: "demo" });
+      expect(result).toEqual({ delivered: true, attempts: 1, error: null });
+      expect(receiver.requests).toEqual([
+        expect.objectContaining({ method: "POST", body: { loop_id: "demo" } }),
+      ]);
+      expect(receiver.requests[0].headers["content-type"]).toBe("application/json");
+    });
+
+    test("retries server errors with backoff", async () => {
+      receiver = await startReceiver((count) => (count < 3 ? 503 : 200));
+      const result = await notify.sendWebhook(receiver.url, {}, { backoffMs: 1 });
+      expect(result).toEqual({ delivered: true, attempts: 3, error: null });
+    });
+
+    test("gives up on client errors and after the last retry", async () => {
+      receiver = await startReceiver((count) => (count === 1 ? 404 : 500));
+      expect(await notify.sendWebhook(receiver.url, {}, { backoffMs: 1 })).toEqual({
+        delivered: false,
+        attempts: 1,
+        error: "HTTP 404",
+      });
+      expect(await notify.sendWebhook(receiver.url, {}, { retries: 1, backoffMs: 1 })).toEqual({
+        delivered: false,
+        attempts: 2,
+        error: "HTTP 500",
+      });
+    });
+
+    test("times out unresponsive receivers and survives refused connections", async () => {
+      receiver = await startReceiver(() => null);
+      const hung = await notify.sendWebhook(receiver.url, {}, { timeoutMs: 50, retries: 0 });
+      expect(hung).toEqual({ delivered: false, attempts: 1, error: "timed out after 50ms" });
+
+      const { url } = receiver;
+      receiver.server.closeAllConnections();
+      await new Promise((resolve) => receiver.server.close(resolve));
+      receiver = null;
+      const refused = await notify.sendWebhook(url, {}, { retries: 1, backoffMs: 1 });
+      expect(refused.delivered).toBe(false);
+      expect(refused.attempts).toBe(2);
+      expect(refused.error).toMatch(/ECONNREFUSED/);
+    });
+  });
+});
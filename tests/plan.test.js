@@ -0,0 +1,169 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const plan = require("../src/plan");
+
+describe("plan.js", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "waylon-plan-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writePlan = (name, text) => {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  };
+
+  describe("readPlanFile", () => {
+    test("reads YAML plans and normalizes keys", () => {
+      const file = writePlan(
+        "plan.yml",
+        [
+          "prompt: Shared context.",
+          "phases:",
+          "  - name: auth",
+          "    prompt: Add login.",
+          "    completion-promise: AUTH_DONE",
+          "    max_iterations: 4",
+          "    verifyCmd: npm test",
+          "    hard_stop: true",
+          "  - prompt: Add the catalog.",
+        ].join("\n")
+      );
+      expect(plan.readPlanFile(file)).toEqual({
+        prompt: "Shared context.",
+        phases: [
+          {
+            name: "auth",
+            prompt: "Add login.",
+            completionPromise: "AUTH_DONE",
+            promiseMode: undefined,
+            maxIterations: 4,
+            verifyCommands: ["npm test"],
+            hardStop: true,
+          },
+          {
+            name: "phase-2",
+            prompt: "Add the catalog.",
+            completionPromise: undefined,
+            promiseMode: undefined,
+            maxIterations: undefined,
+            verifyCommands: undefined,
+            hardStop: false,
+          },
+        ],
+      });
+    });
+
+    test("reads JSON plans", () => {
+      const file = writePlan("plan.json", JSON.stringify({ phases: [{ prompt: "Go." }] }));
+      expect(plan.readPlanFile(file).phases.map((phase) => phase.name)).toEqual(["phase-1"]);
+    });
+
+    test("rejects malformed plans", () => {
+      const check = (name, text, message) =>
+        expect(() => plan.readPlanFile(writePlan(name, text))).toThrow(message);
+      check("a.json", "{oops", "is not valid JSON");
+      check("a.yaml", "phases: [", "is not valid YAML");
+      check("b.json", "[]", 'must contain an object with a "phases" list');
+      check("c.json", '{"phases": []}', 'needs a non-empty "phases" list');
+      check("d.json", '{"phases": [{"prompt": "x", "model": "y"}]}', 'Unknown key "model" in phases[0]');
+      check("e.json", '{"phases": [{"prompt": "x", "maxIterations": 0}]}', "must be a positive integer");
+      check("f.json", '{"phases": [{"prompt": "x", "promiseMode": "fuzzy"}]}', '"promiseMode" in phases[0]');
+      check("g.json", '{"phases": [{"prompt": "x", "verifyCmd": [1]}]}', '"verifyCmd" in phases[0]');
+      check("h.json", '{"phases": [{"prompt": "x", "hardStop": "yes"}]}', '"hardStop" in phases[0]');
+      check("i.json", '{"phases": [{"name": "a", "prompt": "x"}, {"name": "a", "prompt": "y"}]}', 'Phase name "a"');
+      expect(() => plan.readPlanFile(path.join(tmpDir, "missing.yaml"))).toThrow("Cannot read plan file");
+    });
+  });
+
+  describe("createPlanState", () => {
+    test("fills phase settings from the loop options", () => {
+      const state = plan.createPlanState(
+        {
+          prompt: "",
+          phases: [
+            { name: "a", prompt: "A", maxIterations: 2, verifyCommands: ["make"], hardStop: true },
+            { name: "b", prompt: "B", completionPromise: "B_DONE", promiseMode: "plain", hardStop: false },
+          ],
+        },
+        { path: "plan.yaml", completionPromise: "DONE", promiseMode: "tag", maxIterations: 5, verifyCommands: [] }
+      );
+      expect(state).toEqual({
+        path: "plan.yaml",
+        current_phase: 0,
+        phases: [
+          {
+            name: "a",
+            prompt: "A",
+            completion_promise: "DONE",
+            promise_mode: "tag",
+            max_iterations: 2,
+            verify_commands: ["make"],
+            hard_stop: true,
+            status: "pending",
+            started_iteration: null,
+            last_iteration: null,
+          },
+          {
+            name: "b",
+            prompt: "B",
+            completion_promise: "B_DONE",
+            promise_mode: "plain",
+            max_iterations: 5,
+            verify_commands: [],
+            hard_stop: false,
+            status: "pending",
+            started_iteration: null,
+            last_iteration: null,
+          },
+        ],
+      });
+      expect(plan.planMaxIterations(state)).toBe(7);
+    });
+  });
+
+  describe("rewindPlan", () => {
+    const phase = (name, status, started, last) => ({
+      name,
+      status,
+      started_iteration: started,
+      last_iteration: last,
+    });
+
+    test("reopens the phase running at the target iteration", () => {
+      const state = {
+        current_phase: 2,
+        phases: [phase("a", "completed", 1, 2), phase("b", "completed", 3, 5), phase("c", "running", 6, 6)],
+      };
+      plan.rewindPlan(state, 4);
+      expect(state.current_phase).toBe(1);
+      expect(state.phases).toEqual([
+        phase("a", "completed", 1, 2),
+        phase("b", "paused_rewound", 3, 4),
+        phase("c", "pending", null, null),
+      ]);
+    });
+
+    test("keeps phases completed at or before the target", () => {
+      const state = { current_phase: 2, phases: [phase("a", "completed", 1, 2), phase("b", "completed", 3, 3)] };
+      plan.rewindPlan(state, 3);
+      expect(state.current_phase).toBe(2);
+    });
+  });
+
+  describe("formatPlanProgress", () => {
+    test("counts completed phases and names the current one", () => {
+      const state = { current_phase: 1, phases: [{ name: "a", status: "completed" }, { name: "b", status: "running" }] };
+      expect(plan.formatPlanProgress(state)).toBe("1/2 phases done, current: b");
+      expect(plan.formatPlanProgress({ ...state, current_phase: 2 })).toBe("1/2 phases done");
+    });
+  });
+});
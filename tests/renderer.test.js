@@ -0,0 +1,111 @@
+const renderer = require("../src/renderer");
+
+function fakeStream({ isTTY = false } = {}) {
+  const stream = { isTTY, output: "" };
+  stream.write = (text) => {
+    stream.output += text;
+  };
+  return stream;
+}
+
+const line = (event) => `${JSON.stringify(event)}\n`;
+
+const transcript = [
+  line({ type: "item.completed", item: { type: "reasoning", text: "**Checking tests**\nmore" } }),
+  line({ type: "item.started", item: { type: "command_execution", command: "npm test" } }),
+  line({ type: "item.completed", item: { type: "command_execution", command: "npm test", exit_code: 0 } }),
+  line({ type: "item.completed", item: { type: "file_change", changes: [{ path: "a.js" }, { path: "b.js" }] } }),
+  line({ type: "item.completed", item: { type: "agent_message", text: "All green." } }),
+  line({ type: "turn.completed", usage: { input_tokens: 10, output_tokens: 2 } }),
+  line({ type: "error", message: "stream disconnected" }),
+].join("");
+
+describe("renderer.js", () => {
+  describe("formatActivity", () => {
+    test("colors lines only when asked", () => {
+      const failed = { kind: "command_done", command: "npm test", exit_code: 2 };
+      expect(renderer.formatActivity(failed)).toEqual(["    exit 2"]);
+      expect(renderer.formatActivity(failed, { color: true })).toEqual(["    \x1b[31mexit 2\x1b[0m"]);
+      expect(renderer.formatActivity({ kind: "command_done", command: "x", exit_code: null })).toEqual([]);
+      expect(renderer.formatActivity({ kind: "usage", usage: {} })).toEqual([]);
+    });
+  });
+
+  describe("createEventRenderer", () => {
+    test("pretty prints one line per activity, across split chunks", () => {
+      const stream = fakeStream();
+      const errorStream = fakeStream();
+      const output = renderer.createEventRenderer({ mode: "pretty", stream, errorStream });
+      output.startIteration();
+      // Feed the transcript in awkward pieces, as `data` events arrive.
+      for (let i = 0; i < transcript.length; i += 7) output.write(transcript.slice(i, i + 7));
+      output.write("Reading prompt from stdin...");
+      output.writeError("note\n");
+      output.finishIteration();
+
+      expect(stream.output.split("\n")).toEqual([
+        "  thinking: **Checking tests**",
+        "  $ npm test",
+        "    exit 0",
+        "  edited a.js",
+        "  edited b.js",
+        "  agent: All green.",
+        "  error: stream disconnected",
+        "Reading prompt from stdin...",
+        "",
+      ]);
+      expect(errorStream.output).toBe("note\n");
+    });
+
+    test("colorizes on a TTY unless NO_COLOR is set", () => {
+      const original = process.env.NO_COLOR;
+      try {
+        delete process.env.NO_COLOR;
+        const stream = fakeStream({ isTTY: true });
+        const output = renderer.createEventRenderer({ stream, errorStream: fakeStream() });
+        expect(output.mode).toBe("pretty");
+        output.write(line({ type: "item.started", item: { type: "command_execution", command: "ls" } }));
+        expect(stream.output).toBe("  \x1b[36m$\x1b[0m ls\n");
+
+        process.env.NO_COLOR = "1";
+        const plain = fakeStream({ isTTY: true });
+        renderer.createEventRenderer({ stream: plain, errorStream: fakeStream() }).write(
+          line({ type: "item.started", item: { type: "command_execution", command: "ls" } })
+        );
+        expect(plain.output).toBe("  $ ls\n");
+      } finally {
+        if (original === undefined) delete process.env.NO_COLOR;
+        else process.env.NO_COLOR = original;
+      }
+    });
+
+    test("raw passes everything through and quiet keeps only errors", () => {
+      const rawStream = fakeStream();
+      const rawErrors = fakeStream();
+      const raw = renderer.createEventRenderer({ mode: "raw", stream: rawStream, errorStream: rawErrors });
+      raw.startIteration();
+      raw.write(transcript.slice(0, 10));
+      raw.write(transcript.slice(10));
+      raw.writeError("note\n");
+      raw.finishIteration();
+      expect(rawStream.output).toBe(transcript);
+      expect(rawErrors.output).toBe("note\n");
+
+      const quietStream = fakeStream();
+      const quietErrors = fakeStream();
+      const quiet = renderer.createEventRenderer({ mode: "quiet", stream: quietStream, errorStream: quietErrors });
+      quiet.startIteration();
+      quiet.write(`${transcript}not json\n`);
+      quiet.writeError("note\n");
+      quiet.finishIteration();
+      expect(quietStream.output).toBe("  error: stream disconnected\n");
+      expect(quietErrors.output).toBe("");
+    });
+
+    test("rejects unknown modes", () => {
+      expect(() => renderer.createEventRenderer({ mode: "json" })).toThrow(
+        'Unknown output mode "json". Expected one of: raw, pretty, quiet.'
+      );
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { execFileSync } = require("child_process");
+
+const report = require("../src/report");
+
+function git(args, cwd) {
+  return execFileSync(
+    "git",
+    ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+    { cwd, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }
+  ).trim();
+}
+
+const line = (event) => `${JSON.stringify(event)}\n`;
+
+describe("report.js", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "waylon-report-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function loopState(overrides = {}) {
+    return {
+      loop_id: "demo",
+      status: "completed",
+      prompt: "Fix the tests.\nKeep the API | stable.",
+      completion_promise: "DONE",
+      iteration: 2,
+      max_iterations: 10,
+      created_at: "2024-01-01T00:00:00.000Z",
+      updated_at: "2024-01-01T00:10:00.000Z",
+      elapsed_ms: 125000,
+      usage: { input_tokens: 1000, cached_input_tokens: 0, output_tokens: 234, total_tokens: 1234 },
+      codex: { model: "gpt-5" },
+      todo: { items: [{ text: "a", checked: true }, { text: "b", checked: false }] },
+      history: [
+        {
+          iteration: 1,
+          finished_at: "2024-01-01T00:05:00.000Z",
+          duration_ms: 65000,
+          exit_code: 1,
+          detected_promise: false,
+          verified: null,
+          usage: { total_tokens: 1000 },
+          retries: [{ attempt: 1 }],
+          todo: { done: 1, total: 2, regressions: [] },
+          jsonl_path: "events_iter_1.jsonl",
+        },
+        {
+          iteration: 2,
+          finished_at: "2024-01-01T00:10:00.000Z",
+          duration_ms: 60000,
+          exit_code: 0,
+          detected_promise: true,
+          verified: true,
+          usage: { total_tokens: 234 },
+        },
+      ],
+      ...overrides,
+    };
+  }
+
+  function writeEvents() {
+    fs.writeFileSync(
+      path.join(tmpDir, "events_iter_1.jsonl"),
+      [
+        line({ type: "item.started", item: { type: "command_execution", command: "npm test" } }),
+        line({ type: "item.completed", item: { type: "command_execution", command: "npm test", exit_code: 1 } }),
+        line({ msg: { type: "exec_command_begin", command: ["bash", "-lc", "echo `date` <b>"] } }),
+        line({ msg: { type: "exec_command_end", exit_code: 0 } }),
+        line({ msg: { type: "exec_command_end", command: ["ls"], exit_code: 2 } }),
+        line({ type: "item.completed", item: { type: "file_change", changes: [{ path: "src/a.js" }] } }),
+        line({ msg: { type: "patch_apply_begin", changes: { "src/a.js": {}, "src/b.js": {} } } }),
+        "not json\n",
+      ].join("")
+    );
+  }
+
+  describe("buildReport", () => {
+    test("builds the timeline from history and events", () => {
+      writeEvents();
+      const built = report.buildReport(loopState(), {
+        workspaceRoot: tmpDir,
+        priceTable: { "gpt-5": { input_per_million: 1000, output_per_million: 1000 } },
+        now: new Date("2024-01-02T00:00:00.000Z"),
+      });
+      expect(built).toMatchObject({
+        loop_id: "demo",
+        status: "completed",
+        duration_ms: 125000,
+        estimated_cost_usd: 1.234,
+        todo: "1/2 done",
+        plan: null,
+        files_changed: ["src/a.js", "src/b.js"],
+        generated_at: "2024-01-02T00:00:00.000Z",
+      });
+      expect(built.timeline[0]).toEqual({
+        iteration: 1,
+        phase: null,
+        finished_at: "2024-01-01T00:05:00.000Z",
+        duration_ms: 65000,
+        exit_code: 1,
+        timed_out: false,
+        detected_promise: false,
+        verified: null,
+        tokens: 1000,
+        retries: 1,
+        stalled: null,
+        todo: "1/2 done",
+        files_changed: ["src/a.js", "src/b.js"],
+        commands: [
+          { command: "npm test", exit_code: 1 },
+          { command: "echo `date` <b>", exit_code: 0 },
+          { command: "ls", exit_code: 2 },
+        ],
+      });
+      expect(built.timeline[1]).toMatchObject({ files_changed: null, commands: null, tokens: 234 });
+    });
+
+    test("prefers recorded workspace changes over events for files changed", () => {
+      writeEvents();
+      const state = loopState();
+      state.history[0].changes = {
+        source: "git",
+        files: [{ path: "src/a.js", status: "modified", additions: 3, deletions: 1 }],
+      };
+      state.history[1].changes = { source: "git", files: [] };
+      const built = report.buildReport(state, { workspaceRoot: tmpDir });
+      expect(built.timeline.map((entry) => entry.files_changed)).toEqual([["src/a.js"], []]);
+      expect(built.timeline[0].commands).toHaveLength(3);
+      expect(built.files_changed).toEqual(["src/a.js"]);
+    });
+
+    test("falls back to git checkpoints for files changed", () => {
+      git(["init", "-q", "-b", "main"], tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "README.md"), "hello\n");
+      git(["add", "-A"], tmpDir);
+      git(["commit", "-q", "-m", "base"], tmpDir);
+      const base = git(["rev-parse", "HEAD"], tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "app.js"), "1\n");
+      git(["add", "-A"], tmpDir);
+      git(["commit", "-q", "-m", "iteration 1"], tmpDir);
+      const first = git(["rev-parse", "HEAD"], tmpDir);
+
+      const state = loopState({
+        git: { base_commit: base },
+        history: [
+          { iteration: 1, commit_sha: first },
+          { iteration: 2, commit_sha: first },
+          { iteration: 3, commit_sha: "0".repeat(40) },
+        ],
+      });
+      const built = report.buildReport(state, { workspaceRoot: tmpDir });
+      expect(built.timeline.map((entry) => entry.files_changed)).toEqual([["app.js"], [], null]);
+      expect(built.files_changed).toEqual(["app.js"]);
+    });
+  });
+
+  describe("renderReport", () => {
+    let built;
+
+    beforeEach(() => {
+      writeEvents();
+      const state = loopState({ plan: { current_phase: 1, phases: [{ name: "fix", status: "completed" }] } });
+      state.history[0].phase = "fix";
+      state.history[1].timed_out = true;
+      built = report.buildReport(state, {
+        workspaceRoot: tmpDir,
+        now: new Date("2024-01-02T00:00:00.000Z"),
+      });
+    });
+
+    test("renders Markdown", () => {
+      const markdown = report.renderReport(built, "md");
+      expect(markdown).toContain("# Loop report: demo\n");
+      expect(markdown).toContain("- **Outcome:** completed\n- **Iterations:** 2/10\n- **Duration:** 2m 5s");
+      expect(markdown).toContain("- **Tokens:** 1,234 (est. n/a)");
+      expect(markdown).toContain("- **Plan:** 1/1 phases done");
+      expect(markdown).toContain("> Fix the tests.\n> Keep the API | stable.");
+      expect(markdown).toContain(
+        "| # | Phase | Duration | Exit | Promise | Tokens | Files | Commands | TODO |\n|---|---|---|---|---|---|---|---|---|"
+      );
+      expect(markdown).toContain("| 1 | fix | 1m 5s | 1 | no | 1,000 | 2 | 3 | 1/2 done |");
+      expect(markdown).toContain("| 2 | - | 1m 0s | timed out | yes (verified) | 234 | - | - | - |");
+      expect(markdown).toContain("Files changed: `src/a.js`, `src/b.js`");
+      expect(markdown).toContain("- `npm test (exit 1)`\n- `` echo `date` <b> (exit 0) ``");
+      expect(markdown).not.toContain("### Iteration 2");
+      expect(markdown.endsWith("_Generated 2024-01-02T00:00:00.000Z by waylon-smithers._\n")).toBe(true);
+    });
+
+    test("renders a self-contained HTML page", () => {
+      const html = report.renderReport(built, "html");
+      expect(html.startsWith("<!DOCTYPE html>")).toBe(true);
+      expect(html).toContain("<style>");
+      expect(html).not.toMatch(/<(script|link)\b|src=/);
+      expect(html).toContain("<dt>Outcome</dt><dd>completed</dd>");
+      expect(html).toContain("<th>Phase</th>");
+      expect(html).toContain('<li class="failed"><code>npm test (exit 1)</code></li>');
+      expect(html).toContain("<li><code>echo `date` &lt;b&gt; (exit 0)</code></li>");
+      expect(html.trimEnd().endsWith("</html>")).toBe(true);
+    });
+
+    test("renders JSON and rejects unknown formats", () => {
+      expect(JSON.parse(report.renderReport(built, "json"))).toEqual(built);
+      expect(() => report.renderReport(built, "pdf")).toThrow(
+        'Unknown report format "pdf". Expected one of: md, html, json.'
+      );
+    });
+
+    test("says so when no iteration ran", () => {
+      const empty = report.buildReport(loopState({ history: [], prompt: null, usage: null }), {
+        workspaceRoot: tmpDir,
+      });
+      expect(report.renderReport(empty)).toContain("## Timeline\n\nNo iterations ran.");
+      expect(report.renderReport(empty, "html")).toContain("<p>No iterations ran.</p>");
+    });
+  });
+});
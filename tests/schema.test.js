@@ -0,0 +1,159 @@
+const schema = require("../src/schema");
+
+function validState(overrides = {}) {
+  return {
+    schema_version: schema.STATE_SCHEMA_VERSION,
+    loop_id: "loop",
+    workspace_root: "/workspace",
+    prompt: "Do task",
+    completion_promise: "DONE",
+    promise_mode: "tag",
+    max_iterations: 5,
+    iteration: 1,
+    status: "running",
+    codex: { session_id: "session-1" },
+    artifacts: { dir: ".codex/waylon-smithers/loops/loop" },
+    history: [{ iteration: 1 }],
+    todo: null,
+    ...overrides,
+  };
+}
+
+describe("schema.js", () => {
+  describe("validateAgainstSchema", () => {
+    test("reports type mismatches with their location", () => {
+      const errors = schema.validateAgainstSchema(
+        { a: { b: 3 } },
+        { type: "object", properties: { a: { type: "object", properties: { b: { type: "string" } } } } }
+      );
+      expect(errors).toEqual(["state.a.b: expected string, got integer"]);
+    });
+
+    test("accepts integers where numbers are expected and allows nullable types", () => {
+      expect(schema.validateAgainstSchema(3, { type: "number" })).toEqual([]);
+      expect(schema.validateAgainstSchema(null, { type: ["string", "null"] })).toEqual([]);
+      expect(schema.validateAgainstSchema(1.5, { type: "integer" })).toEqual([
+        "state: expected integer, got number",
+      ]);
+    });
+
+    test("checks enums, minimums, required keys and array items", () => {
+      expect(schema.validateAgainstSchema("x", { enum: ["a", "b"] })).toEqual([
+        'state: expected one of "a", "b", got "x"',
+      ]);
+      expect(schema.validateAgainstSchema(-1, { type: "integer", minimum: 0 })).toEqual([
+        "state: must be >= 0, got -1",
+      ]);
+      expect(schema.validateAgainstSchema({}, { type: "object", required: ["id"] })).toEqual([
+        "state.id: is required",
+      ]);
+      expect(
+        schema.validateAgainstSchema(["a", 1, []], { type: "array", items: { type: "string" } })
+      ).toEqual(["state[1]: expected string, got integer", "state[2]: expected string, got array"]);
+    });
+  });
+
+  describe("validateState", () => {
+    test("accepts a complete state", () => {
+      expect(schema.validateState(validState())).toEqual([]);
+    });
+
+    test("pinpoints broken nested fields", () => {
+      const errors = schema.validateState(
+        validState({
+          artifacts: {},
+          todo: { path: 7, hard_stop_token: "STOP", hard_stop_mode: "halt" },
+          history: [{ iteration: 0 }],
+        })
+      );
+      expect(errors).toEqual([
+        "state.todo.path: expected string, got integer",
+        'state.todo.hard_stop_mode: expected one of "pause", "exit", got "halt"',
+        "state.artifacts.dir: is required",
+        "state.history[0].iteration: must be >= 1, got 0",
+      ]);
+    });
+  });
+
+  describe("migrateState", () => {
+    test("upgrades an unversioned state and fills defaults", () => {
+      const legacy = {
+        loop_id: "old-loop",
+        prompt: "Do task",
+        iteration: 2,
+        codex: { model: "gpt-5" },
+        artifacts: { dir: "custom/dir" },
+      };
+
+      const migrated = schema.migrateState(legacy);
+
+      expect(migrated.schema_version).toBe(schema.STATE_SCHEMA_VERSION);
+      expect(migrated.iteration).toBe(2);
+      expect(migrated.codex).toEqual({ session_id: null, model: "gpt-5", sessions: [] });
+      expect(migrated.artifacts).toMatchObject({ dir: "custom/dir", snapshots_dir: null });
+      expect(migrated.verify_commands).toEqual([]);
+      expect(migrated.backend).toEqual({ name: "codex", command: null, resume_command: null });
+      expect(migrated.usage.total_tokens).toBe(0);
+      expect(legacy.schema_version).toBeUndefined();
+    });
+
+    test("adds retry defaults to version 1 states", () => {
+      const migrated = schema.migrateState({ ...validState(), schema_version: 1 });
+      expect(migrated.schema_version).toBe(schema.STATE_SCHEMA_VERSION);
+      expect(migrated.retry).toEqual({ max_retries: 0, backoff_ms: 5000 });
+    });
+
+    test("records the existing session as the loop's first session", () => {
+      const migrated = schema.migrateState({ ...validState({ iteration: 4 }), schema_version: 2 });
+      expect(migrated.codex.sessions).toEqual([
+        { id: "session-1", started_iteration: 1, last_iteration: 4, start_reason: "start" },
+      ]);
+      expect(schema.validateState(migrated)).toEqual([]);
+
+      const fresh = schema.migrateState({ ...validState({ codex: { session_id: null } }), schema_version: 2 });
+      expect(fresh.codex.sessions).toEqual([]);
+    });
+
+    test("adds built-in template defaults to version 3 states", () => {
+      const migrated = schema.migrateState({ ...validState(), schema_version: 3 });
+      expect(migrated.templates).toEqual({ prompt: null, continue: null });
+      expect(schema.validateState(migrated)).toEqual([]);
+    });
+
+    test("marks version 4 states as single-phase loops", () => {
+      const migrated = schema.migrateState({ ...validState(), schema_version: 4 });
+      expect(migrated.plan).toBeNull();
+      expect(schema.validateState(migrated)).toEqual([]);
+    });
+
+    test("adds an empty notify section to version 6 states", () => {
+      const migrated = schema.migrateState({ ...validState(), schema_version: 6 });
+      expect(migrated.notify).toBeNull();
+      expect(schema.validateState(migrated)).toEqual([]);
+    });
+
+    test("adds empty hooks to version 5 states", () => {
+      const migrated = schema.migrateState({ ...validState(), schema_version: 5 });
+      expect(migrated.hooks.post_iteration).toEqual([]);
+      expect(schema.validateState(migrated)).toEqual([]);
+      expect(schema.validateState({ ...migrated, hooks: { on_complete: "x" } })).toEqual([
+        "state.hooks.on_complete: expected array, got string",
+      ]);
+    });
+
+    test("derives the artifacts dir from the loop id", () => {
+      expect(schema.migrateState({ loop_id: "x" }).artifacts.dir).toBe(".codex/waylon-smithers/loops/x");
+    });
+
+    test("leaves current states untouched", () => {
+      const state = validState();
+      expect(schema.migrateState(state)).toBe(state);
+    });
+
+    test("refuses states from a newer version", () => {
+      expect(() => schema.migrateState({ schema_version: schema.STATE_SCHEMA_VERSION + 1 })).toThrow(
+        "newer than this waylon-smithers supports"
+      );
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const templates = require("../src/templates");
+
+describe("templates.js", () => {
+  describe("renderTemplate", () => {
+    test("substitutes variables and renders unset ones as empty", () => {
+      const text = "Loop {{loopId}} at {{ iteration }}{{todoFile}}";
+      expect(templates.renderTemplate(text, { loopId: "x", iteration: 2 })).toBe("Loop x at 2");
+    });
+
+    test("renders if, else and unless blocks", () => {
+      const text = "{{#if todoFile}}todo: {{todoFile}}{{else}}no todo{{/if}}|{{#unless lastMessage}}first{{/unless}}";
+      expect(templates.renderTemplate(text, { todoFile: "TODO.md" })).toBe("todo: TODO.md|first");
+      expect(templates.renderTemplate(text, { todoFile: "", lastMessage: "hi" })).toBe("no todo|");
+    });
+
+    test("compares variables with string literals", () => {
+      const text = '{{#if promiseMode == "tag"}}tag{{else}}other{{/if}}';
+      expect(templates.renderTemplate(text, { promiseMode: "tag" })).toBe("tag");
+      expect(templates.renderTemplate(text, { promiseMode: "regex" })).toBe("other");
+    });
+
+    test("drops lines that only hold block tags", () => {
+      const text = "A\n{{#if todoFile}}\n  B {{todoFile}}\n{{/if}}\nC\n";
+      expect(templates.renderTemplate(text, { todoFile: "T" })).toBe("A\n  B T\nC");
+      expect(templates.renderTemplate(text, {})).toBe("A\nC");
+    });
+
+    test("supports nested blocks", () => {
+      const text = "{{#if todoFile}}{{#if lastMessage}}both{{else}}todo{{/if}}{{/if}}";
+      expect(templates.renderTemplate(text, { todoFile: "T", lastMessage: "m" })).toBe("both");
+      expect(templates.renderTemplate(text, { todoFile: "T" })).toBe("todo");
+      expect(templates.renderTemplate(text, {})).toBe("");
+    });
+  });
+
+  describe("parseTemplate", () => {
+    test("rejects unknown variables with their line", () => {
+      expect(() => templates.parseTemplate("ok\n{{loopid}}")).toThrow(
+        'Unknown template variable "loopid" on line 2'
+      );
+      expect(() => templates.parseTemplate("{{#if branch}}x{{/if}}")).toThrow('Unknown template variable "branch"');
+    });
+
+    test("rejects unbalanced and malformed tags", () => {
+      expect(() => templates.parseTemplate("{{#if todoFile}}\nx")).toThrow("Unclosed {{#if}} opened on line 1");
+      expect(() => templates.parseTemplate("x{{/if}}")).toThrow("Unexpected {{/if}} on line 1");
+      expect(() => templates.parseTemplate("{{#unless todoFile}}x{{/if}}")).toThrow("Unexpected {{/if}}");
+      expect(() => templates.parseTemplate("{{else}}")).toThrow("Unexpected {{else}}");
+      expect(() => templates.parseTemplate("{{#if todoFile}}a{{else}}b{{else}}c{{/if}}")).toThrow(
+        "Unexpected {{else}}"
+      );
+      expect(() => templates.parseTemplate("{{#if todoFile != 1}}x{{/if}}")).toThrow("Invalid condition");
+      expect(() => templates.parseTemplate("{{user prompt}}")).toThrow('Invalid template tag "{{user prompt}}"');
+    });
+
+    test("accepts the built-in templates", () => {
+      expect(() => templates.parseTemplate(templates.DEFAULT_PROMPT_TEMPLATE)).not.toThrow();
+      expect(() => templates.parseTemplate(templates.DEFAULT_CONTINUE_TEMPLATE)).not.toThrow();
+    });
+  });
+
+  describe("templateVariables", () => {
+    test("lists variables used in tags and conditions", () => {
+      const names = templates.templateVariables("{{loopId}}{{#if todoFile}}{{else}}{{gitDiffStat}}{{/if}}");
+      expect([...names].sort()).toEqual(["gitDiffStat", "loopId", "todoFile"]);
+    });
+  });
+});
@@ -0,0 +1,477 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { execFileSync } = require("child_process");
+
+const workspace = require("../src/workspace");
+
+function git(args, cwd) {
+  return execFileSync(
+    "git",
+    ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+    { cwd, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }
+  );
+}
+
+function initRepo(dir) {
+  git(["init", "-q", "-b", "main"], dir);
+  fs.writeFileSync(path.join(dir, "README.md"), "hello\n");
+  git(["add", "-A"], dir);
+  git(["commit", "-q", "-m", "initial"], dir);
+}
+
+describe("workspace.js", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "waylon-ws-test-")));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("findGitRoot", () => {
+    test("returns null outside a repository", () => {
+      expect(workspace.findGitRoot(tmpDir)).toBeNull();
+    });
+
+    test("finds the repository root from a subdirectory", () => {
+      initRepo(tmpDir);
+      const nested = path.join(tmpDir, "a", "b");
+      fs.mkdirSync(nested, { recursive: true });
+      expect(workspace.findGitRoot(nested)).toBe(tmpDir);
+    });
+  });
+
+  describe("buildFileManifest", () => {
+    test("hashes files and skips wrapper, git and node_modules dirs", () => {
+      fs.mkdirSync(path.join(tmpDir, "src"));
+      fs.writeFileSync(path.join(tmpDir, "src", "a.js"), "a");
+      fs.mkdirSync(path.join(tmpDir, "node_modules", "dep"), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, "node_modules", "dep", "index.js"), "dep");
+      fs.mkdirSync(path.join(tmpDir, ".codex/waylon-smithers/loops"), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, ".codex/waylon-smithers/loops/x.json"), "{}");
+      fs.writeFileSync(path.join(tmpDir, ".codex/config.toml"), "model = 'x'");
+
+      const manifest = workspace.buildFileManifest(tmpDir);
+
+      expect(Object.keys(manifest).sort()).toEqual([
+        path.join(".codex", "config.toml"),
+        path.join("src", "a.js"),
+      ]);
+      expect(manifest[path.join("src", "a.js")]).toBe(workspace.hashContent("a"));
+    });
+  });
+
+  describe("gitChangedPaths", () => {
+    test("lists modified, untracked and renamed files", () => {
+      initRepo(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "other.txt"), "x\n");
+      git(["add", "-A"], tmpDir);
+      git(["commit", "-q", "-m", "add other"], tmpDir);
+
+      fs.writeFileSync(path.join(tmpDir, "README.md"), "changed\n");
+      fs.writeFileSync(path.join(tmpDir, "new.txt"), "new\n");
+      git(["mv", "other.txt", "renamed.txt"], tmpDir);
+
+      const changes = workspace.gitChangedPaths(tmpDir);
+      const byPath = Object.fromEntries(changes.map((c) => [c.path, c.status]));
+
+      expect(byPath["README.md"]).toBe(" M");
+      expect(byPath["new.txt"]).toBe("??");
+      expect(byPath["renamed.txt"]).toBe("R ");
+      expect(byPath["other.txt"]).toBeUndefined();
+    });
+  });
+
+  describe("computeWorkspaceFingerprint", () => {
+    test("changes when files change outside git", () => {
+      fs.writeFileSync(path.join(tmpDir, "a.txt"), "one");
+      const before = workspace.computeWorkspaceFingerprint(tmpDir);
+      expect(workspace.computeWorkspaceFingerprint(tmpDir)).toBe(before);
+
+      fs.writeFileSync(path.join(tmpDir, "a.txt"), "two");
+      expect(workspace.computeWorkspaceFingerprint(tmpDir)).not.toBe(before);
+    });
+
+    test("changes when a modified file is modified again in git", () => {
+      initRepo(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "README.md"), "edit 1\n");
+      const first = workspace.computeWorkspaceFingerprint(tmpDir);
+
+      fs.writeFileSync(path.join(tmpDir, "README.md"), "edit 2\n");
+      expect(workspace.computeWorkspaceFingerprint(tmpDir)).not.toBe(first);
+    });
+
+    test("changes when HEAD moves", () => {
+      initRepo(tmpDir);
+      const before = workspace.computeWorkspaceFingerprint(tmpDir);
+      git(["commit", "-q", "--allow-empty", "-m", "empty"], tmpDir);
+      expect(workspace.computeWorkspaceFingerprint(tmpDir)).not.toBe(before);
+    });
+
+    test("ignores wrapper-managed files", () => {
+      initRepo(tmpDir);
+      const before = workspace.computeWorkspaceFingerprint(tmpDir);
+      const loopsDir = path.join(tmpDir, ".codex/waylon-smithers/loops");
+      fs.mkdirSync(loopsDir, { recursive: true });
+      fs.writeFileSync(path.join(loopsDir, "loop.json"), "{}");
+      expect(workspace.computeWorkspaceFingerprint(tmpDir)).toBe(before);
+    });
+
+    test("works in a repository without commits", () => {
+      git(["init", "-q"], tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "a.txt"), "one");
+      expect(workspace.computeWorkspaceFingerprint(tmpDir)).toMatch(/^[0-9a-f]{40}$/);
+    });
+  });
+
+  describe("branch helpers", () => {
+    test("reads HEAD and current branch", () => {
+      initRepo(tmpDir);
+      expect(workspace.getHeadCommit(tmpDir)).toMatch(/^[0-9a-f]{40}$/);
+      expect(workspace.getCurrentBranch(tmpDir)).toBe("main");
+    });
+
+    test("returns null outside a repository or without commits", () => {
+      expect(workspace.getHeadCommit(tmpDir)).toBeNull();
+      expect(workspace.getCurrentBranch(tmpDir)).toBeNull();
+      git(["init", "-q"], tmpDir);
+      expect(workspace.getHeadCommit(tmpDir)).toBeNull();
+    });
+
+    test("ensureBranch creates then switches back to the loop branch", () => {
+      initRepo(tmpDir);
+      const branch = workspace.checkpointBranchName("my-loop");
+      expect(branch).toBe("waylon/my-loop");
+
+      workspace.ensureBranch(tmpDir, branch);
+      expect(workspace.getCurrentBranch(tmpDir)).toBe(branch);
+      expect(workspace.branchExists(tmpDir, branch)).toBe(true);
+
+      git(["checkout", "-q", "main"], tmpDir);
+      workspace.ensureBranch(tmpDir, branch);
+      expect(workspace.getCurrentBranch(tmpDir)).toBe(branch);
+
+      workspace.ensureBranch(tmpDir, branch);
+      expect(workspace.getCurrentBranch(tmpDir)).toBe(branch);
+    });
+  });
+
+  describe("gitDiffStat", () => {
+    test("summarizes changes since a base commit, ignoring wrapper files", () => {
+      initRepo(tmpDir);
+      const base = workspace.getHeadCommit(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "README.md"), "hello\nworld\n");
+      fs.mkdirSync(path.join(tmpDir, ".codex/waylon-smithers"), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, ".codex/waylon-smithers/state.json"), "{}");
+      git(["add", "-A"], tmpDir);
+      git(["commit", "-q", "-m", "change"], tmpDir);
+
+      const stat = workspace.gitDiffStat(tmpDir, base);
+      expect(stat).toContain("README.md | 1 +");
+      expect(stat).not.toContain("waylon-smithers");
+      expect(workspace.gitDiffStat(tmpDir)).toBeNull();
+    });
+
+    test("returns null outside a repository", () => {
+      expect(workspace.gitDiffStat(tmpDir, null)).toBeNull();
+    });
+  });
+
+  describe("workspace trees", () => {
+    test("record uncommitted work without touching the index", () => {
+      initRepo(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "staged.txt"), "staged\n");
+      git(["add", "staged.txt"], tmpDir);
+      const before = workspace.gitWorkspaceTree(tmpDir);
+
+      fs.writeFileSync(path.join(tmpDir, "README.md"), "hello\nworld\n");
+      fs.writeFileSync(path.join(tmpDir, "image.bin"), Buffer.from([0, 1, 2, 0]));
+      fs.rmSync(path.join(tmpDir, "staged.txt"));
+      fs.mkdirSync(path.join(tmpDir, ".codex", "waylon-smithers"), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, ".codex", "waylon-smithers", "state.json"), "{}");
+      const after = workspace.gitWorkspaceTree(tmpDir);
+
+      expect(workspace.gitFileChanges(tmpDir, before, after)).toEqual([
+        { path: "README.md", status: "modified", additions: 1, deletions: 0 },
+        { path: "image.bin", status: "added", additions: null, deletions: null },
+        { path: "staged.txt", status: "deleted", additions: 0, deletions: 1 },
+      ]);
+      const patch = workspace.gitPatch(tmpDir, before, after);
+      expect(patch).toContain("diff --git a/README.md b/README.md");
+      expect(patch).toContain("+world");
+      expect(patch).not.toContain("waylon-smithers");
+      // The real index still only has the staged file.
+      expect(git(["status", "--porcelain"], tmpDir)).toContain("AD staged.txt");
+      expect(workspace.gitFileChanges(tmpDir, after, after)).toEqual([]);
+    });
+
+    test("are recorded when .gitignore already skips the wrapper dir", () => {
+      initRepo(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, ".gitignore"), ".codex/waylon-smithers\n");
+      fs.mkdirSync(path.join(tmpDir, ".codex/waylon-smithers"), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, ".codex/waylon-smithers/state.json"), "{}");
+      const before = workspace.gitWorkspaceTree(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "a.txt"), "a\n");
+      const after = workspace.gitWorkspaceTree(tmpDir);
+      expect(workspace.gitFileChanges(tmpDir, before, after)).toEqual([
+        { path: "a.txt", status: "added", additions: 1, deletions: 0 },
+      ]);
+    });
+
+    test("survive garbage collection while their refs exist", () => {
+      initRepo(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "a.txt"), "a\n");
+      const ref = workspace.changesRef("demo", 1, "after");
+      expect(ref).toBe("refs/waylon/demo/1/after");
+      const tree = workspace.gitWorkspaceTree(tmpDir, ref);
+      git(["gc", "-q", "--prune=now"], tmpDir);
+      expect(git(["cat-file", "-t", tree], tmpDir).trim()).toBe("tree");
+      expect(git(["rev-parse", `${ref}^{tree}`], tmpDir).trim()).toBe(tree);
+
+      workspace.deleteChangesRefs(tmpDir, "demo");
+      expect(git(["for-each-ref", "refs/waylon/"], tmpDir)).toBe("");
+    });
+
+    test("are relative to a subdirectory workspace", () => {
+      initRepo(tmpDir);
+      const sub = path.join(tmpDir, "pkg");
+      fs.mkdirSync(sub);
+      const before = workspace.gitWorkspaceTree(sub);
+      fs.writeFileSync(path.join(sub, "a.txt"), "a\n");
+      fs.writeFileSync(path.join(tmpDir, "outside.txt"), "x\n");
+      const after = workspace.gitWorkspaceTree(sub);
+      expect(workspace.gitFileChanges(sub, before, after)).toEqual([
+        { path: "a.txt", status: "added", additions: 1, deletions: 0 },
+      ]);
+    });
+  });
+
+  describe("buildCheckpointMessage", () => {
+    test("includes iteration and a collapsed excerpt", () => {
+      const message = workspace.buildCheckpointMessage("loop", 4, "Fixed   the\nparser");
+      expect(message).toBe("waylon-smithers: loop iteration 4\n\nFixed the parser");
+    });
+
+    test("truncates long messages and handles empty ones", () => {
+      const long = workspace.buildCheckpointMessage("loop", 1, "x".repeat(600));
+      expect(long.endsWith("...")).toBe(true);
+      expect(long.length).toBeLessThan(600);
+      expect(workspace.buildCheckpointMessage("loop", 1, "")).toContain("(no last message)");
+    });
+  });
+
+  describe("commitCheckpoint", () => {
+    let originalGlobalConfig;
+
+    beforeEach(() => {
+      originalGlobalConfig = process.env.GIT_CONFIG_GLOBAL;
+    });
+
+    afterEach(() => {
+      if (originalGlobalConfig === undefined) delete process.env.GIT_CONFIG_GLOBAL;
+      else process.env.GIT_CONFIG_GLOBAL = originalGlobalConfig;
+    });
+
+    test("commits changes but not wrapper files", () => {
+      initRepo(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "a.txt"), "a\n");
+      fs.mkdirSync(path.join(tmpDir, ".codex/waylon-smithers/loops"), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, ".codex/waylon-smithers/loops/l.json"), "{}");
+
+      const result = workspace.commitCheckpoint(tmpDir, "checkpoint 1");
+
+      expect(result.created).toBe(true);
+      expect(result.sha).toBe(workspace.getHeadCommit(tmpDir));
+      const files = git(["show", "--name-only", "--format=", "HEAD"], tmpDir).trim();
+      expect(files).toBe("a.txt");
+    });
+
+    test("commits changes when .gitignore already skips the wrapper dir", () => {
+      initRepo(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, ".gitignore"), ".codex/waylon-smithers\n");
+      fs.writeFileSync(path.join(tmpDir, "a.txt"), "a\n");
+      fs.mkdirSync(path.join(tmpDir, ".codex/waylon-smithers/loops"), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, ".codex/waylon-smithers/loops/l.json"), "{}");
+
+      expect(workspace.commitCheckpoint(tmpDir, "checkpoint 1").created).toBe(true);
+      const files = git(["show", "--name-only", "--format=", "HEAD"], tmpDir).trim().split("\n");
+      expect(files.sort()).toEqual([".gitignore", "a.txt"]);
+    });
+
+    test("does not commit a clean workspace", () => {
+      initRepo(tmpDir);
+      const head = workspace.getHeadCommit(tmpDir);
+      expect(workspace.commitCheckpoint(tmpDir, "nothing")).toEqual({ sha: head, created: false });
+    });
+
+    test("falls back to a wrapper identity when none is configured", () => {
+      initRepo(tmpDir);
+      const emptyConfig = path.join(tmpDir, "empty-gitconfig");
+      fs.writeFileSync(emptyConfig, "");
+      process.env.GIT_CONFIG_GLOBAL = emptyConfig;
+      fs.writeFileSync(path.join(tmpDir, "b.txt"), "b\n");
+
+      const result = workspace.commitCheckpoint(tmpDir, "checkpoint");
+
+      expect(result.created).toBe(true);
+      expect(git(["log", "-1", "--format=%ae"], tmpDir).trim()).toBe("waylon-smithers@localhost");
+    });
+  });
+
+  describe("worktrees", () => {
+    test("adds a worktree on a new branch and removes it again", () => {
+      initRepo(tmpDir);
+      const worktreePath = path.join(tmpDir, ".codex/waylon-smithers/worktrees/loop-a");
+
+      workspace.addWorktree(tmpDir, worktreePath, "waylon/loop-a");
+
+      expect(fs.readFileSync(path.join(worktreePath, "README.md"), "utf8")).toBe("hello\n");
+      expect(workspace.getCurrentBranch(worktreePath)).toBe("waylon/loop-a");
+      expect(workspace.getCurrentBranch(tmpDir)).toBe("main");
+      expect(workspace.findGitRoot(worktreePath)).toBe(worktreePath);
+
+      fs.writeFileSync(path.join(worktreePath, "dirty.txt"), "uncommitted\n");
+      workspace.removeWorktree(tmpDir, worktreePath);
+
+      expect(fs.existsSync(worktreePath)).toBe(false);
+      expect(workspace.branchExists(tmpDir, "waylon/loop-a")).toBe(true);
+      expect(git(["worktree", "list"], tmpDir).trim().split("\n")).toHaveLength(1);
+    });
+
+    test("reuses an existing branch", () => {
+      initRepo(tmpDir);
+      git(["branch", "waylon/loop-b"], tmpDir);
+      const worktreePath = path.join(tmpDir, "wt");
+
+      workspace.addWorktree(tmpDir, worktreePath, "waylon/loop-b");
+
+      expect(workspace.getCurrentBranch(worktreePath)).toBe("waylon/loop-b");
+    });
+
+    test("prunes a worktree whose directory is already gone", () => {
+      initRepo(tmpDir);
+      const worktreePath = path.join(tmpDir, "wt");
+      workspace.addWorktree(tmpDir, worktreePath, "waylon/loop-c");
+      fs.rmSync(worktreePath, { recursive: true, force: true });
+
+      workspace.removeWorktree(tmpDir, worktreePath);
+
+      expect(git(["worktree", "list"], tmpDir).trim().split("\n")).toHaveLength(1);
+    });
+  });
+
+  describe("resetToCommit", () => {
+    test("restores tracked files and removes new untracked files but keeps wrapper state", () => {
+      initRepo(tmpDir);
+      const base = workspace.getHeadCommit(tmpDir);
+      fs.writeFileSync(path.join(tmpDir, "README.md"), "changed\n");
+      fs.writeFileSync(path.join(tmpDir, "new.txt"), "new\n");
+      workspace.commitCheckpoint(tmpDir, "checkpoint");
+      fs.writeFileSync(path.join(tmpDir, "later.txt"), "later\n");
+      const wrapperFile = path.join(tmpDir, ".codex/waylon-smithers/loops/l.json");
+      fs.mkdirSync(path.dirname(wrapperFile), { recursive: true });
+      fs.writeFileSync(wrapperFile, "{}");
+
+      workspace.resetToCommit(tmpDir, base);
+
+      expect(workspace.getHeadCommit(tmpDir)).toBe(base);
+      expect(fs.readFileSync(path.join(tmpDir, "README.md"), "utf8")).toBe("hello\n");
+      expect(fs.existsSync(path.join(tmpDir, "new.txt"))).toBe(false);
+      expect(fs.existsSync(path.join(tmpDir, "later.txt"))).toBe(false);
+      expect(fs.existsSync(wrapperFile)).toBe(true);
+    });
+
+    test("keeps wrapper state when the workspace is a subdirectory of the repository", () => {
+      initRepo(tmpDir);
+      const workspaceDir = path.join(tmpDir, "packages", "app");
+      fs.mkdirSync(workspaceDir, { recursive: true });
+      fs.writeFileSync(path.join(workspaceDir, "index.js"), "v1\n");
+      const base = workspace.commitCheckpoint(workspaceDir, "base").sha;
+      fs.writeFileSync(path.join(workspaceDir, "index.js"), "v2\n");
+      fs.writeFileSync(path.join(workspaceDir, "new.js"), "new\n");
+      fs.writeFileSync(path.join(tmpDir, "outside.txt"), "outside\n");
+      const wrapperFile = path.join(workspaceDir, ".codex/waylon-smithers/loops/l.json");
+      fs.mkdirSync(path.dirname(wrapperFile), { recursive: true });
+      fs.writeFileSync(wrapperFile, "{}");
+
+      workspace.resetToCommit(workspaceDir, base);
+
+      expect(fs.readFileSync(path.join(workspaceDir, "index.js"), "utf8")).toBe("v1\n");
+      expect(fs.existsSync(path.join(workspaceDir, "new.js"))).toBe(false);
+      expect(fs.existsSync(path.join(tmpDir, "outside.txt"))).toBe(true);
+      expect(fs.existsSync(wrapperFile)).toBe(true);
+    });
+  });
+
+  describe("file snapshots", () => {
+    test("snapshots and restores files outside git", () => {
+      const snapshotsDir = path.join(tmpDir, "artifacts", "snapshots");
+      fs.mkdirSync(path.join(tmpDir, "src"));
+      fs.writeFileSync(path.join(tmpDir, "src", "a.js"), "v1");
+      fs.writeFileSync(path.join(tmpDir, "keep.txt"), "same");
+
+      const manifestPath = workspace.createFileSnapshot(tmpDir, snapshotsDir, 1);
+      expect(manifestPath).toBe(workspace.snapshotManifestPath(snapshotsDir, 1));
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+      expect(Object.keys(manifest).sort()).toEqual(["keep.txt", path.join("src", "a.js")]);
+
+      fs.writeFileSync(path.join(tmpDir, "src", "a.js"), "v2");
+      fs.writeFileSync(path.join(tmpDir, "extra.txt"), "extra");
+      workspace.createFileSnapshot(tmpDir, snapshotsDir, 2);
+      fs.rmSync(path.join(tmpDir, "keep.txt"));
+
+      workspace.restoreFileSnapshot(tmpDir, snapshotsDir, 1);
+
+      expect(fs.readFileSync(path.join(tmpDir, "src", "a.js"), "utf8")).toBe("v1");
+      expect(fs.readFileSync(path.join(tmpDir, "keep.txt"), "utf8")).toBe("same");
+      expect(fs.existsSync(path.join(tmpDir, "extra.txt"))).toBe(false);
+      // keep.txt is in both snapshots but its contents are stored once.
+      expect(fs.readdirSync(path.join(snapshotsDir, "objects"))).toHaveLength(4);
+    });
+
+    test("throws when the snapshot is missing", () => {
+      expect(() => workspace.restoreFileSnapshot(tmpDir, path.join(tmpDir, "snaps"), 4)).toThrow(
+        "No file snapshot for iteration 4"
+      );
+    });
+
+    test("summarizes and patches the changes between snapshots", () => {
+      const snapshotsDir = path.join(tmpDir, "snaps");
+      fs.mkdirSync(path.join(tmpDir, "src"));
+      fs.writeFileSync(path.join(tmpDir, "src", "a.js"), "one\ntwo\n");
+      fs.writeFileSync(path.join(tmpDir, "gone.txt"), "bye\n");
+      workspace.createFileSnapshot(tmpDir, snapshotsDir, 0);
+      fs.writeFileSync(path.join(tmpDir, "src", "a.js"), "one\n2\nthree\n");
+      fs.writeFileSync(path.join(tmpDir, "new.txt"), "hi\n");
+      fs.rmSync(path.join(tmpDir, "gone.txt"));
+      workspace.createFileSnapshot(tmpDir, snapshotsDir, 1);
+
+      expect(workspace.snapshotFileChanges(snapshotsDir, 0, 1)).toEqual([
+        { path: "gone.txt", status: "deleted", additions: 0, deletions: 1 },
+        { path: "new.txt", status: "added", additions: 1, deletions: 0 },
+        { path: "src/a.js", status: "modified", additions: 2, deletions: 1 },
+      ]);
+      const patch = workspace.snapshotPatch(snapshotsDir, 0, 1);
+      expect(patch).toContain("diff --git a/gone.txt b/gone.txt\n");
+      expect(patch).toContain("--- a/gone.txt\n+++ /dev/null\n@@ -1 +0,0 @@\n-bye\n");
+      expect(patch).toContain("--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1 @@\n+hi\n");
+      expect(patch).toContain("--- a/src/a.js\n+++ b/src/a.js\n");
+      expect(patch).not.toContain(snapshotsDir);
+      expect(workspace.snapshotPatch(snapshotsDir, 1, 1)).toBe("");
+      expect(() => workspace.snapshotFileChanges(snapshotsDir, 1, 2)).toThrow(
+        "No file snapshot for iteration 2"
+      );
+    });
+
+    test("buildFileManifest honors extra excludes", () => {
+      fs.mkdirSync(path.join(tmpDir, "out"));
+      fs.writeFileSync(path.join(tmpDir, "out", "x.txt"), "x");
+      fs.writeFileSync(path.join(tmpDir, "y.txt"), "y");
+      const manifest = workspace.buildFileManifest(tmpDir, { exclude: [path.join(tmpDir, "out")] });
+      expect(Object.keys(manifest)).toEqual(["y.txt"]);
+    });
+  });
+});